@@ -0,0 +1,639 @@
+/**
+ * Mock Execution Server
+ *
+ * Local stand-in for the job executor's progress channel, for UI development
+ * and tests. No packages - plain Node http, plus the UI model modules whose
+ * rules the mock has to share (expression parser, cron, schedule contexts).
+ *
+ *   GET  /api/execution/events?job=<name>   Server-Sent Events stream of progress events
+ *   POST /api/execution/run                 { job, context, failComponent? } -> { runId }
+ *   POST /api/execution/preview             { job, target, limit } -> { columns, rows, rejects }
+ *   POST /api/execution/debug               { job, context, breakpoints } -> { runId }
+ *   POST /api/execution/debug/:runId/command  { command: 'step' | 'continue' | 'abort' }
+ *   /api/repository/jobs[/:id[/versions[/:n]]]  in-memory job repository (GET, PUT, DELETE)
+ *   /api/scheduler/schedules[/:id[/trigger]]    in-memory scheduler firing on the minute (GET, PUT, DELETE, POST)
+ *   GET  /api/scheduler/runs?job=<name>      past scheduled runs, newest first
+ *
+ * Start with `npm run mock:server` and point the UI at it with
+ * REACT_APP_EXECUTION_API_URL=http://localhost:4010/api/execution
+ * REACT_APP_REPOSITORY_API_URL=http://localhost:4010/api/repository
+ * REACT_APP_SCHEDULER_API_URL=http://localhost:4010/api/scheduler
+ */
+
+const http = require('http');
+const { URL } = require('url');
+const { parseExpression } = require('../src/model/expressions.js');
+const { matchesCron, validateCron } = require('../src/model/cron.js');
+const { resolveScheduleContext } = require('../src/model/schedules.js');
+
+const PORT = parseInt(process.env.MOCK_PORT, 10) || 4010;
+const STEP_MS = parseInt(process.env.MOCK_STEP_MS, 10) || 400;
+const BATCH_SIZE = parseInt(process.env.MOCK_BATCH_SIZE, 10) || 100;
+const MINUTE_MS = 60000;
+
+const subscribers = new Map(); // job name -> Set of responses
+let runCounter = 0;
+const debugRuns = new Map(); // runId -> resolver of the pending command while paused
+const abortRequests = new Set(); // debug runs to stop at the next batch
+
+const repository = { jobs: new Map(), versions: new Map() }; // versions: job id -> Map(version -> record)
+const scheduler = { schedules: new Map(), runs: [], lastTickMinute: null }; // runs newest first
+const MAX_SCHEDULED_RUNS = 200;
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(data ? JSON.parse(data) : {});
+    } catch (error) {
+      reject(error);
+    }
+  });
+});
+
+const broadcast = (jobName, event) => {
+  (subscribers.get(jobName) || []).forEach(res => {
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  });
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Components in dependency order (inputs first)
+const topologicalOrder = (job) => {
+  const components = job.components || [];
+  const flows = (job.flows || []).filter(flow => !flow.type || flow.type === 'flow');
+  const inDegree = new Map(components.map(c => [c.id, 0]));
+  flows.forEach(flow => inDegree.set(flow.to, (inDegree.get(flow.to) || 0) + 1));
+
+  const queue = components.filter(c => inDegree.get(c.id) === 0).map(c => c.id);
+  const order = [];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    flows.filter(flow => flow.from === id).forEach(flow => {
+      inDegree.set(flow.to, inDegree.get(flow.to) - 1);
+      if (inDegree.get(flow.to) === 0) queue.push(flow.to);
+    });
+  }
+  return order;
+};
+
+// Walk the graph, emitting running -> row counts -> succeeded per component; resolves to the final status
+const simulateRun = async (runId, job, failComponent) => {
+  const jobName = job.name || 'default';
+  const flows = (job.flows || []).filter(flow => !flow.type || flow.type === 'flow');
+  const byId = new Map((job.components || []).map(c => [c.id, c]));
+  const rowsOut = new Map();
+  const emit = (event) => broadcast(jobName, { ...event, runId }); // Every event names its run
+
+  emit({ type: 'run_started' });
+
+  for (const componentId of topologicalOrder(job)) {
+    const component = byId.get(componentId);
+    if (component.active === false) {
+      emit({ type: 'component_status', componentId, status: 'skipped' });
+      continue;
+    }
+
+    const incoming = flows.filter(flow => flow.to === componentId);
+    const rowsIn = incoming.reduce((sum, flow) => sum + (rowsOut.get(flow.from) || 0), 0);
+    const produced = incoming.length === 0 ? 1000 + Math.floor(Math.random() * 9000) : Math.floor(rowsIn * 0.95);
+
+    emit({ type: 'component_status', componentId, status: 'running', rowsIn: 0, rowsOut: 0 });
+    await wait(STEP_MS);
+
+    if (componentId === failComponent) {
+      emit({
+        type: 'component_status',
+        componentId,
+        status: 'failed',
+        rowsIn: Math.floor(rowsIn / 2),
+        rowsOut: 0,
+        error: `java.lang.RuntimeException: simulated failure in ${componentId}`
+      });
+      emit({ type: 'run_finished', status: 'failed', error: `${componentId} failed` });
+      return 'failed';
+    }
+
+    rowsOut.set(componentId, produced);
+    flows.filter(flow => flow.from === componentId).forEach(flow => {
+      emit({
+        type: 'flow_stats',
+        from: flow.from,
+        to: flow.to,
+        rows: produced,
+        rowsPerSecond: Math.round(produced / (STEP_MS / 1000))
+      });
+    });
+    emit({ type: 'component_status', componentId, status: 'succeeded', rowsIn, rowsOut: produced });
+  }
+
+  emit({ type: 'run_finished', status: 'succeeded' });
+  return 'succeeded';
+};
+
+const PREVIEW_COLUMNS = [
+  { name: 'id', type: 'int' },
+  { name: 'account', type: 'string' },
+  { name: 'amount', type: 'double' },
+  { name: 'trade_date', type: 'date' },
+  { name: 'status', type: 'string' }
+];
+
+// Every 7th sample row has a null account
+const makeRow = (i) => ({
+  id: i + 1,
+  account: i % 7 === 3 ? null : `ACC${String(1000 + i).padStart(6, '0')}`,
+  amount: Math.round((i * 137.31) % 10000) / 100,
+  trade_date: new Date(Date.UTC(2024, 0, 1 + (i % 28))).toISOString().slice(0, 10),
+  status: ['NEW', 'MATCHED', 'BREAK'][i % 3]
+});
+
+// Sample rows for a preview; every 5th row is rejected
+const buildPreview = (job, target, limit) => {
+  const component = (job.components || []).find(c => c.id === target.componentId);
+  if (!component) {
+    return { error: `Component ${target.componentId} is not part of the job` };
+  }
+
+  const accepted = [];
+  const rejected = [];
+  for (let i = 0; accepted.length < limit && i < limit * 2; i++) {
+    if (i % 5 === 4) {
+      rejected.push({ ...makeRow(i), errorCode: 'FILTER', errorMessage: `Condition false for row ${i + 1}` });
+    } else {
+      accepted.push(makeRow(i));
+    }
+  }
+
+  const rejectColumns = [...PREVIEW_COLUMNS, { name: 'errorCode', type: 'string' }, { name: 'errorMessage', type: 'string' }];
+  if (target.port === 'reject') {
+    return { columns: rejectColumns, rows: rejected.slice(0, limit), rejects: null };
+  }
+  return {
+    columns: PREVIEW_COLUMNS,
+    rows: accepted,
+    rejects: target.includeRejects ? { columns: rejectColumns, rows: rejected.slice(0, limit) } : null
+  };
+};
+
+// Functions of the expression language the mock understands in breakpoint conditions
+const CONDITION_FUNCTIONS = {
+  upper: (s) => (s == null ? s : String(s).toUpperCase()),
+  lower: (s) => (s == null ? s : String(s).toLowerCase()),
+  trim: (s) => (s == null ? s : String(s).trim()),
+  length: (s) => (s == null ? 0 : String(s).length),
+  contains: (s, part) => s != null && String(s).includes(part),
+  startsWith: (s, prefix) => s != null && String(s).startsWith(prefix),
+  abs: Math.abs,
+  isNull: (value) => value == null,
+  isEmpty: (s) => s == null || s === ''
+};
+
+const literalValue = (node, text) => {
+  const source = text.slice(node.start, node.end);
+  switch (node.type) {
+    case 'string':
+      return JSON.parse(source);
+    case 'boolean':
+      return source === 'true';
+    case 'null':
+      return null;
+    default:
+      return Number(source.replace(/[LlDd]$/, ''));
+  }
+};
+
+const BINARY_OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b
+};
+
+// Value of a parsed expression for one row (columns bare or as input_row.<column>)
+const evaluate = (node, text, row) => {
+  const value = (child) => evaluate(child, text, row);
+  switch (node.kind) {
+    case 'literal':
+      return literalValue(node, text);
+    case 'ref': {
+      const [first, column] = node.parts;
+      if (node.parts.length === 1) return row[first];
+      if (first === 'input_row' && node.parts.length === 2) return row[column];
+      throw new Error(`${node.parts.join('.')} is not available in the mock`);
+    }
+    case 'call': {
+      const call = CONDITION_FUNCTIONS[node.name];
+      if (!call) throw new Error(`${node.name}() is not available in the mock`);
+      return call(...node.args.map(value));
+    }
+    case 'unary':
+      return node.op === '!' ? !value(node.arg) : -value(node.arg);
+    case 'binary':
+      if (node.op === '&&') return value(node.left) && value(node.right);
+      if (node.op === '||') return value(node.left) || value(node.right);
+      return BINARY_OPERATORS[node.op](value(node.left), value(node.right));
+    case 'ternary':
+      return value(node.test) ? value(node.consequent) : value(node.alternate);
+    default:
+      throw new Error(`Cannot evaluate ${node.kind}`);
+  }
+};
+
+/**
+ * Row predicate for a breakpoint condition, parsed with the UI's expression
+ * language. The mock evaluates comparisons, arithmetic, && / || and the
+ * functions above; a condition that cannot be evaluated never matches.
+ */
+const compileCondition = (condition) => {
+  if (!condition) return () => true;
+  let ast;
+  try {
+    ast = parseExpression(condition);
+  } catch (error) {
+    return () => false;
+  }
+  return (row) => {
+    try {
+      return Boolean(evaluate(ast, condition, row));
+    } catch (error) {
+      return false;
+    }
+  };
+};
+
+// Resolves when the UI sends the next command for a paused run
+const waitForCommand = (runId) => new Promise(resolve => debugRuns.set(runId, resolve));
+
+/**
+ * Like simulateRun, but every flow carries its rows in batches of BATCH_SIZE
+ * and the run pauses on batches at a breakpoint (with a matching row, when the
+ * breakpoint has a condition), or on every batch after a step.
+ */
+const simulateDebugRun = async (runId, job, breakpoints = []) => {
+  const jobName = job.name || 'default';
+  const flows = (job.flows || []).filter(flow => !flow.type || flow.type === 'flow');
+  const byId = new Map((job.components || []).map(c => [c.id, c]));
+  const rowsOut = new Map();
+  const emit = (event) => broadcast(jobName, { ...event, runId });
+  const conditions = new Map(breakpoints.map(bp => [`${bp.from}->${bp.to}`, compileCondition(bp.condition)]));
+  let stepping = false;
+
+  const finishAborted = () => {
+    abortRequests.delete(runId);
+    emit({ type: 'run_finished', status: 'aborted', error: 'Debug run aborted' });
+  };
+
+  emit({ type: 'run_started' });
+
+  for (const componentId of topologicalOrder(job)) {
+    if (abortRequests.has(runId)) return finishAborted();
+    const component = byId.get(componentId);
+    if (component.active === false) {
+      emit({ type: 'component_status', componentId, status: 'skipped' });
+      continue;
+    }
+
+    const incoming = flows.filter(flow => flow.to === componentId);
+    const rowsIn = incoming.reduce((sum, flow) => sum + (rowsOut.get(flow.from) || 0), 0);
+    const produced = incoming.length === 0 ? 1000 + Math.floor(Math.random() * 2000) : Math.floor(rowsIn * 0.95);
+
+    emit({ type: 'component_status', componentId, status: 'running', rowsIn: 0, rowsOut: 0 });
+    await wait(STEP_MS);
+    rowsOut.set(componentId, produced);
+
+    for (const flow of flows.filter(f => f.from === componentId)) {
+      const matches = conditions.get(`${flow.from}->${flow.to}`);
+      for (let start = 0, index = 0; start < produced; start += BATCH_SIZE, index++) {
+        const rows = [];
+        for (let i = start; i < Math.min(start + BATCH_SIZE, produced); i++) rows.push(makeRow(i));
+        const matchedRows = matches ? rows.map((row, i) => (matches(row) ? i : -1)).filter(i => i >= 0) : [];
+        let command = abortRequests.has(runId) ? 'abort' : null;
+
+        if (!command && (stepping || matchedRows.length > 0)) {
+          emit({
+            type: 'debug_paused',
+            from: flow.from,
+            to: flow.to,
+            reason: stepping && matchedRows.length === 0 ? 'step' : 'breakpoint',
+            batch: { index, columns: PREVIEW_COLUMNS, rows, matchedRows }
+          });
+          command = await waitForCommand(runId);
+          debugRuns.delete(runId);
+        }
+        if (!command) continue;
+
+        if (command === 'abort') {
+          emit({ type: 'component_status', componentId, status: 'failed', rowsIn, rowsOut: start, error: 'Aborted by the user' });
+          return finishAborted();
+        }
+        stepping = command === 'step';
+        emit({ type: 'debug_resumed' });
+      }
+      emit({ type: 'flow_stats', from: flow.from, to: flow.to, rows: produced, rowsPerSecond: 0 });
+    }
+    emit({ type: 'component_status', componentId, status: 'succeeded', rowsIn, rowsOut: produced });
+  }
+
+  emit({ type: 'run_finished', status: 'succeeded' });
+  return 'succeeded';
+};
+
+// One run per batch row (or a single run), executed one after the other
+const fireSchedule = async (schedule, plannedAt) => {
+  const rows = schedule.batch ? schedule.batch.rows : [null];
+  const runs = rows.map((row, index) => ({
+    id: `run_${++runCounter}`,
+    schedule_id: schedule.id,
+    job_name: schedule.job_name,
+    planned_at: plannedAt.toISOString(),
+    started_at: null,
+    finished_at: null,
+    status: 'queued',
+    batch_row: schedule.batch ? index : null,
+    context: resolveScheduleContext(schedule.job, schedule, plannedAt, row || {}),
+    error: null
+  }));
+  scheduler.runs = [...runs.slice().reverse(), ...scheduler.runs].slice(0, MAX_SCHEDULED_RUNS);
+
+  for (const run of runs) {
+    run.status = 'running';
+    run.started_at = new Date().toISOString();
+    run.status = await simulateRun(run.id, schedule.job);
+    run.error = run.status === 'failed' ? 'Simulated component failure' : null;
+    run.finished_at = new Date().toISOString();
+  }
+  return runs;
+};
+
+// Fire the enabled schedules due this minute, once each however often the tick runs
+const schedulerTick = (now = new Date()) => {
+  const minute = new Date(now);
+  minute.setSeconds(0, 0);
+  scheduler.schedules.forEach(schedule => {
+    if (!schedule.enabled || schedule.last_fired_at === minute.toISOString() || !matchesCron(schedule.cron, minute)) return;
+    schedule.last_fired_at = minute.toISOString();
+    fireSchedule(schedule, minute);
+  });
+};
+
+// Tick every minute since the last tick, so a timer that fires late skips no minute
+const catchUpSchedules = (now = new Date()) => {
+  const current = Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS;
+  const first = scheduler.lastTickMinute === null ? current : scheduler.lastTickMinute + MINUTE_MS;
+  for (let minute = first; minute <= current; minute += MINUTE_MS) {
+    schedulerTick(new Date(minute));
+  }
+  scheduler.lastTickMinute = current;
+};
+
+// Wake up just after each minute boundary rather than every 60s from start-up
+const startScheduler = () => {
+  setTimeout(() => {
+    catchUpSchedules();
+    startScheduler();
+  }, MINUTE_MS - (Date.now() % MINUTE_MS) + 50);
+};
+
+const DEBUG_COMMAND_ROUTE = /^\/api\/execution\/debug\/([^/]+)\/command$/;
+
+const REPOSITORY_ROUTE = /^\/api\/repository\/jobs(?:\/([^/]+)(?:\/versions(?:\/(\d+))?)?)?$/;
+
+// Repository REST routes, mirroring src/services/restRepositoryBackend.js
+const handleRepository = async (req, res, match) => {
+  const id = match[1] ? decodeURIComponent(match[1]) : null;
+  const isVersions = match[0].includes('/versions');
+  const version = match[2] ? parseInt(match[2], 10) : null;
+  const versions = id ? (repository.versions.get(id) || new Map()) : null;
+
+  if (!id) {
+    if (req.method === 'GET') return sendJson(res, 200, [...repository.jobs.values()]);
+  } else if (!isVersions) {
+    if (req.method === 'GET') {
+      const entry = repository.jobs.get(id);
+      return entry ? sendJson(res, 200, entry) : sendJson(res, 404, { error: `No job ${id}` });
+    }
+    if (req.method === 'PUT') {
+      repository.jobs.set(id, { ...(await readBody(req)), id });
+      return sendJson(res, 200, repository.jobs.get(id));
+    }
+    if (req.method === 'DELETE') {
+      repository.jobs.delete(id);
+      repository.versions.delete(id);
+      res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+      return res.end();
+    }
+  } else if (version === null) {
+    if (req.method === 'GET') {
+      return sendJson(res, 200, [...versions.values()].map(({ job, ...meta }) => meta));
+    }
+  } else {
+    if (req.method === 'GET') {
+      const record = versions.get(version);
+      return record ? sendJson(res, 200, record) : sendJson(res, 404, { error: `No version ${version} of ${id}` });
+    }
+    if (req.method === 'PUT') {
+      if (versions.has(version)) {
+        return sendJson(res, 409, { error: `Version ${version} of ${id} already exists` });
+      }
+      versions.set(version, { ...(await readBody(req)), job_id: id, version });
+      repository.versions.set(id, versions);
+      return sendJson(res, 201, { job_id: id, version });
+    }
+  }
+  return sendJson(res, 405, { error: `${req.method} is not supported on ${match[0]}` });
+};
+
+const SCHEDULE_ROUTE = /^\/api\/scheduler\/schedules(?:\/([^/]+)(\/trigger)?)?$/;
+
+// Scheduler REST routes, mirroring src/services/schedulerService.js
+const handleScheduler = async (req, res, url) => {
+  if (url.pathname === '/api/scheduler/runs' && req.method === 'GET') {
+    const jobName = url.searchParams.get('job');
+    return sendJson(res, 200, scheduler.runs.filter(run => !jobName || run.job_name === jobName));
+  }
+
+  const match = url.pathname.match(SCHEDULE_ROUTE);
+  if (!match) return sendJson(res, 404, { error: `No mock route for ${req.method} ${url.pathname}` });
+  const id = match[1] ? decodeURIComponent(match[1]) : null;
+
+  if (!id && req.method === 'GET') {
+    const jobName = url.searchParams.get('job');
+    // The stored job snapshot stays server-side
+    return sendJson(res, 200, [...scheduler.schedules.values()]
+      .filter(schedule => !jobName || schedule.job_name === jobName)
+      .map(({ job, ...schedule }) => schedule));
+  }
+  if (id && match[2] && req.method === 'POST') {
+    const schedule = scheduler.schedules.get(id);
+    if (!schedule) return sendJson(res, 404, { error: `No schedule ${id}` });
+    const plannedAt = new Date();
+    // Runs are queued synchronously; respond with them before they finish
+    fireSchedule(schedule, plannedAt);
+    return sendJson(res, 202, scheduler.runs.filter(run => run.schedule_id === id && run.planned_at === plannedAt.toISOString()));
+  }
+  if (id && !match[2] && req.method === 'PUT') {
+    const body = await readBody(req);
+    if (!body.cron || !body.job || !Array.isArray(body.job.components)) {
+      return sendJson(res, 400, { error: 'Body must contain a cron expression and a job with components' });
+    }
+    const cronError = validateCron(body.cron);
+    if (cronError) return sendJson(res, 400, { error: cronError });
+    scheduler.schedules.set(id, { ...body, id });
+    const { job, ...schedule } = scheduler.schedules.get(id);
+    return sendJson(res, 200, schedule);
+  }
+  if (id && !match[2] && req.method === 'DELETE') {
+    scheduler.schedules.delete(id);
+    res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+    return res.end();
+  }
+  return sendJson(res, 405, { error: `${req.method} is not supported on ${url.pathname}` });
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end();
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/execution/events') {
+    const jobName = url.searchParams.get('job') || 'default';
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.write(': connected\n\n');
+
+    if (!subscribers.has(jobName)) subscribers.set(jobName, new Set());
+    subscribers.get(jobName).add(res);
+    req.on('close', () => subscribers.get(jobName).delete(res));
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/execution/run') {
+    try {
+      const { job, failComponent } = await readBody(req);
+      if (!job || !Array.isArray(job.components)) {
+        sendJson(res, 400, { error: 'Body must contain a job with components' });
+        return;
+      }
+      const runId = `run_${++runCounter}`;
+      sendJson(res, 202, { runId });
+      simulateRun(runId, job, failComponent);
+    } catch (error) {
+      sendJson(res, 400, { error: `Invalid JSON: ${error.message}` });
+    }
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/execution/preview') {
+    try {
+      const { job, target, limit } = await readBody(req);
+      if (!job || !target) {
+        sendJson(res, 400, { error: 'Body must contain a job and a target' });
+        return;
+      }
+      const result = buildPreview(job, target, Math.min(parseInt(limit, 10) || 100, 1000));
+      setTimeout(() => sendJson(res, result.error ? 422 : 200, result), STEP_MS);
+    } catch (error) {
+      sendJson(res, 400, { error: `Invalid JSON: ${error.message}` });
+    }
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/execution/debug') {
+    try {
+      const { job, breakpoints } = await readBody(req);
+      if (!job || !Array.isArray(job.components)) {
+        sendJson(res, 400, { error: 'Body must contain a job with components' });
+        return;
+      }
+      const runId = `run_${++runCounter}`;
+      sendJson(res, 202, { runId });
+      simulateDebugRun(runId, job, breakpoints);
+    } catch (error) {
+      sendJson(res, 400, { error: `Invalid JSON: ${error.message}` });
+    }
+    return;
+  }
+
+  const commandMatch = req.method === 'POST' && url.pathname.match(DEBUG_COMMAND_ROUTE);
+  if (commandMatch) {
+    try {
+      const runId = decodeURIComponent(commandMatch[1]);
+      const { command } = await readBody(req);
+      if (!['step', 'continue', 'abort'].includes(command)) {
+        sendJson(res, 400, { error: `Unknown debug command ${command}` });
+      } else if (debugRuns.has(runId)) {
+        debugRuns.get(runId)(command);
+        sendJson(res, 200, { runId, command });
+      } else if (command === 'abort') {
+        abortRequests.add(runId);
+        sendJson(res, 200, { runId, command });
+      } else {
+        sendJson(res, 409, { error: `Run ${runId} is not paused` });
+      }
+    } catch (error) {
+      sendJson(res, 400, { error: `Invalid JSON: ${error.message}` });
+    }
+    return;
+  }
+
+  const repositoryMatch = url.pathname.match(REPOSITORY_ROUTE);
+  if (repositoryMatch) {
+    try {
+      await handleRepository(req, res, repositoryMatch);
+    } catch (error) {
+      sendJson(res, 400, { error: `Invalid JSON: ${error.message}` });
+    }
+    return;
+  }
+
+  if (url.pathname.startsWith('/api/scheduler/')) {
+    try {
+      await handleScheduler(req, res, url);
+    } catch (error) {
+      sendJson(res, 400, { error: `Invalid JSON: ${error.message}` });
+    }
+    return;
+  }
+
+  sendJson(res, 404, { error: `No mock route for ${req.method} ${url.pathname}` });
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`Mock execution server listening on http://localhost:${PORT}`);
+  });
+  startScheduler();
+}
+
+module.exports = { server, simulateRun, simulateDebugRun, topologicalOrder, schedulerTick, catchUpSchedules };
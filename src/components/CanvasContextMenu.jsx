@@ -0,0 +1,63 @@
+import { useEffect, useRef } from 'react';
+import './CanvasContextMenu.css';
+
+/**
+ * CanvasContextMenu Component
+ *
+ * Right-click menu for nodes and links at screen position { x, y }.
+ * items: [{ label, icon, onSelect, disabled }]
+ * Closes on selection, outside click or Escape.
+ */
+
+export default function CanvasContextMenu({ menu, onClose }) {
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!menu) return undefined;
+
+    const handleMouseDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        onClose();
+      }
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    document.addEventListener('mousedown', handleMouseDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleMouseDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [menu, onClose]);
+
+  if (!menu) return null;
+
+  return (
+    <ul
+      ref={menuRef}
+      className="canvas-context-menu"
+      style={{ left: menu.x, top: menu.y }}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      {menu.items.map(item => {
+        const Icon = item.icon;
+        return (
+          <li key={item.label}>
+            <button
+              disabled={item.disabled}
+              onClick={() => {
+                onClose();
+                item.onSelect();
+              }}
+            >
+              {Icon && <Icon size={14} />}
+              <span>{item.label}</span>
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
@@ -0,0 +1,25 @@
+/**
+ * ComponentErrorDetails Component
+ *
+ * Error of a failed component, shown in the bottom drawer
+ * when the failed node is clicked during or after a run.
+ */
+
+export default function ComponentErrorDetails({ componentId, state, onClose }) {
+  if (!componentId || !state) return null;
+
+  return (
+    <div className="execution-error">
+      <div className="log-row">
+        <span className="log-label">Component</span>
+        <span className="log-value">{componentId}</span>
+      </div>
+      <div className="log-row">
+        <span className="log-label">Rows in / out</span>
+        <span className="log-value">{state.rowsIn} / {state.rowsOut}</span>
+      </div>
+      <pre className="error-message">{state.error || 'Component failed without an error message.'}</pre>
+      {onClose && <button className="download-button" onClick={onClose}>Dismiss</button>}
+    </div>
+  );
+}
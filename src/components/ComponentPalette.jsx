@@ -0,0 +1,75 @@
+import { useState, useMemo } from 'react';
+import { Search, ChevronDown, ChevronRight } from 'lucide-react';
+import { getComponentIcon, getComponentDisplayName } from '../model/componentRegistry';
+import { getPaletteGroups } from '../model/componentParams';
+import './ComponentPalette.css';
+
+/**
+ * ComponentPalette Component
+ *
+ * Searchable side list of the registry's component types, grouped by
+ * category. Types are dragged onto the canvas; the drop is handled there.
+ */
+
+export const PALETTE_DRAG_TYPE = 'application/x-component-type';
+
+export default function ComponentPalette() {
+  const [search, setSearch] = useState('');
+  const [collapsed, setCollapsed] = useState({});
+
+  const groups = useMemo(() => getPaletteGroups(search), [search]);
+
+  const toggleGroup = (category) => {
+    setCollapsed(prev => ({ ...prev, [category]: !prev[category] }));
+  };
+
+  const handleDragStart = (e, type) => {
+    e.dataTransfer.setData(PALETTE_DRAG_TYPE, type);
+    e.dataTransfer.effectAllowed = 'copy';
+  };
+
+  return (
+    <aside className="component-palette">
+      <div className="component-palette-search">
+        <Search size={14} />
+        <input
+          value={search}
+          placeholder="Search components"
+          onChange={(e) => setSearch(e.target.value)}
+        />
+      </div>
+
+      <div className="component-palette-groups">
+        {groups.length === 0 && <div className="component-palette-empty">No components match "{search}"</div>}
+        {groups.map(({ category, types }) => {
+          // A search always shows its matches
+          const isCollapsed = collapsed[category] && !search;
+          return (
+            <div key={category} className="component-palette-group">
+              <button className="component-palette-group-header" onClick={() => toggleGroup(category)}>
+                {isCollapsed ? <ChevronRight size={14} /> : <ChevronDown size={14} />}
+                {category}
+                <span className="component-palette-count">{types.length}</span>
+              </button>
+              {!isCollapsed && types.map(definition => {
+                const Icon = getComponentIcon(definition.type);
+                return (
+                  <div
+                    key={definition.type}
+                    className="component-palette-item"
+                    draggable
+                    onDragStart={(e) => handleDragStart(e, definition.type)}
+                    title={definition.talendType || definition.type}
+                  >
+                    <Icon size={16} />
+                    <span>{getComponentDisplayName(definition.type)}</span>
+                  </div>
+                );
+              })}
+            </div>
+          );
+        })}
+      </div>
+    </aside>
+  );
+}
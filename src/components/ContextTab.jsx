@@ -0,0 +1,194 @@
+import { useState, useEffect } from 'react';
+import { Plus, Copy, Trash2, GitCompare } from 'lucide-react';
+import {
+  getContextNames,
+  getContextVariables,
+  getContextInputType,
+  validateContextName,
+  diffContexts
+} from '../model/contextEnvironments';
+import './ContextTab.css';
+
+/**
+ * ContextTab Component
+ *
+ * Bottom drawer tab for context environments: switch, create, clone and delete
+ * contexts, edit persisted values with type-aware inputs, set per-run overrides
+ * and compare values across contexts.
+ */
+
+function ContextValueInput({ variable, item, onCommit }) {
+  const inputType = getContextInputType(item.type);
+  const [draft, setDraft] = useState(item.value ?? '');
+
+  useEffect(() => {
+    setDraft(item.value ?? '');
+  }, [item.value]);
+
+  if (inputType === 'checkbox') {
+    return (
+      <input
+        type="checkbox"
+        checked={draft === true || draft === 'true'}
+        onChange={e => onCommit(variable, e.target.checked)}
+      />
+    );
+  }
+
+  // Dates stored in other formats stay editable as text
+  const type = inputType === 'date' && draft && !/^\d{4}-\d{2}-\d{2}$/.test(draft) ? 'text' : inputType;
+
+  const commit = () => {
+    if (draft === (item.value ?? '')) return;
+    onCommit(variable, inputType === 'number' && draft !== '' ? Number(draft) : draft);
+  };
+
+  return (
+    <input
+      className="context-input"
+      type={type}
+      step={inputType === 'number' ? 'any' : undefined}
+      value={draft}
+      onChange={e => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={e => e.key === 'Enter' && e.target.blur()}
+    />
+  );
+}
+
+export default function ContextTab({
+  job,
+  activeContext,
+  overrides,
+  onSwitchContext,
+  onCreateContext,
+  onDeleteContext,
+  onValueChange,
+  onOverrideChange
+}) {
+  const [newContextName, setNewContextName] = useState('');
+  const [nameError, setNameError] = useState('');
+  const [showDiff, setShowDiff] = useState(false);
+
+  const contextNames = getContextNames(job);
+  const variables = getContextVariables(job, activeContext);
+
+  const handleCreate = (cloneFrom) => {
+    const error = validateContextName(job, newContextName);
+    if (error) {
+      setNameError(error);
+      return;
+    }
+    onCreateContext(newContextName.trim(), cloneFrom);
+    setNewContextName('');
+    setNameError('');
+  };
+
+  return (
+    <div className="context-tab">
+      <div className="context-toolbar">
+        <label className="context-switcher">
+          <span>Context</span>
+          <select
+            className="transform-select"
+            value={activeContext || ''}
+            onChange={e => onSwitchContext(e.target.value)}
+          >
+            {contextNames.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+
+        <input
+          className="context-input context-name-input"
+          placeholder="New context name"
+          value={newContextName}
+          onChange={e => {
+            setNewContextName(e.target.value);
+            setNameError('');
+          }}
+        />
+        <button className="context-toolbar-btn" onClick={() => handleCreate(null)} title="Create empty context">
+          <Plus size={14} /> New
+        </button>
+        <button className="context-toolbar-btn" onClick={() => handleCreate(activeContext)} title={`Clone ${activeContext}`}>
+          <Copy size={14} /> Clone
+        </button>
+        <button
+          className="context-toolbar-btn danger"
+          onClick={() => onDeleteContext(activeContext)}
+          disabled={contextNames.length <= 1}
+          title={`Delete ${activeContext}`}
+        >
+          <Trash2 size={14} /> Delete
+        </button>
+        <button
+          className={`context-toolbar-btn${showDiff ? ' active' : ''}`}
+          onClick={() => setShowDiff(!showDiff)}
+          disabled={contextNames.length < 2}
+          title="Compare values across contexts"
+        >
+          <GitCompare size={14} /> Compare
+        </button>
+        {nameError && <span className="context-name-error">{nameError}</span>}
+      </div>
+
+      <div className="context-table-container">
+        {showDiff ? (
+          <table className="context-table context-diff-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                {contextNames.map(name => <th key={name}>{name}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {diffContexts(job, contextNames).map(row => (
+                <tr key={row.name} className={row.differs ? 'context-differs' : ''}>
+                  <td className="context-name">{row.name}</td>
+                  {contextNames.map(name => (
+                    <td key={name} className="context-value">
+                      {getContextInputType(row.type) === 'password'
+                        ? (row.values[name] ? '••••••' : '')
+                        : String(row.values[name] ?? '—')}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <table className="context-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Type</th>
+                <th>Value</th>
+                <th>Run override</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(variables).map(([name, item]) => (
+                <tr key={name}>
+                  <td className="context-name">{name}</td>
+                  <td className="context-type">{String(item.type || 'string').replace(/^id_/, '')}</td>
+                  <td className="context-value">
+                    <ContextValueInput variable={name} item={item} onCommit={onValueChange} />
+                  </td>
+                  <td className="context-value">
+                    <input
+                      className="context-input"
+                      type={getContextInputType(item.type) === 'password' ? 'password' : 'text'}
+                      placeholder="(use value)"
+                      value={overrides[name] ?? ''}
+                      onChange={e => onOverrideChange(name, e.target.value)}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
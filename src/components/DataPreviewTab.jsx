@@ -0,0 +1,137 @@
+import { useState, useMemo } from 'react';
+import { Download, RefreshCw, Loader2, Table } from 'lucide-react';
+import { profileColumns, previewToCsv, PREVIEW_ROW_LIMITS } from '../model/dataPreview';
+import './DataPreviewTab.css';
+
+/**
+ * DataPreviewTab Component
+ *
+ * Bottom drawer grid with the sample rows of one component output.
+ * Column headers show type and null count; components with a reject
+ * port get a second view with the rejected rows.
+ */
+
+// The download starts after click() returns, so the URL has to outlive it for a moment
+const REVOKE_DELAY_MS = 10000;
+
+const downloadCsv = (fileName, csv) => {
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
+
+export default function DataPreviewTab({ preview, onLimitChange, onRefresh }) {
+  const [view, setView] = useState('output');
+
+  const rejects = preview?.result?.rejects;
+  const showRejects = view === 'rejects' && rejects;
+  const data = showRejects ? rejects : preview?.result;
+
+  const columns = useMemo(
+    () => (data ? profileColumns(data.columns, data.rows) : []),
+    [data]
+  );
+
+  if (!preview) {
+    return (
+      <div className="data-preview-tab">
+        <div className="data-preview-empty">
+          <Table size={18} />
+          <span>Right-click a component or flow and choose "Preview data"</span>
+        </div>
+      </div>
+    );
+  }
+
+  const handleExport = () => {
+    const suffix = showRejects ? '_rejects' : '';
+    downloadCsv(`${preview.target.componentId}${suffix}_preview.csv`, previewToCsv(columns, data.rows));
+  };
+
+  return (
+    <div className="data-preview-tab">
+      <div className="data-preview-toolbar">
+        <span className="data-preview-title">{preview.target.label}</span>
+        {rejects && (
+          <div className="data-preview-views">
+            <button
+              className={`data-preview-view ${view === 'output' ? 'active' : ''}`}
+              onClick={() => setView('output')}
+            >
+              Output ({preview.result.rows.length})
+            </button>
+            <button
+              className={`data-preview-view ${view === 'rejects' ? 'active' : ''}`}
+              onClick={() => setView('rejects')}
+            >
+              Rejects ({rejects.rows.length})
+            </button>
+          </div>
+        )}
+        <label className="data-preview-limit">
+          First
+          <select value={preview.limit} onChange={(e) => onLimitChange(parseInt(e.target.value, 10))}>
+            {PREVIEW_ROW_LIMITS.map(limit => <option key={limit} value={limit}>{limit}</option>)}
+          </select>
+          rows
+        </label>
+        <button className="action-btn" onClick={onRefresh} disabled={preview.loading} title="Run preview again">
+          <RefreshCw size={14} />
+        </button>
+        <button className="action-btn" onClick={handleExport} disabled={!data || data.rows.length === 0} title="Export to CSV">
+          <Download size={14} />
+        </button>
+      </div>
+
+      {preview.loading && (
+        <div className="data-preview-empty">
+          <Loader2 size={18} className="data-preview-spinner" />
+          <span>Running job up to {preview.target.componentId} on sampled input...</span>
+        </div>
+      )}
+
+      {preview.error && <pre className="error-message">{preview.error}</pre>}
+
+      {data && (
+        <div className="data-preview-grid">
+          <table>
+            <thead>
+              <tr>
+                <th className="data-preview-rownum">#</th>
+                {columns.map(column => (
+                  <th key={column.name}>
+                    <span className="data-preview-column">{column.name}</span>
+                    <span className="data-preview-meta">
+                      {column.type}
+                      {column.nullCount > 0 && <span className="data-preview-nulls"> · {column.nullCount} null</span>}
+                    </span>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {data.rows.map((row, index) => (
+                <tr key={index}>
+                  <td className="data-preview-rownum">{index + 1}</td>
+                  {columns.map(column => {
+                    const value = row[column.name];
+                    const isNull = value === null || value === undefined;
+                    return (
+                      <td key={column.name} className={isNull ? 'null-value' : ''}>
+                        {isNull ? 'null' : String(value)}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {data.rows.length === 0 && <div className="data-preview-empty">No rows</div>}
+        </div>
+      )}
+    </div>
+  );
+}
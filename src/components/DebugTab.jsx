@@ -0,0 +1,149 @@
+import { Bug, CircleDot, Play, SkipForward, Square, Trash2 } from 'lucide-react';
+import { getActiveBreakpoints, getBreakpointScope, isDebugActive } from '../model/debugSession';
+import ExpressionEditor from './ExpressionEditor';
+import './DataPreviewTab.css';
+import './DebugTab.css';
+
+/**
+ * DebugTab Component
+ *
+ * Bottom drawer tab of the Debug run mode: step / continue / abort controls,
+ * the batch of rows paused on (rows matching the breakpoint condition are
+ * highlighted) and the list of breakpoints with their optional conditions.
+ */
+
+const STATUS_LABELS = {
+  running: 'Running',
+  paused: 'Paused',
+  finished: 'Finished',
+  aborted: 'Aborted'
+};
+
+function PausedBatch({ paused }) {
+  const { batch } = paused;
+  const matched = new Set(batch.matchedRows);
+
+  return (
+    <div className="data-preview-grid debug-batch">
+      <table>
+        <thead>
+          <tr>
+            <th className="data-preview-rownum">#</th>
+            {batch.columns.map(column => (
+              <th key={column.name}>
+                <span className="data-preview-column">{column.name}</span>
+                <span className="data-preview-meta">{column.type}</span>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {batch.rows.map((row, index) => (
+            <tr key={index} className={matched.has(index) ? 'debug-row-matched' : ''}>
+              <td className="data-preview-rownum">{index + 1}</td>
+              {batch.columns.map(column => {
+                const value = row[column.name];
+                const isNull = value === null || value === undefined;
+                return (
+                  <td key={column.name} className={isNull ? 'null-value' : ''}>
+                    {isNull ? 'null' : String(value)}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {batch.rows.length === 0 && <div className="data-preview-empty">Empty batch</div>}
+    </div>
+  );
+}
+
+export default function DebugTab({
+  job,
+  breakpoints,
+  breakpointErrors,
+  debugState,
+  commandError,
+  onStartDebug,
+  onStep,
+  onContinue,
+  onAbort,
+  onBreakpointChange,
+  onRemoveBreakpoint
+}) {
+  const active = isDebugActive(debugState);
+  const paused = debugState?.status === 'paused' ? debugState.paused : null;
+  const activeBreakpoints = getActiveBreakpoints(job, breakpoints);
+  const errorsByKey = new Map(breakpointErrors.map(error => [error.key, error.message]));
+
+  return (
+    <div className="debug-tab">
+      <div className="data-preview-toolbar debug-toolbar">
+        {debugState ? (
+          <span className={`debug-status ${debugState.status}`}>
+            {STATUS_LABELS[debugState.status]}
+            {paused && ` at ${paused.from} → ${paused.to}, batch ${paused.batch.index + 1}${paused.reason === 'step' ? ' (step)' : ''}`}
+          </span>
+        ) : (
+          <span className="debug-status">Not debugging</span>
+        )}
+        <div className="debug-controls">
+          {!active && (
+            <button className="context-toolbar-btn" onClick={onStartDebug} disabled={breakpointErrors.length > 0}>
+              <Bug size={14} /> Debug
+            </button>
+          )}
+          <button className="context-toolbar-btn" onClick={onStep} disabled={!paused} title="Run to the next batch on any flow">
+            <SkipForward size={14} /> Step
+          </button>
+          <button className="context-toolbar-btn" onClick={onContinue} disabled={!paused} title="Run to the next breakpoint">
+            <Play size={14} /> Continue
+          </button>
+          <button className="context-toolbar-btn" onClick={onAbort} disabled={!active} title="Stop the run">
+            <Square size={14} /> Abort
+          </button>
+        </div>
+      </div>
+
+      {debugState?.error && <pre className="error-message">{debugState.error}</pre>}
+      {commandError && <pre className="error-message">{commandError}</pre>}
+
+      {paused && <PausedBatch paused={paused} />}
+
+      <div className="debug-breakpoints">
+        <h4>Breakpoints</h4>
+        {activeBreakpoints.length === 0 && (
+          <div className="data-preview-empty">
+            <CircleDot size={16} />
+            <span>Right-click a flow and choose "Toggle breakpoint"</span>
+          </div>
+        )}
+        <ul>
+          {activeBreakpoints.map(breakpoint => (
+            <li key={breakpoint.key} className={breakpoint.enabled ? '' : 'disabled'}>
+              <input
+                type="checkbox"
+                checked={breakpoint.enabled}
+                onChange={e => onBreakpointChange(breakpoint.key, { enabled: e.target.checked })}
+                title="Enabled"
+              />
+              <span className="debug-breakpoint-flow">{breakpoint.from} → {breakpoint.to}</span>
+              <ExpressionEditor
+                value={breakpoint.condition}
+                onChange={condition => onBreakpointChange(breakpoint.key, { condition })}
+                scope={getBreakpointScope(job, breakpoint)}
+                expectedType="boolean"
+                placeholder="Pause on every batch, or only when a row matches..."
+              />
+              <button className="schema-remove-btn" onClick={() => onRemoveBreakpoint(breakpoint.key)} title="Remove breakpoint">
+                <Trash2 size={14} />
+              </button>
+              {errorsByKey.has(breakpoint.key) && <span className="properties-error">{errorsByKey.get(breakpoint.key)}</span>}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
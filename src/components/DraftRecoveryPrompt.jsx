@@ -0,0 +1,42 @@
+import { History } from 'lucide-react';
+import './DraftRecoveryPrompt.css';
+
+/**
+ * DraftRecoveryPrompt Component
+ *
+ * Offers the unsaved draft left by an earlier session.
+ */
+
+const formatDraftTime = (iso) => {
+  const savedAt = new Date(iso);
+  const time = savedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return savedAt.toDateString() === new Date().toDateString()
+    ? time
+    : `${savedAt.toLocaleDateString()} ${time}`;
+};
+
+export default function DraftRecoveryPrompt({ draft, onRestore, onDiscard }) {
+  const componentCount = draft.job.components.length;
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content smart-join-modal draft-recovery-prompt">
+        <div className="modal-header">
+          <h3><History size={16} /> Unsaved changes found</h3>
+        </div>
+        <div className="modal-body">
+          <p>Restore unsaved changes from {formatDraftTime(draft.saved_at)}?</p>
+          <p className="draft-recovery-details">
+            {draft.entry ? `${draft.entry.name} (based on version ${draft.entry.version})` : draft.job.name || 'Untitled job'}
+            {' - '}
+            {componentCount} component{componentCount === 1 ? '' : 's'}
+          </p>
+        </div>
+        <div className="modal-actions">
+          <button className="btn" onClick={onDiscard}>Discard</button>
+          <button className="btn btn-primary" onClick={onRestore}>Restore</button>
+        </div>
+      </div>
+    </div>
+  );
+}
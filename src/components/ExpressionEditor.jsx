@@ -0,0 +1,154 @@
+import { useState, useRef, useMemo } from 'react';
+import { analyzeExpression, tokenizeExpression, getCompletions } from '../model/expressions';
+import './ExpressionEditor.css';
+
+/**
+ * ExpressionEditor Component
+ *
+ * Single-line expression input with syntax highlighting, autocomplete
+ * (columns, context variables, functions) and inline type errors.
+ * scope and expectedType are passed to analyzeExpression; any other props
+ * (drag-and-drop handlers, data attributes) go to the underlying input.
+ */
+
+const KIND_LABELS = { column: 'col', input: 'in', context: 'ctx', function: 'fn' };
+
+// Highlighted spans; tokens overlapping an error range get a squiggle
+const renderHighlight = (text, tokens, errors) => {
+  const spans = tokens.map(token => {
+    const hasError = errors.some(error => token.start < error.end && token.end > error.start);
+    return (
+      <span key={token.start} className={`expr-token-${token.kind}${hasError ? ' expr-error' : ''}`}>
+        {token.text}
+      </span>
+    );
+  });
+  // Errors past the end ("Expression is incomplete") mark a trailing space
+  if (errors.some(error => error.start >= text.length)) {
+    spans.push(<span key="end" className="expr-error expr-error-end">{' '}</span>);
+  }
+  return spans;
+};
+
+export default function ExpressionEditor({
+  value,
+  onChange,
+  scope,
+  expectedType,
+  placeholder,
+  className = '',
+  showErrors = true,
+  ...inputProps
+}) {
+  const inputRef = useRef(null);
+  const highlightRef = useRef(null);
+  const [completion, setCompletion] = useState(null); // { from, to, items, active }
+
+  const text = value || '';
+  const tokens = useMemo(() => tokenizeExpression(text), [text]);
+  const { errors, type } = useMemo(
+    () => analyzeExpression(text, scope, { expectedType }),
+    [text, scope, expectedType]
+  );
+
+  const updateCompletions = (nextText, cursor, explicit) => {
+    const result = getCompletions(nextText, cursor, scope);
+    const typing = result.to > result.from || nextText[cursor - 1] === '.';
+    setCompletion(result.items.length > 0 && (explicit || typing) ? { ...result, active: 0 } : null);
+  };
+
+  const applyCompletion = (item) => {
+    const next = text.slice(0, completion.from) + item.insert + text.slice(completion.to);
+    const cursor = completion.from + item.insert.length;
+    onChange(next);
+    setCompletion(null);
+
+    requestAnimationFrame(() => {
+      const input = inputRef.current;
+      if (!input) return;
+      input.focus();
+      input.setSelectionRange(cursor, cursor);
+      // Keep suggesting after "row1." or "context."
+      if (item.insert.endsWith('.')) updateCompletions(next, cursor, true);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === ' ' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      updateCompletions(text, e.target.selectionStart, true);
+      return;
+    }
+    if (!completion) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const count = completion.items.length;
+      setCompletion(prev => ({ ...prev, active: (prev.active + step + count) % count }));
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      applyCompletion(completion.items[completion.active]);
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      setCompletion(null);
+    }
+  };
+
+  const syncScroll = () => {
+    if (highlightRef.current && inputRef.current) {
+      highlightRef.current.scrollLeft = inputRef.current.scrollLeft;
+    }
+  };
+
+  return (
+    <div className={`expression-editor ${errors.length > 0 ? 'has-errors' : ''} ${className}`}>
+      <div className="expression-field">
+        <div className="expression-highlight" ref={highlightRef} aria-hidden="true">
+          {renderHighlight(text, tokens, errors)}
+        </div>
+        <input
+          {...inputProps}
+          ref={inputRef}
+          className="expression-input"
+          value={text}
+          placeholder={placeholder}
+          spellCheck={false}
+          autoComplete="off"
+          title={errors.length > 0 ? errors.map(error => error.message).join('\n') : type ? `Type: ${type}` : undefined}
+          onChange={e => {
+            onChange(e.target.value);
+            updateCompletions(e.target.value, e.target.selectionStart, false);
+          }}
+          onKeyDown={handleKeyDown}
+          onScroll={syncScroll}
+          onSelect={syncScroll}
+          onBlur={() => setCompletion(null)}
+        />
+      </div>
+
+      {completion && (
+        <ul className="expression-completions">
+          {completion.items.slice(0, 50).map((item, index) => (
+            <li
+              key={`${item.kind}:${item.label}`}
+              className={index === completion.active ? 'active' : ''}
+              title={item.description}
+              // mousedown fires before the input blurs and closes the list
+              onMouseDown={e => {
+                e.preventDefault();
+                applyCompletion(item);
+              }}
+            >
+              <span className={`expression-kind kind-${item.kind}`}>{KIND_LABELS[item.kind]}</span>
+              <span className="expression-label">{item.label}</span>
+              <span className="expression-detail">{item.detail}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {showErrors && errors.length > 0 && <div className="expression-error-message">{errors[0].message}</div>}
+    </div>
+  );
+}
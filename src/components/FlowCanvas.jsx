@@ -1,7 +1,102 @@
 import { useJob } from '../context/JobContext';
-import { getComponentIcon, getComponentDisplayName } from '../model/componentModel';
-import { Workflow, Sun, Moon, Save, Play, X, Trash2 } from 'lucide-react';
-import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  getComponentIcon,
+  getComponentDisplayName,
+  getComponentCategory as getRegistryCategory,
+  getComponentPorts,
+  getComponentType
+} from '../model/componentRegistry';
+import {
+  Workflow,
+  Sun,
+  Moon,
+  Save,
+  Play,
+  X,
+  Trash2,
+  LayoutGrid,
+  Copy,
+  Upload,
+  Download,
+  Eye,
+  RefreshCw,
+  CircleDot,
+  FolderOpen,
+  History,
+  Scale,
+  Link2,
+  Bug,
+  AlertTriangle
+} from 'lucide-react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { validateConnection, validateTrigger, getConnectorName, getFlowOutputPort } from '../model/connectionRules';
+import { getLink, getLinkType, removeLink, retypeLink, rerouteLink } from '../model/linkEditing';
+import {
+  getActiveContextName,
+  getContextValues,
+  createContext,
+  deleteContext,
+  setActiveContext,
+  setContextValue
+} from '../model/contextEnvironments';
+import { importTalendItem, exportTalendItem } from '../model/talendItem';
+import { validateJob, hasBlockingProblems } from '../model/jobValidation';
+import { computeAutoLayout, animatePositions } from '../model/autoLayout';
+import { NODE_WIDTH, NODE_HEIGHT } from '../model/viewport';
+import { getNumericSuffix } from '../model/componentIds';
+import { createFragment, serializeFragment, parseFragment, pasteFragment, PASTE_OFFSET } from '../model/jobFragments';
+import { flowKey } from '../model/executionProgress';
+import { getSchemaSyncState, getFlowSchemaIssues, propagateSchema, setComponentSchema } from '../model/schema';
+import { applyMapConfig } from '../model/mapConfig';
+import { getNodePreviewTarget, getFlowPreviewTarget, DEFAULT_PREVIEW_LIMIT } from '../model/dataPreview';
+import { diffJobs, getDiffHighlights, getDiffFlowKey } from '../model/jobDiff';
+import { validateGuidedJoinStep, applyGuidedJoin, needsFanIn } from '../model/guidedJoin';
+import { createComponent } from '../model/componentParams';
+import { createReconSpec, validateReconStep, applyRecon } from '../model/reconciliation';
+import { getBreakpoint, toggleBreakpoint, updateBreakpoint, validateBreakpoints } from '../model/debugSession';
+import {
+  syncSubjobs,
+  getSubjobs,
+  getSubjobBounds,
+  getSubjobColor,
+  summarizeSubjob,
+  getCollapsedView,
+  setSubjobCollapsed,
+  createSubjobTrigger
+} from '../model/subjobs';
+import useJobHistory from '../hooks/useJobHistory';
+import useViewport from '../hooks/useViewport';
+import useExecutionProgress from '../hooks/useExecutionProgress';
+import useRunHistory from '../hooks/useRunHistory';
+import useDebugSession from '../hooks/useDebugSession';
+import useSchedules from '../hooks/useSchedules';
+import useDataPreview from '../hooks/useDataPreview';
+import useJobRepository from '../hooks/useJobRepository';
+import useAutosave from '../hooks/useAutosave';
+import HistoryControls from './HistoryControls';
+import ProblemsTab from './ProblemsTab';
+import Minimap from './Minimap';
+import ViewportControls from './ViewportControls';
+import LinkEditor from './LinkEditor';
+import ContextTab from './ContextTab';
+import TalendImportReport from './TalendImportReport';
+import NodeRunBadge from './NodeRunBadge';
+import ComponentErrorDetails from './ComponentErrorDetails';
+import DataPreviewTab from './DataPreviewTab';
+import SchemaTab from './SchemaTab';
+import MapEditor from './MapEditor';
+import CanvasContextMenu from './CanvasContextMenu';
+import JobRepositoryDialog from './JobRepositoryDialog';
+import VersionDiffBanner from './VersionDiffBanner';
+import DraftRecoveryPrompt from './DraftRecoveryPrompt';
+import SubjobBox from './SubjobBox';
+import GuidedJoinWizard from './GuidedJoinWizard';
+import ComponentPalette, { PALETTE_DRAG_TYPE } from './ComponentPalette';
+import PropertiesPanel from './PropertiesPanel';
+import ReconciliationWizard from './ReconciliationWizard';
+import RunsTab from './RunsTab';
+import DebugTab from './DebugTab';
+import ScheduleTab from './ScheduleTab';
 import './FlowCanvas.css';
 
 /**
@@ -15,23 +110,107 @@ export default function FlowCanvas({ onComponentClick }) {
   const [isDarkMode, setIsDarkMode] = useState(true);
   const [drawerLevel, setDrawerLevel] = useState(0);
   const [activeTab, setActiveTab] = useState('Context');
-  const [contextValues, setContextValues] = useState({});
+  // Per-run context overrides; persisted values live in job.context
+  const [contextOverrides, setContextOverrides] = useState({});
   const dragState = useRef(null);
   const clickTimeout = useRef(null);
   const { job, updateJob, updateComponentData, executionState, executeJob, clearExecutionResults, downloadOutputFile, loadJob } = useJob();
 
-  // Add selected node state for delete functionality
-  const [selectedNodeId, setSelectedNodeId] = useState(null);
+  // Undo/redo history - every canvas edit records a checkpoint first
+  const { checkpoint, beginBatch, endBatch, undo, redo, canUndo, canRedo, clearHistory } = useJobHistory(job, loadJob);
+
+  // Pan/zoom viewport - node positions stay in canvas coordinates
+  const {
+    viewportRef,
+    viewport,
+    viewportSize,
+    isPanning,
+    isPanGesture,
+    screenToCanvasPoint,
+    handleViewportMouseDown,
+    zoomBy,
+    resetZoom,
+    fitToView,
+    zoomToComponents,
+    centerOn
+  } = useViewport();
+
+  // Selected nodes (Shift/Ctrl-click and rubber-band add to the selection)
+  // The most recently selected node is the primary one shown in the properties panel
+  const [selectedNodeIds, setSelectedNodeIds] = useState([]);
+  const selectedNodeId = selectedNodeIds.length > 0 ? selectedNodeIds[selectedNodeIds.length - 1] : null;
+
+  // Rubber-band selection rectangle in canvas coordinates
+  const [selectionBox, setSelectionBox] = useState(null);
+
+  // Selected connection: { kind: 'flow' | 'trigger', index } into job.flows / job.triggers
+  const [selectedLink, setSelectedLink] = useState(null);
 
   // Flow connection creation state
+  // reroute: { ref, end } when an end of an existing link is being dragged
   const [connectionDragState, setConnectionDragState] = useState({
     isDragging: false,
     sourceComponentId: null,
     sourcePort: null,
+    reroute: null,
     currentX: 0,
     currentY: 0
   });
   const [hoveredAnchor, setHoveredAnchor] = useState(null);
+  const [connectionError, setConnectionError] = useState('');
+  const connectionErrorTimeout = useRef(null);
+
+  // Auto layout animation - render-only positions while nodes move into place
+  const [animatedPositions, setAnimatedPositions] = useState(null);
+  const cancelLayoutAnimation = useRef(null);
+
+  // Live execution status per node/link, streamed while a run is in progress
+  const { progress, startTracking, trackRun, stopTracking } = useExecutionProgress(job);
+
+  // Past executions with their context values, listed in the Runs tab
+  const runHistory = useRunHistory(job, progress);
+
+  // Debug run mode: breakpoints on flows and the paused batch
+  const debugSession = useDebugSession(job);
+  const breakpointErrors = useMemo(
+    () => validateBreakpoints(job, debugSession.breakpoints),
+    [job, debugSession.breakpoints]
+  );
+
+  // Cron schedules of the job and their past runs, kept by the scheduler
+  const scheduler = useSchedules(job);
+  // Failed component whose error is shown in the Log tab
+  const [runErrorComponentId, setRunErrorComponentId] = useState(null);
+
+  // Sample rows of one component output, shown in the Preview tab
+  const { preview, runPreview } = useDataPreview(job);
+
+  // Component whose parameters are shown in the properties panel
+  const [propertiesComponentId, setPropertiesComponentId] = useState(null);
+
+  // Map component open in the full-screen mapper
+  const [mapEditorComponentId, setMapEditorComponentId] = useState(null);
+
+  // Saved job and versions in the repository; dialog tab: 'open' | 'save' | 'history' | null
+  const jobRepository = useJobRepository();
+  const [repositoryDialogTab, setRepositoryDialogTab] = useState(null);
+
+  // Unsaved changes: background draft, recovery of the previous session's draft, title marker
+  const { dirty, recoverableDraft, takeDraft, discardDraft } = useAutosave(job, jobRepository.savedJob, jobRepository.current);
+  const jobTitleClassName = `flow-title${dirty ? ' dirty' : ''}`;
+
+  // Version compared with the canvas: { label, before }. The diff follows canvas edits.
+  const [versionDiff, setVersionDiff] = useState(null);
+  const currentDiff = useMemo(() => (versionDiff ? diffJobs(versionDiff.before, job) : null), [versionDiff, job]);
+  const diffHighlights = useMemo(() => (currentDiff ? getDiffHighlights(currentDiff) : null), [currentDiff]);
+
+  // Right-click menu on nodes and links: { x, y, items }
+  const [contextMenu, setContextMenu] = useState(null);
+  const closeContextMenu = useCallback(() => setContextMenu(null), []);
+
+  // Talend import summary shown after an .item import
+  const [talendImportReport, setTalendImportReport] = useState(null);
+  const talendFileInput = useRef(null);
 
   // Smart Join state
   const [showSmartJoinModal, setShowSmartJoinModal] = useState(false);
@@ -50,27 +229,50 @@ export default function FlowCanvas({ onComponentClick }) {
   const [guidedJoinStep, setGuidedJoinStep] = useState(1);
   const [guidedJoinErrors, setGuidedJoinErrors] = useState([]);
 
-  // Initialize context values from job when it's loaded
+  // Reconciliation wizard state (reconSpec is null while closed)
+  const [reconSpec, setReconSpec] = useState(null);
+  const [reconStep, setReconStep] = useState(1);
+  const [reconErrors, setReconErrors] = useState([]);
+
+  // Active context environment and its persisted values
+  const activeContext = getActiveContextName(job);
+  const contextValues = useMemo(() => getContextValues(job, activeContext), [job, activeContext]);
+
+  // Static validation problems, recomputed on every edit
+  const problems = useMemo(
+    () => validateJob(job, Object.keys(contextValues)),
+    [job, contextValues]
+  );
+
+  // Components whose input columns changed since the schema was last propagated
+  const schemaSync = useMemo(() => getSchemaSyncState(job), [job]);
+
+  // Subjobs and the nodes/links folded into collapsed ones
+  const subjobs = useMemo(() => getSubjobs(job), [job]);
+  const collapsedView = useMemo(() => getCollapsedView(job), [job]);
+
+  // Subjob membership follows the data flows. Derived state, so not an undo step.
   useEffect(() => {
-    if (job?.context?.Default) {
-      const initialValues = {};
-      Object.entries(job.context.Default).forEach(([key, contextItem]) => {
-        initialValues[key] = contextItem.value;
-      });
-      setContextValues(initialValues);
+    const synced = syncSubjobs(job);
+    if (synced !== job) {
+      updateJob(synced);
     }
-  }, [job]);
+  }, [job, updateJob]);
 
-  // Delete node with cascade delete of connections
-  const handleDeleteNode = useCallback((nodeId) => {
-    if (!job || !nodeId) return;
+  // Overrides belong to one context - drop them when switching
+  useEffect(() => {
+    setContextOverrides({});
+  }, [activeContext]);
 
-    console.log(`Deleting node: ${nodeId}`); // Debug log
+  // Delete nodes with cascade delete of their connections
+  const handleDeleteNodes = useCallback((nodeIds) => {
+    if (!job || !nodeIds || nodeIds.length === 0) return;
 
-    // Remove the component and all related flows
-    const updatedComponents = job.components.filter(component => component.id !== nodeId);
+    // Remove the components and all related flows
+    const deleted = new Set(nodeIds);
+    const updatedComponents = job.components.filter(component => !deleted.has(component.id));
     const updatedFlows = (job.flows || []).filter(flow =>
-      flow.from !== nodeId && flow.to !== nodeId
+      !deleted.has(flow.from) && !deleted.has(flow.to)
     );
 
     const updatedJob = {
@@ -79,13 +281,89 @@ export default function FlowCanvas({ onComponentClick }) {
       flows: updatedFlows
     };
 
+    checkpoint();
     updateJob(updatedJob);
-    setSelectedNodeId(null); // Clear selection
-  }, [job, updateJob]);
+    setSelectedNodeIds([]); // Clear selection
+    setPropertiesComponentId(current => (deleted.has(current) ? null : current));
+  }, [job, updateJob, checkpoint]);
+
+  // Delete a single node with cascade delete of connections
+  const handleDeleteNode = useCallback((nodeId) => {
+    if (!nodeId) return;
+    handleDeleteNodes([nodeId]);
+  }, [handleDeleteNodes]);
+
+  // In-memory copy of the last copied fragment (fallback when the system clipboard is unavailable)
+  const clipboardFragment = useRef(null);
+  const pasteCount = useRef(0);
+
+  // Insert a fragment with remapped ids and select the pasted nodes
+  const insertFragment = useCallback((fragment, offset) => {
+    if (!job || !fragment) return;
+
+    const { job: updatedJob, pastedIds } = pasteFragment(job, fragment, offset);
+
+    checkpoint();
+    updateJob(updatedJob);
+    setSelectedNodeIds(pastedIds);
+  }, [job, updateJob, checkpoint]);
+
+  // Copy the selection; returns the serialized fragment for the system clipboard
+  const handleCopySelection = useCallback(() => {
+    const fragment = createFragment(job, selectedNodeIds);
+    if (!fragment) return null;
+
+    clipboardFragment.current = fragment;
+    pasteCount.current = 0;
+    return serializeFragment(fragment);
+  }, [job, selectedNodeIds]);
+
+  // Paste a fragment; repeated pastes cascade so copies don't stack on each other
+  const handlePasteFragment = useCallback((fragment) => {
+    const source = fragment || clipboardFragment.current;
+    if (!source) return;
+
+    pasteCount.current += 1;
+    const step = PASTE_OFFSET * pasteCount.current;
+    insertFragment(source, { x: step, y: step });
+  }, [insertFragment]);
+
+  // Duplicate the selection in place (does not touch the clipboard)
+  const handleDuplicateSelection = useCallback(() => {
+    const fragment = createFragment(job, selectedNodeIds);
+    if (!fragment) return;
+    insertFragment(fragment, { x: PASTE_OFFSET, y: PASTE_OFFSET });
+  }, [job, selectedNodeIds, insertFragment]);
+
+  // Delete the selected connection
+  const handleDeleteLink = useCallback((ref) => {
+    if (!job || !getLink(job, ref)) return;
+
+    checkpoint();
+    updateJob(removeLink(job, ref).job);
+    setSelectedLink(null);
+  }, [job, updateJob, checkpoint]);
+
+  // Move every selected node by a canvas offset (arrow-key nudge)
+  const handleNudgeSelection = useCallback((dx, dy) => {
+    if (!job || selectedNodeIds.length === 0) return;
+
+    const selected = new Set(selectedNodeIds);
+    checkpoint();
+    updateJob({
+      ...job,
+      components: job.components.map(component => (
+        selected.has(component.id)
+          ? { ...component, position: { x: component.position.x + dx, y: component.position.y + dy } }
+          : component
+      ))
+    });
+  }, [job, selectedNodeIds, updateJob, checkpoint]);
 
   // Handle clear canvas with proper callback
   const handleClearCanvas = useCallback(() => {
     if (!job) return;
+    if (dirty && !window.confirm('Clear the canvas? Your unsaved changes will be lost.')) return;
 
     console.log('Clearing canvas - before:', { components: job.components?.length, flows: job.flows?.length });
 
@@ -99,20 +377,112 @@ export default function FlowCanvas({ onComponentClick }) {
     };
 
     // Force complete replacement by using loadJob instead of updateJob
+    checkpoint();
     loadJob(clearedJob);
-    setSelectedNodeId(null); // Clear any selection
+    setSelectedNodeIds([]); // Clear any selection
     console.log('Canvas cleared successfully');
-  }, [job, loadJob]);
+  }, [job, loadJob, checkpoint, dirty]);
+
+  // Fit the whole job into the viewport
+  const handleFitToView = useCallback(() => {
+    if (!job?.components?.length) return;
+    fitToView(job.components);
+  }, [job, fitToView]);
+
+  // Zoom to the selected nodes
+  const handleZoomToSelection = useCallback(() => {
+    const selected = (job?.components || []).filter(c => selectedNodeIds.includes(c.id));
+    if (selected.length === 0) return;
+    zoomToComponents(selected);
+  }, [job, selectedNodeIds, zoomToComponents]);
+
+  // Transform applied to the canvas layer holding nodes and connections
+  const canvasLayerStyle = {
+    transform: `translate(${viewport.x}px, ${viewport.y}px) scale(${viewport.zoom})`,
+    transformOrigin: '0 0'
+  };
+
+  // Keep the background grid in step with pan/zoom
+  const viewportGridStyle = {
+    backgroundSize: `${20 * viewport.zoom}px ${20 * viewport.zoom}px`,
+    backgroundPosition: `${viewport.x}px ${viewport.y}px`
+  };
 
-  // Keyboard event listener for delete functionality
+  // Keyboard event listener for delete and undo/redo functionality
   useEffect(() => {
     const handleKeyDown = (e) => {
-      // Only handle delete if a node is selected and we're not in an input field
+      const isEditingText = ['INPUT', 'TEXTAREA'].includes(e.target.tagName);
+
+      // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) - leave text fields their native undo
+      if ((e.ctrlKey || e.metaKey) && !isEditingText) {
+        const key = e.key.toLowerCase();
+        if (key === 'z') {
+          e.preventDefault();
+          if (e.shiftKey) {
+            redo();
+          } else {
+            undo();
+          }
+          return;
+        }
+        if (key === 'y') {
+          e.preventDefault();
+          redo();
+          return;
+        }
+        if (key === 's') {
+          e.preventDefault();
+          setRepositoryDialogTab('save');
+          return;
+        }
+        if (key === 'd' && selectedNodeIds.length > 0) {
+          e.preventDefault();
+          handleDuplicateSelection();
+          return;
+        }
+      }
+
+      // Shift+1 fit to view, Shift+2 zoom to selection
+      if (e.shiftKey && !e.ctrlKey && !e.metaKey && !isEditingText) {
+        if (e.code === 'Digit1') {
+          e.preventDefault();
+          handleFitToView();
+          return;
+        }
+        if (e.code === 'Digit2') {
+          e.preventDefault();
+          handleZoomToSelection();
+          return;
+        }
+      }
+
+      // Arrow keys nudge the selection (Shift for a fine 1px step)
+      const NUDGE = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+      if (NUDGE[e.key] && selectedNodeIds.length > 0 && !isEditingText) {
+        e.preventDefault();
+        const step = e.shiftKey ? 1 : 10;
+        handleNudgeSelection(NUDGE[e.key][0] * step, NUDGE[e.key][1] * step);
+        return;
+      }
+
+      if (e.key === 'Escape' && selectedLink) {
+        setSelectedLink(null);
+        return;
+      }
+
+      // Delete the selected connection, otherwise the selected nodes
+      if ((e.key === 'Delete' || e.key === 'Backspace') && selectedLink && !isEditingText) {
+        e.preventDefault();
+        handleDeleteLink(selectedLink);
+        return;
+      }
+
+      // Only handle delete if nodes are selected and we're not in an input field
       if ((e.key === 'Delete' || e.key === 'Backspace') &&
-          selectedNodeId &&
-          !['INPUT', 'TEXTAREA'].includes(e.target.tagName)) {
+          selectedNodeIds.length > 0 &&
+          !isEditingText) {
         e.preventDefault();
-        handleDeleteNode(selectedNodeId);
+        handleDeleteNodes(selectedNodeIds);
       }
     };
 
@@ -120,7 +490,39 @@ export default function FlowCanvas({ onComponentClick }) {
     return () => {
       document.removeEventListener('keydown', handleKeyDown);
     };
-  }, [selectedNodeId, handleDeleteNode]); // Add handleDeleteNode to dependencies
+  }, [selectedNodeIds, selectedLink, handleDeleteNodes, handleDeleteLink, handleNudgeSelection, handleDuplicateSelection, undo, redo, handleFitToView, handleZoomToSelection]);
+
+  // Ctrl+C / Ctrl+V through the system clipboard, so fragments move between tabs and jobs
+  useEffect(() => {
+    const isTextTarget = (target) => ['INPUT', 'TEXTAREA'].includes(target.tagName) || target.isContentEditable;
+
+    const handleCopy = (e) => {
+      if (isTextTarget(e.target) || window.getSelection()?.toString()) return;
+
+      const text = handleCopySelection();
+      if (!text) return;
+
+      e.preventDefault();
+      e.clipboardData.setData('text/plain', text);
+    };
+
+    const handlePaste = (e) => {
+      if (isTextTarget(e.target)) return;
+
+      const fragment = parseFragment(e.clipboardData?.getData('text/plain'));
+      if (!fragment && !clipboardFragment.current) return;
+
+      e.preventDefault();
+      handlePasteFragment(fragment);
+    };
+
+    document.addEventListener('copy', handleCopy);
+    document.addEventListener('paste', handlePaste);
+    return () => {
+      document.removeEventListener('copy', handleCopy);
+      document.removeEventListener('paste', handlePaste);
+    };
+  }, [handleCopySelection, handlePasteFragment]);
 
   /**
    * SMART JOIN IMPLEMENTATION
@@ -150,60 +552,14 @@ export default function FlowCanvas({ onComponentClick }) {
       return;
     }
 
-    // Step 2: Load component registry for categorization
+    // Step 2: Categorize components from the shared component registry
     const getComponentCategory = (component) => {
-      // Fix the component type mapping - only remove leading 't' if it exists
-      let componentType = component.original_type?.toLowerCase() || component.type?.toLowerCase() || 'unknown';
-
-      // Only remove leading 't' (for Talend components like tFileInputDelimited -> file_input_delimited)
-      if (componentType.startsWith('t') && componentType.length > 1) {
-        componentType = componentType.substring(1);
-      }
-
-      // DEBUG: Log component type detection
-      console.log(`Component ${component.id}: original_type="${component.original_type}", type="${component.type}", mapped="${componentType}"`);
-
-      // Load component registry data (simplified inline registry)
-      const registry = {
-        'file_input_delimited': { category: 'Input' },
-        'fileinputdelimited': { category: 'Input' }, // Alternative mapping
-        'oracle_input': { category: 'Input' },
-        'oracleinput': { category: 'Input' },
-        'mssql_input': { category: 'Input' },
-        'mssqlinput': { category: 'Input' },
-        'fixed_flow_input': { category: 'Input' },
-        'fixedflowinput': { category: 'Input' },
-        'row_generator': { category: 'Input' },
-        'rowgenerator': { category: 'Input' },
-        'filter_rows': { category: 'Transform' },
-        'filterrows': { category: 'Transform' },
-        'map': { category: 'Transform' },
-        'aggregate_row': { category: 'Transform' },
-        'aggregaterow': { category: 'Transform' },
-        'unique_row': { category: 'Transform' },
-        'uniquerow': { category: 'Transform' },
-        'join': { category: 'Transform' },
-        'unite': { category: 'Transform' },
-        'sort_row': { category: 'Transform' },
-        'sortrow': { category: 'Transform' },
-        'file_output_delimited': { category: 'Output' },
-        'fileoutputdelimited': { category: 'Output' }, // Alternative mapping
-        'oracle_output': { category: 'Output' },
-        'oracleoutput': { category: 'Output' },
-        'file_output_positional': { category: 'Output' },
-        'fileoutputpositional': { category: 'Output' }
-      };
-
-      const categoryInfo = registry[componentType] || { category: 'Transform' };
-      console.log(`Component ${component.id} categorized as: ${categoryInfo.category}`);
-      return categoryInfo.category;
+      const category = getRegistryCategory(component);
+      console.log(`Component ${component.id}: original_type="${component.original_type}", type="${component.type}", mapped="${getComponentType(component)}" -> ${category}`);
+      return category;
     };
 
-    // Step 3: Extract numeric suffix from component ID for ordering
-    const getNumericSuffix = (componentId) => {
-      const match = componentId.match(/_(\d+)$/);
-      return match ? parseInt(match[1], 10) : 0;
-    };
+    // Step 3: Numeric suffix from component ID (getNumericSuffix) orders nodes within a category
 
     // Step 4: Sort nodes by category priority and numeric suffix
     const categoryPriority = { 'Input': 1, 'Transform': 2, 'Output': 3 };
@@ -312,6 +668,7 @@ export default function FlowCanvas({ onComponentClick }) {
         };
 
         console.log('Updating job with flows:', updatedJob.flows);
+        checkpoint(); // Whole Smart Join run is a single undo step
         updateJob(updatedJob);
         console.log('=== SMART JOIN COMPLETED ===');
         console.log('Created flows:', newFlows);
@@ -321,7 +678,7 @@ export default function FlowCanvas({ onComponentClick }) {
         setShowSmartJoinModal(true);
       }
     }
-  }, [job, updateJob, setSmartJoinWarning, setShowSmartJoinModal, setGuidedJoinData]);
+  }, [job, updateJob, checkpoint, setSmartJoinWarning, setShowSmartJoinModal, setGuidedJoinData]);
 
   // FlowGenie Smart Join event listener
   useEffect(() => {
@@ -338,39 +695,233 @@ export default function FlowCanvas({ onComponentClick }) {
   }, [handleSmartJoin]);
 
   // Handle node selection (update existing handleMouseDown logic)
-  const handleNodeClick = (componentId) => {
-    console.log('Selecting node:', componentId); // Debug log
-    setSelectedNodeId(componentId);
+  // additive (Shift/Ctrl/Cmd-click) toggles the node in the current selection
+  const handleNodeClick = (componentId, additive = false) => {
+
+    if (additive) {
+      setSelectedNodeIds(prev => (
+        prev.includes(componentId) ? prev.filter(id => id !== componentId) : [...prev, componentId]
+      ));
+      return;
+    }
+
+    setSelectedNodeIds([componentId]);
+    setSelectedLink(null);
+    setPropertiesComponentId(componentId);
+
+    // A failed node opens its error in the drawer
+    if (progress?.components[componentId]?.status === 'failed') {
+      setRunErrorComponentId(componentId);
+      setActiveTab('Log');
+      if (drawerLevel === 0) {
+        setDrawerLevel(1);
+      }
+    }
+
     if (onComponentClick) {
       onComponentClick(componentId);
     }
   };
 
-  // Handle context value updates
+  // Rubber-band selection on the empty viewport background; pan gestures go to the viewport
+  const handleCanvasMouseDown = (e) => {
+    if (handleViewportMouseDown(e)) return;
+    if (e.button !== 0) return;
+
+    const isBackground = e.target === e.currentTarget ||
+      e.target.classList.contains('flow-canvas-layer') ||
+      e.target.closest('.flow-connections');
+    if (!isBackground) return;
+
+    e.preventDefault();
+    viewportRef.current?.focus({ preventScroll: true }); // Keyboard panning follows the canvas
+    const additive = e.shiftKey || e.ctrlKey || e.metaKey;
+    const initialSelection = additive ? selectedNodeIds : [];
+    const start = screenToCanvasPoint(e.clientX, e.clientY);
+    let hasMoved = false;
+
+    const toBox = (point) => ({
+      x: Math.min(start.x, point.x),
+      y: Math.min(start.y, point.y),
+      width: Math.abs(point.x - start.x),
+      height: Math.abs(point.y - start.y)
+    });
+
+    const handleMouseMove = (e) => {
+      hasMoved = true;
+      setSelectionBox(toBox(screenToCanvasPoint(e.clientX, e.clientY)));
+    };
+
+    const handleMouseUp = (e) => {
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+      setSelectionBox(null);
+
+      if (!hasMoved) {
+        // Plain click on the background clears the selection
+        if (!additive) {
+          setSelectedNodeIds([]);
+          setSelectedLink(null);
+        }
+        return;
+      }
+
+      const box = toBox(screenToCanvasPoint(e.clientX, e.clientY));
+      const inside = job.components
+        .filter(component => {
+          const { x, y } = component.position;
+          return x < box.x + box.width && x + NODE_WIDTH > box.x &&
+                 y < box.y + box.height && y + NODE_HEIGHT > box.y;
+        })
+        .map(component => component.id);
+
+      setSelectedNodeIds(Array.from(new Set([...initialSelection, ...inside])));
+    };
+
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+  };
+
+  // Handle context value updates - persisted into job.context for the active environment
   const updateContextValue = (contextName, newValue) => {
-    setContextValues(prev => ({
-      ...prev,
-      [contextName]: newValue
-    }));
+    if (!job || !activeContext) return;
+    checkpoint();
+    updateJob(setContextValue(job, activeContext, contextName, newValue));
+  };
+
+  // Per-run override; an empty override falls back to the persisted value
+  const updateContextOverride = (contextName, newValue) => {
+    setContextOverrides(prev => {
+      const { [contextName]: previous, ...rest } = prev;
+      return newValue === '' ? rest : { ...rest, [contextName]: newValue };
+    });
+  };
+
+  const handleSwitchContext = (contextName) => {
+    if (!job || contextName === activeContext) return;
+    checkpoint();
+    updateJob(setActiveContext(job, contextName));
+  };
+
+  // Create a new context (cloned from sourceName when given) and switch to it
+  const handleCreateContext = (contextName, sourceName) => {
+    if (!job) return;
+    checkpoint();
+    updateJob(setActiveContext(createContext(job, contextName, sourceName), contextName));
   };
 
-  // Handle job execution
-  const handleExecuteJob = async () => {
+  const handleDeleteContext = (contextName) => {
+    if (!job) return;
+    if (!window.confirm(`Delete context "${contextName}"?`)) return;
+    checkpoint();
+    updateJob(deleteContext(job, contextName));
+  };
+
+  // Select and reveal the node a problem refers to
+  const handleProblemClick = (problem) => {
+    if (!problem.componentId) return;
+
+    handleNodeClick(problem.componentId);
+    const component = job.components.find(c => c.id === problem.componentId);
+    if (component?.position) {
+      centerOn({ x: component.position.x + NODE_WIDTH / 2, y: component.position.y + NODE_HEIGHT / 2 });
+    }
+  };
+
+  // Run the job with the given context values, recording it in the run history
+  const runJob = async (context) => {
+    // Block the run on validation errors; warnings are allowed through
+    if (hasBlockingProblems(problems)) {
+      console.warn('Job execution blocked by validation errors:', problems.filter(p => p.severity === 'error'));
+      setActiveTab('Problems');
+      if (drawerLevel === 0) {
+        setDrawerLevel(1);
+      }
+      return;
+    }
+
     try {
       // Clear previous results
       clearExecutionResults();
+      setRunErrorComponentId(null);
+
+      // Follow per-component progress on the canvas while the job runs
+      runHistory.beginRun(context);
+      startTracking();
 
-      // Use current context values from the Context tab
-      await executeJob(contextValues);
+      // executeJob may resolve only once the run is over; progress is live from run_started anyway
+      const result = await executeJob(context);
+      trackRun(result?.runId);
 
       // Switch to Log tab to show results
       setActiveTab('Log');
     } catch (error) {
       console.error('Job execution failed:', error);
+      stopTracking();
+      runHistory.failRun(error.message);
       // Error will be shown in the execution state
     }
   };
 
+  // Handle job execution: the active context's values with this run's overrides on top
+  const handleExecuteJob = () => runJob({ ...contextValues, ...contextOverrides });
+
+  // Repeat a past run with exactly the context values it used
+  const handleRerun = (run) => {
+    runJob(run.context);
+  };
+
+  // Import a Talend export: the .item file plus its optional .properties sibling
+  const handleImportTalendFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    const itemFile = files.find(file => file.name.endsWith('.item'));
+    const propertiesFile = files.find(file => file.name.endsWith('.properties'));
+
+    if (!itemFile) {
+      alert('Select a Talend .item file (optionally with its .properties file).');
+      return;
+    }
+
+    try {
+      const [itemXml, propertiesXml] = await Promise.all([
+        itemFile.text(),
+        propertiesFile ? propertiesFile.text() : Promise.resolve(null)
+      ]);
+      const result = importTalendItem(itemXml, propertiesXml);
+      const importedJob = {
+        ...result.job,
+        name: result.job.name || itemFile.name.replace(/(_\d+\.\d+)?\.item$/, '')
+      };
+
+      loadJob(importedJob);
+      clearHistory();
+      setSelectedNodeIds([]);
+      setSelectedLink(null);
+      setTalendImportReport({ ...result, job: importedJob, fileName: itemFile.name });
+    } catch (error) {
+      console.error('Talend import failed:', error);
+      alert(`Import failed: ${error.message}`);
+    }
+  };
+
+  // Export the job as Talend .item and .properties files
+  const handleExportTalend = () => {
+    if (!job) return;
+
+    const { item, properties } = exportTalendItem(job);
+    const baseName = `${job.name || 'recdataprep_job'}_${job.version || '0.1'}`;
+
+    [[`${baseName}.item`, item], [`${baseName}.properties`, properties]].forEach(([fileName, content]) => {
+      const url = URL.createObjectURL(new Blob([content], { type: 'application/xml' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      // The download starts after click() returns, so keep the URL alive for a moment
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
+    });
+  };
+
   // Handle output file download
   const handleDownloadOutput = async () => {
     try {
@@ -382,11 +933,20 @@ export default function FlowCanvas({ onComponentClick }) {
   };
 
   // Handle toggle active state
+  // Toggling a node that is part of a multi-selection applies the same state to the whole group
   const handleToggleActive = (e, componentId) => {
     e.stopPropagation(); // Prevent triggering drag/select
     const component = job.components.find(c => c.id === componentId);
     if (component) {
-      updateComponentData(componentId, { active: !component.active });
+      const active = component.active === false;
+      const targetIds = selectedNodeIds.includes(componentId) ? selectedNodeIds : [componentId];
+
+      // One update for the whole group so it is a single change for history and autosave
+      checkpoint();
+      updateJob({
+        ...job,
+        components: job.components.map(c => (targetIds.includes(c.id) ? { ...c, active } : c))
+      });
     }
   };
 
@@ -409,13 +969,55 @@ export default function FlowCanvas({ onComponentClick }) {
     }
   };
 
+  // Auto layout: arrange the flow left-to-right in layers and animate into place
+  // The final positions are written as a single undoable change
+  const handleAutoLayout = () => {
+    if (!job || !job.components || job.components.length === 0) return;
+
+    const targetPositions = computeAutoLayout(job);
+    const startPositions = {};
+    job.components.forEach(component => {
+      startPositions[component.id] = { ...component.position };
+    });
+
+    if (cancelLayoutAnimation.current) {
+      cancelLayoutAnimation.current();
+    }
+
+    cancelLayoutAnimation.current = animatePositions(startPositions, targetPositions, {
+      onFrame: setAnimatedPositions,
+      // Positions only: the job may have been edited while the animation ran
+      onComplete: () => {
+        checkpoint();
+        Object.entries(targetPositions).forEach(([componentId, position]) => {
+          updateComponentData(componentId, { position });
+        });
+        setAnimatedPositions(null);
+        cancelLayoutAnimation.current = null;
+      }
+    });
+  };
+
+  // Stop a running layout animation when the canvas unmounts
+  useEffect(() => () => {
+    if (cancelLayoutAnimation.current) {
+      cancelLayoutAnimation.current();
+    }
+  }, []);
+
   // Collision-avoidance: Apply minimal Y offsets to prevent visual overlap
   // Does not modify source JSON data, only adjusts render positions
   const applyCollisionAvoidance = (components) => {
     if (!components || components.length === 0) return components;
 
-    const NODE_WIDTH = 140;   // Based on CSS flow-node width (updated)
-    const NODE_HEIGHT = 80;   // Based on CSS flow-node height
+    // Auto layout animation in progress - its positions never overlap
+    if (animatedPositions) {
+      return components.map(comp => ({
+        ...comp,
+        renderPosition: { ...(animatedPositions[comp.id] || comp.position) }
+      }));
+    }
+
     const MIN_OFFSET = 40;    // Increased spacing for more Talend-like layout
 
     // Create a copy for render positions without modifying original data
@@ -459,40 +1061,59 @@ export default function FlowCanvas({ onComponentClick }) {
   };
 
   const handleMouseDown = (e, componentId) => {
+    // Space/middle-button drags pan the viewport instead (handled by the viewport itself)
+    if (isPanGesture(e)) return;
+
     console.log('Mouse down on component:', componentId); // Debug log
     e.preventDefault();
+    viewportRef.current?.focus({ preventScroll: true });
 
     const component = job.components.find(c => c.id === componentId);
     if (!component) return;
 
     const startTime = Date.now();
+    const additive = e.shiftKey || e.ctrlKey || e.metaKey;
     let hasMoved = false;
 
+    // Dragging a selected node moves the whole selection
+    const draggedIds = !additive && selectedNodeIds.includes(componentId) ? selectedNodeIds : [componentId];
+    const originalPositions = {};
+    job.components
+      .filter(c => draggedIds.includes(c.id))
+      .forEach(c => {
+        originalPositions[c.id] = { ...c.position };
+      });
+
     dragState.current = {
       componentId,
       startX: e.clientX,
       startY: e.clientY,
-      originalPosition: { ...component.position }
+      zoom: viewport.zoom,
+      originalPositions
     };
 
+    // Snapshot once at drag start; committed on mouseup only if the node moved
+    beginBatch();
+
     const handleMouseMove = (e) => {
       if (!dragState.current) return;
 
-      const deltaX = e.clientX - dragState.current.startX;
-      const deltaY = e.clientY - dragState.current.startY;
+      // Screen deltas scaled back to canvas units at the current zoom
+      const deltaX = (e.clientX - dragState.current.startX) / dragState.current.zoom;
+      const deltaY = (e.clientY - dragState.current.startY) / dragState.current.zoom;
 
-      // Consider it a drag if moved more than 5 pixels
-      if (Math.abs(deltaX) > 5 || Math.abs(deltaY) > 5) {
+      // Consider it a drag if moved more than 5 screen pixels
+      if (Math.abs(e.clientX - dragState.current.startX) > 5 || Math.abs(e.clientY - dragState.current.startY) > 5) {
         hasMoved = true;
-        console.log('Mouse move - dragging component:', dragState.current.componentId); // Debug log
-
-        const newPosition = {
-          x: dragState.current.originalPosition.x + deltaX,
-          y: dragState.current.originalPosition.y + deltaY
-        };
 
-        console.log('Updating position to:', newPosition); // Debug log
-        updateComponentData(dragState.current.componentId, { position: newPosition });
+        Object.entries(dragState.current.originalPositions).forEach(([id, originalPosition]) => {
+          updateComponentData(id, {
+            position: {
+              x: originalPosition.x + deltaX,
+              y: originalPosition.y + deltaY
+            }
+          });
+        });
       }
     };
 
@@ -503,9 +1124,10 @@ export default function FlowCanvas({ onComponentClick }) {
       const clickDuration = Date.now() - startTime;
       if (!hasMoved && clickDuration < 300) {
         console.log('Treating as click - selecting component'); // Debug log
-        handleNodeClick(componentId);
+        handleNodeClick(componentId, additive);
       }
 
+      endBatch(hasMoved);
       dragState.current = null;
       document.removeEventListener('mousemove', handleMouseMove);
       document.removeEventListener('mouseup', handleMouseUp);
@@ -554,31 +1176,27 @@ export default function FlowCanvas({ onComponentClick }) {
     // Do nothing for other levels
   };
 
-  // Handle flow connection creation
-  const handleAnchorMouseDown = (e, componentId, port, anchorType) => {
-    e.stopPropagation();
-
-    if (anchorType !== 'output') return; // Only start connections from outputs
-
+  // Track the pointer while a connection end is dragged; drops are handled by handleAnchorMouseUp
+  const startConnectionDrag = (e, dragInfo) => {
+    // Drag line is drawn in canvas coordinates, so map through the viewport transform
     const rect = e.target.getBoundingClientRect();
-    const canvasRect = e.target.closest('.flow-viewport').getBoundingClientRect();
+    const anchorCenter = screenToCanvasPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
 
 setConnectionDragState({
   isDragging: true,
-  sourceComponentId: componentId,
-  sourcePort: port,
-  currentX: rect.left - canvasRect.left + rect.width / 2,
-  currentY: rect.top - canvasRect.top + rect.height / 2
+  reroute: null,
+  ...dragInfo,
+  currentX: anchorCenter.x,
+  currentY: anchorCenter.y
 });
 
 const handleMouseMove = (e) => {
-  const canvasRect = e.target.closest('.flow-viewport')?.getBoundingClientRect() ||
-                     document.querySelector('.flow-viewport').getBoundingClientRect();
+  const pointer = screenToCanvasPoint(e.clientX, e.clientY);
 
   setConnectionDragState(prev => ({
     ...prev,
-    currentX: e.clientX - canvasRect.left,
-    currentY: e.clientY - canvasRect.top
+    currentX: pointer.x,
+    currentY: pointer.y
   }));
 };
 
@@ -587,6 +1205,7 @@ const handleMouseUp = (e) => {
     isDragging: false,
     sourceComponentId: null,
     sourcePort: null,
+    reroute: null,
     currentX: 0,
     currentY: 0
   });
@@ -599,29 +1218,330 @@ document.addEventListener('mousemove', handleMouseMove);
 document.addEventListener('mouseup', handleMouseUp);
 };
 
-const handleAnchorMouseUp = (e, targetComponentId, targetPort, anchorType) => {
-  if (!connectionDragState.isDragging || anchorType !== 'input') return;
+  // Handle flow connection creation
+  const handleAnchorMouseDown = (e, componentId, port, anchorType) => {
+    e.stopPropagation();
+
+    if (anchorType !== 'output') return; // Only start connections from outputs
 
+    startConnectionDrag(e, { sourceComponentId: componentId, sourcePort: port });
+  };
+
+// Select a connection by clicking its line
+const handleLinkClick = (e, kind, index) => {
   e.stopPropagation();
+  setSelectedNodeIds([]);
+  setSelectedLink({ kind, index });
+};
 
-// Validate connection
-  if (connectionDragState.sourceComponentId === targetComponentId) {
-    return; // Can't connect to self
+// Double-click on a map node opens the mapper
+const handleNodeDoubleClick = (componentId) => {
+  const component = job?.components.find(c => c.id === componentId);
+  if (component && getComponentType(component) === 'map') {
+    setMapEditorComponentId(componentId);
   }
+};
 
-// Check if connection already exists
-  const existingConnection = job.flows?.find(flow =>
-    flow.from === connectionDragState.sourceComponentId &&
-    flow.to === targetComponentId
-  );
+const handleSaveMapConfig = (config) => {
+  checkpoint();
+  updateJob(applyMapConfig(job, mapEditorComponentId, config));
+  setMapEditorComponentId(null);
+};
+
+// Replace the columns of a component that defines its own schema
+const handleSchemaChange = (componentId, port, columns) => {
+  checkpoint();
+  updateJob(setComponentSchema(job, componentId, port, columns));
+};
+
+// Bring everything downstream of the component in sync with the current columns
+const handlePropagateSchema = (componentId) => {
+  checkpoint();
+  updateJob(propagateSchema(job, componentId));
+};
+
+const handleShowSchema = (componentId) => {
+  setSelectedNodeIds([componentId]);
+  setSelectedLink(null);
+  setActiveTab('Schema');
+  if (drawerLevel === 0) {
+    setDrawerLevel(1);
+  }
+};
+
+const getNodeSchemaClassName = (componentId) => (schemaSync[componentId] ? 'schema-out-of-sync' : '');
+
+// Tooltip text for a data flow whose columns no longer match what the target was built against
+const getFlowSchemaWarning = (flow) => {
+  const issues = getFlowSchemaIssues(job, flow);
+  return issues.length > 0 ? issues.map(issue => issue.message).join('\n') : null;
+};
+
+// Run the job up to the target on sampled input and show its rows in the Preview tab
+const handlePreviewData = (target, limit = preview?.limit || DEFAULT_PREVIEW_LIMIT) => {
+  if (!target) return;
+  runPreview(target, { context: { ...contextValues, ...contextOverrides }, limit });
+  setActiveTab('Preview');
+  if (drawerLevel === 0) {
+    setDrawerLevel(1);
+  }
+};
+
+const handleNodeContextMenu = (e, componentId) => {
+  e.preventDefault();
+  e.stopPropagation();
+  if (!selectedNodeIds.includes(componentId)) {
+    setSelectedNodeIds([componentId]);
+    setSelectedLink(null);
+  }
+  setContextMenu({
+    x: e.clientX,
+    y: e.clientY,
+    items: [
+      { label: 'Preview data', icon: Eye, onSelect: () => handlePreviewData(getNodePreviewTarget(job, componentId)) },
+      { label: 'Propagate schema', icon: RefreshCw, onSelect: () => handlePropagateSchema(componentId) },
+      { label: 'Delete', icon: Trash2, onSelect: () => handleDeleteNode(componentId) }
+    ]
+  });
+};
+
+// Triggers carry no rows, so only data flows can be previewed
+const handleLinkContextMenu = (e, kind, index) => {
+  e.preventDefault();
+  e.stopPropagation();
+  setSelectedNodeIds([]);
+  setSelectedLink({ kind, index });
+  const link = getLink(job, { kind, index });
+  setContextMenu({
+    x: e.clientX,
+    y: e.clientY,
+    items: [
+      {
+        label: 'Preview data',
+        icon: Eye,
+        disabled: kind !== 'flow',
+        onSelect: () => handlePreviewData(getFlowPreviewTarget(link))
+      },
+      {
+        label: 'Toggle breakpoint',
+        icon: CircleDot,
+        disabled: kind !== 'flow',
+        onSelect: () => debugSession.setBreakpoints(prev => toggleBreakpoint(prev, link))
+      },
+      { label: 'Delete connection', icon: Trash2, onSelect: () => handleDeleteLink({ kind, index }) }
+    ]
+  });
+};
+
+// Drag either end of the selected connection to reroute it
+// The fixed end is kept as sourceComponentId so the drag line is drawn from it
+const handleLinkEndpointMouseDown = (e, end) => {
+  e.stopPropagation();
+  e.preventDefault();
+
+  const link = getLink(job, selectedLink);
+  if (!link) return;
+
+  startConnectionDrag(e, {
+    sourceComponentId: end === 'to' ? link.from : link.to,
+    sourcePort: selectedLink.kind === 'flow' ? getFlowOutputPort(link) : null,
+    reroute: { ref: selectedLink, end }
+  });
+};
+
+// Change the selected connection's type (main/reject/lookup or a trigger type)
+const handleRetypeLink = (type, condition) => {
+  const link = getLink(job, selectedLink);
+  if (!link || (getLinkType(selectedLink, link) === type && link.condition === condition)) return;
+
+  const result = retypeLink(job, selectedLink, type, condition);
+  if (result.error) {
+    showConnectionError(result.error);
+    return;
+  }
+
+  checkpoint();
+  updateJob(result.job);
+  setSelectedLink(result.ref);
+};
+
+// Drop of a dragged link end onto an anchor
+const handleRerouteDrop = (targetComponentId, targetPort, anchorType) => {
+  const { ref, end } = connectionDragState.reroute;
+  if ((end === 'to' && anchorType !== 'input') || (end === 'from' && anchorType !== 'output')) return;
+
+  const result = rerouteLink(job, ref, end, targetComponentId, targetPort);
+  if (result.error) {
+    showConnectionError(result.error);
+    return;
+  }
+
+  checkpoint();
+  updateJob(result.job);
+  setSelectedLink(result.ref);
+};
 
-  if (existingConnection) {
-    return; // Connection already exists
+// CSS classes for a drawn link: data flow vs trigger type, selection state
+const getLinkClassName = (kind, link, index) => {
+  const classes = ['flow-link'];
+  if (kind === 'trigger') {
+    classes.push('trigger', `trigger-${String(link.type).toLowerCase()}`);
+  } else {
+    classes.push(`flow-${link.name || 'main'}`);
+    if (getFlowSchemaIssues(job, link).length > 0) {
+      classes.push('schema-mismatch');
+    }
+    if (diffHighlights?.flows[getDiffFlowKey(link)]) {
+      classes.push(diffHighlights.flows[getDiffFlowKey(link)]);
+    }
+    if (getBreakpoint(debugSession.breakpoints, link)?.enabled) {
+      classes.push('breakpoint');
+    }
+    const paused = debugSession.debugState?.paused;
+    if (paused && paused.from === link.from && paused.to === link.to) {
+      classes.push('debug-paused');
+    }
+  }
+  if (selectedLink && selectedLink.kind === kind && selectedLink.index === index) {
+    classes.push('selected');
+  }
+  return classes.join(' ');
+};
+
+// Version diff class for a node: diff-added, diff-changed, diff-moved
+const getNodeDiffClassName = (componentId) => diffHighlights?.nodes[componentId] || '';
+
+// Job opened or restored from the repository replaces the canvas and starts a new undo history
+const handleRepositoryJobLoaded = (loadedJob) => {
+  loadJob(loadedJob);
+  clearHistory();
+  setSelectedNodeIds([]);
+  setVersionDiff(null);
+};
+
+// A save under another name renames the canvas job, so it matches the saved baseline
+const handleRepositoryJobSaved = (savedJob) => {
+  if (savedJob.name !== job.name) {
+    updateJob({ ...job, name: savedJob.name });
+  }
+};
+
+// Bring back the draft left by the previous session
+const handleRestoreDraft = () => {
+  const draft = takeDraft();
+  loadJob(draft.job);
+  clearHistory();
+  if (draft.entry) {
+    jobRepository.attach(draft.entry);
+  }
+};
+
+// Highlight the differences from `before`; comparing two versions shows the newer one on the canvas
+const handleCompareVersions = ({ label, before, after }) => {
+  if (after) {
+    checkpoint();
+    loadJob(after);
+    setSelectedNodeIds([]);
+  }
+  setVersionDiff({ label, before });
+};
+
+// Subjob boxes around the rendered nodes: [{ subjobId, bounds, color, collapsed, summary }]
+const getSubjobBoxes = (renderedComponents) => Object.entries(subjobs)
+  .map(([subjobId, subjob]) => ({
+    subjobId,
+    bounds: getSubjobBounds({ ...job, components: renderedComponents }, subjobId, c => c.renderPosition),
+    color: getSubjobColor(subjob),
+    collapsed: subjob.collapsed,
+    summary: subjob.collapsed ? summarizeSubjob(job, subjobId) : null
+  }))
+  .filter(box => box.bounds);
+
+const handleToggleSubjobCollapsed = (subjobId) => {
+  const collapsed = !subjobs[subjobId]?.collapsed;
+  checkpoint();
+  updateJob(setSubjobCollapsed(job, subjobId, collapsed));
+  if (collapsed) {
+    const members = new Set(subjobs[subjobId].components);
+    setSelectedNodeIds(prev => prev.filter(id => !members.has(id)));
+  }
+};
+
+// Start dragging a trigger from a subjob header
+const handleSubjobTriggerMouseDown = (e, subjobId) => {
+  e.stopPropagation();
+  startConnectionDrag(e, { sourceComponentId: subjobId, sourcePort: null, subjobTrigger: true });
+};
+
+// Trigger drop state of a subjob box while a trigger is dragged
+const getSubjobDropState = (subjobId) => {
+  if (!connectionDragState.isDragging || !connectionDragState.subjobTrigger) return null;
+  if (subjobId === connectionDragState.sourceComponentId) return null;
+  return validateTrigger(job, createSubjobTrigger(connectionDragState.sourceComponentId, subjobId));
+};
+
+// Dropping a trigger on a subjob adds an OnSubjobOk trigger and selects it,
+// so the link editor can change it to OnSubjobError or RunIf with a condition
+const handleSubjobTriggerMouseUp = (e, subjobId) => {
+  if (!connectionDragState.isDragging || !connectionDragState.subjobTrigger) return;
+  e.stopPropagation();
+
+  const trigger = createSubjobTrigger(connectionDragState.sourceComponentId, subjobId);
+  const validation = validateTrigger(job, trigger);
+  if (!validation.valid) {
+    showConnectionError(validation.reason);
+    return;
+  }
+
+  const triggers = [...(job.triggers || []), trigger];
+  checkpoint();
+  updateJob({ ...job, triggers });
+  setSelectedNodeIds([]);
+  setSelectedLink({ kind: 'trigger', index: triggers.length - 1 });
+};
+
+// Run status class for a node: run-queued, run-running, run-succeeded, run-failed, run-skipped
+const getNodeRunClassName = (componentId) => {
+  const state = progress?.components[componentId];
+  return state ? `run-${state.status}` : '';
+};
+
+// Rows/s label for a data flow while the run is in progress
+const getFlowRate = (flow) => {
+  if (!progress || progress.status !== 'running') return null;
+  const stats = progress.flows[flowKey(flow.from, flow.to)];
+  return stats ? `${Math.round(stats.rowsPerSecond).toLocaleString()} rows/s` : null;
+};
+
+const handleAnchorMouseUp = (e, targetComponentId, targetPort, anchorType) => {
+  if (!connectionDragState.isDragging) return;
+
+  if (connectionDragState.reroute) {
+    e.stopPropagation();
+    handleRerouteDrop(targetComponentId, targetPort, anchorType);
+    return;
+  }
+
+  if (anchorType !== 'input') return;
+
+  e.stopPropagation();
+
+  // Validate connection against registry ports, cardinality and cycles
+  const validation = validateConnection(job, {
+    from: connectionDragState.sourceComponentId,
+    fromPort: connectionDragState.sourcePort,
+    to: targetComponentId,
+    toPort: targetPort
+  });
+
+  if (!validation.valid) {
+    showConnectionError(validation.reason);
+    return;
   }
 
     // Create new flow
   const newFlow = {
-    name: `${connectionDragState.sourcePort || 'main'}`,
+    name: getConnectorName(connectionDragState.sourcePort, targetPort),
     from: connectionDragState.sourceComponentId,
     to: targetComponentId,
     type: 'flow'
@@ -633,14 +1553,50 @@ const handleAnchorMouseUp = (e, targetComponentId, targetPort, anchorType) => {
     flows: [...(job.flows || []), newFlow]
   };
 
+  checkpoint();
   updateJob(updatedJob);
 };
 
+// Explain why a drop was refused; clears itself after a few seconds
+const showConnectionError = (message) => {
+  if (connectionErrorTimeout.current) {
+    clearTimeout(connectionErrorTimeout.current);
+  }
+  setConnectionError(message);
+  connectionErrorTimeout.current = setTimeout(() => {
+    setConnectionError('');
+    connectionErrorTimeout.current = null;
+  }, 4000);
+};
+
+// Drop-target state of an anchor while a connection is being dragged
+// Returns null when the anchor is not a drop target, otherwise { valid, reason }
+const getAnchorDropState = (componentId, port, anchorType = 'input') => {
+  if (!connectionDragState.isDragging) return null;
+
+  if (connectionDragState.reroute) {
+    const { ref, end } = connectionDragState.reroute;
+    if ((end === 'to') !== (anchorType === 'input')) return null;
+
+    const result = rerouteLink(job, ref, end, componentId, port);
+    return { valid: !result.error, reason: result.error || null };
+  }
+
+  if (anchorType !== 'input') return null;
+
+  return validateConnection(job, {
+    from: connectionDragState.sourceComponentId,
+    fromPort: connectionDragState.sourcePort,
+    to: componentId,
+    toPort: port
+  });
+};
+
 const getAnchorPosition = (component, port, anchorType) => {
   if (!component.renderPosition) return { x: 0, y: 0 };
 
-  const nodeWidth = 140;
-  const nodeHeight = 80;
+  const nodeWidth = NODE_WIDTH;
+  const nodeHeight = NODE_HEIGHT;
   const anchorSize = 8;
 
   if (anchorType === 'input') {
@@ -656,38 +1612,8 @@ const getAnchorPosition = (component, port, anchorType) => {
   }
 };
 
-// Get component registry info
-const getComponentRegistryInfo = (component) => {
-  // Load from component registry based on component type
-  try {
-    // Import the registry data synchronously
-    const registry = {
-      "file_input_delimited": { inputs: [], outputs: ["main"] },
-      "file_output_delimited": { inputs: ["main"], outputs: ["main"] },
-      "map": { inputs: ["main"], outputs: ["main"] },
-      "filter_rows": { inputs: ["main"], outputs: ["main", "reject"] },
-      "aggregate_row": { inputs: ["main"], outputs: ["main", "reject"] },
-      "unique_row": { inputs: ["main"], outputs: ["main"] },
-      "oracle_input": { inputs: [], outputs: ["main", "reject"] },
-      "oracle_output": { inputs: ["main"], outputs: [] },
-      "join": { inputs: ["main", "lookup"], outputs: ["main", "reject"] },
-      "unite": { inputs: ["main", "lookup"], outputs: ["main"] },
-      "log_row": { inputs: ["main"], outputs: ["main"] },
-      "python_component": { inputs: [], outputs: ["main"] },
-      "die": { inputs: ["main"], outputs: [] },
-      "warn": { inputs: ["main"], outputs: ["main"] }
-    };
-
-    // Map original_type to registry key
-    const componentKey = component.original_type?.toLowerCase().replace('t', '') ||
-                        component.type?.toLowerCase() || 'default';
-
-    return registry[componentKey] || { inputs: ["main"], outputs: ["main"] };
-  } catch (error) {
-    // Fallback to defaults
-    return { inputs: ["main"], outputs: ["main"] };
-  }
-};
+// Get component port info from the shared component registry
+const getComponentRegistryInfo = (component) => getComponentPorts(component);
 
   /**
  * NEW PROJECT DETECTION
@@ -729,4 +1655,788 @@ const handleFanInSelectionChange = (type, value) => {
   }));
 };
 
+const handleFinalOutputChange = (outputId) => {
+  setGuidedJoinData(prev => ({ ...prev, finalOutput: outputId }));
+};
+
+// Errors shown by the wizard: those of the step it is on
+const currentGuidedJoinErrors = guidedJoinErrors.filter(error => error.step === guidedJoinStep);
+
+// Open the wizard from the "define sequence manually" warning
+const handleStartGuidedJoin = () => {
+  setShowSmartJoinModal(false);
+  setGuidedJoinStep(1);
+  setGuidedJoinErrors([]);
+  setShowGuidedJoinModal(true);
+};
+
+// The fan-in step only applies when inputs end up in more than one transform
+const handleGuidedJoinNext = () => {
+  const errors = validateGuidedJoinStep(job, guidedJoinData, guidedJoinStep);
+  setGuidedJoinErrors(errors.map(message => ({ step: guidedJoinStep, message })));
+  if (errors.length > 0) return;
+
+  const nextStep = guidedJoinStep + 1;
+  setGuidedJoinStep(nextStep === 2 && !needsFanIn(guidedJoinData) ? 3 : nextStep);
+};
+
+const handleGuidedJoinBack = () => {
+  const previousStep = guidedJoinStep - 1;
+  setGuidedJoinErrors([]);
+  setGuidedJoinStep(previousStep === 2 && !needsFanIn(guidedJoinData) ? 1 : Math.max(1, previousStep));
+};
+
+// All wizard flows are added as a single undo step
+const handleGuidedJoinCommit = () => {
+  const result = applyGuidedJoin(job, guidedJoinData);
+  if (result.errors) {
+    setGuidedJoinErrors(result.errors);
+    setGuidedJoinStep(result.errors[0].step);
+    return;
+  }
+
+  checkpoint();
+  updateJob(result.job);
+  setShowGuidedJoinModal(false);
+  setGuidedJoinErrors([]);
+  setGuidedJoinStep(1);
+};
+
+const handleCancelGuidedJoin = () => {
+  setShowGuidedJoinModal(false);
+  setGuidedJoinErrors([]);
+  setGuidedJoinStep(1);
+};
+
+// Palette types can be dropped anywhere on the viewport
+const handleViewportDragOver = (e) => {
+  if (e.dataTransfer.types.includes(PALETTE_DRAG_TYPE)) {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  }
+};
+
+// New component centred under the pointer, selected with its properties open
+const handleViewportDrop = (e) => {
+  const type = e.dataTransfer.getData(PALETTE_DRAG_TYPE);
+  if (!type || !job) return;
+  e.preventDefault();
+
+  const pointer = screenToCanvasPoint(e.clientX, e.clientY);
+  const component = createComponent(job, type, {
+    x: pointer.x - NODE_WIDTH / 2,
+    y: pointer.y - NODE_HEIGHT / 2
+  });
+
+  checkpoint();
+  updateJob({ ...job, components: [...job.components, component] });
+  setSelectedNodeIds([component.id]);
+  setSelectedLink(null);
+  setPropertiesComponentId(component.id);
+};
+
+const handleApplyProperties = (componentId, config) => {
+  checkpoint();
+  updateComponentData(componentId, { config });
+};
+
+// Reconciliation wizard functions
+const handleStartReconWizard = () => {
+  setReconSpec(createReconSpec());
+  setReconStep(1);
+  setReconErrors([]);
+};
+
+const handleReconNext = () => {
+  const errors = validateReconStep(reconSpec, reconStep);
+  setReconErrors(errors.map(message => ({ step: reconStep, message })));
+  if (errors.length === 0) setReconStep(reconStep + 1);
+};
+
+const handleReconBack = () => {
+  setReconErrors([]);
+  setReconStep(Math.max(1, reconStep - 1));
+};
+
+// The generated pipeline replaces the canvas with a new undo history; context environments carry over
+const handleReconGenerate = () => {
+  const result = applyRecon(reconSpec, { context: job?.context, active_context: job?.active_context });
+  if (result.errors) {
+    setReconErrors(result.errors);
+    setReconStep(result.errors[0].step);
+    return;
+  }
+  if (job?.components?.length && dirty &&
+      !window.confirm('Replace the canvas with the reconciliation job? Your unsaved changes will be lost.')) return;
+
+  loadJob(result.job);
+  clearHistory();
+  jobRepository.detach();
+  setSelectedNodeIds([]);
+  setSelectedLink(null);
+  setReconSpec(null);
+  setReconErrors([]);
+};
 
+const handleCancelReconWizard = () => {
+  setReconSpec(null);
+  setReconErrors([]);
+  setReconStep(1);
+};
+
+// Debug run: like Run, but pausing on breakpoints; progress still shows on the nodes
+const handleDebugJob = async () => {
+  if (hasBlockingProblems(problems) || breakpointErrors.length > 0) {
+    console.warn('Debug run blocked:', problems.filter(p => p.severity === 'error'), breakpointErrors);
+    setActiveTab(breakpointErrors.length > 0 ? 'Debug' : 'Problems');
+    if (drawerLevel === 0) {
+      setDrawerLevel(1);
+    }
+    return;
+  }
+
+  const context = { ...contextValues, ...contextOverrides };
+  clearExecutionResults();
+  setRunErrorComponentId(null);
+  runHistory.beginRun(context, 'debug');
+  startTracking();
+  setActiveTab('Debug');
+  if (drawerLevel === 0) {
+    setDrawerLevel(1);
+  }
+
+  const runId = await debugSession.startDebug(context);
+  if (runId) {
+    trackRun(runId);
+  } else {
+    stopTracking();
+    runHistory.failRun('The debug run could not be started.');
+  }
+};
+
+const handleBreakpointChange = (key, changes) => {
+  debugSession.setBreakpoints(prev => updateBreakpoint(prev, key, changes));
+};
+
+const handleRemoveBreakpoint = (key) => {
+  debugSession.setBreakpoints(prev => {
+    const { [key]: _removed, ...rest } = prev;
+    return rest;
+  });
+};
+
+// Schedules store the job as it is now, so saving again picks up later edits
+const handleSaveSchedule = (schedule) => {
+  return scheduler.saveSchedule(schedule);
+};
+
+const handleDeleteSchedule = (scheduleId) => scheduler.deleteSchedule(scheduleId);
+
+// Fire a schedule once now, batch rows included; its runs show under past scheduled runs
+const handleTriggerSchedule = (scheduleId) => {
+  return scheduler.triggerSchedule(scheduleId);
+};
+
+  // Nodes outside collapsed subjobs, at their render positions
+  const renderedComponents = applyCollisionAvoidance(
+    (job?.components || []).filter(component => !collapsedView.hidden.has(component.id))
+  );
+  const renderedById = new Map(renderedComponents.map(component => [component.id, component]));
+  const subjobBoxes = getSubjobBoxes(renderedComponents);
+  const isRunning = progress?.status === 'running';
+
+  // Centre of a link end: the node's anchor side, or the summary node of the collapsed subjob holding it
+  const getLinkEndPoint = (componentId, anchorType) => {
+    const endpoint = collapsedView.endpointOf(componentId);
+    const bounds = endpoint.subjobId
+      ? subjobBoxes.find(box => box.subjobId === endpoint.subjobId)?.bounds
+      : renderedById.get(componentId)?.renderPosition;
+    if (!bounds) return null;
+    return { x: bounds.x + (anchorType === 'output' ? NODE_WIDTH : 0), y: bounds.y + NODE_HEIGHT / 2 };
+  };
+
+  // Data flows and triggers with their index into job.flows / job.triggers
+  const drawnLinks = [
+    ...(job?.flows || []).map((link, index) => ({ kind: 'flow', link, index })),
+    ...(job?.triggers || []).map((link, index) => ({ kind: 'trigger', link, index }))
+  ]
+    .filter(({ link }) => collapsedView.isLinkVisible(link))
+    .map(drawn => ({ ...drawn, from: getLinkEndPoint(drawn.link.from, 'output'), to: getLinkEndPoint(drawn.link.to, 'input') }))
+    .filter(drawn => drawn.from && drawn.to);
+
+  // Anchors of one side of a node, spread vertically when a side has several ports
+  const renderAnchors = (component, anchorType) => {
+    const { inputs, outputs } = getComponentRegistryInfo(component);
+    const ports = anchorType === 'input' ? inputs : outputs;
+    const base = getAnchorPosition(component, null, anchorType);
+
+    return ports.map((port, i) => {
+      const dropState = getAnchorDropState(component.id, port, anchorType);
+      const isHovered = hoveredAnchor?.componentId === component.id;
+      const classes = [
+        'flow-anchor',
+        `${anchorType}-anchor`,
+        connectionDragState.isDragging || isHovered || selectedNodeIds.includes(component.id) ? 'visible' : '',
+        dropState ? (dropState.valid ? 'drop-valid' : 'drop-invalid') : ''
+      ];
+
+      return (
+        <div
+          key={`${anchorType}-${port}`}
+          className={classes.filter(Boolean).join(' ')}
+          style={{ left: base.x, top: base.y + (i - (ports.length - 1) / 2) * 14 }}
+          title={dropState?.reason || `${port} ${anchorType}`}
+          onMouseDown={e => handleAnchorMouseDown(e, component.id, port, anchorType)}
+          onMouseUp={e => handleAnchorMouseUp(e, component.id, port, anchorType)}
+          onMouseEnter={() => setHoveredAnchor({ componentId: component.id, port, anchorType })}
+          onMouseLeave={() => setHoveredAnchor(null)}
+        />
+      );
+    });
+  };
+
+  const renderNode = (component) => {
+    const Icon = getComponentIcon(component);
+    const isActive = component.active !== false;
+    const classes = [
+      'flow-node',
+      getComponentType(component) === 'map' ? 'flow-node-tmap' : '',
+      selectedNodeIds.includes(component.id) ? 'selected' : '',
+      isActive ? '' : 'inactive',
+      getNodeRunClassName(component.id),
+      getNodeSchemaClassName(component.id),
+      getNodeDiffClassName(component.id)
+    ];
+
+    return (
+      <div
+        key={component.id}
+        className={classes.filter(Boolean).join(' ')}
+        style={{ left: component.renderPosition.x, top: component.renderPosition.y }}
+        onMouseDown={e => handleMouseDown(e, component.id)}
+        onDoubleClick={() => handleNodeDoubleClick(component.id)}
+        onContextMenu={e => handleNodeContextMenu(e, component.id)}
+      >
+        {schemaSync[component.id] && (
+          <span
+            className="schema-sync-marker"
+            title="Input columns changed - open the schema"
+            onMouseDown={e => e.stopPropagation()}
+            onClick={() => handleShowSchema(component.id)}
+          >
+            <AlertTriangle size={12} />
+          </span>
+        )}
+        <div className="flow-node-icon-section">
+          <Icon
+            size={40}
+            className={`flow-node-icon ${isActive ? 'node-icon-active' : 'node-icon-inactive'}`}
+            onMouseDown={e => e.stopPropagation()}
+            onClick={e => handleToggleActive(e, component.id)}
+            title={isActive ? 'Deactivate' : 'Activate'}
+          />
+        </div>
+        <div className="flow-node-content-section">
+          <span className="flow-node-label">{component.id}</span>
+          <span className="flow-node-subtitle">{getComponentDisplayName(component)}</span>
+          <NodeRunBadge state={progress?.components[component.id]} />
+        </div>
+      </div>
+    );
+  };
+
+  const renderLink = ({ kind, link, index, from, to }) => {
+    const rate = kind === 'flow' ? getFlowRate(link) : null;
+    const warning = kind === 'flow' ? getFlowSchemaWarning(link) : null;
+    const label = kind === 'flow' ? (link.name || 'main') : (link.type === 'RunIf' ? `RunIf: ${link.condition || ''}` : link.type);
+    const mid = { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 };
+
+    return (
+      <g key={`${kind}-${index}`}>
+        <line x1={from.x} y1={from.y} x2={to.x} y2={to.y} className={getLinkClassName(kind, link, index)} stroke="#6b7280" strokeWidth={2} />
+        <line
+          x1={from.x}
+          y1={from.y}
+          x2={to.x}
+          y2={to.y}
+          className="flow-link-hitarea"
+          onMouseDown={e => e.stopPropagation()}
+          onClick={e => handleLinkClick(e, kind, index)}
+          onContextMenu={e => handleLinkContextMenu(e, kind, index)}
+        />
+        {warning && (
+          <text x={mid.x} y={mid.y - 20} textAnchor="middle" className="flow-link-warning">
+            {'\u26A0'}
+            <title>{warning}</title>
+          </text>
+        )}
+        <text x={mid.x} y={mid.y - 6} textAnchor="middle" fontSize={11} fill="#9ca3af">{label}</text>
+        {rate && <text x={mid.x} y={mid.y + 12} textAnchor="middle" className="flow-link-rate">{rate}</text>}
+        {selectedLink?.kind === kind && selectedLink.index === index && (
+          <>
+            <circle cx={from.x} cy={from.y} r={5} className="flow-link-endpoint" onMouseDown={e => handleLinkEndpointMouseDown(e, 'from')} />
+            <circle cx={to.x} cy={to.y} r={5} className="flow-link-endpoint" onMouseDown={e => handleLinkEndpointMouseDown(e, 'to')} />
+          </>
+        )}
+      </g>
+    );
+  };
+
+  // Line following the pointer while a connection (or a subjob trigger) is dragged
+  const renderDragLine = () => {
+    if (!connectionDragState.isDragging) return null;
+    const { sourceComponentId, subjobTrigger, reroute } = connectionDragState;
+    const anchorType = reroute?.end === 'from' ? 'input' : 'output';
+    const box = subjobTrigger ? subjobBoxes.find(b => b.subjobId === sourceComponentId) : null;
+    const from = box
+      ? { x: box.bounds.x + box.bounds.width, y: box.bounds.y }
+      : getLinkEndPoint(sourceComponentId, anchorType);
+    if (!from) return null;
+
+    return (
+      <line
+        x1={from.x}
+        y1={from.y}
+        x2={connectionDragState.currentX}
+        y2={connectionDragState.currentY}
+        stroke="#3b82f6"
+        strokeWidth={2}
+        strokeDasharray="5 5"
+      />
+    );
+  };
+
+  const selectedLinkData = selectedLink ? getLink(job, selectedLink) : null;
+  const errorCount = problems.filter(p => p.severity === 'error').length;
+  const drawerTabs = [
+    { id: 'Context', label: 'Context' },
+    { id: 'Problems', label: problems.length > 0 ? `Problems (${problems.length})` : 'Problems' },
+    { id: 'Schema', label: 'Schema' },
+    { id: 'Preview', label: 'Preview' },
+    { id: 'Log', label: 'Log' },
+    { id: 'Output', label: 'Output' },
+    { id: 'Runs', label: 'Runs' },
+    { id: 'Debug', label: 'Debug' },
+    { id: 'Schedule', label: 'Schedule' }
+  ];
+
+  const renderTabContent = () => {
+    switch (activeTab) {
+      case 'Context':
+        return (
+          <ContextTab
+            job={job}
+            activeContext={activeContext}
+            overrides={contextOverrides}
+            onSwitchContext={handleSwitchContext}
+            onCreateContext={handleCreateContext}
+            onDeleteContext={handleDeleteContext}
+            onValueChange={updateContextValue}
+            onOverrideChange={updateContextOverride}
+          />
+        );
+      case 'Problems':
+        return <ProblemsTab problems={problems} onProblemClick={handleProblemClick} />;
+      case 'Schema':
+        return (
+          <SchemaTab
+            job={job}
+            componentId={selectedNodeId}
+            outOfSync={schemaSync[selectedNodeId]}
+            onSchemaChange={handleSchemaChange}
+            onPropagate={handlePropagateSchema}
+          />
+        );
+      case 'Preview':
+        return (
+          <DataPreviewTab
+            preview={preview}
+            onLimitChange={limit => handlePreviewData(preview?.target, limit)}
+            onRefresh={() => handlePreviewData(preview?.target)}
+          />
+        );
+      case 'Log':
+        return (
+          <div className="log-tab">
+            <div className="log-content">
+              {runErrorComponentId && (
+                <ComponentErrorDetails
+                  componentId={runErrorComponentId}
+                  state={progress?.components[runErrorComponentId]}
+                  onClose={() => setRunErrorComponentId(null)}
+                />
+              )}
+              {executionState?.error && <pre className="error-message">{executionState.error}</pre>}
+              {executionState?.logs ? (
+                <div className={drawerLevel === 2 ? 'log-statistics-fullscreen' : 'log-statistics'}>
+                  <pre>{executionState.logs}</pre>
+                </div>
+              ) : (
+                !runErrorComponentId && <div className="no-logs">No execution logs yet. Run the job to see its output.</div>
+              )}
+            </div>
+          </div>
+        );
+      case 'Output':
+        return (
+          <div className="output-tab">
+            <div className="output-content">
+              {runHistory.runs[0]?.status === 'succeeded' && runHistory.runs[0].outputs.length > 0 ? (
+                <button className="download-button" onClick={handleDownloadOutput}>
+                  <Download size={14} /> Download output file
+                </button>
+              ) : (
+                <div className="no-output">No output yet. Outputs of the last successful run can be downloaded here.</div>
+              )}
+            </div>
+          </div>
+        );
+      case 'Runs':
+        return (
+          <RunsTab
+            runs={runHistory.runs}
+            running={isRunning}
+            onRerun={handleRerun}
+            onDeleteRun={runHistory.removeRun}
+            onClearRuns={runHistory.clearHistory}
+            onDownloadOutput={handleDownloadOutput}
+          />
+        );
+      case 'Debug':
+        return (
+          <DebugTab
+            job={job}
+            breakpoints={debugSession.breakpoints}
+            breakpointErrors={breakpointErrors}
+            debugState={debugSession.debugState}
+            commandError={debugSession.commandError}
+            onStartDebug={handleDebugJob}
+            onStep={debugSession.step}
+            onContinue={debugSession.resume}
+            onAbort={debugSession.abort}
+            onBreakpointChange={handleBreakpointChange}
+            onRemoveBreakpoint={handleRemoveBreakpoint}
+          />
+        );
+      case 'Schedule':
+        return (
+          <ScheduleTab
+            job={job}
+            schedules={scheduler.schedules}
+            runs={scheduler.runs}
+            error={scheduler.error}
+            onSaveSchedule={handleSaveSchedule}
+            onDeleteSchedule={handleDeleteSchedule}
+            onTriggerSchedule={handleTriggerSchedule}
+          />
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="flow-canvas">
+      <div className="flow-header">
+        <div className="header-action-buttons">
+          <HistoryControls canUndo={canUndo} canRedo={canRedo} onUndo={undo} onRedo={redo} />
+          <button className="action-btn" onClick={() => setRepositoryDialogTab('open')} title="Open from repository">
+            <FolderOpen size={16} className="action-btn-icon" />
+            <span className="action-btn-label">open</span>
+          </button>
+          <button className="action-btn save-btn" onClick={() => setRepositoryDialogTab('save')} title="Save to repository (Ctrl+S)">
+            <Save size={16} className="action-btn-icon" />
+            <span className="action-btn-label">save</span>
+          </button>
+          <button
+            className="action-btn"
+            onClick={() => setRepositoryDialogTab('history')}
+            disabled={!jobRepository.current}
+            title="Version history"
+          >
+            <History size={16} className="action-btn-icon" />
+            <span className="action-btn-label">history</span>
+          </button>
+          <button className="action-btn" onClick={() => talendFileInput.current?.click()} title="Import Talend .item">
+            <Upload size={16} className="action-btn-icon" />
+            <span className="action-btn-label">import</span>
+          </button>
+          <button className="action-btn" onClick={handleExportTalend} disabled={!job} title="Export as Talend .item">
+            <Download size={16} className="action-btn-icon" />
+            <span className="action-btn-label">export</span>
+          </button>
+          <input
+            ref={talendFileInput}
+            type="file"
+            accept=".item,.properties"
+            multiple
+            hidden
+            onChange={e => {
+              handleImportTalendFiles(e.target.files);
+              e.target.value = '';
+            }}
+          />
+          <button className="action-btn" onClick={handleAutoLayout} disabled={!job?.components?.length} title="Auto layout">
+            <LayoutGrid size={16} className="action-btn-icon" />
+            <span className="action-btn-label">layout</span>
+          </button>
+          <button className="action-btn" onClick={handleDuplicateSelection} disabled={selectedNodeIds.length === 0} title="Duplicate selection (Ctrl+D)">
+            <Copy size={16} className="action-btn-icon" />
+            <span className="action-btn-label">copy</span>
+          </button>
+          <button className="action-btn" onClick={handleStartReconWizard} title="New reconciliation job">
+            <Scale size={16} className="action-btn-icon" />
+            <span className="action-btn-label">recon</span>
+          </button>
+          {isNewProject() && (
+            <button className="smart-join-btn" onClick={handleSmartJoin} title="Connect the components automatically">
+              <Link2 size={14} /> Smart Join
+            </button>
+          )}
+          <button className="action-btn clear-btn" onClick={handleClearCanvas} disabled={!job?.components?.length} title="Clear canvas">
+            <X size={16} className="action-btn-icon" />
+            <span className="action-btn-label">clear</span>
+          </button>
+        </div>
+
+        <div className="flow-title-section">
+          <div className={jobTitleClassName}>
+            <Workflow size={20} className="flow-icon" />
+            {jobRepository.current?.name || job?.name || 'Untitled job'}
+          </div>
+          <div className="flow-subtitle">
+            {job?.components?.length || 0} components, {job?.flows?.length || 0} flows
+            {jobRepository.current && ` - v${jobRepository.current.version}`}
+          </div>
+        </div>
+
+        <div className="flow-header-actions">
+          <button
+            className="action-btn run-btn"
+            onClick={handleExecuteJob}
+            disabled={!job?.components?.length || isRunning || errorCount > 0}
+            title={errorCount > 0 ? `${errorCount} error(s) block the run - see Problems` : 'Run job'}
+          >
+            <Play size={16} className="action-btn-icon" />
+            <span className="action-btn-label">run</span>
+          </button>
+          <button
+            className="action-btn"
+            onClick={handleDebugJob}
+            disabled={!job?.components?.length || isRunning}
+            title="Debug run with breakpoints"
+          >
+            <Bug size={16} className="action-btn-icon" />
+            <span className="action-btn-label">debug</span>
+          </button>
+          <button className="theme-toggle" onClick={toggleTheme} title={isDarkMode ? 'Light mode' : 'Dark mode'}>
+            {isDarkMode ? <Sun size={18} /> : <Moon size={18} />}
+          </button>
+        </div>
+      </div>
+
+      <div className="flow-workspace">
+        <ComponentPalette />
+
+        <div
+          ref={viewportRef}
+          className={`flow-viewport${isPanning ? ' panning' : ''}${connectionDragState.subjobTrigger ? ' dragging-trigger' : ''}`}
+          style={viewportGridStyle}
+          tabIndex={0}
+          onMouseDown={handleCanvasMouseDown}
+          onDragOver={handleViewportDragOver}
+          onDrop={handleViewportDrop}
+        >
+          {versionDiff && currentDiff && (
+            <VersionDiffBanner label={versionDiff.label} diff={currentDiff} onClose={() => setVersionDiff(null)} />
+          )}
+          {connectionError && <div className="connection-error-toast">{connectionError}</div>}
+
+          {!job?.components?.length ? (
+            <div className="flow-empty-state">
+              <Workflow size={48} className="empty-icon" />
+              <div className="empty-content">
+                <h3>No components yet</h3>
+                <p>Drag components from the palette, import a Talend job or start a reconciliation.</p>
+              </div>
+            </div>
+          ) : (
+            <div className="flow-canvas-layer" style={canvasLayerStyle}>
+              {subjobBoxes.map(box => (
+                <SubjobBox
+                  key={box.subjobId}
+                  {...box}
+                  dropState={getSubjobDropState(box.subjobId)}
+                  onToggleCollapsed={handleToggleSubjobCollapsed}
+                  onTriggerMouseDown={handleSubjobTriggerMouseDown}
+                  onTriggerMouseUp={handleSubjobTriggerMouseUp}
+                />
+              ))}
+
+              <svg className="flow-connections">
+                <g style={{ pointerEvents: 'auto' }}>
+                  {drawnLinks.map(renderLink)}
+                </g>
+                {renderDragLine()}
+              </svg>
+
+              {renderedComponents.map(renderNode)}
+              {renderedComponents.map(component => (
+                <div key={`anchors-${component.id}`}>
+                  {renderAnchors(component, 'input')}
+                  {renderAnchors(component, 'output')}
+                </div>
+              ))}
+
+              {selectionBox && (
+                <div
+                  className="selection-box"
+                  style={{ left: selectionBox.x, top: selectionBox.y, width: selectionBox.width, height: selectionBox.height }}
+                />
+              )}
+            </div>
+          )}
+
+          {selectedLinkData && (
+            <LinkEditor
+              link={selectedLinkData}
+              linkType={getLinkType(selectedLink, selectedLinkData)}
+              error={connectionError}
+              onRetype={handleRetypeLink}
+              onDelete={() => handleDeleteLink(selectedLink)}
+              onClose={() => setSelectedLink(null)}
+            />
+          )}
+
+          <Minimap
+            components={job?.components}
+            viewport={viewport}
+            viewportSize={viewportSize}
+            selectedIds={selectedNodeIds}
+            onNavigate={centerOn}
+          />
+          <ViewportControls
+            zoom={viewport.zoom}
+            onZoomIn={() => zoomBy(1.2)}
+            onZoomOut={() => zoomBy(1 / 1.2)}
+            onResetZoom={resetZoom}
+            onFitToView={handleFitToView}
+            onZoomToSelection={handleZoomToSelection}
+            hasSelection={selectedNodeIds.length > 0}
+          />
+        </div>
+
+        {propertiesComponentId && (
+          <PropertiesPanel
+            job={job}
+            componentId={propertiesComponentId}
+            contextName={activeContext}
+            onChange={handleApplyProperties}
+            onClose={() => setPropertiesComponentId(null)}
+          />
+        )}
+      </div>
+
+      <div className={`bottom-drawer level-${drawerLevel}`}>
+        <div className="drawer-handle" onClick={handleDrawerClick} onDoubleClick={handleDrawerDoubleClick}>
+          <div className="handle-bar" />
+          <span className="handle-text">{drawerLevel === 0 ? activeTab : 'Click to close, double-click to expand'}</span>
+        </div>
+        {drawerLevel > 0 && (
+          <div className="drawer-content">
+            <div className="drawer-tabs">
+              {drawerTabs.map(tab => (
+                <button
+                  key={tab.id}
+                  className={`drawer-tab${activeTab === tab.id ? ' active' : ''}`}
+                  onClick={() => setActiveTab(tab.id)}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+            <div className="tab-content">{renderTabContent()}</div>
+          </div>
+        )}
+      </div>
+
+      <CanvasContextMenu menu={contextMenu} onClose={closeContextMenu} />
+
+      {showSmartJoinModal && (
+        <div className="modal-overlay" onClick={() => setShowSmartJoinModal(false)}>
+          <div className="modal-content smart-join-modal" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Smart Join</h3>
+            </div>
+            <div className="modal-body">
+              <p>{smartJoinWarning}</p>
+            </div>
+            <div className="modal-actions">
+              {smartJoinWarning.startsWith('Multiple execution paths') && (
+                <button className="btn" onClick={handleStartGuidedJoin}>Define sequence</button>
+              )}
+              <button className="btn btn-primary" onClick={() => setShowSmartJoinModal(false)}>OK</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showGuidedJoinModal && (
+        <GuidedJoinWizard
+          job={job}
+          data={guidedJoinData}
+          step={guidedJoinStep}
+          errors={currentGuidedJoinErrors}
+          onInputMappingChange={handleInputMappingChange}
+          onFanInSelectionChange={handleFanInSelectionChange}
+          onFinalOutputChange={handleFinalOutputChange}
+          onBack={handleGuidedJoinBack}
+          onNext={handleGuidedJoinNext}
+          onCommit={handleGuidedJoinCommit}
+          onCancel={handleCancelGuidedJoin}
+        />
+      )}
+
+      {reconSpec && (
+        <ReconciliationWizard
+          spec={reconSpec}
+          step={reconStep}
+          errors={reconErrors.filter(error => error.step === reconStep)}
+          onSpecChange={setReconSpec}
+          onBack={handleReconBack}
+          onNext={handleReconNext}
+          onGenerate={handleReconGenerate}
+          onCancel={handleCancelReconWizard}
+        />
+      )}
+
+      {mapEditorComponentId && (
+        <MapEditor
+          job={job}
+          componentId={mapEditorComponentId}
+          onSave={handleSaveMapConfig}
+          onClose={() => setMapEditorComponentId(null)}
+        />
+      )}
+
+      {repositoryDialogTab && (
+        <JobRepositoryDialog
+          repository={jobRepository}
+          job={job}
+          initialTab={repositoryDialogTab}
+          onOpen={handleRepositoryJobLoaded}
+          onSave={handleRepositoryJobSaved}
+          onCompare={handleCompareVersions}
+          onRestore={handleRepositoryJobLoaded}
+          onClose={() => setRepositoryDialogTab(null)}
+        />
+      )}
+
+      {recoverableDraft && (
+        <DraftRecoveryPrompt draft={recoverableDraft} onRestore={handleRestoreDraft} onDiscard={discardDraft} />
+      )}
+
+      <TalendImportReport report={talendImportReport} onClose={() => setTalendImportReport(null)} />
+    </div>
+  );
+}
@@ -0,0 +1,273 @@
+import { useMemo } from 'react';
+import { ArrowUp, Check, ChevronLeft, ChevronRight, X } from 'lucide-react';
+import {
+  GUIDED_JOIN_STEPS,
+  buildGuidedJoinFlows,
+  getFanInSources,
+  getMappedTransforms,
+  getTerminalTransform,
+  isFanInComponent,
+  needsFanIn
+} from '../model/guidedJoin';
+import { getComponentDisplayName } from '../model/componentRegistry';
+import './GuidedJoinWizard.css';
+
+/**
+ * GuidedJoinWizard Component
+ *
+ * Multi-step Smart Join for ambiguous canvases: map inputs to transforms,
+ * choose the fan-in join/unite, pick the final output, preview the flows
+ * and commit them. errors are the guidedJoinErrors of the current step.
+ */
+
+const PREVIEW_NODE_WIDTH = 120;
+const PREVIEW_NODE_HEIGHT = 32;
+const PREVIEW_LAYER_GAP = 60;
+const PREVIEW_ROW_GAP = 16;
+
+// Longest-path layers of the preview graph
+const layoutPreview = (flows) => {
+  const ids = [...new Set(flows.flatMap(flow => [flow.from, flow.to]))];
+  const layer = new Map(ids.map(id => [id, 0]));
+  for (let pass = 0; pass < ids.length; pass++) {
+    flows.forEach(flow => layer.set(flow.to, Math.max(layer.get(flow.to), layer.get(flow.from) + 1)));
+  }
+
+  const rows = new Map();
+  const positions = {};
+  ids.forEach(id => {
+    const column = layer.get(id);
+    const row = rows.get(column) || 0;
+    rows.set(column, row + 1);
+    positions[id] = {
+      x: column * (PREVIEW_NODE_WIDTH + PREVIEW_LAYER_GAP),
+      y: row * (PREVIEW_NODE_HEIGHT + PREVIEW_ROW_GAP)
+    };
+  });
+
+  const width = Math.max(0, ...Object.values(positions).map(p => p.x)) + PREVIEW_NODE_WIDTH;
+  const height = Math.max(0, ...Object.values(positions).map(p => p.y)) + PREVIEW_NODE_HEIGHT;
+  return { positions, width, height };
+};
+
+export default function GuidedJoinWizard({
+  job,
+  data,
+  step,
+  errors,
+  onInputMappingChange,
+  onFanInSelectionChange,
+  onFinalOutputChange,
+  onBack,
+  onNext,
+  onCommit,
+  onCancel
+}) {
+  const mappedTransforms = getMappedTransforms(data);
+  const fanIn = needsFanIn(data);
+  const { upstreamTransforms = [], downstreamTransform } = data.fanInSelection;
+  const fanInSources = getFanInSources(data);
+
+  const preview = useMemo(
+    () => (step === 4 ? buildGuidedJoinFlows(job, data) : null),
+    [step, job, data]
+  );
+  const previewLayout = useMemo(() => (preview ? layoutPreview(preview.flows) : null), [preview]);
+
+  const describeNode = (node) => `${node.id} (${getComponentDisplayName(node)})`;
+
+  const toggleUpstream = (transformId) => {
+    const next = upstreamTransforms.includes(transformId)
+      ? upstreamTransforms.filter(id => id !== transformId)
+      : [...upstreamTransforms, transformId];
+    onFanInSelectionChange('upstreamTransforms', next);
+  };
+
+  const moveUpstreamUp = (transformId) => {
+    const index = upstreamTransforms.indexOf(transformId);
+    if (index <= 0) return;
+    const next = [...upstreamTransforms];
+    [next[index - 1], next[index]] = [next[index], next[index - 1]];
+    onFanInSelectionChange('upstreamTransforms', next);
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content smart-join-modal guided-join-wizard">
+        <div className="modal-header guided-join-header">
+          <h3>Guided Smart Join</h3>
+          <button className="action-btn" onClick={onCancel} title="Cancel">
+            <X size={14} />
+          </button>
+        </div>
+
+        <ol className="guided-join-steps">
+          {GUIDED_JOIN_STEPS.map(({ step: number, title }) => (
+            <li
+              key={number}
+              className={`${number === step ? 'active' : ''} ${number < step ? 'done' : ''} ${number === 2 && !fanIn ? 'skipped' : ''}`}
+            >
+              <span className="guided-join-step-number">{number < step ? <Check size={12} /> : number}</span>
+              {title}
+            </li>
+          ))}
+        </ol>
+
+        <div className="modal-body guided-join-body">
+          {step === 1 && (
+            <>
+              <p>Choose the transform each input feeds. Several inputs can only go into a join, unite or map.</p>
+              <table className="context-table">
+                <tbody>
+                  {data.inputNodes.map(input => (
+                    <tr key={input.id}>
+                      <td>{describeNode(input)}</td>
+                      <td>
+                        <select
+                          className="transform-select"
+                          value={data.inputMappings[input.id] || ''}
+                          onChange={e => onInputMappingChange(input.id, e.target.value || null)}
+                        >
+                          <option value="">Select a transform...</option>
+                          {data.transformNodes.map(transform => (
+                            <option key={transform.id} value={transform.id}>{describeNode(transform)}</option>
+                          ))}
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          {step === 2 && !fanIn && (
+            <p>All inputs go into {mappedTransforms[0] || 'one transform'} - no fan-in is needed.</p>
+          )}
+
+          {step === 2 && fanIn && (
+            <>
+              <p>Inputs end up in {mappedTransforms.join(', ')}. Choose the join or unite they fan in to.</p>
+              <select
+                className="transform-select"
+                value={downstreamTransform || ''}
+                onChange={e => onFanInSelectionChange('downstreamTransform', e.target.value || null)}
+              >
+                <option value="">Select a join or unite...</option>
+                {data.transformNodes.filter(isFanInComponent).map(transform => (
+                  <option key={transform.id} value={transform.id}>{describeNode(transform)}</option>
+                ))}
+              </select>
+
+              <p>Transforms that fan in (the first source takes the main port, the next the lookup port):</p>
+              <ul className="guided-join-sources">
+                {mappedTransforms.filter(id => id !== downstreamTransform).map(transformId => (
+                  <li key={transformId}>
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={upstreamTransforms.includes(transformId)}
+                        onChange={() => toggleUpstream(transformId)}
+                      />
+                      {transformId}
+                    </label>
+                    {fanInSources.includes(transformId) && (
+                      <span className={`guided-join-port port-${fanInSources.indexOf(transformId) === 0 ? 'main' : 'lookup'}`}>
+                        {fanInSources.indexOf(transformId) === 0 ? 'main' : 'lookup'}
+                      </span>
+                    )}
+                    {upstreamTransforms.indexOf(transformId) > 0 && (
+                      <button className="action-btn" onClick={() => moveUpstreamUp(transformId)} title="Move up">
+                        <ArrowUp size={12} />
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {step === 3 && (
+            <>
+              <p>{getTerminalTransform(data) || 'The last transform'} feeds exactly one final output.</p>
+              <ul className="guided-join-sources">
+                {data.outputNodes.map(output => (
+                  <li key={output.id}>
+                    <label>
+                      <input
+                        type="radio"
+                        name="guided-join-output"
+                        checked={data.finalOutput === output.id}
+                        onChange={() => onFinalOutputChange(output.id)}
+                      />
+                      {describeNode(output)}
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {step === 4 && preview && (
+            <>
+              <p>{preview.flows.length} flow{preview.flows.length === 1 ? '' : 's'} will be created as one change.</p>
+              <svg
+                className="guided-join-preview"
+                width={previewLayout.width}
+                height={previewLayout.height}
+                viewBox={`0 0 ${previewLayout.width} ${previewLayout.height}`}
+              >
+                {preview.flows.map(flow => {
+                  const from = previewLayout.positions[flow.from];
+                  const to = previewLayout.positions[flow.to];
+                  return (
+                    <line
+                      key={`${flow.from}->${flow.to}`}
+                      className={`guided-join-preview-link flow-${flow.name}`}
+                      x1={from.x + PREVIEW_NODE_WIDTH}
+                      y1={from.y + PREVIEW_NODE_HEIGHT / 2}
+                      x2={to.x}
+                      y2={to.y + PREVIEW_NODE_HEIGHT / 2}
+                    />
+                  );
+                })}
+                {Object.entries(previewLayout.positions).map(([id, position]) => (
+                  <g key={id} transform={`translate(${position.x}, ${position.y})`}>
+                    <rect className="guided-join-preview-node" width={PREVIEW_NODE_WIDTH} height={PREVIEW_NODE_HEIGHT} rx={4} />
+                    <text x={PREVIEW_NODE_WIDTH / 2} y={PREVIEW_NODE_HEIGHT / 2 + 4} textAnchor="middle">{id}</text>
+                  </g>
+                ))}
+              </svg>
+              <ul className="guided-join-flow-list">
+                {preview.flows.map(flow => (
+                  <li key={`${flow.from}->${flow.to}`}>{flow.from} → {flow.to} <span className={`guided-join-port port-${flow.name}`}>{flow.name}</span></li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {errors.length > 0 && (
+            <ul className="guided-join-errors">
+              {errors.map(error => <li key={error.message} className="error-message">{error.message}</li>)}
+            </ul>
+          )}
+        </div>
+
+        <div className="modal-actions guided-join-actions">
+          <button className="btn" onClick={onBack} disabled={step === 1}>
+            <ChevronLeft size={14} /> Back
+          </button>
+          {step < 4 ? (
+            <button className="btn btn-primary" onClick={onNext}>
+              Next <ChevronRight size={14} />
+            </button>
+          ) : (
+            <button className="btn btn-primary" onClick={onCommit} disabled={!preview || preview.flows.length === 0}>
+              <Check size={14} /> Create flows
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import { Undo2, Redo2 } from 'lucide-react';
+
+/**
+ * HistoryControls Component
+ *
+ * Undo/redo buttons for the FlowCanvas header action bar
+ */
+
+export default function HistoryControls({ canUndo, canRedo, onUndo, onRedo }) {
+  return (
+    <>
+      <button
+        className="action-btn"
+        onClick={onUndo}
+        disabled={!canUndo}
+        title="Undo (Ctrl+Z)"
+      >
+        <Undo2 size={16} className="action-btn-icon" />
+        <span className="action-btn-label">undo</span>
+      </button>
+      <button
+        className="action-btn"
+        onClick={onRedo}
+        disabled={!canRedo}
+        title="Redo (Ctrl+Shift+Z)"
+      >
+        <Redo2 size={16} className="action-btn-icon" />
+        <span className="action-btn-label">redo</span>
+      </button>
+    </>
+  );
+}
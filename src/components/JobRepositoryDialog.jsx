@@ -0,0 +1,311 @@
+import { useState, useEffect, useCallback } from 'react';
+import { FolderOpen, Save, History, Trash2, GitCompare, RotateCcw, Loader2, X } from 'lucide-react';
+import './JobRepositoryDialog.css';
+
+/**
+ * JobRepositoryDialog Component
+ *
+ * Open, Save / Save as and History of jobs in the repository.
+ * History compares a version with the canvas or two versions with each
+ * other, and restores a version as a new one.
+ * repository is the object returned by useJobRepository.
+ */
+
+const AUTHOR_KEY = 'rectran-author';
+
+const TABS = [
+  { id: 'open', label: 'Open', icon: FolderOpen },
+  { id: 'save', label: 'Save', icon: Save },
+  { id: 'history', label: 'History', icon: History }
+];
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+
+export default function JobRepositoryDialog({
+  repository,
+  job,
+  initialTab = 'open',
+  onOpen,
+  onSave,
+  onCompare,
+  onRestore,
+  onClose
+}) {
+  const { current, busy, error } = repository;
+  const [tab, setTab] = useState(initialTab);
+  const [jobs, setJobs] = useState([]);
+  const [versions, setVersions] = useState([]);
+  const [selectedVersions, setSelectedVersions] = useState([]);
+  const [form, setForm] = useState({
+    name: current?.name || job?.name || '',
+    message: '',
+    author: localStorage.getItem(AUTHOR_KEY) || '',
+    saveAs: !current
+  });
+
+  const { listJobs, listVersions } = repository;
+
+  const refreshJobs = useCallback(() => {
+    listJobs().then(setJobs).catch(() => {});
+  }, [listJobs]);
+
+  const refreshVersions = useCallback(() => {
+    if (!current) return;
+    listVersions(current.id).then(setVersions).catch(() => {});
+  }, [listVersions, current]);
+
+  useEffect(() => {
+    if (tab === 'open') refreshJobs();
+    if (tab === 'history') refreshVersions();
+  }, [tab, refreshJobs, refreshVersions]);
+
+  const handleSave = async () => {
+    localStorage.setItem(AUTHOR_KEY, form.author);
+    try {
+      const result = await repository.saveJob(job, {
+        name: form.name,
+        message: form.message,
+        author: form.author,
+        saveAs: form.saveAs
+      });
+      onSave(result.job);
+      onClose();
+    } catch (err) {
+      // error is shown by the dialog
+    }
+  };
+
+  const handleOpen = async (id) => {
+    try {
+      const result = await repository.openJob(id);
+      onOpen(result.job);
+      onClose();
+    } catch (err) {
+      // error is shown by the dialog
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Delete "${entry.name}" and all of its ${entry.latest_version} versions?`)) return;
+    try {
+      await repository.deleteJob(entry.id);
+      refreshJobs();
+    } catch (err) {
+      // error is shown by the dialog
+    }
+  };
+
+  const handleCompareWithCanvas = async (version) => {
+    try {
+      const before = await repository.getVersionJob(current.id, version);
+      onCompare({ label: `v${version} → canvas`, before, after: null });
+      onClose();
+    } catch (err) {
+      // error is shown by the dialog
+    }
+  };
+
+  // Older version as the baseline, newer one shown on the canvas
+  const handleCompareSelected = async () => {
+    const [older, newer] = [...selectedVersions].sort((a, b) => a - b);
+    try {
+      const before = await repository.getVersionJob(current.id, older);
+      const after = await repository.getVersionJob(current.id, newer);
+      onCompare({ label: `v${older} → v${newer}`, before, after });
+      onClose();
+    } catch (err) {
+      // error is shown by the dialog
+    }
+  };
+
+  const handleRestore = async (version) => {
+    try {
+      const result = await repository.restoreVersion(version, localStorage.getItem(AUTHOR_KEY) || form.author);
+      onRestore(result.job);
+      onClose();
+    } catch (err) {
+      // error is shown by the dialog
+    }
+  };
+
+  const toggleVersion = (version) => {
+    setSelectedVersions(prev => {
+      if (prev.includes(version)) return prev.filter(v => v !== version);
+      return [...prev, version].slice(-2);
+    });
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content job-repository-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="job-repository-header">
+          <div className="job-repository-tabs">
+            {TABS.map(({ id, label, icon: Icon }) => (
+              <button
+                key={id}
+                className={`job-repository-tab ${tab === id ? 'active' : ''}`}
+                onClick={() => setTab(id)}
+                disabled={id === 'history' && !current}
+                title={id === 'history' && !current ? 'Save or open a job to see its history' : undefined}
+              >
+                <Icon size={14} /> {label}
+              </button>
+            ))}
+          </div>
+          {busy && <Loader2 size={14} className="job-repository-spinner" />}
+          <button className="action-btn" onClick={onClose} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="job-repository-body">
+          {tab === 'open' && (
+            jobs.length === 0 ? (
+              <div className="job-repository-empty">No saved jobs yet</div>
+            ) : (
+              <table className="context-table">
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Version</th>
+                    <th>Updated</th>
+                    <th>By</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {jobs.map(entry => (
+                    <tr key={entry.id} className={current?.id === entry.id ? 'current' : ''}>
+                      <td>{entry.name}</td>
+                      <td>v{entry.latest_version}</td>
+                      <td>{formatTime(entry.updated_at)}</td>
+                      <td>{entry.author}</td>
+                      <td className="job-repository-actions">
+                        <button className="action-btn" onClick={() => handleOpen(entry.id)} disabled={busy} title="Open">
+                          <FolderOpen size={14} />
+                        </button>
+                        <button className="action-btn" onClick={() => handleDelete(entry)} disabled={busy} title="Delete">
+                          <Trash2 size={14} />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )
+          )}
+
+          {tab === 'save' && (
+            <div className="job-repository-form">
+              <label>
+                Name
+                <input
+                  className="context-input"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  disabled={!form.saveAs}
+                />
+              </label>
+              <label>
+                Message
+                <input
+                  className="context-input"
+                  value={form.message}
+                  placeholder="What changed?"
+                  onChange={(e) => setForm({ ...form, message: e.target.value })}
+                />
+              </label>
+              <label>
+                Author
+                <input
+                  className="context-input"
+                  value={form.author}
+                  onChange={(e) => setForm({ ...form, author: e.target.value })}
+                />
+              </label>
+              {current && (
+                <label className="job-repository-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={form.saveAs}
+                    onChange={(e) => setForm({ ...form, saveAs: e.target.checked })}
+                  />
+                  Save as a new job instead of version {current.version + 1} of {current.name}
+                </label>
+              )}
+              <div className="job-repository-footer">
+                <button className="action-btn" onClick={handleSave} disabled={busy || !form.name.trim()}>
+                  <Save size={14} /> {form.saveAs ? 'Save as new job' : `Save version ${current.version + 1}`}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {tab === 'history' && current && (
+            <>
+              <div className="job-repository-footer">
+                <span>{current.name} - select two versions to compare them</span>
+                <button
+                  className="action-btn"
+                  onClick={handleCompareSelected}
+                  disabled={busy || selectedVersions.length !== 2}
+                >
+                  <GitCompare size={14} /> Compare selected
+                </button>
+              </div>
+              <table className="context-table">
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>Version</th>
+                    <th>Saved</th>
+                    <th>By</th>
+                    <th>Message</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {versions.map(version => (
+                    <tr key={version.version} className={version.version === current.version ? 'current' : ''}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={selectedVersions.includes(version.version)}
+                          onChange={() => toggleVersion(version.version)}
+                        />
+                      </td>
+                      <td>v{version.version}</td>
+                      <td>{formatTime(version.saved_at)}</td>
+                      <td>{version.author}</td>
+                      <td>{version.message}</td>
+                      <td className="job-repository-actions">
+                        <button
+                          className="action-btn"
+                          onClick={() => handleCompareWithCanvas(version.version)}
+                          disabled={busy}
+                          title="Compare with the canvas"
+                        >
+                          <GitCompare size={14} />
+                        </button>
+                        <button
+                          className="action-btn"
+                          onClick={() => handleRestore(version.version)}
+                          disabled={busy}
+                          title="Restore as a new version"
+                        >
+                          <RotateCcw size={14} />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import { useState, useEffect } from 'react';
+import { Trash2, X } from 'lucide-react';
+import { FLOW_CONNECTORS, TRIGGER_TYPES } from '../model/connectionRules';
+import './LinkEditor.css';
+
+/**
+ * LinkEditor Component
+ *
+ * Floating panel for the selected connection: change its type
+ * (main/reject/lookup or a trigger type), edit a RunIf condition, or delete it.
+ */
+
+export default function LinkEditor({ link, linkType, error, onRetype, onDelete, onClose }) {
+  const [condition, setCondition] = useState(link?.condition || '');
+
+  useEffect(() => {
+    setCondition(link?.condition || '');
+  }, [link]);
+
+  if (!link) return null;
+
+  return (
+    <div className="link-editor" onMouseDown={e => e.stopPropagation()}>
+      <div className="link-editor-header">
+        <span className="link-editor-title">{link.from} → {link.to}</span>
+        <button className="link-editor-close" onClick={onClose} title="Close">
+          <X size={14} />
+        </button>
+      </div>
+
+      <label className="link-editor-field">
+        <span>Type</span>
+        <select
+          className="transform-select"
+          value={linkType}
+          onChange={e => onRetype(e.target.value, condition)}
+        >
+          <optgroup label="Data flow">
+            {FLOW_CONNECTORS.map(type => <option key={type} value={type}>{type}</option>)}
+          </optgroup>
+          <optgroup label="Trigger">
+            {TRIGGER_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+          </optgroup>
+        </select>
+      </label>
+
+      {linkType === 'RunIf' && (
+        <label className="link-editor-field">
+          <span>Condition</span>
+          <input
+            className="context-input"
+            value={condition}
+            placeholder="e.g. ((Integer)globalMap.get(&quot;tFileInputDelimited_1_NB_LINE&quot;)) > 0"
+            onChange={e => setCondition(e.target.value)}
+            onBlur={() => onRetype('RunIf', condition)}
+          />
+        </label>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      <button className="link-editor-delete" onClick={onDelete}>
+        <Trash2 size={14} />
+        <span>Delete connection</span>
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,395 @@
+import { useState, useRef, useLayoutEffect, useCallback, useMemo } from 'react';
+import { X, Plus, Trash2, Save, Wand2, KeyRound } from 'lucide-react';
+import { SCHEMA_TYPES, createColumn } from '../model/schema';
+import {
+  JOIN_MODES,
+  getMapInputs,
+  getMapConfig,
+  findColumnReferences,
+  createMappedColumn,
+  getMapExpressionScope,
+  validateMapConfig
+} from '../model/mapConfig';
+import { getContextTypes } from '../model/expressionScope';
+import ExpressionEditor from './ExpressionEditor';
+import './MapEditor.css';
+
+/**
+ * MapEditor Component
+ *
+ * Full-screen tMap-style editor for a map component. Input tables (main and
+ * lookups) on the left, output tables on the right. Drag an input column onto
+ * an output table to add it, onto an expression cell to replace the
+ * expression, or onto a lookup column to make it a join key.
+ * Expression cells autocomplete and type-check against the input schemas.
+ * Edits stay in a draft until saved into component.config.
+ */
+
+const DRAG_TYPE = 'application/x-map-column';
+
+const readDraggedColumn = (e) => {
+  const data = e.dataTransfer.getData(DRAG_TYPE);
+  return data ? JSON.parse(data) : null;
+};
+
+const allowColumnDrop = (e) => {
+  if (Array.from(e.dataTransfer.types).includes(DRAG_TYPE)) {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  }
+};
+
+// Unique output column name: amount, amount_2, ...
+const uniqueName = (columns, name) => {
+  const taken = new Set(columns.map(column => column.name));
+  let candidate = name;
+  let suffix = 2;
+  while (taken.has(candidate)) {
+    candidate = `${name}_${suffix++}`;
+  }
+  return candidate;
+};
+
+function InputTable({ input, lookup, scope, onLookupChange, onKeyDrop }) {
+  const keyFor = (columnName) => lookup?.keys.find(key => key.column === columnName);
+
+  const setKey = (columnName, expression) => {
+    const keys = lookup.keys.filter(key => key.column !== columnName);
+    onLookupChange({
+      ...lookup,
+      keys: expression.trim() ? [...keys, { column: columnName, expression }] : keys
+    });
+  };
+
+  return (
+    <div className="map-table">
+      <div className="map-table-header">
+        <span className="map-table-title">{input.alias}</span>
+        {lookup ? (
+          <select
+            className="transform-select"
+            value={lookup.join_mode}
+            onChange={e => onLookupChange({ ...lookup, join_mode: e.target.value })}
+            title="Inner join drops main rows without a match; left join keeps them with nulls"
+          >
+            {JOIN_MODES.map(mode => <option key={mode} value={mode}>{mode} join</option>)}
+          </select>
+        ) : (
+          <span className="map-table-tag">main</span>
+        )}
+      </div>
+      {input.columns.length === 0 && <div className="map-table-empty">No schema - define it upstream</div>}
+      {input.columns.map(column => {
+        const key = keyFor(column.name);
+        return (
+          <div
+            key={column.name}
+            className="map-row"
+            data-input-column={`${input.alias}.${column.name}`}
+            draggable
+            onDragStart={e => {
+              e.dataTransfer.setData(DRAG_TYPE, JSON.stringify({ alias: input.alias, column }));
+              e.dataTransfer.setData('text/plain', `${input.alias}.${column.name}`);
+            }}
+          >
+            <span className="map-column-name">{column.name}</span>
+            <span className="map-column-type">{column.type}</span>
+            {lookup && (
+              <ExpressionEditor
+                className={key ? 'map-join-key' : ''}
+                data-join-key={`${input.alias}.${column.name}`}
+                placeholder="join key"
+                value={key?.expression || ''}
+                scope={scope}
+                expectedType={column.type}
+                onChange={expression => setKey(column.name, expression)}
+                onDragOver={allowColumnDrop}
+                onDrop={e => {
+                  const dragged = readDraggedColumn(e);
+                  if (!dragged) return;
+                  e.preventDefault();
+                  onKeyDrop(lookup, column.name, dragged);
+                }}
+              />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function OutputTable({ output, index, mainInput, scope, onChange, onRemove }) {
+  const updateColumn = (columnIndex, changes) => {
+    onChange({
+      ...output,
+      columns: output.columns.map((column, i) => (i === columnIndex ? { ...column, ...changes } : column))
+    });
+  };
+
+  const addMappedColumn = (dragged) => {
+    const column = createMappedColumn({ alias: dragged.alias }, dragged.column);
+    onChange({ ...output, columns: [...output.columns, { ...column, name: uniqueName(output.columns, column.name) }] });
+  };
+
+  const mapAllFromMain = () => {
+    const missing = mainInput.columns.filter(column => !output.columns.some(c => c.name === column.name));
+    onChange({ ...output, columns: [...output.columns, ...missing.map(column => createMappedColumn(mainInput, column))] });
+  };
+
+  return (
+    <div
+      className={`map-table ${output.reject ? 'map-table-reject' : ''}`}
+      onDragOver={allowColumnDrop}
+      onDrop={e => {
+        const dragged = readDraggedColumn(e);
+        if (!dragged) return;
+        e.preventDefault();
+        addMappedColumn(dragged);
+      }}
+    >
+      <div className="map-table-header">
+        <input
+          className="map-table-name"
+          value={output.name}
+          onChange={e => onChange({ ...output, name: e.target.value })}
+        />
+        <span className="map-table-tag">{output.target ? `→ ${output.target}` : 'not connected'}</span>
+        <label className="map-reject-toggle" title="Receives rows dropped by inner joins and by the other outputs' filters">
+          <input
+            type="checkbox"
+            checked={Boolean(output.reject)}
+            onChange={e => onChange({ ...output, reject: e.target.checked })}
+          />
+          reject
+        </label>
+        {mainInput && (
+          <button className="map-icon-btn" onClick={mapAllFromMain} title={`Map every column of ${mainInput.alias}`}>
+            <Wand2 size={14} />
+          </button>
+        )}
+        {!output.target && (
+          <button className="map-icon-btn" onClick={onRemove} title="Remove output table">
+            <Trash2 size={14} />
+          </button>
+        )}
+      </div>
+      {!output.reject && (
+        <ExpressionEditor
+          className="map-filter"
+          placeholder="Filter expression (rows passing it are written)"
+          value={output.filter || ''}
+          scope={scope}
+          expectedType="boolean"
+          onChange={filter => onChange({ ...output, filter })}
+        />
+      )}
+      {output.columns.length === 0 && <div className="map-table-empty">Drop input columns here</div>}
+      {output.columns.map((column, columnIndex) => (
+        <div key={columnIndex} className="map-row" data-output-column={`${index}.${columnIndex}`}>
+          <input
+            className="map-column-input"
+            value={column.name}
+            onChange={e => updateColumn(columnIndex, { name: e.target.value })}
+          />
+          <select
+            className="transform-select map-type-select"
+            value={column.type}
+            onChange={e => updateColumn(columnIndex, { type: e.target.value })}
+          >
+            {SCHEMA_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+          <ExpressionEditor
+            value={column.expression || ''}
+            placeholder="expression"
+            scope={scope}
+            expectedType={column.type}
+            onChange={expression => updateColumn(columnIndex, { expression })}
+            onDragOver={allowColumnDrop}
+            onDrop={e => {
+              const dragged = readDraggedColumn(e);
+              if (!dragged) return;
+              e.preventDefault();
+              e.stopPropagation();
+              updateColumn(columnIndex, { expression: `${dragged.alias}.${dragged.column.name}` });
+            }}
+          />
+          <button
+            className="map-icon-btn"
+            onClick={() => onChange({ ...output, columns: output.columns.filter((_, i) => i !== columnIndex) })}
+            title="Remove column"
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+      ))}
+      <button
+        className="map-add-btn"
+        onClick={() => onChange({ ...output, columns: [...output.columns, { ...createColumn(uniqueName(output.columns, 'column')), expression: '' }] })}
+      >
+        <Plus size={12} /> Column
+      </button>
+    </div>
+  );
+}
+
+export default function MapEditor({ job, componentId, onSave, onClose }) {
+  const [inputs] = useState(() => getMapInputs(job, componentId));
+  const [config, setConfig] = useState(() => getMapConfig(job, componentId));
+  const [links, setLinks] = useState([]);
+  const bodyRef = useRef(null);
+
+  const contextTypes = useMemo(() => getContextTypes(job), [job]);
+  const scope = useMemo(() => getMapExpressionScope(inputs, contextTypes), [inputs, contextTypes]);
+  const errors = validateMapConfig(config, inputs, contextTypes);
+
+  const updateLookup = (lookup) => {
+    setConfig(prev => ({
+      ...prev,
+      lookups: prev.lookups.map(l => (l.source === lookup.source ? lookup : l))
+    }));
+  };
+
+  const updateOutput = (index, output) => {
+    setConfig(prev => ({ ...prev, outputs: prev.outputs.map((o, i) => (i === index ? output : o)) }));
+  };
+
+  const addOutput = () => {
+    setConfig(prev => ({
+      ...prev,
+      outputs: [...prev.outputs, { name: `out${prev.outputs.length + 1}`, target: null, filter: '', reject: false, columns: [] }]
+    }));
+  };
+
+  const handleKeyDrop = (lookup, columnName, dragged) => {
+    const keys = lookup.keys.filter(key => key.column !== columnName);
+    updateLookup({ ...lookup, keys: [...keys, { column: columnName, expression: `${dragged.alias}.${dragged.column.name}` }] });
+  };
+
+  // Connector lines from input columns to the expressions and join keys using them
+  const measureLinks = useCallback(() => {
+    const body = bodyRef.current;
+    if (!body) return;
+    const origin = body.getBoundingClientRect();
+    const find = (attribute, value) => body.querySelector(`[${attribute}="${CSS.escape(value)}"]`);
+
+    const connect = (fromElement, toElement, kind) => {
+      if (!fromElement || !toElement) return null;
+      const from = fromElement.getBoundingClientRect();
+      const to = toElement.getBoundingClientRect();
+      return {
+        kind,
+        x1: from.right - origin.left,
+        y1: from.top + from.height / 2 - origin.top,
+        x2: to.left - origin.left,
+        y2: to.top + to.height / 2 - origin.top
+      };
+    };
+
+    const next = [];
+    config.outputs.forEach((output, index) => {
+      output.columns.forEach((column, columnIndex) => {
+        findColumnReferences(column.expression).forEach(reference => {
+          next.push(connect(
+            find('data-input-column', `${reference.alias}.${reference.column}`),
+            find('data-output-column', `${index}.${columnIndex}`),
+            'mapping'
+          ));
+        });
+      });
+    });
+    config.lookups.forEach(lookup => {
+      const lookupInput = inputs.lookups.find(input => input.source === lookup.source);
+      lookup.keys.forEach(key => {
+        findColumnReferences(key.expression).forEach(reference => {
+          next.push(connect(
+            find('data-input-column', `${reference.alias}.${reference.column}`),
+            find('data-join-key', `${lookupInput?.alias}.${key.column}`),
+            'join'
+          ));
+        });
+      });
+    });
+    setLinks(next.filter(Boolean));
+  }, [config, inputs]);
+
+  useLayoutEffect(() => {
+    measureLinks();
+    window.addEventListener('resize', measureLinks);
+    return () => window.removeEventListener('resize', measureLinks);
+  }, [measureLinks]);
+
+  return (
+    <div className="map-editor-overlay">
+      <div className="map-editor">
+        <div className="map-editor-header">
+          <h3>Map editor - {componentId}</h3>
+          <span className={`map-editor-status ${errors.length > 0 ? 'has-errors' : ''}`}>
+            {errors.length > 0 ? `${errors.length} problem${errors.length === 1 ? '' : 's'}` : 'Mapping is valid'}
+          </span>
+          <button className="action-btn" onClick={() => onSave(config)} title="Save mapping">
+            <Save size={16} />
+          </button>
+          <button className="action-btn" onClick={onClose} title="Close without saving">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="map-editor-body" ref={bodyRef} onScroll={measureLinks}>
+          <div className="map-panel map-inputs" onScroll={measureLinks}>
+            {!inputs.main && <div className="map-table-empty">Connect a main input to this map</div>}
+            {inputs.main && <InputTable input={inputs.main} />}
+            {inputs.lookups.map(input => (
+              <div key={input.source} className="map-lookup">
+                <div className="map-lookup-label"><KeyRound size={12} /> Lookup</div>
+                <InputTable
+                  input={input}
+                  lookup={config.lookups.find(lookup => lookup.source === input.source)}
+                  scope={scope}
+                  onLookupChange={updateLookup}
+                  onKeyDrop={handleKeyDrop}
+                />
+              </div>
+            ))}
+          </div>
+
+          <svg className="map-links">
+            {links.map((link, index) => {
+              const midX = (link.x1 + link.x2) / 2;
+              return (
+                <path
+                  key={index}
+                  className={`map-link map-link-${link.kind}`}
+                  d={`M ${link.x1} ${link.y1} C ${midX} ${link.y1}, ${midX} ${link.y2}, ${link.x2} ${link.y2}`}
+                />
+              );
+            })}
+          </svg>
+
+          <div className="map-panel map-outputs" onScroll={measureLinks}>
+            {config.outputs.map((output, index) => (
+              <OutputTable
+                key={index}
+                output={output}
+                index={index}
+                mainInput={inputs.main}
+                scope={scope}
+                onChange={updated => updateOutput(index, updated)}
+                onRemove={() => setConfig(prev => ({ ...prev, outputs: prev.outputs.filter((_, i) => i !== index) }))}
+              />
+            ))}
+            <button className="map-add-btn" onClick={addOutput}>
+              <Plus size={12} /> Output table
+            </button>
+          </div>
+        </div>
+
+        {errors.length > 0 && (
+          <ul className="map-editor-errors">
+            {errors.map((error, index) => <li key={index}>{error.message}</li>)}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
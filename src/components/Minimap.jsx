@@ -0,0 +1,94 @@
+import { useRef } from 'react';
+import { NODE_WIDTH, NODE_HEIGHT, getComponentBounds, getVisibleCanvasRect } from '../model/viewport';
+import './Minimap.css';
+
+const MINIMAP_WIDTH = 200;
+const MINIMAP_HEIGHT = 140;
+const MINIMAP_PADDING = 8;
+
+/**
+ * Minimap Component
+ *
+ * Scaled overview of every node with the visible viewport rectangle.
+ * Click or drag inside the minimap to move the viewport.
+ */
+
+export default function Minimap({ components, viewport, viewportSize, selectedIds = [], onNavigate }) {
+  const svgRef = useRef(null);
+
+  if (!components || components.length === 0 || !viewportSize.width) return null;
+
+  // World = all nodes plus whatever is currently visible
+  const visible = getVisibleCanvasRect(viewport, viewportSize);
+  const nodeBounds = getComponentBounds(components);
+  const minX = Math.min(nodeBounds.x, visible.x);
+  const minY = Math.min(nodeBounds.y, visible.y);
+  const maxX = Math.max(nodeBounds.x + nodeBounds.width, visible.x + visible.width);
+  const maxY = Math.max(nodeBounds.y + nodeBounds.height, visible.y + visible.height);
+
+  const scale = Math.min(
+    (MINIMAP_WIDTH - MINIMAP_PADDING * 2) / (maxX - minX),
+    (MINIMAP_HEIGHT - MINIMAP_PADDING * 2) / (maxY - minY)
+  );
+  const toMinimap = (x, y) => ({
+    x: MINIMAP_PADDING + (x - minX) * scale,
+    y: MINIMAP_PADDING + (y - minY) * scale
+  });
+
+  const navigateTo = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    onNavigate({
+      x: minX + (e.clientX - rect.left - MINIMAP_PADDING) / scale,
+      y: minY + (e.clientY - rect.top - MINIMAP_PADDING) / scale
+    });
+  };
+
+  const handleMouseDown = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    navigateTo(e);
+
+    const handleMouseMove = (e) => navigateTo(e);
+    const handleMouseUp = () => {
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+    };
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+  };
+
+  const visibleTopLeft = toMinimap(visible.x, visible.y);
+
+  return (
+    <div className="minimap">
+      <svg
+        ref={svgRef}
+        width={MINIMAP_WIDTH}
+        height={MINIMAP_HEIGHT}
+        onMouseDown={handleMouseDown}
+      >
+        {components.map(component => {
+          const position = component.renderPosition || component.position;
+          const topLeft = toMinimap(position.x, position.y);
+          return (
+            <rect
+              key={component.id}
+              className={`minimap-node${selectedIds.includes(component.id) ? ' selected' : ''}${component.active === false ? ' inactive' : ''}`}
+              x={topLeft.x}
+              y={topLeft.y}
+              width={Math.max(NODE_WIDTH * scale, 2)}
+              height={Math.max(NODE_HEIGHT * scale, 2)}
+            />
+          );
+        })}
+        <rect
+          className="minimap-viewport"
+          x={visibleTopLeft.x}
+          y={visibleTopLeft.y}
+          width={visible.width * scale}
+          height={visible.height * scale}
+        />
+      </svg>
+    </div>
+  );
+}
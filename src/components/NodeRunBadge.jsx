@@ -0,0 +1,32 @@
+import { Clock, Loader2, CheckCircle2, XCircle, MinusCircle } from 'lucide-react';
+import { formatRowCount } from '../model/executionProgress';
+import './NodeRunBadge.css';
+
+const STATUS_ICONS = {
+  queued: Clock,
+  running: Loader2,
+  succeeded: CheckCircle2,
+  failed: XCircle,
+  skipped: MinusCircle
+};
+
+/**
+ * NodeRunBadge Component
+ *
+ * Run state of a single flow node: status icon plus rows in/out
+ */
+
+export default function NodeRunBadge({ state }) {
+  if (!state) return null;
+
+  const Icon = STATUS_ICONS[state.status] || Clock;
+
+  return (
+    <div className={`node-run-badge status-${state.status}`} title={state.error || state.status}>
+      <Icon size={12} className="node-run-icon" />
+      <span className="node-run-rows">
+        {formatRowCount(state.rowsIn)} → {formatRowCount(state.rowsOut)}
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import { AlertCircle, AlertTriangle, CheckCircle2 } from 'lucide-react';
+import './ProblemsTab.css';
+
+/**
+ * ProblemsTab Component
+ *
+ * Bottom drawer tab listing static validation problems of the job.
+ * Clicking a problem selects and reveals the related node.
+ */
+
+export default function ProblemsTab({ problems, onProblemClick }) {
+  const errorCount = problems.filter(p => p.severity === 'error').length;
+  const warningCount = problems.length - errorCount;
+
+  if (problems.length === 0) {
+    return (
+      <div className="problems-tab">
+        <div className="no-problems">
+          <CheckCircle2 size={18} />
+          <span>No problems detected</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="problems-tab">
+      <div className="problems-summary">
+        <span className="problems-count error">{errorCount} error{errorCount === 1 ? '' : 's'}</span>
+        <span className="problems-count warning">{warningCount} warning{warningCount === 1 ? '' : 's'}</span>
+        {errorCount > 0 && <span className="problems-hint">Fix errors before running the job</span>}
+      </div>
+      <ul className="problems-list">
+        {problems.map(problem => (
+          <li
+            key={problem.id}
+            className={`problem-row ${problem.severity}`}
+            onClick={() => onProblemClick(problem)}
+          >
+            {problem.severity === 'error'
+              ? <AlertCircle size={16} className="problem-icon" />
+              : <AlertTriangle size={16} className="problem-icon" />}
+            <span className="problem-message">{problem.message}</span>
+            {problem.componentId && <span className="problem-component">{problem.componentId}</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import { useState, useEffect, useMemo } from 'react';
+import { X, Check, RotateCcw } from 'lucide-react';
+import { getComponentIcon, getComponentDisplayName, getComponentParams } from '../model/componentRegistry';
+import { validateComponentParams, parseParamValue } from '../model/componentParams';
+import { getExpressionScope } from '../model/expressionScope';
+import ExpressionEditor from './ExpressionEditor';
+import './PropertiesPanel.css';
+
+/**
+ * PropertiesPanel Component
+ *
+ * Side panel with the parameters of the selected component, built from its
+ * registry parameter schema. Edits go to a draft applied as one change;
+ * required and malformed fields are reported inline and block Apply.
+ */
+
+export function ParamField({ param, value, onChange, scope }) {
+  switch (param.type) {
+    case 'boolean':
+      return (
+        <input
+          type="checkbox"
+          checked={value === true || value === 'true'}
+          onChange={e => onChange(e.target.checked)}
+        />
+      );
+    case 'select':
+      return (
+        <select className="transform-select" value={value ?? ''} onChange={e => onChange(e.target.value)}>
+          {!param.required && <option value="">-</option>}
+          {/* Imported values outside the option list stay selectable */}
+          {value && !param.options.includes(value) && <option value={value}>{value}</option>}
+          {param.options.map(option => <option key={option} value={option}>{option}</option>)}
+        </select>
+      );
+    case 'text':
+      return (
+        <textarea
+          className="context-input properties-textarea"
+          value={value ?? ''}
+          rows={4}
+          spellCheck={false}
+          onChange={e => onChange(e.target.value)}
+        />
+      );
+    case 'expression':
+      return (
+        <ExpressionEditor
+          value={value ?? ''}
+          onChange={onChange}
+          scope={scope}
+          expectedType={param.valueType}
+        />
+      );
+    default:
+      return (
+        <input
+          className="context-input"
+          type={param.type === 'password' ? 'password' : 'text'}
+          inputMode={param.type === 'int' ? 'numeric' : undefined}
+          value={value ?? ''}
+          onChange={e => onChange(e.target.value)}
+        />
+      );
+  }
+}
+
+export default function PropertiesPanel({ job, componentId, contextName, onChange, onClose }) {
+  const component = job?.components.find(c => c.id === componentId);
+  const [draft, setDraft] = useState(component?.config || {});
+
+  // A different component, or an edit made elsewhere (undo), resets the draft
+  useEffect(() => {
+    setDraft(component?.config || {});
+  }, [component?.config, componentId]);
+
+  const scope = useMemo(
+    () => getExpressionScope(job, componentId, contextName),
+    [job, componentId, contextName]
+  );
+
+  if (!component) return null;
+
+  const params = getComponentParams(component);
+  const errors = validateComponentParams(component, draft);
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(component.config || {});
+  const Icon = getComponentIcon(component);
+
+  const handleFieldChange = (param, value) => {
+    setDraft(prev => ({ ...prev, [param.name]: parseParamValue(param, value) }));
+  };
+
+  return (
+    <aside className="properties-panel" onMouseDown={e => e.stopPropagation()}>
+      <div className="properties-header">
+        <Icon size={16} />
+        <div className="properties-title">
+          <span className="properties-id">{component.id}</span>
+          <span className="properties-type">{getComponentDisplayName(component)}</span>
+        </div>
+        <button className="action-btn" onClick={onClose} title="Close">
+          <X size={14} />
+        </button>
+      </div>
+
+      <div className="properties-body">
+        {component.unsupported && (
+          <div className="error-message">
+            {component.original_type} is not a supported component type; its parameters cannot be edited.
+          </div>
+        )}
+        {!component.unsupported && params.length === 0 && (
+          <div className="properties-empty">This component has no parameters.</div>
+        )}
+        {!component.unsupported && params.map(param => (
+          <label key={param.name} className={`properties-field ${errors[param.name] ? 'has-error' : ''}`}>
+            <span className="properties-label">
+              {param.label}
+              {param.required && <span className="properties-required">*</span>}
+            </span>
+            <ParamField
+              param={param}
+              value={draft[param.name]}
+              onChange={value => handleFieldChange(param, value)}
+              scope={scope}
+            />
+            {errors[param.name] && <span className="properties-error">{errors[param.name]}</span>}
+          </label>
+        ))}
+      </div>
+
+      {params.length > 0 && !component.unsupported && (
+        <div className="properties-footer">
+          <button className="action-btn" onClick={() => setDraft(component.config || {})} disabled={!isDirty}>
+            <RotateCcw size={14} /> Revert
+          </button>
+          <button
+            className="action-btn properties-apply"
+            onClick={() => onChange(componentId, draft)}
+            disabled={!isDirty || Object.keys(errors).length > 0}
+            title={Object.keys(errors).length > 0 ? 'Fix the highlighted fields first' : undefined}
+          >
+            <Check size={14} /> Apply
+          </button>
+        </div>
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,274 @@
+import { Check, ChevronLeft, ChevronRight, Plus, Trash2, X } from 'lucide-react';
+import {
+  RECON_STEPS,
+  FEED_SOURCES,
+  BREAK_TYPES,
+  createFeed,
+  getFeedParams,
+  getDefaultOutputPaths,
+  buildCompareCondition
+} from '../model/reconciliation';
+import { getComponentDisplayName } from '../model/componentRegistry';
+import { createColumn, validateSchemaColumns } from '../model/schema';
+import { ParamField } from './PropertiesPanel';
+import { ColumnTable } from './SchemaTab';
+import './GuidedJoinWizard.css';
+import './ReconciliationWizard.css';
+
+/**
+ * ReconciliationWizard Component
+ *
+ * Builds a reconciliation job from two feeds: sources, columns, key and
+ * compare columns with tolerances, and an output file per break type.
+ * spec is the wizard spec of model/reconciliation.js; errors are the
+ * reconErrors of the current step.
+ */
+
+const FEED_NAMES = ['A', 'B'];
+
+// Feed A / feed B column pickers for one key or compare row
+function ColumnPair({ spec, pair, onChange }) {
+  return FEED_NAMES.map((name, side) => {
+    const field = side === 0 ? 'left' : 'right';
+    return (
+      <td key={name}>
+        <select
+          className="transform-select"
+          value={pair[field] || ''}
+          onChange={e => onChange({ ...pair, [field]: e.target.value })}
+        >
+          <option value="">{spec.feeds[side].label || `Feed ${name}`} column...</option>
+          {spec.feeds[side].columns.map(column => (
+            <option key={column.name} value={column.name}>{column.name} ({column.type})</option>
+          ))}
+        </select>
+      </td>
+    );
+  });
+}
+
+export default function ReconciliationWizard({
+  spec,
+  step,
+  errors,
+  onSpecChange,
+  onBack,
+  onNext,
+  onGenerate,
+  onCancel
+}) {
+  const updateFeed = (side, changes) => {
+    onSpecChange({ ...spec, feeds: spec.feeds.map((feed, i) => (i === side ? { ...feed, ...changes } : feed)) });
+  };
+
+  // A new source type starts from its own defaults
+  const changeSource = (side, source) => {
+    const { label, columns } = spec.feeds[side];
+    updateFeed(side, { ...createFeed(label, source), columns });
+  };
+
+  const updateList = (list, index, value) => {
+    onSpecChange({ ...spec, [list]: spec[list].map((item, i) => (i === index ? value : item)) });
+  };
+  const removeFromList = (list, index) => {
+    onSpecChange({ ...spec, [list]: spec[list].filter((_, i) => i !== index) });
+  };
+
+  const updateOutputs = (changes) => onSpecChange({ ...spec, outputs: { ...spec.outputs, ...changes } });
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content smart-join-modal guided-join-wizard recon-wizard">
+        <div className="modal-header guided-join-header">
+          <h3>New Reconciliation Job</h3>
+          <button className="action-btn" onClick={onCancel} title="Cancel">
+            <X size={14} />
+          </button>
+        </div>
+
+        <ol className="guided-join-steps">
+          {RECON_STEPS.map(({ step: number, title }) => (
+            <li key={number} className={`${number === step ? 'active' : ''} ${number < step ? 'done' : ''}`}>
+              <span className="guided-join-step-number">{number < step ? <Check size={12} /> : number}</span>
+              {title}
+            </li>
+          ))}
+        </ol>
+
+        <div className="modal-body guided-join-body">
+          {step === 1 && spec.feeds.map((feed, side) => (
+            <fieldset key={FEED_NAMES[side]} className="recon-feed">
+              <legend>Feed {FEED_NAMES[side]}</legend>
+              <label className="recon-field">
+                <span>Name</span>
+                <input
+                  className="context-input"
+                  value={feed.label}
+                  onChange={e => updateFeed(side, { label: e.target.value })}
+                />
+              </label>
+              <label className="recon-field">
+                <span>Source</span>
+                <select className="transform-select" value={feed.source} onChange={e => changeSource(side, e.target.value)}>
+                  {Object.entries(FEED_SOURCES).map(([source, type]) => (
+                    <option key={source} value={source}>{getComponentDisplayName(type)}</option>
+                  ))}
+                </select>
+              </label>
+              {getFeedParams(feed).map(param => (
+                <label key={param.name} className="recon-field">
+                  <span>
+                    {param.label}
+                    {param.required && <span className="properties-required">*</span>}
+                  </span>
+                  <ParamField
+                    param={param}
+                    value={feed.config[param.name]}
+                    onChange={value => updateFeed(side, { config: { ...feed.config, [param.name]: value } })}
+                  />
+                </label>
+              ))}
+            </fieldset>
+          ))}
+
+          {step === 2 && spec.feeds.map((feed, side) => (
+            <fieldset key={FEED_NAMES[side]} className="recon-feed">
+              <legend>{feed.label} columns</legend>
+              <ColumnTable
+                columns={feed.columns}
+                errors={validateSchemaColumns(feed.columns)}
+                onChange={columns => updateFeed(side, { columns })}
+              />
+              <button
+                className="context-toolbar-btn"
+                onClick={() => updateFeed(side, { columns: [...feed.columns, createColumn()] })}
+              >
+                <Plus size={14} /> Column
+              </button>
+            </fieldset>
+          ))}
+
+          {step === 3 && (
+            <>
+              <p>Rows are matched on the key columns. String keys are trimmed and upper-cased first.</p>
+              <table className="context-table recon-pairs">
+                <tbody>
+                  {spec.keys.map((key, index) => (
+                    <tr key={index}>
+                      <ColumnPair spec={spec} pair={key} onChange={value => updateList('keys', index, value)} />
+                      <td>
+                        <button className="schema-remove-btn" onClick={() => removeFromList('keys', index)} title="Remove key">
+                          <Trash2 size={14} />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <button
+                className="context-toolbar-btn"
+                onClick={() => onSpecChange({ ...spec, keys: [...spec.keys, { left: '', right: '' }] })}
+              >
+                <Plus size={14} /> Key
+              </button>
+
+              <p>Matched rows are compared on these columns; numeric columns may differ by up to the tolerance.</p>
+              <table className="context-table recon-pairs">
+                <tbody>
+                  {spec.compares.map((compare, index) => (
+                    <tr key={index}>
+                      <ColumnPair spec={spec} pair={compare} onChange={value => updateList('compares', index, value)} />
+                      <td>
+                        <input
+                          className="context-input recon-tolerance"
+                          type="number"
+                          min="0"
+                          step="any"
+                          placeholder="Tolerance"
+                          value={compare.tolerance ?? ''}
+                          onChange={e => updateList('compares', index, { ...compare, tolerance: e.target.value })}
+                        />
+                      </td>
+                      <td>
+                        <button className="schema-remove-btn" onClick={() => removeFromList('compares', index)} title="Remove compare">
+                          <Trash2 size={14} />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <button
+                className="context-toolbar-btn"
+                onClick={() => onSpecChange({ ...spec, compares: [...spec.compares, { left: '', right: '', tolerance: '' }] })}
+              >
+                <Plus size={14} /> Compare column
+              </button>
+            </>
+          )}
+
+          {step === 4 && (
+            <>
+              <label className="recon-field">
+                <span>Job name</span>
+                <input
+                  className="context-input"
+                  value={spec.name}
+                  onChange={e => onSpecChange({ ...spec, name: e.target.value })}
+                />
+              </label>
+              <label className="recon-field">
+                <span>Field separator</span>
+                <input
+                  className="context-input recon-tolerance"
+                  value={spec.outputs.delimiter}
+                  onChange={e => updateOutputs({ delimiter: e.target.value })}
+                />
+              </label>
+              {BREAK_TYPES.map(({ key, label }) => (
+                <label key={key} className="recon-field">
+                  <span>{label.replace('feed A', spec.feeds[0].label).replace('feed B', spec.feeds[1].label)}</span>
+                  <input
+                    className="context-input"
+                    value={spec.outputs[key]}
+                    placeholder="Output file path"
+                    onChange={e => updateOutputs({ [key]: e.target.value })}
+                  />
+                </label>
+              ))}
+              <button className="context-toolbar-btn" onClick={() => updateOutputs(getDefaultOutputPaths(spec.name))}>
+                Use default paths
+              </button>
+              {spec.compares.length > 0 && (
+                <p className="recon-condition">
+                  Match condition: <code>{buildCompareCondition(spec)}</code>
+                </p>
+              )}
+            </>
+          )}
+
+          {errors.length > 0 && (
+            <ul className="guided-join-errors">
+              {errors.map(error => <li key={error.message} className="error-message">{error.message}</li>)}
+            </ul>
+          )}
+        </div>
+
+        <div className="modal-actions guided-join-actions">
+          <button className="btn" onClick={onBack} disabled={step === 1}>
+            <ChevronLeft size={14} /> Back
+          </button>
+          {step < RECON_STEPS.length ? (
+            <button className="btn btn-primary" onClick={onNext}>
+              Next <ChevronRight size={14} />
+            </button>
+          ) : (
+            <button className="btn btn-primary" onClick={onGenerate}>
+              <Check size={14} /> Generate job
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,219 @@
+import { useState, Fragment } from 'react';
+import { Download, GitCompare, History, RotateCw, Trash2, X } from 'lucide-react';
+import { compareRuns, formatDuration, getRunDuration, getRunRowTotal } from '../model/runHistory';
+import { formatRowCount } from '../model/executionProgress';
+import './RunsTab.css';
+
+/**
+ * RunsTab Component
+ *
+ * Bottom drawer tab with the past executions of the job. Two runs can be
+ * compared side by side (row counts and durations); any run can be repeated
+ * with the context values it used. Output files of the latest run can be
+ * downloaded.
+ */
+
+const formatTime = (iso) => new Date(iso).toLocaleString();
+
+const formatDelta = (delta, format = formatRowCount) => {
+  if (!delta) return '';
+  return `${delta > 0 ? '+' : '-'}${format(Math.abs(delta))}`;
+};
+
+function RunComparison({ runA, runB, onClose }) {
+  const comparison = compareRuns(runA, runB);
+
+  return (
+    <div className="runs-compare">
+      <div className="runs-compare-header">
+        <span>Comparing {runA.id} with {runB.id}</span>
+        <button className="action-btn" onClick={onClose} title="Close comparison">
+          <X size={14} />
+        </button>
+      </div>
+      <table className="context-table runs-compare-table">
+        <thead>
+          <tr>
+            <th />
+            <th>{runA.id}</th>
+            <th>{runB.id}</th>
+            <th>Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr className="runs-compare-duration">
+            <td>Duration</td>
+            <td>{formatDuration(comparison.durations[0])}</td>
+            <td>{formatDuration(comparison.durations[1])}</td>
+            <td className={comparison.durationDelta > 0 ? 'runs-delta-up' : 'runs-delta-down'}>
+              {formatDelta(comparison.durationDelta, formatDuration)}
+            </td>
+          </tr>
+          {comparison.components.map(({ componentId, a, b, rowsOutDelta }) => (
+            <tr key={componentId}>
+              <td className="context-name">{componentId}</td>
+              <td>{a ? `${formatRowCount(a.rowsIn)} in / ${formatRowCount(a.rowsOut)} out` : '-'}</td>
+              <td>{b ? `${formatRowCount(b.rowsIn)} in / ${formatRowCount(b.rowsOut)} out` : '-'}</td>
+              <td className={rowsOutDelta > 0 ? 'runs-delta-up' : 'runs-delta-down'}>{formatDelta(rowsOutDelta)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {comparison.context.length > 0 && (
+        <table className="context-table runs-compare-table">
+          <thead>
+            <tr>
+              <th>Context variable</th>
+              <th>{runA.id}</th>
+              <th>{runB.id}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {comparison.context.map(({ name, a, b }) => (
+              <tr key={name}>
+                <td className="context-name">{name}</td>
+                <td>{String(a ?? '')}</td>
+                <td>{String(b ?? '')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default function RunsTab({ runs, running, onRerun, onDeleteRun, onClearRuns, onDownloadOutput }) {
+  const [selectedRunIds, setSelectedRunIds] = useState([]);
+  const [comparing, setComparing] = useState(false);
+  const [expandedRunId, setExpandedRunId] = useState(null);
+
+  const selectedRuns = selectedRunIds.map(id => runs.find(run => run.id === id)).filter(Boolean);
+
+  // The last two ticked runs are the ones compared, oldest first
+  const toggleSelected = (runId) => {
+    setSelectedRunIds(prev => (prev.includes(runId)
+      ? prev.filter(id => id !== runId)
+      : [...prev, runId].slice(-2)));
+  };
+
+  if (runs.length === 0) {
+    return (
+      <div className="runs-tab">
+        <div className="runs-empty">
+          <History size={18} />
+          <span>No runs yet. Executions of this job are listed here.</span>
+        </div>
+      </div>
+    );
+  }
+
+  const [olderRun, newerRun] = [...selectedRuns].sort((a, b) => a.started_at.localeCompare(b.started_at));
+
+  return (
+    <div className="runs-tab">
+      <div className="runs-toolbar">
+        <span className="runs-count">{runs.length} run{runs.length === 1 ? '' : 's'}</span>
+        <button
+          className="context-toolbar-btn"
+          onClick={() => setComparing(true)}
+          disabled={selectedRuns.length !== 2}
+          title="Tick two runs to compare them"
+        >
+          <GitCompare size={14} /> Compare
+        </button>
+        <button
+          className="context-toolbar-btn"
+          onClick={() => window.confirm('Delete the run history of this job?') && onClearRuns()}
+        >
+          <Trash2 size={14} /> Clear
+        </button>
+      </div>
+
+      {comparing && selectedRuns.length === 2 && (
+        <RunComparison runA={olderRun} runB={newerRun} onClose={() => setComparing(false)} />
+      )}
+
+      <table className="context-table runs-table">
+        <thead>
+          <tr>
+            <th />
+            <th>Run</th>
+            <th>Started</th>
+            <th>Duration</th>
+            <th>Status</th>
+            <th>Rows written</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {runs.map((run, index) => (
+            <Fragment key={run.id}>
+              <tr
+                className={`runs-row ${expandedRunId === run.id ? 'expanded' : ''}`}
+                onClick={() => setExpandedRunId(expandedRunId === run.id ? null : run.id)}
+              >
+                <td onClick={e => e.stopPropagation()}>
+                  <input type="checkbox" checked={selectedRunIds.includes(run.id)} onChange={() => toggleSelected(run.id)} />
+                </td>
+                <td className="context-name">
+                  {run.id}
+                  {run.mode === 'debug' && <span className="runs-mode">debug</span>}
+                </td>
+                <td>{formatTime(run.started_at)}</td>
+                <td>{formatDuration(getRunDuration(run))}</td>
+                <td><span className={`runs-status ${run.status}`}>{run.status}</span></td>
+                <td>{formatRowCount(getRunRowTotal(run))}</td>
+                <td className="runs-actions" onClick={e => e.stopPropagation()}>
+                  <button
+                    className="action-btn"
+                    onClick={() => onRerun(run)}
+                    disabled={running}
+                    title="Run again with this run's context values"
+                  >
+                    <RotateCw size={14} />
+                  </button>
+                  {index === 0 && run.status === 'succeeded' && run.outputs.length > 0 && (
+                    <button className="action-btn" onClick={onDownloadOutput} title="Download output file">
+                      <Download size={14} />
+                    </button>
+                  )}
+                  <button className="action-btn" onClick={() => onDeleteRun(run.id)} title="Delete run">
+                    <Trash2 size={14} />
+                  </button>
+                </td>
+              </tr>
+              {expandedRunId === run.id && (
+                <tr className="runs-details">
+                  <td colSpan={7}>
+                    {run.error && <div className="error-message">{run.error}</div>}
+                    <div className="runs-details-grid">
+                      <div>
+                        <h4>Context</h4>
+                        <ul>
+                          {Object.entries(run.context).map(([name, value]) => (
+                            <li key={name}><span className="context-name">{name}</span> = {String(value)}</li>
+                          ))}
+                        </ul>
+                      </div>
+                      <div>
+                        <h4>Outputs</h4>
+                        <ul>
+                          {run.outputs.map(output => (
+                            <li key={output.componentId}>
+                              <span className="context-name">{output.componentId}</span> {output.filepath}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    </div>
+                  </td>
+                </tr>
+              )}
+            </Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,347 @@
+import { useState } from 'react';
+import { CalendarClock, FileSpreadsheet, Pencil, Play, Plus, Save, Trash2, X } from 'lucide-react';
+import { CRON_PRESETS, getNextRuns, validateCron } from '../model/cron';
+import { getContextNames, getContextVariables } from '../model/contextEnvironments';
+import {
+  createSchedule,
+  validateSchedule,
+  parseParameterCsv,
+  resolveScheduleContext,
+  isDateVariable,
+  getUpcomingRuns,
+  getRunsPerFiring
+} from '../model/schedules';
+import { formatDuration, getRunDuration } from '../model/runHistory';
+import './DataPreviewTab.css';
+import './RunsTab.css';
+import './ScheduleTab.css';
+
+/**
+ * ScheduleTab Component
+ *
+ * Bottom drawer tab for scheduled runs of the job: cron schedules with their
+ * context environment, overrides (business dates like T-1 business day) and
+ * optional parameter CSV for batch mode, then the upcoming firings and the
+ * past scheduled runs with their status.
+ */
+
+const UPCOMING_LIMIT = 10;
+const BATCH_PREVIEW_ROWS = 5;
+
+const formatTime = (value) => new Date(value).toLocaleString();
+
+// Only the values a schedule sets, as they resolve on a given date
+const describeOverrides = (job, schedule, at) => {
+  const context = resolveScheduleContext(job, schedule, at);
+  return Object.keys(schedule.overrides).map(name => `${name}=${context[name]}`).join(', ');
+};
+
+function ScheduleEditor({ job, schedule, saveError, onChange, onSave, onCancel }) {
+  const [csvErrors, setCsvErrors] = useState([]);
+  const errors = validateSchedule(job, schedule);
+  const fieldError = (field) => errors.find(error => error.field === field)?.message;
+  const variables = getContextVariables(job, schedule.context_name);
+  const cronError = validateCron(schedule.cron);
+  const nextRuns = cronError ? [] : getNextRuns(schedule.cron, new Date(), 5);
+  const nextContext = nextRuns.length > 0 ? resolveScheduleContext(job, schedule, nextRuns[0]) : {};
+
+  const setOverride = (name, value) => {
+    const { [name]: _removed, ...rest } = schedule.overrides;
+    onChange({ ...schedule, overrides: value === '' ? rest : { ...rest, [name]: value } });
+  };
+
+  const handleCsvFile = async (file) => {
+    if (!file) return;
+    const { columns, rows, errors: problems } = parseParameterCsv(await file.text(), job, schedule.context_name);
+    setCsvErrors(problems);
+    if (problems.length === 0) {
+      onChange({ ...schedule, batch: { file_name: file.name, columns, rows } });
+    }
+  };
+
+  return (
+    <div className="schedule-editor">
+      <div className="schedule-editor-fields">
+        <label>
+          Name
+          <input className="context-input" value={schedule.name} onChange={e => onChange({ ...schedule, name: e.target.value })} />
+          {fieldError('name') && <span className="properties-error">{fieldError('name')}</span>}
+        </label>
+        <label>
+          Schedule (cron)
+          <div className="schedule-cron">
+            <input
+              className="context-input"
+              value={schedule.cron}
+              onChange={e => onChange({ ...schedule, cron: e.target.value })}
+              placeholder="minute hour day-of-month month day-of-week"
+            />
+            <select className="transform-select" value="" onChange={e => e.target.value && onChange({ ...schedule, cron: e.target.value })}>
+              <option value="">Presets...</option>
+              {Object.keys(CRON_PRESETS).map(preset => (
+                <option key={preset} value={preset}>{preset} ({CRON_PRESETS[preset]})</option>
+              ))}
+            </select>
+          </div>
+          {fieldError('cron') && <span className="properties-error">{fieldError('cron')}</span>}
+        </label>
+        <label>
+          Context
+          <select
+            className="transform-select"
+            value={schedule.context_name || ''}
+            onChange={e => onChange({ ...schedule, context_name: e.target.value })}
+          >
+            {getContextNames(job).map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+          {fieldError('context') && <span className="properties-error">{fieldError('context')}</span>}
+        </label>
+        <label className="schedule-enabled">
+          <input type="checkbox" checked={schedule.enabled} onChange={e => onChange({ ...schedule, enabled: e.target.checked })} />
+          Enabled
+        </label>
+      </div>
+
+      {nextRuns.length > 0 && (
+        <div className="schedule-next">Next: {nextRuns.map(formatTime).join(' · ')}</div>
+      )}
+
+      <table className="context-table">
+        <thead>
+          <tr>
+            <th>Variable</th>
+            <th>{schedule.context_name} value</th>
+            <th>Override</th>
+            <th>Next run</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(variables).map(([name, item]) => (
+            <tr key={name}>
+              <td className="context-name">{name} <span className="data-preview-meta">{item.type}</span></td>
+              <td>{String(item.value ?? '')}</td>
+              <td>
+                <input
+                  className="context-input"
+                  value={schedule.overrides[name] ?? ''}
+                  onChange={e => setOverride(name, e.target.value)}
+                  placeholder={isDateVariable(item) ? 'e.g. T-1 business day' : ''}
+                />
+                {fieldError(`override:${name}`) && <span className="properties-error">{fieldError(`override:${name}`)}</span>}
+              </td>
+              <td>{name in schedule.overrides ? String(nextContext[name] ?? '') : ''}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="schedule-batch">
+        <div className="schedule-batch-header">
+          <span>
+            Batch mode: {schedule.batch
+              ? `${schedule.batch.rows.length} runs per firing from ${schedule.batch.file_name}`
+              : 'off, one run per firing'}
+          </span>
+          <label className="context-toolbar-btn">
+            <FileSpreadsheet size={14} /> Load parameter CSV
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              hidden
+              onChange={e => {
+                handleCsvFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+          {schedule.batch && (
+            <button className="context-toolbar-btn" onClick={() => onChange({ ...schedule, batch: null })}>
+              <X size={14} /> Remove batch
+            </button>
+          )}
+        </div>
+        {csvErrors.map(message => <div key={message} className="properties-error">{message}</div>)}
+        {fieldError('batch') && <div className="properties-error">{fieldError('batch')}</div>}
+        {schedule.batch && (
+          <table className="context-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                {schedule.batch.columns.map(column => <th key={column}>{column}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {schedule.batch.rows.slice(0, BATCH_PREVIEW_ROWS).map((row, index) => (
+                <tr key={index}>
+                  <td>{index + 1}</td>
+                  {schedule.batch.columns.map(column => <td key={column}>{row[column]}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {schedule.batch?.rows.length > BATCH_PREVIEW_ROWS && (
+          <div className="schedule-next">… and {schedule.batch.rows.length - BATCH_PREVIEW_ROWS} more rows</div>
+        )}
+      </div>
+
+      {saveError && <pre className="error-message">{saveError}</pre>}
+      <div className="schedule-editor-actions">
+        <button className="context-toolbar-btn" onClick={onCancel}>Cancel</button>
+        <button className="context-toolbar-btn" onClick={onSave} disabled={errors.length > 0}>
+          <Save size={14} /> Save schedule
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function ScheduleTab({ job, schedules, runs, error, onSaveSchedule, onDeleteSchedule, onTriggerSchedule }) {
+  const [draft, setDraft] = useState(null);
+
+  const now = new Date();
+  const upcoming = getUpcomingRuns(schedules, now).slice(0, UPCOMING_LIMIT);
+  const scheduleNames = new Map(schedules.map(schedule => [schedule.id, schedule.name]));
+
+  // Failed operations leave their message in `error` (useSchedules sets it and rethrows),
+  // shown in the editor while one is open and above the list otherwise
+  const perform = async (operation) => {
+    try {
+      await operation();
+      return true;
+    } catch (err) {
+      return false;
+    }
+  };
+
+  const handleSave = async () => {
+    if (await perform(() => onSaveSchedule(draft))) setDraft(null);
+  };
+
+  return (
+    <div className="runs-tab schedule-tab">
+      <div className="runs-toolbar">
+        <span className="runs-count">{schedules.length} schedule{schedules.length === 1 ? '' : 's'}</span>
+        <button className="context-toolbar-btn" onClick={() => setDraft(createSchedule(job))} disabled={Boolean(draft)}>
+          <Plus size={14} /> New schedule
+        </button>
+      </div>
+
+      {error && !draft && <pre className="error-message">{error}</pre>}
+
+      {draft && (
+        <ScheduleEditor
+          job={job}
+          schedule={draft}
+          saveError={error}
+          onChange={setDraft}
+          onSave={handleSave}
+          onCancel={() => setDraft(null)}
+        />
+      )}
+
+      {schedules.length > 0 && (
+        <table className="context-table">
+          <thead>
+            <tr>
+              <th />
+              <th>Schedule</th>
+              <th>Cron</th>
+              <th>Context</th>
+              <th>Runs per firing</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {schedules.map(schedule => (
+              <tr key={schedule.id} className={schedule.enabled ? '' : 'schedule-disabled'}>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={schedule.enabled}
+                    onChange={e => perform(() => onSaveSchedule({ ...schedule, enabled: e.target.checked }))}
+                    title="Enabled"
+                  />
+                </td>
+                <td className="context-name">{schedule.name}</td>
+                <td><code>{schedule.cron}</code></td>
+                <td>{schedule.context_name}</td>
+                <td>{getRunsPerFiring(schedule)}</td>
+                <td className="runs-actions">
+                  <button className="action-btn" onClick={() => setDraft(schedule)} disabled={Boolean(draft)} title="Edit schedule">
+                    <Pencil size={14} />
+                  </button>
+                  <button className="action-btn" onClick={() => perform(() => onTriggerSchedule(schedule.id))} title="Run now">
+                    <Play size={14} />
+                  </button>
+                  <button
+                    className="action-btn"
+                    onClick={() => window.confirm(`Delete schedule ${schedule.name}?`) && perform(() => onDeleteSchedule(schedule.id))}
+                    title="Delete schedule"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h4 className="schedule-section">Upcoming</h4>
+      {upcoming.length === 0 ? (
+        <div className="runs-empty">
+          <CalendarClock size={18} />
+          <span>No enabled schedules</span>
+        </div>
+      ) : (
+        <table className="context-table">
+          <tbody>
+            {upcoming.map(({ schedule, at }) => (
+              <tr key={`${schedule.id}-${at.getTime()}`}>
+                <td>{formatTime(at)}</td>
+                <td className="context-name">{schedule.name}</td>
+                <td>{getRunsPerFiring(schedule)} run{getRunsPerFiring(schedule) === 1 ? '' : 's'}</td>
+                <td>{describeOverrides(job, schedule, at)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h4 className="schedule-section">Past scheduled runs</h4>
+      {runs.length === 0 ? (
+        <div className="runs-empty">
+          <span>No scheduled runs yet</span>
+        </div>
+      ) : (
+        <table className="context-table">
+          <thead>
+            <tr>
+              <th>Planned</th>
+              <th>Schedule</th>
+              <th>Batch row</th>
+              <th>Status</th>
+              <th>Duration</th>
+              <th>Context</th>
+            </tr>
+          </thead>
+          <tbody>
+            {runs.map(run => (
+              <tr key={run.id} title={run.error || undefined}>
+                <td>{formatTime(run.planned_at)}</td>
+                <td className="context-name">{scheduleNames.get(run.schedule_id) || run.schedule_id}</td>
+                <td>{run.batch_row === null ? '-' : run.batch_row + 1}</td>
+                <td><span className={`runs-status ${run.status}`}>{run.status}</span></td>
+                <td>{run.finished_at ? formatDuration(getRunDuration(run)) : '-'}</td>
+                <td className="schedule-run-context">
+                  {Object.entries(run.context || {}).map(([name, value]) => `${name}=${value}`).join(', ')}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,232 @@
+import { useState, useEffect } from 'react';
+import { Plus, Trash2, RefreshCw, AlertTriangle, Columns3 } from 'lucide-react';
+import { getComponentPorts, getComponentSchemaMode } from '../model/componentRegistry';
+import {
+  SCHEMA_TYPES,
+  createColumn,
+  getInputSchema,
+  getOutputSchema,
+  validateSchemaColumns
+} from '../model/schema';
+import './SchemaTab.css';
+
+/**
+ * SchemaTab Component
+ *
+ * Bottom drawer tab with the column schema of the selected component.
+ * Components that own their columns edit a draft that is applied as one
+ * change; derived schemas are read-only. Out-of-sync inputs are listed
+ * with a Propagate action.
+ */
+
+const MODE_LABELS = {
+  defined: 'Defined on this component',
+  map: 'Output tables edited in the mapper (double-click the node)',
+  passthrough: 'Derived from the main input',
+  join: 'Main input plus lookup columns',
+  unite: 'Main input; lookup must match'
+};
+
+export function ColumnTable({ columns, onChange, errors = [] }) {
+  const editable = Boolean(onChange);
+  const errorRows = new Set(errors.map(error => error.index));
+
+  const updateColumn = (index, changes) => {
+    onChange(columns.map((column, i) => (i === index ? { ...column, ...changes } : column)));
+  };
+
+  if (columns.length === 0 && !editable) {
+    return <div className="schema-empty">No columns</div>;
+  }
+
+  return (
+    <table className="context-table schema-table">
+      <thead>
+        <tr>
+          <th>Column</th>
+          <th>Type</th>
+          <th>Nullable</th>
+          <th>Length</th>
+          <th>Date pattern</th>
+          {editable && <th />}
+        </tr>
+      </thead>
+      <tbody>
+        {columns.map((column, index) => (
+          <tr key={index} className={errorRows.has(index) ? 'schema-row-error' : ''}>
+            {editable ? (
+              <>
+                <td>
+                  <input
+                    className="context-input"
+                    value={column.name}
+                    onChange={e => updateColumn(index, { name: e.target.value })}
+                  />
+                </td>
+                <td>
+                  <select
+                    className="transform-select"
+                    value={column.type}
+                    onChange={e => updateColumn(index, {
+                      type: e.target.value,
+                      date_pattern: e.target.value === 'date' ? column.date_pattern : null
+                    })}
+                  >
+                    {SCHEMA_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                  </select>
+                </td>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={column.nullable !== false}
+                    onChange={e => updateColumn(index, { nullable: e.target.checked })}
+                  />
+                </td>
+                <td>
+                  <input
+                    className="context-input schema-length-input"
+                    type="number"
+                    min="1"
+                    value={column.length ?? ''}
+                    onChange={e => updateColumn(index, { length: e.target.value === '' ? null : Number(e.target.value) })}
+                  />
+                </td>
+                <td>
+                  <input
+                    className="context-input"
+                    value={column.date_pattern || ''}
+                    placeholder={column.type === 'date' ? 'yyyy-MM-dd' : ''}
+                    disabled={column.type !== 'date'}
+                    onChange={e => updateColumn(index, { date_pattern: e.target.value || null })}
+                  />
+                </td>
+                <td>
+                  <button
+                    className="schema-remove-btn"
+                    onClick={() => onChange(columns.filter((_, i) => i !== index))}
+                    title="Remove column"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </td>
+              </>
+            ) : (
+              <>
+                <td className="context-name">{column.name}</td>
+                <td className="context-type">{column.type}</td>
+                <td>{column.nullable !== false ? 'yes' : 'no'}</td>
+                <td>{column.length || ''}</td>
+                <td>{column.date_pattern || ''}</td>
+              </>
+            )}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default function SchemaTab({ job, componentId, outOfSync, onSchemaChange, onPropagate }) {
+  const component = (job?.components || []).find(c => c.id === componentId);
+  const mode = component ? getComponentSchemaMode(component) : null;
+  const storedColumns = component?.schema?.main;
+
+  const [draft, setDraft] = useState(null);
+
+  // A new selection or an external change (undo, import) discards the draft
+  useEffect(() => {
+    setDraft(null);
+  }, [componentId, storedColumns]);
+
+  if (!component) {
+    return (
+      <div className="schema-tab">
+        <div className="schema-empty">
+          <Columns3 size={18} />
+          <span>Select a component to see its schema</span>
+        </div>
+      </div>
+    );
+  }
+
+  const { inputs, outputs } = getComponentPorts(component);
+  const editable = mode === 'defined';
+  const columns = draft || getOutputSchema(job, component.id, 'main');
+  const errors = draft ? validateSchemaColumns(draft) : [];
+  const extraOutputs = outputs.filter(port => port !== 'main');
+
+  return (
+    <div className="schema-tab">
+      <div className="context-toolbar">
+        <span className="schema-title">{component.id}</span>
+        <span className="schema-mode">{MODE_LABELS[mode]}</span>
+        <div className="schema-actions">
+          {editable && (
+            <button className="context-toolbar-btn" onClick={() => setDraft([...columns, createColumn()])}>
+              <Plus size={14} /> Column
+            </button>
+          )}
+          {draft && (
+            <>
+              <button className="context-toolbar-btn" onClick={() => setDraft(null)}>Revert</button>
+              <button
+                className="context-toolbar-btn"
+                disabled={errors.length > 0}
+                onClick={() => onSchemaChange(component.id, 'main', draft)}
+              >
+                Apply
+              </button>
+            </>
+          )}
+          <button
+            className="context-toolbar-btn"
+            onClick={() => onPropagate(component.id)}
+            title="Update every component downstream of this one to the current columns"
+          >
+            <RefreshCw size={14} /> Propagate schema
+          </button>
+        </div>
+      </div>
+
+      {outOfSync && outOfSync.length > 0 && (
+        <div className="schema-out-of-sync">
+          <AlertTriangle size={16} />
+          <ul>
+            {outOfSync.map((difference, index) => (
+              <li key={index}>{difference.port !== 'main' ? `${difference.port}: ` : ''}{difference.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {errors.length > 0 && (
+        <ul className="schema-errors">
+          {errors.map((error, index) => <li key={index}>{error.message}</li>)}
+        </ul>
+      )}
+
+      <div className="context-table-container">
+        <h4 className="schema-section">Output{outputs.length > 1 ? ' (main)' : ''}</h4>
+        <ColumnTable columns={columns} errors={errors} onChange={editable ? setDraft : null} />
+
+        {extraOutputs.map(port => (
+          <div key={port}>
+            <h4 className="schema-section">Output ({port})</h4>
+            <ColumnTable columns={getOutputSchema(job, component.id, port)} />
+          </div>
+        ))}
+
+        {inputs.map(port => {
+          const inputColumns = getInputSchema(job, component.id, port);
+          if (!inputColumns) return null;
+          return (
+            <div key={port}>
+              <h4 className="schema-section">Input ({port})</h4>
+              <ColumnTable columns={inputColumns} />
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
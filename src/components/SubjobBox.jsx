@@ -0,0 +1,81 @@
+import { ChevronDown, ChevronRight, Zap, Layers } from 'lucide-react';
+import { NODE_WIDTH, NODE_HEIGHT } from '../model/viewport';
+import './SubjobBox.css';
+
+/**
+ * SubjobBox Component
+ *
+ * Coloured box around the components of one subjob, in canvas coordinates.
+ * Collapsed, it is drawn as a single summary node at the box's corner.
+ * The header handle starts a trigger drag; dropping on another subjob ends it.
+ */
+
+export default function SubjobBox({
+  subjobId,
+  bounds,
+  color,
+  collapsed,
+  summary,
+  dropState,
+  onToggleCollapsed,
+  onTriggerMouseDown,
+  onTriggerMouseUp
+}) {
+  const dropClass = dropState ? (dropState.valid ? 'trigger-drop-valid' : 'trigger-drop-invalid') : '';
+
+  const header = (
+    <div className="subjob-header" style={{ background: color }}>
+      <button
+        className="subjob-toggle"
+        onMouseDown={e => e.stopPropagation()}
+        onClick={() => onToggleCollapsed(subjobId)}
+        title={collapsed ? 'Expand subjob' : 'Collapse subjob'}
+      >
+        {collapsed ? <ChevronRight size={12} /> : <ChevronDown size={12} />}
+      </button>
+      <span className="subjob-title">{subjobId}</span>
+      <span
+        className="subjob-trigger-handle"
+        onMouseDown={e => onTriggerMouseDown(e, subjobId)}
+        title="Drag to another subjob to add a trigger"
+      >
+        <Zap size={12} />
+      </span>
+    </div>
+  );
+
+  if (collapsed) {
+    return (
+      <div
+        className={`subjob-summary-node ${dropClass}`}
+        style={{ left: bounds.x, top: bounds.y, width: NODE_WIDTH, minHeight: NODE_HEIGHT, borderColor: color }}
+        onMouseUp={e => onTriggerMouseUp(e, subjobId)}
+        title={dropState?.reason || undefined}
+      >
+        {header}
+        <div className="subjob-summary">
+          <Layers size={16} />
+          <span>{summary}</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={`subjob-box ${dropClass}`}
+      style={{
+        left: bounds.x,
+        top: bounds.y,
+        width: bounds.width,
+        height: bounds.height,
+        borderColor: color,
+        backgroundColor: `color-mix(in srgb, ${color} 8%, transparent)`
+      }}
+      onMouseUp={e => onTriggerMouseUp(e, subjobId)}
+      title={dropState?.reason || undefined}
+    >
+      {header}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+/**
+ * TalendImportReport Component
+ *
+ * Summary shown after importing a Talend .item file: what was imported,
+ * which components are unsupported and any connection warnings.
+ */
+
+export default function TalendImportReport({ report, onClose }) {
+  if (!report) return null;
+
+  const { job, unsupported, warnings, fileName } = report;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content smart-join-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Imported {fileName}</h3>
+        </div>
+        <div className="modal-body">
+          <p>
+            {job.components.length} components, {job.flows.length} flows, {job.triggers.length} triggers
+            and {Object.keys(job.context).length} context group(s) imported.
+          </p>
+
+          {unsupported.length > 0 && (
+            <div className="error-messages">
+              <div className="error-message">
+                {unsupported.length} unsupported component(s) were kept on the canvas but cannot run:
+              </div>
+              {unsupported.map(component => (
+                <div key={component.id} className="error-message">
+                  • {component.id} ({component.original_type})
+                </div>
+              ))}
+            </div>
+          )}
+
+          {warnings.length > 0 && (
+            <div className="error-messages">
+              {warnings.map(warning => (
+                <div key={warning} className="error-message">• {warning}</div>
+              ))}
+            </div>
+          )}
+        </div>
+        <div className="modal-actions">
+          <button className="btn btn-primary" onClick={onClose}>OK</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import { GitCompare, X } from 'lucide-react';
+import { summarizeDiff } from '../model/jobDiff';
+import './VersionDiffBanner.css';
+
+/**
+ * VersionDiffBanner Component
+ *
+ * Shown over the canvas while a version diff is highlighted: what the
+ * comparison is, its summary, and what was removed (and so is not on
+ * the canvas to highlight).
+ */
+
+export default function VersionDiffBanner({ label, diff, onClose }) {
+  const removedComponents = diff.components.removed;
+  const removedFlows = diff.flows.removed;
+
+  return (
+    <div className="version-diff-banner">
+      <GitCompare size={14} />
+      <span className="version-diff-label">{label}</span>
+      <span className="version-diff-summary">{summarizeDiff(diff)}</span>
+      <span className="version-diff-legend">
+        <span className="legend-added">added</span>
+        <span className="legend-changed">changed</span>
+        <span className="legend-moved">moved</span>
+      </span>
+      {(removedComponents.length > 0 || removedFlows.length > 0) && (
+        <span className="version-diff-removed">
+          Removed: {[
+            ...removedComponents.map(component => component.id),
+            ...removedFlows.map(flow => `${flow.from} → ${flow.to}`)
+          ].join(', ')}
+        </span>
+      )}
+      <button className="action-btn" onClick={onClose} title="Hide differences">
+        <X size={14} />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import { ZoomIn, ZoomOut, Maximize, Scan } from 'lucide-react';
+import './ViewportControls.css';
+
+/**
+ * ViewportControls Component
+ *
+ * Zoom in/out, fit-to-view and zoom-to-selection buttons for the flow viewport
+ */
+
+export default function ViewportControls({ zoom, onZoomIn, onZoomOut, onResetZoom, onFitToView, onZoomToSelection, hasSelection }) {
+  return (
+    <div className="viewport-controls">
+      <button className="viewport-control-btn" onClick={onZoomOut} title="Zoom out">
+        <ZoomOut size={16} />
+      </button>
+      <button className="viewport-zoom-level" onClick={onResetZoom} title="Reset zoom to 100%">
+        {Math.round(zoom * 100)}%
+      </button>
+      <button className="viewport-control-btn" onClick={onZoomIn} title="Zoom in">
+        <ZoomIn size={16} />
+      </button>
+      <button className="viewport-control-btn" onClick={onFitToView} title="Fit to view (Shift+1)">
+        <Maximize size={16} />
+      </button>
+      <button
+        className="viewport-control-btn"
+        onClick={onZoomToSelection}
+        disabled={!hasSelection}
+        title="Zoom to selection (Shift+2)"
+      >
+        <Scan size={16} />
+      </button>
+    </div>
+  );
+}
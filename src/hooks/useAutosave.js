@@ -0,0 +1,77 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { saveDraft, loadDraft, clearDraft } from '../services/draftStorage';
+import { syncSubjobs } from '../model/subjobs';
+
+/**
+ * useAutosave Hook
+ *
+ * Keeps unsaved canvas changes as a draft in the background and offers the
+ * draft left by a previous session for recovery.
+ * baseline is the job as last saved (or opened); without one, the job the
+ * canvas started with. The job is dirty when it differs from the baseline;
+ * both are compared with their subjobs synced, since the canvas recomputes
+ * subjobs of a loaded job without any user edit.
+ * While a recoverable draft is pending it is not overwritten.
+ */
+
+export const AUTOSAVE_DELAY_MS = 2000;
+
+const sameJob = (a, b) => JSON.stringify(syncSubjobs(a)) === JSON.stringify(syncSubjobs(b));
+
+export default function useAutosave(job, baseline, entry) {
+  const [initialJob, setInitialJob] = useState(null);
+  const [recoverableDraft, setRecoverableDraft] = useState(() => loadDraft());
+  const [lastAutosave, setLastAutosave] = useState(null);
+
+  useEffect(() => {
+    if (job && !initialJob) setInitialJob(job);
+  }, [job, initialJob]);
+
+  const reference = baseline || initialJob;
+  const dirty = useMemo(() => Boolean(job && reference && !sameJob(job, reference)), [job, reference]);
+
+  // A draft identical to what was loaded has nothing to recover
+  useEffect(() => {
+    if (recoverableDraft && initialJob && sameJob(recoverableDraft.job, initialJob)) {
+      setRecoverableDraft(null);
+    }
+  }, [recoverableDraft, initialJob]);
+
+  useEffect(() => {
+    if (recoverableDraft || !job) return undefined;
+    if (!dirty) {
+      clearDraft();
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      const draft = saveDraft(job, entry);
+      if (draft) setLastAutosave(draft.saved_at);
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [job, dirty, entry, recoverableDraft]);
+
+  // Browser "Leave site?" warning while changes are unsaved
+  useEffect(() => {
+    if (!dirty) return undefined;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [dirty]);
+
+  // Hand the pending draft to the caller; autosave resumes afterwards
+  const takeDraft = useCallback(() => {
+    const draft = recoverableDraft;
+    setRecoverableDraft(null);
+    return draft;
+  }, [recoverableDraft]);
+
+  const discardDraft = useCallback(() => {
+    clearDraft();
+    setRecoverableDraft(null);
+  }, []);
+
+  return { dirty, lastAutosave, recoverableDraft, takeDraft, discardDraft };
+}
@@ -0,0 +1,65 @@
+import useAutosave, { AUTOSAVE_DELAY_MS } from './useAutosave';
+import { syncSubjobs } from '../model/subjobs';
+import { saveDraft, loadDraft } from '../services/draftStorage';
+import { renderHook, act } from '../testing/renderHook';
+
+// Stored without subjobs, as jobs saved before subjobs existed
+const storedJob = {
+  name: 'autosave_test',
+  components: [
+    { id: 'in_1', type: 'file_input_delimited', position: { x: 0, y: 0 } },
+    { id: 'out_2', type: 'file_output_delimited', position: { x: 200, y: 0 } }
+  ],
+  flows: [{ name: 'main', from: 'in_1', to: 'out_2', type: 'flow' }],
+  triggers: []
+};
+
+describe('useAutosave', () => {
+  beforeEach(() => localStorage.clear());
+  afterEach(() => jest.useRealTimers());
+
+  it('does not count synced subjobs as an unsaved change', () => {
+    const { result, rerender } = renderHook(({ job, baseline }) => useAutosave(job, baseline, null), {
+      job: storedJob,
+      baseline: storedJob
+    });
+    expect(result.current.dirty).toBe(false);
+
+    rerender({ job: syncSubjobs(storedJob), baseline: storedJob });
+    expect(result.current.dirty).toBe(false);
+
+    rerender({ job: syncSubjobs({ ...storedJob, name: 'renamed' }), baseline: storedJob });
+    expect(result.current.dirty).toBe(true);
+  });
+
+  it('saves a draft of unsaved changes after the autosave delay', () => {
+    jest.useFakeTimers();
+    const renamed = { ...storedJob, name: 'renamed' };
+    const { result } = renderHook(({ job, baseline }) => useAutosave(job, baseline, null), { job: renamed, baseline: storedJob });
+
+    act(() => jest.advanceTimersByTime(AUTOSAVE_DELAY_MS - 1));
+    expect(loadDraft()).toBeNull();
+    act(() => jest.advanceTimersByTime(1));
+    expect(loadDraft().job).toEqual(renamed);
+    expect(result.current.lastAutosave).toBe(loadDraft().saved_at);
+  });
+
+  it('keeps the draft of a previous session until it is taken or discarded', () => {
+    jest.useFakeTimers();
+    const draftJob = { ...storedJob, name: 'left behind' };
+    saveDraft(draftJob);
+    const { result } = renderHook(({ job, baseline }) => useAutosave(job, baseline, null), {
+      job: { ...storedJob, name: 'renamed' },
+      baseline: storedJob
+    });
+    expect(result.current.recoverableDraft.job).toEqual(draftJob);
+
+    act(() => jest.advanceTimersByTime(AUTOSAVE_DELAY_MS));
+    expect(loadDraft().job).toEqual(draftJob);
+
+    act(() => result.current.discardDraft());
+    expect(result.current.recoverableDraft).toBeNull();
+    act(() => jest.advanceTimersByTime(AUTOSAVE_DELAY_MS));
+    expect(loadDraft().job.name).toBe('renamed');
+  });
+});
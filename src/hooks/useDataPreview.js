@@ -0,0 +1,40 @@
+import { useState, useRef, useCallback } from 'react';
+import { getUpstreamJob } from '../model/dataPreview';
+import { requestPreview } from '../services/previewService';
+
+/**
+ * useDataPreview Hook
+ *
+ * Sample rows of one component output. Only the latest request is kept -
+ * a result arriving after a newer preview was started is dropped.
+ */
+export default function useDataPreview(job) {
+  const [preview, setPreview] = useState(null);
+  const requestId = useRef(0);
+
+  const runPreview = useCallback(async (target, { context, limit }) => {
+    if (!job || !target) return;
+
+    const id = ++requestId.current;
+    setPreview({ target, limit, loading: true, error: null, result: null });
+
+    try {
+      const result = await requestPreview(getUpstreamJob(job, target.componentId), target, { context, limit });
+      if (id === requestId.current) {
+        setPreview({ target, limit, loading: false, error: null, result });
+      }
+    } catch (error) {
+      console.error('Data preview failed:', error);
+      if (id === requestId.current) {
+        setPreview({ target, limit, loading: false, error: error.message, result: null });
+      }
+    }
+  }, [job]);
+
+  const clearPreview = useCallback(() => {
+    requestId.current += 1;
+    setPreview(null);
+  }, []);
+
+  return { preview, runPreview, clearPreview };
+}
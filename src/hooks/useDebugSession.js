@@ -0,0 +1,98 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { createDebugState, applyDebugEvent, toProtocolBreakpoints } from '../model/debugSession';
+import { connectExecutionStream } from '../services/executionStream';
+import { startDebugRun, sendDebugCommand } from '../services/debugService';
+
+/**
+ * useDebugSession Hook
+ *
+ * Breakpoints of the current job and the debug run driven by them.
+ * startDebug() opens the event stream before starting the run so the first
+ * pause cannot be missed, holds events back until the run id is known and
+ * resolves to that id (null when the run could not be started). The stream
+ * closes itself once the run finishes.
+ */
+export default function useDebugSession(job) {
+  const [breakpoints, setBreakpoints] = useState({});
+  const [debugState, setDebugState] = useState(null);
+  const [commandError, setCommandError] = useState(null);
+  const closeStream = useRef(null);
+  const debugRunId = useRef(null);
+  const heldEvents = useRef([]);
+
+  const stopListening = useCallback(() => {
+    if (closeStream.current) {
+      closeStream.current();
+      closeStream.current = null;
+    }
+  }, []);
+
+  const startDebug = useCallback(async (context) => {
+    if (!job) return;
+
+    stopListening();
+    setCommandError(null);
+    setDebugState(createDebugState());
+    debugRunId.current = null;
+    heldEvents.current = [];
+
+    const applyEvents = (events) => {
+      setDebugState(prev => (prev ? events.reduce(applyDebugEvent, prev) : prev));
+      if (events.some(event => event.type === 'run_finished')) {
+        stopListening();
+      }
+    };
+
+    closeStream.current = connectExecutionStream(job.name, {
+      onEvent: (event) => {
+        if (!debugRunId.current) {
+          heldEvents.current.push(event);
+        } else {
+          applyEvents([event]);
+        }
+      },
+      onError: () => {
+        console.warn('Debug event stream closed');
+        stopListening();
+      }
+    });
+
+    try {
+      const { runId } = await startDebugRun(job, context, toProtocolBreakpoints(job, breakpoints));
+      debugRunId.current = runId;
+      setDebugState(prev => (prev ? { ...prev, runId } : prev));
+      applyEvents(heldEvents.current.filter(event => !event.runId || event.runId === runId));
+      heldEvents.current = [];
+      return runId;
+    } catch (error) {
+      stopListening();
+      setDebugState(prev => ({ ...(prev || createDebugState()), status: 'finished', error: error.message }));
+      return null;
+    }
+  }, [job, breakpoints, stopListening]);
+
+  const sendCommand = useCallback(async (command) => {
+    if (!debugState?.runId) return;
+    setCommandError(null);
+    try {
+      await sendDebugCommand(debugState.runId, command);
+    } catch (error) {
+      console.error(`Debug ${command} failed:`, error);
+      setCommandError(error.message);
+    }
+  }, [debugState]);
+
+  const step = useCallback(() => sendCommand('step'), [sendCommand]);
+  const resume = useCallback(() => sendCommand('continue'), [sendCommand]);
+  const abort = useCallback(() => sendCommand('abort'), [sendCommand]);
+
+  const clearDebug = useCallback(() => {
+    stopListening();
+    setDebugState(null);
+    setCommandError(null);
+  }, [stopListening]);
+
+  useEffect(() => stopListening, [stopListening]);
+
+  return { breakpoints, setBreakpoints, debugState, commandError, startDebug, step, resume, abort, clearDebug };
+}
@@ -0,0 +1,108 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { createProgress, applyProgressEvent, isEventOfRun } from '../model/executionProgress';
+import { connectExecutionStream } from '../services/executionStream';
+
+/**
+ * useExecutionProgress Hook
+ *
+ * Live per-component status for the current run, fed by the execution stream.
+ * startTracking() resets every node to queued and opens the stream before the
+ * run is started. The first run_started event names the run to follow, so
+ * progress is live even when the request that started the run only resolves
+ * once it has finished. trackRun(runId) confirms the run with the id that
+ * request returned; if another run of the job (scheduled or debug, on the same
+ * stream) happened to start first, the progress is rebuilt from the events
+ * received for the right one. Events of other runs are ignored.
+ * The stream closes itself once the followed run finishes.
+ */
+export default function useExecutionProgress(job) {
+  const [progress, setProgress] = useState(null);
+  const closeStream = useRef(null);
+  // undefined until a run starts or trackRun() is called: events are held back;
+  // null follows whatever run starts
+  const trackedRunId = useRef(undefined);
+  const runConfirmed = useRef(false);
+  // Every event since startTracking(), until trackRun() confirms the run
+  const receivedEvents = useRef([]);
+
+  const stopTracking = useCallback(() => {
+    if (closeStream.current) {
+      closeStream.current();
+      closeStream.current = null;
+    }
+  }, []);
+
+  const applyEvents = useCallback((events) => {
+    if (events.length === 0) return;
+    setProgress(prev => (prev ? events.reduce(applyProgressEvent, prev) : prev));
+    // Until trackRun() confirms the run, a finished run may not be the one to follow
+    if (runConfirmed.current && events.some(event => event.type === 'run_finished')) {
+      stopTracking();
+    }
+  }, [stopTracking]);
+
+  const startTracking = useCallback(() => {
+    if (!job) return;
+
+    stopTracking();
+    trackedRunId.current = undefined;
+    runConfirmed.current = false;
+    receivedEvents.current = [];
+    setProgress(createProgress(job));
+
+    closeStream.current = connectExecutionStream(job.name, {
+      onEvent: (event) => {
+        if (!runConfirmed.current) {
+          receivedEvents.current.push(event);
+        }
+        if (trackedRunId.current === undefined) {
+          if (event.type === 'run_started' && event.runId) {
+            trackedRunId.current = event.runId;
+            applyEvents(receivedEvents.current.filter(held => isEventOfRun(held, event.runId)));
+          }
+        } else if (isEventOfRun(event, trackedRunId.current)) {
+          applyEvents([event]);
+        }
+      },
+      onError: () => {
+        console.warn('Execution progress stream closed');
+        stopTracking();
+      }
+    });
+  }, [job, stopTracking, applyEvents]);
+
+  // The run to follow, as returned by the request that started it
+  const trackRun = useCallback((runId) => {
+    const events = receivedEvents.current;
+    runConfirmed.current = true;
+    receivedEvents.current = [];
+
+    if (trackedRunId.current === undefined) {
+      trackedRunId.current = runId || null;
+      if (runId) {
+        setProgress(prev => (prev ? { ...prev, runId } : prev));
+      }
+      applyEvents(events.filter(event => isEventOfRun(event, runId)));
+    } else if (runId && runId !== trackedRunId.current) {
+      // Another run started first: replay the events of this one on a fresh progress
+      trackedRunId.current = runId;
+      setProgress(prev => (prev
+        ? events.filter(event => isEventOfRun(event, runId))
+          .reduce(applyProgressEvent, { ...createProgress(job, runId), startedAt: prev.startedAt })
+        : prev));
+    }
+
+    if (events.some(event => event.type === 'run_finished' && isEventOfRun(event, trackedRunId.current))) {
+      stopTracking();
+    }
+  }, [job, applyEvents, stopTracking]);
+
+  const clearProgress = useCallback(() => {
+    stopTracking();
+    setProgress(null);
+  }, [stopTracking]);
+
+  useEffect(() => stopTracking, [stopTracking]);
+
+  return { progress, startTracking, trackRun, stopTracking, clearProgress };
+}
@@ -0,0 +1,64 @@
+import useExecutionProgress from './useExecutionProgress';
+import { connectExecutionStream } from '../services/executionStream';
+import { renderHook, act } from '../testing/renderHook';
+
+jest.mock('../services/executionStream', () => ({ connectExecutionStream: jest.fn() }));
+
+const job = {
+  name: 'progress_hook_test',
+  components: [
+    { id: 'in_1', type: 'file_input_delimited' },
+    { id: 'out_2', type: 'file_output_delimited' }
+  ],
+  flows: [{ name: 'main', from: 'in_1', to: 'out_2', type: 'flow' }]
+};
+
+describe('useExecutionProgress', () => {
+  let emit;
+  let closeStream;
+
+  beforeEach(() => {
+    closeStream = jest.fn();
+    connectExecutionStream.mockImplementation((jobName, { onEvent }) => {
+      emit = (event) => act(() => onEvent(event));
+      return closeStream;
+    });
+  });
+
+  it('follows the run from its run_started event, before the run request resolves', () => {
+    const { result } = renderHook(() => useExecutionProgress(job));
+    act(() => result.current.startTracking());
+
+    emit({ type: 'run_started', runId: 'run_1' });
+    emit({ type: 'component_status', runId: 'run_1', componentId: 'in_1', status: 'running', rowsOut: 10 });
+    expect(result.current.progress).toMatchObject({ runId: 'run_1', status: 'running' });
+    expect(result.current.progress.components.in_1).toMatchObject({ status: 'running', rowsOut: 10 });
+
+    emit({ type: 'run_finished', runId: 'run_1', status: 'succeeded' });
+    expect(result.current.progress.status).toBe('succeeded');
+    expect(closeStream).not.toHaveBeenCalled();
+
+    act(() => result.current.trackRun('run_1'));
+    expect(closeStream).toHaveBeenCalled();
+  });
+
+  it('switches to the confirmed run when another run of the job started first', () => {
+    const { result } = renderHook(() => useExecutionProgress(job));
+    act(() => result.current.startTracking());
+
+    emit({ type: 'run_started', runId: 'scheduled_9' });
+    emit({ type: 'component_status', runId: 'scheduled_9', componentId: 'in_1', status: 'failed' });
+    emit({ type: 'run_started', runId: 'run_2' });
+    emit({ type: 'component_status', runId: 'run_2', componentId: 'out_2', status: 'running' });
+
+    act(() => result.current.trackRun('run_2'));
+    expect(result.current.progress.runId).toBe('run_2');
+    expect(result.current.progress.components.in_1.status).toBe('queued');
+    expect(result.current.progress.components.out_2.status).toBe('running');
+
+    emit({ type: 'component_status', runId: 'scheduled_9', componentId: 'out_2', status: 'failed' });
+    emit({ type: 'component_status', runId: 'run_2', componentId: 'in_1', status: 'succeeded' });
+    expect(result.current.progress.components.in_1.status).toBe('succeeded');
+    expect(result.current.progress.components.out_2.status).toBe('running');
+  });
+});
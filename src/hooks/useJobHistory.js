@@ -0,0 +1,92 @@
+import { useState, useRef, useCallback } from 'react';
+
+const HISTORY_LIMIT = 100;
+
+/**
+ * useJobHistory Hook
+ *
+ * Undo/redo stack for canvas edits. A snapshot of the job is recorded before
+ * each edit and restored through loadJob on undo/redo.
+ * Continuous edits (node drags) are wrapped in beginBatch/endBatch so they
+ * produce a single history entry instead of one per mousemove.
+ */
+export default function useJobHistory(job, loadJob) {
+  const jobRef = useRef(job);
+  const past = useRef([]);
+  const future = useRef([]);
+  const batchSnapshot = useRef(null);
+  const [counts, setCounts] = useState({ past: 0, future: 0 });
+
+  // Always read the latest job, even from document-level drag listeners
+  jobRef.current = job;
+
+  const syncCounts = useCallback(() => {
+    setCounts({ past: past.current.length, future: future.current.length });
+  }, []);
+
+  const pushSnapshot = useCallback((snapshot) => {
+    past.current.push(snapshot);
+    if (past.current.length > HISTORY_LIMIT) {
+      past.current.shift();
+    }
+    future.current = [];
+    syncCounts();
+  }, [syncCounts]);
+
+  // Record the current job before an edit
+  const checkpoint = useCallback(() => {
+    if (!jobRef.current || batchSnapshot.current) return; // Inside a batch the snapshot is already held
+    pushSnapshot(jobRef.current);
+  }, [pushSnapshot]);
+
+  // Group several edits into one history entry
+  const beginBatch = useCallback(() => {
+    if (!jobRef.current) return;
+    batchSnapshot.current = jobRef.current;
+  }, []);
+
+  const endBatch = useCallback((commit = true) => {
+    const snapshot = batchSnapshot.current;
+    batchSnapshot.current = null;
+    if (commit && snapshot) {
+      pushSnapshot(snapshot);
+    }
+  }, [pushSnapshot]);
+
+  const undo = useCallback(() => {
+    if (past.current.length === 0 || !jobRef.current) return;
+
+    const previous = past.current.pop();
+    future.current.push(jobRef.current);
+    loadJob(previous);
+    syncCounts();
+  }, [loadJob, syncCounts]);
+
+  const redo = useCallback(() => {
+    if (future.current.length === 0 || !jobRef.current) return;
+
+    const next = future.current.pop();
+    past.current.push(jobRef.current);
+    loadJob(next);
+    syncCounts();
+  }, [loadJob, syncCounts]);
+
+  // Forget every snapshot when another job replaces the canvas
+  const clearHistory = useCallback(() => {
+    past.current = [];
+    future.current = [];
+    batchSnapshot.current = null;
+    syncCounts();
+  }, [syncCounts]);
+
+  return {
+    checkpoint,
+    beginBatch,
+    endBatch,
+    undo,
+    redo,
+    clearHistory,
+    canUndo: counts.past > 0,
+    canRedo: counts.future > 0
+  };
+}
@@ -0,0 +1,60 @@
+import { useState } from 'react';
+import useJobHistory from './useJobHistory';
+import { renderHook, act } from '../testing/renderHook';
+
+const job = (name) => ({ name, components: [], flows: [], triggers: [] });
+
+// The history with the job state it edits, as the canvas uses it
+const useEditedJob = () => {
+  const [current, setCurrent] = useState(job('v1'));
+  return { job: current, setJob: setCurrent, ...useJobHistory(current, setCurrent) };
+};
+
+describe('useJobHistory', () => {
+  const edit = (result, name) => act(() => {
+    result.current.checkpoint();
+    result.current.setJob(job(name));
+  });
+
+  it('undoes and redoes recorded edits', () => {
+    const { result } = renderHook(useEditedJob);
+    edit(result, 'v2');
+    edit(result, 'v3');
+
+    act(() => result.current.undo());
+    act(() => result.current.undo());
+    expect(result.current.job.name).toBe('v1');
+    expect(result.current.canUndo).toBe(false);
+
+    act(() => result.current.redo());
+    expect(result.current.job.name).toBe('v2');
+    expect(result.current.canRedo).toBe(true);
+  });
+
+  it('records a batch of edits as one entry', () => {
+    const { result } = renderHook(useEditedJob);
+    act(() => result.current.beginBatch());
+    act(() => result.current.setJob(job('drag 1')));
+    act(() => result.current.setJob(job('drag 2')));
+    act(() => result.current.endBatch());
+
+    act(() => result.current.undo());
+    expect(result.current.job.name).toBe('v1');
+  });
+
+  it('starts over when another job replaces the canvas', () => {
+    const { result } = renderHook(useEditedJob);
+    edit(result, 'v2');
+    act(() => result.current.undo());
+
+    act(() => {
+      result.current.setJob(job('opened'));
+      result.current.clearHistory();
+    });
+    expect(result.current.canUndo).toBe(false);
+    expect(result.current.canRedo).toBe(false);
+
+    act(() => result.current.undo());
+    expect(result.current.job.name).toBe('opened');
+  });
+});
@@ -0,0 +1,100 @@
+import { useState, useCallback } from 'react';
+import { getDefaultRepository } from '../services/jobRepository';
+
+/**
+ * useJobRepository Hook
+ *
+ * The repository entry the canvas job belongs to ({ id, name, version }),
+ * the job as last saved or opened, and the repository operations.
+ * Operations set `error` and rethrow so callers can keep dialogs open.
+ */
+export default function useJobRepository(repository = getDefaultRepository()) {
+  const [current, setCurrent] = useState(null);
+  const [savedJob, setSavedJob] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = useCallback(async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      return await action();
+    } catch (err) {
+      console.error('Repository operation failed:', err);
+      setError(err.message);
+      throw err;
+    } finally {
+      setBusy(false);
+    }
+  }, []);
+
+  const track = (entry, version, job) => {
+    setCurrent({ id: entry.id, name: entry.name, version: version.version });
+    setSavedJob(job);
+  };
+
+  const listJobs = useCallback(() => run(() => repository.listJobs()), [repository, run]);
+
+  const listVersions = useCallback((id) => run(() => repository.listVersions(id)), [repository, run]);
+
+  const getVersionJob = useCallback(
+    (id, version) => run(() => repository.getVersionJob(id, version)),
+    [repository, run]
+  );
+
+  // Save as the next version of the current job, or as a new job when saveAs is set
+  const saveJob = useCallback((job, { name, message, author, saveAs = false }) => run(async () => {
+    const id = saveAs ? null : current?.id;
+    const result = await repository.saveJob(job, { id, name, message, author });
+    track(result.entry, result.version, result.job);
+    return result;
+  }), [repository, run, current]);
+
+  const openJob = useCallback((id) => run(async () => {
+    const result = await repository.openJob(id);
+    track(result.entry, result.version, result.job);
+    return result;
+  }), [repository, run]);
+
+  const restoreVersion = useCallback((version, author) => run(async () => {
+    const result = await repository.restoreVersion(current.id, version, author);
+    track(result.entry, result.version, result.job);
+    return result;
+  }), [repository, run, current]);
+
+  const deleteJob = useCallback((id) => run(async () => {
+    await repository.deleteJob(id);
+    if (current?.id === id) {
+      setCurrent(null);
+      setSavedJob(null);
+    }
+  }), [repository, run, current]);
+
+  // Continue a job from an earlier session (a recovered draft); its saved state is not loaded
+  const attach = useCallback((entry) => {
+    setCurrent(entry);
+    setSavedJob(null);
+  }, []);
+
+  // Forget the repository entry, e.g. when the canvas is cleared
+  const detach = useCallback(() => {
+    setCurrent(null);
+    setSavedJob(null);
+  }, []);
+
+  return {
+    current,
+    savedJob,
+    busy,
+    error,
+    listJobs,
+    listVersions,
+    getVersionJob,
+    saveJob,
+    openJob,
+    restoreVersion,
+    deleteJob,
+    attach,
+    detach
+  };
+}
@@ -0,0 +1,50 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createRunRecord } from '../model/runHistory';
+import { isRunFinished } from '../model/executionProgress';
+import { loadRuns, saveRun, deleteRun, clearRuns } from '../services/runHistoryStorage';
+
+/**
+ * useRunHistory Hook
+ *
+ * Past executions of the current job, debug runs included. beginRun() remembers
+ * the job and the context values a run starts with; the run is recorded once its
+ * progress reports it finished, or with failRun() when it could not be started.
+ */
+export default function useRunHistory(job, progress) {
+  const jobName = job?.name;
+  const [runs, setRuns] = useState(() => loadRuns(jobName));
+  const pendingRun = useRef(null);
+
+  useEffect(() => {
+    setRuns(loadRuns(jobName));
+  }, [jobName]);
+
+  const record = useCallback((run) => {
+    pendingRun.current = null;
+    const jobRuns = saveRun(run);
+    if (run.job_name === jobName) setRuns(jobRuns);
+  }, [jobName]);
+
+  const beginRun = useCallback((context, mode = 'run') => {
+    pendingRun.current = { job, context, mode, startedAt: Date.now() };
+  }, [job]);
+
+  useEffect(() => {
+    const pending = pendingRun.current;
+    if (!pending || !isRunFinished(progress) || progress.startedAt < pending.startedAt) return;
+    record(createRunRecord(pending.job, progress, pending.context, { mode: pending.mode }));
+  }, [progress, record]);
+
+  const failRun = useCallback((error) => {
+    const pending = pendingRun.current;
+    if (!pending) return;
+    const started = progress && progress.startedAt >= pending.startedAt ? progress : null;
+    record(createRunRecord(pending.job, started, pending.context, { startedAt: pending.startedAt, error, mode: pending.mode }));
+  }, [progress, record]);
+
+  const removeRun = useCallback((runId) => setRuns(deleteRun(jobName, runId)), [jobName]);
+
+  const clearHistory = useCallback(() => setRuns(clearRuns(jobName)), [jobName]);
+
+  return { runs, beginRun, failRun, removeRun, clearHistory };
+}
@@ -0,0 +1,81 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  listSchedules,
+  listScheduledRuns,
+  saveSchedule as putSchedule,
+  deleteSchedule as removeSchedule,
+  triggerSchedule as fireSchedule
+} from '../services/schedulerService';
+
+// Past scheduled runs are refreshed this often to follow their status
+const RUNS_POLL_MS = 10000;
+
+/**
+ * useSchedules Hook
+ *
+ * Schedules of the current job and their past runs, as kept by the scheduler.
+ * Operations set `error` and rethrow so the Schedule tab can keep its edits.
+ */
+export default function useSchedules(job) {
+  const jobName = job?.name;
+  const [schedules, setSchedules] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [error, setError] = useState(null);
+
+  const refreshRuns = useCallback(async () => {
+    if (!jobName) return;
+    try {
+      setRuns(await listScheduledRuns(jobName));
+    } catch (err) {
+      console.warn('Could not load scheduled runs:', err);
+    }
+  }, [jobName]);
+
+  useEffect(() => {
+    setSchedules([]);
+    setRuns([]);
+    if (!jobName) return undefined;
+
+    listSchedules(jobName)
+      .then(setSchedules)
+      .catch(err => {
+        console.warn('Could not load schedules:', err);
+        setError(err.message);
+      });
+    refreshRuns();
+
+    const timer = setInterval(refreshRuns, RUNS_POLL_MS);
+    return () => clearInterval(timer);
+  }, [jobName, refreshRuns]);
+
+  const run = useCallback(async (action) => {
+    setError(null);
+    try {
+      return await action();
+    } catch (err) {
+      console.error('Scheduler operation failed:', err);
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
+  const saveSchedule = useCallback((schedule) => run(async () => {
+    const saved = await putSchedule(job, schedule);
+    setSchedules(prev => (prev.some(s => s.id === saved.id)
+      ? prev.map(s => (s.id === saved.id ? saved : s))
+      : [...prev, saved]));
+    return saved;
+  }), [job, run]);
+
+  const deleteSchedule = useCallback((id) => run(async () => {
+    await removeSchedule(id);
+    setSchedules(prev => prev.filter(s => s.id !== id));
+  }), [run]);
+
+  const triggerSchedule = useCallback((id) => run(async () => {
+    await fireSchedule(id);
+    await refreshRuns();
+  }), [run, refreshRuns]);
+
+  return { schedules, runs, error, saveSchedule, deleteSchedule, triggerSchedule, refreshRuns };
+}
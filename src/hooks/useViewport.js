@@ -0,0 +1,177 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  DEFAULT_VIEWPORT,
+  clampZoom,
+  zoomAt,
+  screenToCanvas,
+  fitBounds,
+  getComponentBounds
+} from '../model/viewport';
+
+const WHEEL_ZOOM_SPEED = 0.0015;
+
+/**
+ * useViewport Hook
+ *
+ * Pan/zoom state for the flow viewport.
+ * - Mouse wheel zooms around the cursor
+ * - Space+drag or middle-button drag pans
+ * - fitToView / zoomToComponents / centerOn commands
+ */
+export default function useViewport() {
+  const viewportRef = useRef(null);
+  const [viewport, setViewport] = useState(DEFAULT_VIEWPORT);
+  const [viewportSize, setViewportSize] = useState({ width: 0, height: 0 });
+  const [isPanning, setIsPanning] = useState(false);
+  const isSpaceHeld = useRef(false);
+  const viewportState = useRef(viewport);
+
+  viewportState.current = viewport;
+
+  // Screen point relative to the viewport element
+  const toLocalPoint = useCallback((clientX, clientY) => {
+    const rect = viewportRef.current?.getBoundingClientRect();
+    return rect ? { x: clientX - rect.left, y: clientY - rect.top } : { x: clientX, y: clientY };
+  }, []);
+
+  // Map a mouse position to canvas coordinates at the current zoom
+  const screenToCanvasPoint = useCallback((clientX, clientY) => (
+    screenToCanvas(toLocalPoint(clientX, clientY), viewportState.current)
+  ), [toLocalPoint]);
+
+  // Track viewport size for fit-to-view and the minimap
+  useEffect(() => {
+    const element = viewportRef.current;
+    if (!element) return undefined;
+
+    const updateSize = () => setViewportSize({ width: element.clientWidth, height: element.clientHeight });
+    updateSize();
+
+    const observer = new ResizeObserver(updateSize);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  // Wheel zoom - registered natively so preventDefault works (React wheel listeners are passive)
+  useEffect(() => {
+    const element = viewportRef.current;
+    if (!element) return undefined;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const factor = Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED);
+      setViewport(prev => zoomAt(prev, factor, toLocalPoint(e.clientX, e.clientY)));
+    };
+
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    return () => element.removeEventListener('wheel', handleWheel);
+  }, [toLocalPoint]);
+
+  // Space belongs to the canvas only when nothing else has focus, or the viewport itself does;
+  // buttons and fields (also those inside the viewport) keep their own Space handling
+  const isCanvasKeyTarget = useCallback((target) => {
+    if (target === document.body) return true;
+    if (!viewportRef.current?.contains(target)) return false;
+    return !target.isContentEditable && !['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'].includes(target.tagName);
+  }, []);
+
+  // Space key toggles pan mode
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.code === 'Space' && isCanvasKeyTarget(e.target)) {
+        e.preventDefault();
+        isSpaceHeld.current = true;
+      }
+    };
+    const handleKeyUp = (e) => {
+      if (e.code === 'Space') {
+        isSpaceHeld.current = false;
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('keyup', handleKeyUp);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('keyup', handleKeyUp);
+    };
+  }, [isCanvasKeyTarget]);
+
+  // Middle button, or left button with space held
+  const isPanGesture = useCallback((e) => (
+    e.button === 1 || (e.button === 0 && isSpaceHeld.current)
+  ), []);
+
+  const handleViewportMouseDown = useCallback((e) => {
+    if (!isPanGesture(e)) return false;
+
+    e.preventDefault();
+    const start = { x: e.clientX, y: e.clientY, viewport: viewportState.current };
+    setIsPanning(true);
+
+    const handleMouseMove = (e) => {
+      setViewport({
+        ...start.viewport,
+        x: start.viewport.x + e.clientX - start.x,
+        y: start.viewport.y + e.clientY - start.y
+      });
+    };
+
+    const handleMouseUp = () => {
+      setIsPanning(false);
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+    };
+
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+    return true;
+  }, [isPanGesture]);
+
+  // Zoom around the centre of the viewport (toolbar buttons)
+  const zoomBy = useCallback((factor) => {
+    setViewport(prev => zoomAt(prev, factor, { x: viewportSize.width / 2, y: viewportSize.height / 2 }));
+  }, [viewportSize]);
+
+  const resetZoom = useCallback(() => {
+    setViewport(prev => zoomAt(prev, 1 / prev.zoom, { x: viewportSize.width / 2, y: viewportSize.height / 2 }));
+  }, [viewportSize]);
+
+  const zoomToComponents = useCallback((components) => {
+    const bounds = getComponentBounds(components);
+    if (!bounds) return;
+    setViewport(fitBounds(bounds, viewportSize));
+  }, [viewportSize]);
+
+  // Fit the whole job; same maths as zoomToComponents, named for the command
+  const fitToView = zoomToComponents;
+
+  // Pan so that a canvas point sits in the middle of the viewport
+  const centerOn = useCallback((point) => {
+    setViewport(prev => ({
+      ...prev,
+      x: viewportSize.width / 2 - point.x * prev.zoom,
+      y: viewportSize.height / 2 - point.y * prev.zoom
+    }));
+  }, [viewportSize]);
+
+  const setZoom = useCallback((zoom) => {
+    setViewport(prev => zoomAt(prev, clampZoom(zoom) / prev.zoom, { x: viewportSize.width / 2, y: viewportSize.height / 2 }));
+  }, [viewportSize]);
+
+  return {
+    viewportRef,
+    viewport,
+    viewportSize,
+    isPanning,
+    isPanGesture,
+    screenToCanvasPoint,
+    handleViewportMouseDown,
+    zoomBy,
+    setZoom,
+    resetZoom,
+    fitToView,
+    zoomToComponents,
+    centerOn
+  };
+}
@@ -0,0 +1,217 @@
+import { getComponentCategory } from './componentRegistry';
+import { getSubjobMembership } from './subjobs';
+import { NODE_WIDTH, NODE_HEIGHT } from './viewport';
+
+/**
+ * Auto Layout
+ *
+ * Layered left-to-right layout of the flow graph:
+ * 1. Group components by subjob (or connected group when no subjob is known)
+ * 2. Assign layers by longest path, Inputs first and terminal Outputs last
+ * 3. Reduce edge crossings with barycenter sweeps
+ * 4. Stack the groups vertically and convert layers to positions
+ */
+
+const LAYER_GAP = 100;     // Horizontal gap between layers
+const ROW_GAP = 40;        // Vertical gap between nodes in a layer
+const GROUP_GAP = 80;      // Vertical gap between subjob bands
+const MARGIN = 40;
+const SWEEP_ITERATIONS = 4;
+
+// Weakly connected groups of component ids
+const findConnectedGroups = (componentIds, flows) => {
+  const neighbours = new Map(componentIds.map(id => [id, []]));
+  flows.forEach(flow => {
+    if (neighbours.has(flow.from) && neighbours.has(flow.to)) {
+      neighbours.get(flow.from).push(flow.to);
+      neighbours.get(flow.to).push(flow.from);
+    }
+  });
+
+  const seen = new Set();
+  const groups = [];
+  componentIds.forEach(startId => {
+    if (seen.has(startId)) return;
+    const group = [];
+    const stack = [startId];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (seen.has(current)) continue;
+      seen.add(current);
+      group.push(current);
+      neighbours.get(current).forEach(next => stack.push(next));
+    }
+    groups.push(group);
+  });
+  return groups;
+};
+
+// Longest-path layering (Kahn order, so cycles cannot loop forever)
+const assignLayers = (ids, flows, categoryOf) => {
+  const idSet = new Set(ids);
+  const groupFlows = flows.filter(flow => idSet.has(flow.from) && idSet.has(flow.to));
+  const inDegree = new Map(ids.map(id => [id, 0]));
+  groupFlows.forEach(flow => inDegree.set(flow.to, inDegree.get(flow.to) + 1));
+
+  const layer = new Map(ids.map(id => [id, categoryOf(id) === 'Input' ? 0 : (categoryOf(id) === 'Output' ? 2 : 1)]));
+  const queue = ids.filter(id => inDegree.get(id) === 0);
+  const visited = new Set();
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    visited.add(current);
+    groupFlows
+      .filter(flow => flow.from === current)
+      .forEach(flow => {
+        layer.set(flow.to, Math.max(layer.get(flow.to), layer.get(current) + 1));
+        inDegree.set(flow.to, inDegree.get(flow.to) - 1);
+        if (inDegree.get(flow.to) === 0) queue.push(flow.to);
+      });
+  }
+
+  // Terminal outputs line up in the last layer
+  const lastLayer = Math.max(...ids.map(id => layer.get(id)));
+  ids
+    .filter(id => categoryOf(id) === 'Output' && !groupFlows.some(flow => flow.from === id))
+    .forEach(id => layer.set(id, lastLayer));
+
+  return { layer, groupFlows };
+};
+
+// Barycenter ordering to cut down edge crossings
+const orderLayers = (ids, layer, groupFlows, initialY) => {
+  const layerCount = Math.max(...ids.map(id => layer.get(id))) + 1;
+  const layers = Array.from({ length: layerCount }, () => []);
+  ids
+    .slice()
+    .sort((a, b) => (initialY.get(a) || 0) - (initialY.get(b) || 0))
+    .forEach(id => layers[layer.get(id)].push(id));
+
+  const positionIn = () => {
+    const index = new Map();
+    layers.forEach(nodes => nodes.forEach((id, i) => index.set(id, i)));
+    return index;
+  };
+
+  const sweep = (range, neighbourOf) => {
+    range.forEach(layerIndex => {
+      const index = positionIn();
+      const barycenter = new Map();
+      layers[layerIndex].forEach((id, i) => {
+        const neighbours = neighbourOf(id).filter(n => index.has(n));
+        barycenter.set(id, neighbours.length > 0
+          ? neighbours.reduce((sum, n) => sum + index.get(n), 0) / neighbours.length
+          : i);
+      });
+      layers[layerIndex].sort((a, b) => barycenter.get(a) - barycenter.get(b));
+    });
+  };
+
+  const predecessors = (id) => groupFlows.filter(f => f.to === id).map(f => f.from);
+  const successors = (id) => groupFlows.filter(f => f.from === id).map(f => f.to);
+  const forward = Array.from({ length: layerCount - 1 }, (_, i) => i + 1);
+  const backward = Array.from({ length: layerCount - 1 }, (_, i) => layerCount - 2 - i);
+
+  for (let i = 0; i < SWEEP_ITERATIONS; i++) {
+    sweep(forward, predecessors);
+    sweep(backward, successors);
+  }
+  return layers;
+};
+
+/**
+ * Compute new positions for every component.
+ * Returns { [componentId]: { x, y } }; the job itself is not modified.
+ */
+export function computeAutoLayout(job) {
+  const components = job?.components || [];
+  if (components.length === 0) return {};
+
+  const flows = (job.flows || []).filter(flow => !flow.type || flow.type === 'flow');
+  const byId = new Map(components.map(c => [c.id, c]));
+  const categoryOf = (id) => getComponentCategory(byId.get(id));
+  const initialY = new Map(components.map(c => [c.id, c.position?.y || 0]));
+
+  // Subjob members stay together; everything else is grouped by connectivity
+  const membership = getSubjobMembership(job);
+  const subjobGroups = new Map();
+  const ungrouped = [];
+  components.forEach(component => {
+    const subjobId = membership.get(component.id);
+    if (subjobId) {
+      if (!subjobGroups.has(subjobId)) subjobGroups.set(subjobId, []);
+      subjobGroups.get(subjobId).push(component.id);
+    } else {
+      ungrouped.push(component.id);
+    }
+  });
+  const groups = [...subjobGroups.values(), ...findConnectedGroups(ungrouped, flows)];
+
+  // Keep the vertical order the user already had
+  const groupTop = (ids) => Math.min(...ids.map(id => initialY.get(id)));
+  groups.sort((a, b) => groupTop(a) - groupTop(b));
+
+  const positions = {};
+  let bandTop = MARGIN;
+
+  groups.forEach(ids => {
+    const { layer, groupFlows } = assignLayers(ids, flows, categoryOf);
+    const layers = orderLayers(ids, layer, groupFlows, initialY);
+    const tallest = Math.max(...layers.map(nodes => nodes.length));
+    const bandHeight = tallest * NODE_HEIGHT + (tallest - 1) * ROW_GAP;
+
+    layers.forEach((nodes, layerIndex) => {
+      const layerHeight = nodes.length * NODE_HEIGHT + (nodes.length - 1) * ROW_GAP;
+      const offsetY = (bandHeight - layerHeight) / 2;
+      nodes.forEach((id, row) => {
+        positions[id] = {
+          x: MARGIN + layerIndex * (NODE_WIDTH + LAYER_GAP),
+          y: Math.round(bandTop + offsetY + row * (NODE_HEIGHT + ROW_GAP))
+        };
+      });
+    });
+
+    bandTop += bandHeight + GROUP_GAP;
+  });
+
+  return positions;
+}
+
+/**
+ * Animate between two position maps with requestAnimationFrame.
+ * onFrame receives interpolated positions; onComplete runs once at the end.
+ * Returns a cancel function.
+ */
+export function animatePositions(fromPositions, toPositions, { duration = 400, onFrame, onComplete }) {
+  const startTime = performance.now();
+  let frameId = null;
+
+  const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2);
+
+  const step = (now) => {
+    const progress = Math.min((now - startTime) / duration, 1);
+    const eased = easeInOut(progress);
+
+    const frame = {};
+    Object.entries(toPositions).forEach(([id, target]) => {
+      const start = fromPositions[id] || target;
+      frame[id] = {
+        x: start.x + (target.x - start.x) * eased,
+        y: start.y + (target.y - start.y) * eased
+      };
+    });
+    onFrame(frame);
+
+    if (progress < 1) {
+      frameId = requestAnimationFrame(step);
+    } else {
+      frameId = null;
+      onComplete();
+    }
+  };
+
+  frameId = requestAnimationFrame(step);
+  return () => {
+    if (frameId) cancelAnimationFrame(frameId);
+  };
+}
@@ -0,0 +1,78 @@
+import { computeAutoLayout, animatePositions } from './autoLayout';
+
+const job = {
+  name: 'layout_test',
+  components: [
+    { id: 'out_5', type: 'file_output_delimited', position: { x: 0, y: 0 } },
+    { id: 'sort_3', type: 'sort_row', position: { x: 0, y: 0 } },
+    { id: 'in_1', type: 'file_input_delimited', position: { x: 0, y: 0 } },
+    { id: 'filter_2', type: 'filter_rows', position: { x: 0, y: 0 } },
+    { id: 'out_4', type: 'file_output_delimited', position: { x: 0, y: 0 } },
+    { id: 'log_6', type: 'log_row', position: { x: 0, y: 600 } }
+  ],
+  flows: [
+    { name: 'main', from: 'in_1', to: 'filter_2', type: 'flow' },
+    { name: 'main', from: 'filter_2', to: 'sort_3', type: 'flow' },
+    { name: 'main', from: 'sort_3', to: 'out_4', type: 'flow' },
+    { name: 'reject', from: 'in_1', to: 'out_5', type: 'flow' }
+  ],
+  triggers: []
+};
+
+describe('computeAutoLayout', () => {
+  const positions = computeAutoLayout(job);
+
+  it('lays flows out left to right with terminal outputs in the last layer', () => {
+    expect([positions.in_1.x, positions.filter_2.x, positions.sort_3.x, positions.out_4.x]).toEqual([40, 280, 520, 760]);
+    expect(positions.out_5.x).toBe(760);
+  });
+
+  it('stacks unconnected groups below in their previous vertical order', () => {
+    const bandBottom = Math.max(...['in_1', 'filter_2', 'sort_3', 'out_4', 'out_5'].map(id => positions[id].y));
+    expect(positions.log_6.y).toBeGreaterThan(bandBottom);
+  });
+
+  it('leaves the job alone', () => {
+    expect(job.components.every(component => component.position.x === 0)).toBe(true);
+    expect(computeAutoLayout({ components: [] })).toEqual({});
+  });
+});
+
+describe('animatePositions', () => {
+  let frames;
+  let now;
+
+  beforeEach(() => {
+    frames = [];
+    now = 0;
+    jest.spyOn(performance, 'now').mockImplementation(() => now);
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => frames.push(callback));
+    jest.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {});
+  });
+
+  const runFrame = (time) => {
+    now = time;
+    frames.shift()(time);
+  };
+
+  it('eases from the start positions to the targets', () => {
+    const onFrame = jest.fn();
+    const onComplete = jest.fn();
+    animatePositions({ a: { x: 0, y: 0 } }, { a: { x: 100, y: 40 }, b: { x: 10, y: 10 } }, { duration: 400, onFrame, onComplete });
+
+    runFrame(200);
+    expect(onFrame).toHaveBeenLastCalledWith({ a: { x: 50, y: 20 }, b: { x: 10, y: 10 } });
+    expect(onComplete).not.toHaveBeenCalled();
+
+    runFrame(400);
+    expect(onFrame).toHaveBeenLastCalledWith({ a: { x: 100, y: 40 }, b: { x: 10, y: 10 } });
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(frames).toEqual([]);
+  });
+
+  it('cancels the pending frame', () => {
+    const cancel = animatePositions({}, { a: { x: 0, y: 0 } }, { onFrame: jest.fn(), onComplete: jest.fn() });
+    cancel();
+    expect(window.cancelAnimationFrame).toHaveBeenCalledWith(1);
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Component IDs
+ *
+ * Component ids follow the `<base>_<n>` scheme (e.g. file_input_delimited_3).
+ * The numeric suffix is unique across the job and orders Smart Join.
+ */
+
+export function getNumericSuffix(componentId) {
+  const match = componentId.match(/_(\d+)$/);
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+// Id without its numeric suffix
+export function getIdBase(componentId) {
+  return componentId.replace(/_\d+$/, '');
+}
+
+export function getMaxSuffix(components) {
+  return (components || []).reduce((max, component) => Math.max(max, getNumericSuffix(component.id)), 0);
+}
+
+// Next free id for a base, numbered after every existing component
+export function getNextComponentId(job, base) {
+  return `${base}_${getMaxSuffix(job?.components) + 1}`;
+}
@@ -0,0 +1,104 @@
+import {
+  CATEGORY_PRIORITY,
+  getComponentParams,
+  getComponentDefinition,
+  listComponentTypes
+} from './componentRegistry';
+import { getNextComponentId } from './componentIds';
+
+/**
+ * Component Parameters
+ *
+ * Palette entries, new components and their config, all driven by the
+ * parameter schema in the component registry.
+ */
+
+const CONTEXT_REFERENCE = /\bcontext\.[A-Za-z_]/;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Whether a config holds a value for the parameter
+export const isParamSet = (config, name) => !isBlank(config?.[name]);
+
+/**
+ * Registry types grouped by category for the palette: [{ category, types }].
+ * search matches the display name, registry key or Talend name.
+ */
+export function getPaletteGroups(search = '') {
+  const query = search.trim().toLowerCase();
+  const matches = (definition) => !query || [definition.displayName, definition.type, definition.talendType]
+    .filter(Boolean)
+    .some(text => text.toLowerCase().includes(query));
+
+  const groups = new Map();
+  listComponentTypes().filter(matches).forEach(definition => {
+    if (!groups.has(definition.category)) groups.set(definition.category, []);
+    groups.get(definition.category).push(definition);
+  });
+
+  return Array.from(groups.entries())
+    .sort(([a], [b]) => (CATEGORY_PRIORITY[a] || 2) - (CATEGORY_PRIORITY[b] || 2))
+    .map(([category, types]) => ({
+      category,
+      types: types.sort((a, b) => a.displayName.localeCompare(b.displayName))
+    }));
+}
+
+// Config of a new component: every parameter that has a default
+export function getDefaultConfig(componentOrType) {
+  const config = {};
+  getComponentParams(componentOrType)
+    .filter(param => param.default !== undefined)
+    .forEach(param => { config[param.name] = param.default; });
+  return config;
+}
+
+/**
+ * New component of a registry type at a canvas position, with the next free `_<n>` id.
+ */
+export function createComponent(job, type, position) {
+  const definition = getComponentDefinition(type);
+  return {
+    id: getNextComponentId(job, definition.type),
+    type: definition.type,
+    original_type: definition.talendType || definition.type,
+    position: { x: Math.round(position.x), y: Math.round(position.y) },
+    active: true,
+    config: getDefaultConfig(definition.type)
+  };
+}
+
+/**
+ * Problem with one parameter value, or null.
+ * Expression syntax and types are checked by the expression editor and job validation.
+ */
+export function validateParamValue(param, value) {
+  if (isBlank(value)) {
+    return param.required ? `${param.label} is required` : null;
+  }
+  // Context references are resolved at run time
+  if (param.type === 'int' && !/^-?\d+$/.test(String(value).trim()) && !CONTEXT_REFERENCE.test(String(value))) {
+    return `${param.label} must be a whole number`;
+  }
+  return null;
+}
+
+/**
+ * Parameter problems of a component config: { paramName: message }
+ */
+export function validateComponentParams(componentOrType, config) {
+  const errors = {};
+  getComponentParams(componentOrType).forEach(param => {
+    const message = validateParamValue(param, config?.[param.name]);
+    if (message) errors[param.name] = message;
+  });
+  return errors;
+}
+
+// Stored value of a form field: ints as numbers, everything else as entered
+export function parseParamValue(param, value) {
+  if (param.type === 'int' && /^-?\d+$/.test(String(value).trim())) {
+    return parseInt(value, 10);
+  }
+  return value;
+}
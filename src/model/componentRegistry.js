@@ -0,0 +1,400 @@
+import {
+  FileInput,
+  FileOutput,
+  FileText,
+  Database,
+  Rows3,
+  Table,
+  Filter,
+  Shuffle,
+  Sigma,
+  Fingerprint,
+  Merge,
+  Combine,
+  ArrowUpDown,
+  ScrollText,
+  Code,
+  Skull,
+  AlertTriangle,
+  Box
+} from 'lucide-react';
+
+/**
+ * Component Registry
+ *
+ * Single declarative source for every component type used on the canvas:
+ * category, ports, icon, display name, parameter schema and how the
+ * component's column schema is obtained (see model/schema.js):
+ *   defined     - columns are edited on the component (inputs, aggregate)
+ *   map         - one output table per outgoing flow, edited in the mapper
+ *   passthrough - output columns are the main input's columns
+ *   join        - main input columns followed by the lookup's extra columns
+ *   unite       - main input columns; the lookup must match them
+ * Smart Join, anchor rendering and the palette all read from here.
+ *
+ * Custom component types can be added at startup with registerComponentType()
+ * without touching FlowCanvas.
+ */
+
+export const CATEGORY_PRIORITY = { 'Input': 1, 'Transform': 2, 'Output': 3 };
+
+const DEFAULT_DEFINITION = {
+  category: 'Transform',
+  inputs: ['main'],
+  outputs: ['main'],
+  schema: 'passthrough',
+  icon: Box,
+  params: []
+};
+
+// Parameters: { name, label, type, required, default, options }
+// Expression parameters may name the valueType their result must have.
+
+// Shared parameter definitions
+const FILE_PARAMS = [
+  { name: 'filepath', label: 'File path', type: 'string', required: true },
+  { name: 'delimiter', label: 'Field separator', type: 'string', required: true, default: ';' },
+  { name: 'encoding', label: 'Encoding', type: 'select', options: ['UTF-8', 'ISO-8859-1', 'US-ASCII'], default: 'UTF-8' }
+];
+
+const DB_CONNECTION_PARAMS = [
+  { name: 'host', label: 'Host', type: 'string', required: true },
+  { name: 'port', label: 'Port', type: 'int', required: true },
+  { name: 'database', label: 'Database', type: 'string', required: true },
+  { name: 'username', label: 'Username', type: 'string', required: true },
+  { name: 'password', label: 'Password', type: 'password' }
+];
+
+const BUILT_IN_TYPES = {
+  // Input
+  file_input_delimited: {
+    category: 'Input',
+    talendType: 'tFileInputDelimited',
+    displayName: 'File Input Delimited',
+    icon: FileInput,
+    inputs: [],
+    outputs: ['main'],
+    schema: 'defined',
+    params: [
+      ...FILE_PARAMS,
+      { name: 'header', label: 'Header rows', type: 'int', default: 1 }
+    ]
+  },
+  oracle_input: {
+    category: 'Input',
+    talendType: 'tOracleInput',
+    displayName: 'Oracle Input',
+    icon: Database,
+    inputs: [],
+    outputs: ['main', 'reject'],
+    schema: 'defined',
+    params: [
+      ...DB_CONNECTION_PARAMS,
+      { name: 'query', label: 'Query', type: 'text', required: true }
+    ]
+  },
+  mssql_input: {
+    category: 'Input',
+    talendType: 'tMSSqlInput',
+    displayName: 'MSSQL Input',
+    icon: Database,
+    inputs: [],
+    outputs: ['main'],
+    schema: 'defined',
+    params: [
+      ...DB_CONNECTION_PARAMS,
+      { name: 'query', label: 'Query', type: 'text', required: true }
+    ]
+  },
+  fixed_flow_input: {
+    category: 'Input',
+    talendType: 'tFixedFlowInput',
+    displayName: 'Fixed Flow Input',
+    icon: Table,
+    inputs: [],
+    outputs: ['main'],
+    schema: 'defined',
+    params: [
+      { name: 'nb_rows', label: 'Number of rows', type: 'int', default: 1 },
+      { name: 'values', label: 'Values', type: 'text' }
+    ]
+  },
+  row_generator: {
+    category: 'Input',
+    talendType: 'tRowGenerator',
+    displayName: 'Row Generator',
+    icon: Rows3,
+    inputs: [],
+    outputs: ['main'],
+    schema: 'defined',
+    params: [
+      { name: 'nb_rows', label: 'Number of rows', type: 'int', required: true, default: 100 }
+    ]
+  },
+  python_component: {
+    category: 'Input',
+    talendType: 'tPythonComponent',
+    displayName: 'Python Component',
+    icon: Code,
+    inputs: [],
+    outputs: ['main'],
+    schema: 'defined',
+    params: [
+      { name: 'code', label: 'Code', type: 'text', required: true }
+    ]
+  },
+
+  // Transform
+  map: {
+    category: 'Transform',
+    talendType: 'tMap',
+    displayName: 'Map',
+    icon: Shuffle,
+    inputs: ['main', 'lookup'],
+    multiInputs: ['lookup'],
+    outputs: ['main'],
+    schema: 'map',
+    params: []
+  },
+  filter_rows: {
+    category: 'Transform',
+    talendType: 'tFilterRow',
+    displayName: 'Filter Rows',
+    icon: Filter,
+    inputs: ['main'],
+    outputs: ['main', 'reject'],
+    params: [
+      { name: 'condition', label: 'Condition', type: 'expression', valueType: 'boolean', required: true }
+    ]
+  },
+  aggregate_row: {
+    category: 'Transform',
+    talendType: 'tAggregateRow',
+    displayName: 'Aggregate Row',
+    icon: Sigma,
+    inputs: ['main'],
+    outputs: ['main', 'reject'],
+    schema: 'defined',
+    params: [
+      { name: 'group_by', label: 'Group by', type: 'string', required: true },
+      { name: 'operations', label: 'Operations', type: 'text' }
+    ]
+  },
+  unique_row: {
+    category: 'Transform',
+    talendType: 'tUniqRow',
+    displayName: 'Unique Row',
+    icon: Fingerprint,
+    inputs: ['main'],
+    outputs: ['main'],
+    params: [
+      { name: 'key_columns', label: 'Key columns', type: 'string', required: true }
+    ]
+  },
+  sort_row: {
+    category: 'Transform',
+    talendType: 'tSortRow',
+    displayName: 'Sort Row',
+    icon: ArrowUpDown,
+    inputs: ['main'],
+    outputs: ['main'],
+    params: [
+      { name: 'sort_columns', label: 'Sort columns', type: 'string', required: true }
+    ]
+  },
+  join: {
+    category: 'Transform',
+    talendType: 'tJoin',
+    displayName: 'Join',
+    icon: Merge,
+    inputs: ['main', 'lookup'],
+    outputs: ['main', 'reject'],
+    schema: 'join',
+    params: [
+      { name: 'join_keys', label: 'Join keys', type: 'string', required: true },
+      { name: 'join_mode', label: 'Join mode', type: 'select', options: ['inner', 'left'], default: 'inner' }
+    ]
+  },
+  unite: {
+    category: 'Transform',
+    talendType: 'tUnite',
+    displayName: 'Unite',
+    icon: Combine,
+    inputs: ['main', 'lookup'],
+    outputs: ['main'],
+    schema: 'unite',
+    params: []
+  },
+  log_row: {
+    category: 'Transform',
+    talendType: 'tLogRow',
+    displayName: 'Log Row',
+    icon: ScrollText,
+    inputs: ['main'],
+    outputs: ['main'],
+    params: []
+  },
+  warn: {
+    category: 'Transform',
+    talendType: 'tWarn',
+    displayName: 'Warn',
+    icon: AlertTriangle,
+    inputs: ['main'],
+    outputs: ['main'],
+    params: [
+      { name: 'message', label: 'Message', type: 'string' }
+    ]
+  },
+  die: {
+    category: 'Transform',
+    talendType: 'tDie',
+    displayName: 'Die',
+    icon: Skull,
+    inputs: ['main'],
+    outputs: [],
+    params: [
+      { name: 'message', label: 'Message', type: 'string' },
+      { name: 'exit_code', label: 'Exit code', type: 'int', default: 1 }
+    ]
+  },
+
+  // Output
+  file_output_delimited: {
+    category: 'Output',
+    talendType: 'tFileOutputDelimited',
+    displayName: 'File Output Delimited',
+    icon: FileOutput,
+    inputs: ['main'],
+    outputs: ['main'],
+    params: [
+      ...FILE_PARAMS,
+      { name: 'include_header', label: 'Include header', type: 'boolean', default: true }
+    ]
+  },
+  file_output_positional: {
+    category: 'Output',
+    talendType: 'tFileOutputPositional',
+    displayName: 'File Output Positional',
+    icon: FileText,
+    inputs: ['main'],
+    outputs: [],
+    params: [
+      { name: 'filepath', label: 'File path', type: 'string', required: true },
+      { name: 'formats', label: 'Column formats', type: 'text', required: true }
+    ]
+  },
+  oracle_output: {
+    category: 'Output',
+    talendType: 'tOracleOutput',
+    displayName: 'Oracle Output',
+    icon: Database,
+    inputs: ['main'],
+    outputs: [],
+    params: [
+      ...DB_CONNECTION_PARAMS,
+      { name: 'table', label: 'Table', type: 'string', required: true },
+      { name: 'action', label: 'Action on data', type: 'select', options: ['insert', 'update', 'upsert'], default: 'insert' }
+    ]
+  }
+};
+
+const registry = new Map();
+const aliasIndex = new Map(); // compact key (lowercase, no underscores) -> registry type
+
+const toCompactKey = (value) => value.toLowerCase().replace(/_/g, '');
+
+/**
+ * Register (or override) a component type.
+ * definition: { category, inputs, multiInputs, outputs, schema, icon, displayName, talendType, params }
+ * multiInputs lists the input ports that accept more than one flow.
+ */
+export function registerComponentType(type, definition) {
+  const entry = { ...DEFAULT_DEFINITION, displayName: type, ...definition, type };
+  registry.set(type, entry);
+
+  aliasIndex.set(toCompactKey(type), type);
+  if (entry.talendType) {
+    aliasIndex.set(toCompactKey(entry.talendType), type);
+  }
+  return entry;
+}
+
+export function registerComponentTypes(definitions) {
+  Object.entries(definitions).forEach(([type, definition]) => registerComponentType(type, definition));
+}
+
+registerComponentTypes(BUILT_IN_TYPES);
+
+/**
+ * Normalise a raw type name to its registry key.
+ * Accepts registry keys (file_input_delimited), Talend names (tFileInputDelimited)
+ * and their lowercased forms (tfileinputdelimited, fileinputdelimited).
+ * Only a leading Talend 't' prefix is stripped - never a 't' inside the name.
+ */
+export function normalizeComponentType(rawType) {
+  if (!rawType) return 'unknown';
+
+  const compact = toCompactKey(rawType);
+  if (aliasIndex.has(compact)) return aliasIndex.get(compact);
+  if (compact.startsWith('t') && aliasIndex.has(compact.substring(1))) {
+    return aliasIndex.get(compact.substring(1));
+  }
+
+  // Unknown type - best effort snake_case of a Talend-style name
+  const withoutPrefix = /^t[A-Z]/.test(rawType) ? rawType.substring(1) : rawType;
+  return withoutPrefix
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .toLowerCase();
+}
+
+// Registry key for a component (original Talend lineage wins over our type)
+export function getComponentType(component) {
+  if (!component) return 'unknown';
+  return normalizeComponentType(component.original_type || component.type);
+}
+
+// Accepts a component object or a raw type name
+export function getComponentDefinition(componentOrType) {
+  const type = typeof componentOrType === 'string'
+    ? normalizeComponentType(componentOrType)
+    : getComponentType(componentOrType);
+
+  return registry.get(type) || { ...DEFAULT_DEFINITION, type, displayName: type };
+}
+
+export function isRegisteredComponentType(componentOrType) {
+  const type = typeof componentOrType === 'string'
+    ? normalizeComponentType(componentOrType)
+    : getComponentType(componentOrType);
+  return registry.has(type);
+}
+
+export function getComponentCategory(componentOrType) {
+  return getComponentDefinition(componentOrType).category;
+}
+
+export function getComponentPorts(componentOrType) {
+  const { inputs, multiInputs = [], outputs } = getComponentDefinition(componentOrType);
+  return { inputs, multiInputs, outputs };
+}
+
+export function getComponentSchemaMode(componentOrType) {
+  return getComponentDefinition(componentOrType).schema;
+}
+
+export function getComponentIcon(componentOrType) {
+  return getComponentDefinition(componentOrType).icon;
+}
+
+export function getComponentDisplayName(componentOrType) {
+  return getComponentDefinition(componentOrType).displayName;
+}
+
+export function getComponentParams(componentOrType) {
+  return getComponentDefinition(componentOrType).params || [];
+}
+
+export function listComponentTypes() {
+  return Array.from(registry.values());
+}
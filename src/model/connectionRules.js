@@ -0,0 +1,157 @@
+import { getComponentPorts, getComponentDisplayName } from './componentRegistry';
+import { getSubjobMembership, SUBJOB_TRIGGER_TYPES } from './subjobs';
+
+/**
+ * Connection Rules
+ *
+ * Validates new data flows against the component registry port definitions:
+ * port existence, input cardinality (one flow per input port) and cycles.
+ * Every check returns { valid, reason } so the canvas can explain a refused drop.
+ */
+
+// Connector name on a flow decides which ports it uses
+export const getFlowInputPort = (flow) => (flow.name === 'lookup' ? 'lookup' : 'main');
+export const getFlowOutputPort = (flow) => (flow.name === 'reject' ? 'reject' : 'main');
+
+// Connector name stored on a new flow for a given source/target port pair.
+// A flow keeps a single name, so validateConnection refuses reject → lookup
+export const getConnectorName = (sourcePort, targetPort) => (
+  targetPort === 'lookup' ? 'lookup' : (sourcePort || 'main')
+);
+
+// Data flow connectors and the trigger types stored in job.triggers
+export const FLOW_CONNECTORS = ['main', 'reject', 'lookup'];
+export const TRIGGER_TYPES = ['OnSubjobOk', 'OnSubjobError', 'OnComponentOk', 'OnComponentError', 'RunIf'];
+
+export const isTriggerType = (type) => TRIGGER_TYPES.includes(type);
+
+const dataFlows = (job) => (job?.flows || []).filter(flow => !flow.type || flow.type === 'flow');
+
+const describe = (component) => `${component.id} (${getComponentDisplayName(component)})`;
+
+// True if `targetId` can already reach `sourceId`, i.e. sourceId -> targetId would close a loop
+export function createsCycle(flows, sourceId, targetId) {
+  if (sourceId === targetId) return true;
+
+  const adjacency = new Map();
+  flows.forEach(flow => {
+    if (!adjacency.has(flow.from)) adjacency.set(flow.from, []);
+    adjacency.get(flow.from).push(flow.to);
+  });
+
+  const visited = new Set();
+  const stack = [targetId];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === sourceId) return true;
+    if (visited.has(current)) continue;
+    visited.add(current);
+    (adjacency.get(current) || []).forEach(next => stack.push(next));
+  }
+  return false;
+}
+
+/**
+ * Validate a prospective connection.
+ * connection: { from, fromPort, to, toPort }
+ * options.ignoreFlow: an existing flow to leave out of the checks (used when rerouting)
+ */
+export function validateConnection(job, connection, options = {}) {
+  const { from, to } = connection;
+  const fromPort = connection.fromPort || 'main';
+  const toPort = connection.toPort || 'main';
+
+  const source = job?.components?.find(c => c.id === from);
+  const target = job?.components?.find(c => c.id === to);
+
+  if (!source || !target) {
+    return { valid: false, reason: 'Both ends of a connection must be existing components.' };
+  }
+
+  if (from === to) {
+    return { valid: false, reason: 'A component cannot be connected to itself.' };
+  }
+
+  const sourcePorts = getComponentPorts(source);
+  const targetPorts = getComponentPorts(target);
+
+  if (sourcePorts.outputs.length === 0) {
+    return { valid: false, reason: `${describe(source)} has no outputs.` };
+  }
+  if (!sourcePorts.outputs.includes(fromPort)) {
+    return { valid: false, reason: `${describe(source)} has no "${fromPort}" output.` };
+  }
+  if (targetPorts.inputs.length === 0) {
+    return { valid: false, reason: `${describe(target)} does not accept inputs.` };
+  }
+  if (!targetPorts.inputs.includes(toPort)) {
+    return { valid: false, reason: `${describe(target)} has no "${toPort}" input.` };
+  }
+
+  // The stored connector would be 'lookup' and the rows would silently come from the main output
+  if (fromPort === 'reject' && toPort === 'lookup') {
+    return { valid: false, reason: `The reject output of ${from} cannot feed a lookup input. Connect it to a main input.` };
+  }
+
+  const flows = dataFlows(job).filter(flow => flow !== options.ignoreFlow);
+
+  if (flows.some(flow => flow.from === from && flow.to === to)) {
+    return { valid: false, reason: `${from} is already connected to ${to}.` };
+  }
+
+  // Cardinality: each input port takes a single flow, unless the type accepts several (map lookups)
+  const occupied = !targetPorts.multiInputs.includes(toPort) &&
+    flows.find(flow => flow.to === to && getFlowInputPort(flow) === toPort);
+  if (occupied) {
+    const freePort = targetPorts.inputs.find(port =>
+      !flows.some(flow => flow.to === to && getFlowInputPort(flow) === port)
+    );
+    const hint = freePort ? ` Connect to its "${freePort}" input instead.` : '';
+    return {
+      valid: false,
+      reason: `${describe(target)} already has a "${toPort}" input from ${occupied.from}.${hint}`
+    };
+  }
+
+  if (createsCycle(flows, from, to)) {
+    return { valid: false, reason: `Connecting ${from} to ${to} would create a cycle.` };
+  }
+
+  return { valid: true, reason: null };
+}
+
+/**
+ * Validate a trigger link (OnSubjobOk, RunIf, ...) between two components.
+ * options.ignoreTrigger: an existing trigger to leave out of the checks
+ */
+export function validateTrigger(job, trigger, options = {}) {
+  const { from, to, type } = trigger;
+  const components = job?.components || [];
+
+  if (!components.some(c => c.id === from) || !components.some(c => c.id === to)) {
+    return { valid: false, reason: 'Both ends of a trigger must be existing components.' };
+  }
+  if (from === to) {
+    return { valid: false, reason: 'A component cannot trigger itself.' };
+  }
+  if (!isTriggerType(type)) {
+    return { valid: false, reason: `Unknown trigger type "${type}".` };
+  }
+
+  if (SUBJOB_TRIGGER_TYPES.includes(type)) {
+    const membership = getSubjobMembership(job);
+    if (membership.has(from) && membership.get(from) === membership.get(to)) {
+      return { valid: false, reason: `${type} connects two subjobs, but ${from} and ${to} are in the same subjob.` };
+    }
+  }
+
+  const triggers = (job.triggers || []).filter(t => t !== options.ignoreTrigger);
+  if (triggers.some(t => t.from === from && t.to === to && t.type === type)) {
+    return { valid: false, reason: `${from} already has an ${type} trigger to ${to}.` };
+  }
+  if (createsCycle(triggers, from, to)) {
+    return { valid: false, reason: `Triggering ${to} from ${from} would create a cycle.` };
+  }
+
+  return { valid: true, reason: null };
+}
@@ -0,0 +1,101 @@
+import { validateConnection, validateTrigger, createsCycle, getConnectorName } from './connectionRules';
+
+const component = (id, type) => ({ id, type, position: { x: 0, y: 0 }, config: {} });
+
+const job = {
+  components: [
+    component('in_1', 'file_input_delimited'),
+    component('in_2', 'file_input_delimited'),
+    component('map_3', 'map'),
+    component('filter_4', 'filter_rows'),
+    component('out_5', 'file_output_positional'),
+    component('in_6', 'file_input_delimited')
+  ],
+  flows: [
+    { name: 'main', from: 'in_1', to: 'map_3', type: 'flow' },
+    { name: 'main', from: 'map_3', to: 'filter_4', type: 'flow' }
+  ],
+  triggers: [],
+  subjobs: {
+    in_1: { components: ['in_1', 'map_3', 'filter_4'] },
+    in_6: { components: ['in_6'] }
+  }
+};
+
+const reasonFor = (connection) => validateConnection(job, connection).reason;
+
+describe('validateConnection', () => {
+  it('accepts a connection between free, compatible ports', () => {
+    expect(validateConnection(job, { from: 'filter_4', to: 'out_5' })).toEqual({ valid: true, reason: null });
+    expect(validateConnection(job, { from: 'filter_4', fromPort: 'reject', to: 'out_5' }).valid).toBe(true);
+  });
+
+  it('checks that both ports exist', () => {
+    expect(reasonFor({ from: 'out_5', to: 'filter_4' })).toBe('out_5 (File Output Positional) has no outputs.');
+    expect(reasonFor({ from: 'in_2', fromPort: 'reject', to: 'out_5' }))
+      .toBe('in_2 (File Input Delimited) has no "reject" output.');
+    expect(reasonFor({ from: 'in_2', to: 'in_6' })).toBe('in_6 (File Input Delimited) does not accept inputs.');
+    expect(reasonFor({ from: 'in_2', to: 'nowhere' })).toBe('Both ends of a connection must be existing components.');
+  });
+
+  it('allows one flow per input port, except multi-input ports', () => {
+    expect(reasonFor({ from: 'in_2', to: 'map_3' }))
+      .toBe('map_3 (Map) already has a "main" input from in_1. Connect to its "lookup" input instead.');
+    expect(validateConnection(job, { from: 'in_2', to: 'map_3', toPort: 'lookup' }).valid).toBe(true);
+
+    const withLookup = { ...job, flows: [...job.flows, { name: 'lookup', from: 'in_2', to: 'map_3', type: 'flow' }] };
+    expect(validateConnection(withLookup, { from: 'in_6', to: 'map_3', toPort: 'lookup' }).valid).toBe(true);
+  });
+
+  it('refuses duplicates, self-links and cycles', () => {
+    expect(reasonFor({ from: 'in_1', to: 'map_3', toPort: 'lookup' })).toBe('in_1 is already connected to map_3.');
+    expect(reasonFor({ from: 'map_3', to: 'map_3', toPort: 'lookup' })).toBe('A component cannot be connected to itself.');
+    expect(reasonFor({ from: 'filter_4', to: 'map_3', toPort: 'lookup' })).toBe('Connecting filter_4 to map_3 would create a cycle.');
+  });
+
+  it('refuses a reject output into a lookup input', () => {
+    const unlinked = { ...job, flows: [] };
+    expect(validateConnection(unlinked, { from: 'filter_4', fromPort: 'reject', to: 'map_3', toPort: 'lookup' }).reason)
+      .toBe('The reject output of filter_4 cannot feed a lookup input. Connect it to a main input.');
+  });
+
+  it('leaves out the flow being rerouted', () => {
+    const [flow] = job.flows;
+    expect(validateConnection(job, { from: 'in_2', to: 'map_3' }, { ignoreFlow: flow }).valid).toBe(true);
+  });
+});
+
+describe('validateTrigger', () => {
+  it('links subjobs but not components of the same subjob', () => {
+    expect(validateTrigger(job, { from: 'in_1', to: 'in_6', type: 'OnSubjobOk' }).valid).toBe(true);
+    expect(validateTrigger(job, { from: 'in_1', to: 'filter_4', type: 'OnSubjobOk' }).reason)
+      .toBe('OnSubjobOk connects two subjobs, but in_1 and filter_4 are in the same subjob.');
+    expect(validateTrigger(job, { from: 'in_1', to: 'filter_4', type: 'OnComponentOk' }).valid).toBe(true);
+  });
+
+  it('refuses unknown types, duplicates and cycles', () => {
+    const linked = { ...job, triggers: [{ from: 'in_1', to: 'in_6', type: 'OnSubjobOk' }] };
+
+    expect(validateTrigger(job, { from: 'in_1', to: 'in_6', type: 'OnWhatever' }).reason).toBe('Unknown trigger type "OnWhatever".');
+    expect(validateTrigger(linked, { from: 'in_1', to: 'in_6', type: 'OnSubjobOk' }).reason)
+      .toBe('in_1 already has an OnSubjobOk trigger to in_6.');
+    expect(validateTrigger(linked, { from: 'in_6', to: 'in_1', type: 'OnSubjobError' }).reason)
+      .toBe('Triggering in_1 from in_6 would create a cycle.');
+  });
+});
+
+describe('createsCycle', () => {
+  it('follows links transitively', () => {
+    const links = [{ from: 'a', to: 'b' }, { from: 'b', to: 'c' }];
+    expect(createsCycle(links, 'c', 'a')).toBe(true);
+    expect(createsCycle(links, 'a', 'c')).toBe(false);
+  });
+});
+
+describe('getConnectorName', () => {
+  it('names lookups by the target port and other flows by the source port', () => {
+    expect(getConnectorName('main', 'lookup')).toBe('lookup');
+    expect(getConnectorName('reject', 'main')).toBe('reject');
+    expect(getConnectorName(undefined, 'main')).toBe('main');
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Context Environments
+ *
+ * job.context holds named environments (Default, DEV, UAT, PROD ...), each a map
+ * of variable name -> { value, type }. job.active_context names the one used for runs.
+ * All edits return a new job so they go through updateJob and undo history.
+ */
+
+export const DEFAULT_CONTEXT = 'Default';
+
+export function getContextNames(job) {
+  return Object.keys(job?.context || {});
+}
+
+export function getActiveContextName(job) {
+  const names = getContextNames(job);
+  if (job?.active_context && names.includes(job.active_context)) return job.active_context;
+  return names.includes(DEFAULT_CONTEXT) ? DEFAULT_CONTEXT : (names[0] || null);
+}
+
+export function getContextVariables(job, contextName = getActiveContextName(job)) {
+  return (contextName && job?.context?.[contextName]) || {};
+}
+
+// { name: value } for a context, as sent to executeJob
+export function getContextValues(job, contextName = getActiveContextName(job)) {
+  const values = {};
+  Object.entries(getContextVariables(job, contextName)).forEach(([name, item]) => {
+    values[name] = item.value;
+  });
+  return values;
+}
+
+export function validateContextName(job, name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'Context name is required.';
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(trimmed)) return 'Use letters, digits and underscores, starting with a letter.';
+  if (getContextNames(job).includes(trimmed)) return `A context named "${trimmed}" already exists.`;
+  return null;
+}
+
+/**
+ * Create a context. With sourceName the values are cloned, otherwise the
+ * variables of the active context are copied with empty values.
+ */
+export function createContext(job, name, sourceName = null) {
+  const template = getContextVariables(job, sourceName || getActiveContextName(job));
+  const variables = {};
+  Object.entries(template).forEach(([variable, item]) => {
+    variables[variable] = { ...item, value: sourceName ? item.value : '' };
+  });
+
+  return {
+    ...job,
+    context: { ...(job.context || {}), [name]: variables }
+  };
+}
+
+// Delete a context; the last remaining one cannot be deleted
+export function deleteContext(job, name) {
+  const names = getContextNames(job);
+  if (!names.includes(name) || names.length <= 1) return job;
+
+  const { [name]: removed, ...remaining } = job.context;
+  const updatedJob = { ...job, context: remaining };
+  if (job.active_context === name) {
+    updatedJob.active_context = getActiveContextName({ context: remaining });
+  }
+  return updatedJob;
+}
+
+export function setActiveContext(job, name) {
+  return { ...job, active_context: name };
+}
+
+export function setContextValue(job, contextName, variable, value) {
+  const variables = getContextVariables(job, contextName);
+  return {
+    ...job,
+    context: {
+      ...job.context,
+      [contextName]: {
+        ...variables,
+        [variable]: { ...variables[variable], value }
+      }
+    }
+  };
+}
+
+/**
+ * Compare variables across contexts.
+ * Returns [{ name, type, values: { contextName: value }, differs }] for every variable.
+ */
+export function diffContexts(job, contextNames = getContextNames(job)) {
+  const variableNames = new Set();
+  contextNames.forEach(contextName => {
+    Object.keys(getContextVariables(job, contextName)).forEach(name => variableNames.add(name));
+  });
+
+  return Array.from(variableNames).map(name => {
+    const values = {};
+    let type = null;
+    contextNames.forEach(contextName => {
+      const item = getContextVariables(job, contextName)[name];
+      values[contextName] = item ? item.value : undefined;
+      type = type || item?.type || null;
+    });
+    const distinct = new Set(Object.values(values).map(value => JSON.stringify(value)));
+    return { name, type, values, differs: distinct.size > 1 };
+  });
+}
+
+// Input control for a context variable type (accepts Talend id_* types and plain names)
+export function getContextInputType(type) {
+  const normalized = String(type || '').toLowerCase().replace(/^id_/, '');
+  if (normalized === 'password') return 'password';
+  if (normalized === 'date') return 'date';
+  if (['int', 'integer', 'long', 'short', 'double', 'float', 'bigdecimal'].includes(normalized)) return 'number';
+  if (normalized === 'boolean') return 'checkbox';
+  return 'text';
+}
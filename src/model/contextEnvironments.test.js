@@ -0,0 +1,90 @@
+import {
+  getActiveContextName,
+  getContextValues,
+  validateContextName,
+  createContext,
+  deleteContext,
+  setContextValue,
+  diffContexts,
+  getContextInputType
+} from './contextEnvironments';
+
+const job = {
+  name: 'context_test',
+  context: {
+    Default: {
+      input_dir: { value: '/data/in', type: 'id_String' },
+      batch_size: { value: '100', type: 'id_Integer' }
+    },
+    PROD: {
+      input_dir: { value: '/prod/in', type: 'id_String' },
+      batch_size: { value: '100', type: 'id_Integer' }
+    }
+  },
+  active_context: 'PROD'
+};
+
+describe('getActiveContextName', () => {
+  it('falls back to Default, then the first context', () => {
+    expect(getActiveContextName(job)).toBe('PROD');
+    expect(getActiveContextName({ ...job, active_context: 'UAT' })).toBe('Default');
+    expect(getActiveContextName({ context: { UAT: {} } })).toBe('UAT');
+    expect(getActiveContextName({})).toBeNull();
+  });
+});
+
+describe('getContextValues', () => {
+  it('sends the values of the active context', () => {
+    expect(getContextValues(job)).toEqual({ input_dir: '/prod/in', batch_size: '100' });
+  });
+});
+
+describe('validateContextName', () => {
+  it('needs a new identifier', () => {
+    expect(validateContextName(job, ' UAT ')).toBeNull();
+    expect(validateContextName(job, '')).toBe('Context name is required.');
+    expect(validateContextName(job, '1st')).toBe('Use letters, digits and underscores, starting with a letter.');
+    expect(validateContextName(job, 'PROD')).toBe('A context named "PROD" already exists.');
+  });
+});
+
+describe('createContext', () => {
+  it('clones a source context or copies the active variables empty', () => {
+    expect(createContext(job, 'UAT', 'Default').context.UAT).toEqual(job.context.Default);
+    expect(createContext(job, 'UAT').context.UAT).toEqual({
+      input_dir: { value: '', type: 'id_String' },
+      batch_size: { value: '', type: 'id_Integer' }
+    });
+  });
+});
+
+describe('deleteContext', () => {
+  it('moves the active context and keeps the last one', () => {
+    const withoutProd = deleteContext(job, 'PROD');
+    expect(Object.keys(withoutProd.context)).toEqual(['Default']);
+    expect(withoutProd.active_context).toBe('Default');
+    expect(deleteContext(withoutProd, 'Default')).toBe(withoutProd);
+  });
+});
+
+describe('diffContexts', () => {
+  it('flags variables whose values differ', () => {
+    const changed = setContextValue(job, 'PROD', 'batch_size', '500');
+    expect(job.context.PROD.batch_size.value).toBe('100');
+    expect(diffContexts(changed)).toEqual([
+      { name: 'input_dir', type: 'id_String', values: { Default: '/data/in', PROD: '/prod/in' }, differs: true },
+      { name: 'batch_size', type: 'id_Integer', values: { Default: '100', PROD: '500' }, differs: true }
+    ]);
+    expect(diffContexts(job).find(row => row.name === 'batch_size').differs).toBe(false);
+  });
+});
+
+describe('getContextInputType', () => {
+  it('maps Talend types to input controls', () => {
+    expect(getContextInputType('id_Integer')).toBe('number');
+    expect(getContextInputType('id_Password')).toBe('password');
+    expect(getContextInputType('id_Boolean')).toBe('checkbox');
+    expect(getContextInputType('id_Date')).toBe('date');
+    expect(getContextInputType(undefined)).toBe('text');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Cron Expressions
+ *
+ * Five-field cron schedules as used by the scheduler:
+ *   minute hour day-of-month month day-of-week
+ * Each field takes *, numbers, ranges (1-5), steps (*\/15, 8-18/2) and
+ * lists (1,15); months and weekdays also take names (JAN, MON-FRI).
+ * Sunday is 0 or 7. As in standard cron, when both day fields are
+ * restricted a day matches if either does. Presets: @hourly, @daily,
+ * @weekly, @monthly, @weekdays.
+ */
+
+export const CRON_PRESETS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@weekdays': '0 6 * * 1-5'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Searching further ahead than this means the expression never fires (e.g. 31 FEB)
+const MAX_SEARCH_DAYS = 366 * 5;
+
+const parseValue = (text, field) => {
+  const upper = text.toUpperCase();
+  if (field.names?.includes(upper)) return field.names.indexOf(upper) + field.offset;
+  if (!/^\d+$/.test(text)) throw new Error(`"${text}" is not a valid ${field.name}`);
+  const value = parseInt(text, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} ${value} is outside ${field.min}-${field.max}`);
+  }
+  return value;
+};
+
+const parseField = (text, field) => {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`"${part}" has an invalid step`);
+    }
+
+    let [start, end] = [field.min, field.max];
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field);
+      if (end < start) throw new Error(`"${range}" is an empty ${field.name} range`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  });
+  return values;
+};
+
+/**
+ * Parsed schedule: { minutes, hours, daysOfMonth, months, daysOfWeek } as Sets,
+ * plus which day fields are restricted. Throws with a readable message.
+ */
+export function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const parts = (CRON_PRESETS[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('A schedule needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    domRestricted: parts[2] !== '*',
+    dowRestricted: parts[4] !== '*'
+  };
+}
+
+// Problem with an expression, or null
+export function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const matchesDay = (cron, date) => {
+  if (!cron.months.has(date.getMonth() + 1)) return false;
+  const dom = cron.daysOfMonth.has(date.getDate());
+  const dow = cron.daysOfWeek.has(date.getDay());
+  if (cron.domRestricted && cron.dowRestricted) return dom || dow;
+  return dom && dow;
+};
+
+/**
+ * Whether the schedule fires in the minute of `date` (local time).
+ */
+export function matchesCron(expression, date) {
+  const cron = parseCron(expression);
+  return cron.minutes.has(date.getMinutes()) && cron.hours.has(date.getHours()) && matchesDay(cron, date);
+}
+
+/**
+ * The next count run times strictly after `from`, in local time.
+ */
+export function getNextRuns(expression, from = new Date(), count = 5) {
+  const cron = parseCron(expression);
+  const hours = [...cron.hours].sort((a, b) => a - b);
+  const minutes = [...cron.minutes].sort((a, b) => a - b);
+  const runs = [];
+
+  const day = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  for (let i = 0; i < MAX_SEARCH_DAYS && runs.length < count; i++) {
+    if (matchesDay(cron, day)) {
+      for (const hour of hours) {
+        for (const minute of minutes) {
+          const run = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+          if (run > from && runs.length < count) runs.push(run);
+        }
+      }
+    }
+    day.setDate(day.getDate() + 1);
+  }
+  return runs;
+}
@@ -0,0 +1,56 @@
+import { parseCron, validateCron, getNextRuns } from './cron';
+
+// Local times, as the scheduler fires in the server's time zone
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('parseCron', () => {
+  it('expands ranges, steps, lists and names', () => {
+    const cron = parseCron('*/15 8-18/5 1,15 JAN-MAR MON-FRI');
+
+    expect([...cron.minutes]).toEqual([0, 15, 30, 45]);
+    expect([...cron.hours]).toEqual([8, 13, 18]);
+    expect([...cron.daysOfMonth]).toEqual([1, 15]);
+    expect([...cron.months]).toEqual([1, 2, 3]);
+    expect([...cron.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('accepts presets and Sunday as 7', () => {
+    expect(parseCron('@daily').hours).toEqual(new Set([0]));
+    expect(parseCron('0 0 * * 7').daysOfWeek.has(0)).toBe(true);
+  });
+});
+
+describe('validateCron', () => {
+  it('explains what is wrong', () => {
+    expect(validateCron('0 6 * * 1-5')).toBeNull();
+    expect(validateCron('0 6 * *')).toMatch('5 fields');
+    expect(validateCron('61 * * * *')).toBe('minute 61 is outside 0-59');
+    expect(validateCron('0 18-6 * * *')).toBe('"18-6" is an empty hour range');
+    expect(validateCron('*/0 * * * *')).toBe('"*/0" has an invalid step');
+    expect(validateCron('0 0 * FOO *')).toBe('"FOO" is not a valid month');
+  });
+});
+
+describe('getNextRuns', () => {
+  it('lists the next firings strictly after the start', () => {
+    expect(getNextRuns('0 6 * * 1-5', at(2024, 3, 1, 6, 0), 3)).toEqual([
+      at(2024, 3, 4, 6, 0),
+      at(2024, 3, 5, 6, 0),
+      at(2024, 3, 6, 6, 0)
+    ]);
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // The 13th of the month or any Friday
+    expect(getNextRuns('0 9 13 * FRI', at(2024, 9, 1), 3)).toEqual([
+      at(2024, 9, 6, 9, 0),
+      at(2024, 9, 13, 9, 0),
+      at(2024, 9, 20, 9, 0)
+    ]);
+  });
+
+  it('finds rare dates and gives up on impossible ones', () => {
+    expect(getNextRuns('0 0 29 FEB *', at(2024, 3, 1), 1)).toEqual([at(2028, 2, 29)]);
+    expect(getNextRuns('0 0 31 FEB *', at(2024, 1, 1), 1)).toEqual([]);
+  });
+});
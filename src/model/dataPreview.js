@@ -0,0 +1,129 @@
+/**
+ * Data Preview
+ *
+ * Helpers for previewing the rows a component emits: the upstream part of the
+ * job that has to run, column profiling (type and null count) and CSV export.
+ * A preview result has the shape
+ *   { columns: [{ name, type }], rows: [{...}], rejects: { columns, rows } | null }
+ */
+
+import { getComponentPorts } from './componentRegistry';
+import { getFlowOutputPort } from './connectionRules';
+
+export const PREVIEW_ROW_LIMITS = [50, 100, 500, 1000];
+export const DEFAULT_PREVIEW_LIMIT = 100;
+
+/**
+ * Preview target for a node: its main output, plus rejects when it has a reject port.
+ */
+export function getNodePreviewTarget(job, componentId) {
+  const component = (job?.components || []).find(c => c.id === componentId);
+  if (!component) return null;
+  const outputs = getComponentPorts(component).outputs;
+  return {
+    componentId,
+    port: 'main',
+    includeRejects: outputs.includes('reject'),
+    label: componentId
+  };
+}
+
+/**
+ * Preview target for a flow: the rows its source emits on the flow's output port.
+ */
+export function getFlowPreviewTarget(flow) {
+  const port = getFlowOutputPort(flow);
+  return {
+    componentId: flow.from,
+    port,
+    includeRejects: false,
+    label: `${flow.from} → ${flow.to}${port === 'reject' ? ' (reject)' : ''}`
+  };
+}
+
+/**
+ * The part of the job that has to run to produce a component's output:
+ * the component and everything feeding it through data flows.
+ * Triggers between the kept components are retained; components without data
+ * input still run as sources.
+ */
+export function getUpstreamJob(job, componentId) {
+  const flows = job.flows || [];
+  const keep = new Set([componentId]);
+  const stack = [componentId];
+
+  while (stack.length > 0) {
+    const id = stack.pop();
+    flows.forEach(flow => {
+      if (flow.to === id && !keep.has(flow.from)) {
+        keep.add(flow.from);
+        stack.push(flow.from);
+      }
+    });
+  }
+
+  return {
+    ...job,
+    components: (job.components || []).filter(c => keep.has(c.id)),
+    flows: flows.filter(f => keep.has(f.from) && keep.has(f.to)),
+    triggers: (job.triggers || []).filter(t => keep.has(t.from) && keep.has(t.to))
+  };
+}
+
+const isNull = (value) => value === null || value === undefined;
+
+// Empty strings say nothing about a column's type, but they are values, not nulls
+const isBlank = (value) => isNull(value) || value === '';
+
+const inferValueType = (value) => {
+  if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'double';
+  if (typeof value === 'boolean') return 'boolean';
+  const text = String(value).trim();
+  if (/^-?\d+$/.test(text)) return 'int';
+  if (/^-?\d*\.\d+$/.test(text)) return 'double';
+  if (/^(true|false)$/i.test(text)) return 'boolean';
+  if (/^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2})?)?/.test(text)) return 'date';
+  return 'string';
+};
+
+/**
+ * Type of a column from its non-empty sample values; int widens to double,
+ * anything else mixed falls back to string.
+ */
+export function inferColumnType(values) {
+  const types = new Set(values.filter(v => !isBlank(v)).map(inferValueType));
+  if (types.size === 0) return 'string';
+  if (types.size === 1) return [...types][0];
+  if (types.size === 2 && types.has('int') && types.has('double')) return 'double';
+  return 'string';
+}
+
+/**
+ * Column headers with the declared type (or an inferred one) and null count.
+ */
+export function profileColumns(columns, rows) {
+  const names = columns && columns.length > 0
+    ? columns
+    : [...new Set(rows.flatMap(row => Object.keys(row)))].map(name => ({ name }));
+
+  return names.map(column => {
+    const values = rows.map(row => row[column.name]);
+    return {
+      name: column.name,
+      type: column.type || inferColumnType(values),
+      nullCount: values.filter(isNull).length
+    };
+  });
+}
+
+const escapeCsv = (value) => {
+  if (isNull(value)) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function previewToCsv(columns, rows) {
+  const header = columns.map(c => escapeCsv(c.name)).join(',');
+  const lines = rows.map(row => columns.map(c => escapeCsv(row[c.name])).join(','));
+  return [header, ...lines].join('\n');
+}
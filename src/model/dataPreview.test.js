@@ -0,0 +1,37 @@
+import { inferColumnType, profileColumns, previewToCsv } from './dataPreview';
+
+describe('profileColumns', () => {
+  const rows = [
+    { id: 1, account: 'ACC1', note: '' },
+    { id: 2, account: null, note: 'late' },
+    { id: 3, note: '' }
+  ];
+
+  it('counts nulls and missing values, not empty strings', () => {
+    expect(profileColumns([{ name: 'id', type: 'int' }, { name: 'account' }, { name: 'note' }], rows)).toEqual([
+      { name: 'id', type: 'int', nullCount: 0 },
+      { name: 'account', type: 'string', nullCount: 2 },
+      { name: 'note', type: 'string', nullCount: 0 }
+    ]);
+  });
+
+  it('takes the columns from the rows when none are declared', () => {
+    expect(profileColumns([], rows).map(column => column.name)).toEqual(['id', 'account', 'note']);
+  });
+});
+
+describe('inferColumnType', () => {
+  it('ignores empty values and widens int to double', () => {
+    expect(inferColumnType(['', null, '12'])).toBe('int');
+    expect(inferColumnType([1, '2.5'])).toBe('double');
+    expect(inferColumnType(['2024-01-31', 'x'])).toBe('string');
+    expect(inferColumnType([''])).toBe('string');
+  });
+});
+
+describe('previewToCsv', () => {
+  it('quotes values that need it and leaves nulls empty', () => {
+    expect(previewToCsv([{ name: 'id' }, { name: 'note' }], [{ id: 1, note: 'a, "b"' }, { id: null, note: 'c' }]))
+      .toBe('id,note\n1,"a, ""b"""\n,c');
+  });
+});
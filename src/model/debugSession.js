@@ -0,0 +1,122 @@
+import { getFlowSchema } from './schema';
+import { analyzeExpression } from './expressions';
+import { INPUT_ROW_ALIAS, getContextTypes } from './expressionScope';
+import { flowKey } from './executionProgress';
+
+/**
+ * Debug Session
+ *
+ * Breakpoints and the state of a debug run. Breakpoints sit on data flows,
+ * keyed like the progress stats (from->to):
+ *   { [flowKey]: { from, to, condition, enabled } }
+ * An empty condition pauses on every batch crossing the flow; otherwise only
+ * on batches where at least one row matches the boolean expression, which
+ * sees the flow's columns like a filter_rows condition does.
+ *
+ * Debug protocol with the executor (see services/debugService.js):
+ *   POST {api}/debug                    { job, context, breakpoints } -> { runId }
+ *   POST {api}/debug/<runId>/command    { command: 'step' | 'continue' | 'abort' }
+ * and on the execution event stream, next to the progress events:
+ *   { type: 'debug_paused', runId, from, to, reason: 'breakpoint' | 'step',
+ *     batch: { index, columns, rows, matchedRows: [row indexes] } }
+ *   { type: 'debug_resumed', runId }
+ * step runs to the next batch on any flow, continue to the next breakpoint
+ * hit; an aborted run finishes with status 'aborted'.
+ */
+
+export const DEBUG_COMMANDS = ['step', 'continue', 'abort'];
+
+const dataFlows = (job) => (job?.flows || []).filter(flow => !flow.type || flow.type === 'flow');
+
+export const getBreakpoint = (breakpoints, flow) => breakpoints[flowKey(flow.from, flow.to)] || null;
+
+export function toggleBreakpoint(breakpoints, flow) {
+  const key = flowKey(flow.from, flow.to);
+  if (breakpoints[key]) {
+    const { [key]: _removed, ...rest } = breakpoints;
+    return rest;
+  }
+  return { ...breakpoints, [key]: { from: flow.from, to: flow.to, condition: '', enabled: true } };
+}
+
+export function updateBreakpoint(breakpoints, key, changes) {
+  if (!breakpoints[key]) return breakpoints;
+  return { ...breakpoints, [key]: { ...breakpoints[key], ...changes } };
+}
+
+/**
+ * Breakpoints whose flow still exists in the job.
+ */
+export function getActiveBreakpoints(job, breakpoints) {
+  const keys = new Set(dataFlows(job).map(flow => flowKey(flow.from, flow.to)));
+  return Object.entries(breakpoints)
+    .filter(([key]) => keys.has(key))
+    .map(([key, breakpoint]) => ({ key, ...breakpoint }));
+}
+
+// Expression scope of a breakpoint condition: the flow's columns, bare or as input_row.<column>
+export function getBreakpointScope(job, breakpoint) {
+  const flow = dataFlows(job).find(f => f.from === breakpoint.from && f.to === breakpoint.to);
+  const columns = flow ? getFlowSchema(job, flow) : [];
+  return { tables: { [INPUT_ROW_ALIAS]: columns }, columns, context: getContextTypes(job) };
+}
+
+/**
+ * Problems with the enabled breakpoints: [{ key, message }]
+ */
+export function validateBreakpoints(job, breakpoints) {
+  return getActiveBreakpoints(job, breakpoints)
+    .filter(breakpoint => breakpoint.enabled && breakpoint.condition.trim())
+    .flatMap(breakpoint => analyzeExpression(breakpoint.condition, getBreakpointScope(job, breakpoint), { expectedType: 'boolean' })
+      .errors.map(error => ({ key: breakpoint.key, message: `${breakpoint.from} → ${breakpoint.to}: ${error.message}` })));
+}
+
+// Enabled breakpoints as sent to the executor
+export const toProtocolBreakpoints = (job, breakpoints) => getActiveBreakpoints(job, breakpoints)
+  .filter(breakpoint => breakpoint.enabled)
+  .map(({ from, to, condition }) => ({ from, to, condition: condition.trim() || null }));
+
+export function createDebugState(runId = null) {
+  return { runId, status: 'running', paused: null, pauseCount: 0, error: null };
+}
+
+/**
+ * Debug state after an event from the execution stream; other events pass through.
+ */
+export function applyDebugEvent(state, event) {
+  if (event.runId && state.runId && event.runId !== state.runId) return state;
+
+  switch (event.type) {
+    case 'run_started':
+      return { ...state, runId: event.runId ?? state.runId };
+
+    case 'debug_paused':
+      return {
+        ...state,
+        status: 'paused',
+        pauseCount: state.pauseCount + 1,
+        paused: {
+          from: event.from,
+          to: event.to,
+          reason: event.reason || 'breakpoint',
+          batch: {
+            index: event.batch?.index ?? 0,
+            columns: event.batch?.columns || [],
+            rows: event.batch?.rows || [],
+            matchedRows: event.batch?.matchedRows || []
+          }
+        }
+      };
+
+    case 'debug_resumed':
+      return { ...state, status: 'running', paused: null };
+
+    case 'run_finished':
+      return { ...state, status: event.status === 'aborted' ? 'aborted' : 'finished', paused: null, error: event.error || null };
+
+    default:
+      return state;
+  }
+}
+
+export const isDebugActive = (state) => Boolean(state && ['running', 'paused'].includes(state.status));
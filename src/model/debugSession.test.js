@@ -0,0 +1,78 @@
+/**
+ * @jest-environment node
+ */
+import { toggleBreakpoint, updateBreakpoint, toProtocolBreakpoints, createDebugState, applyDebugEvent } from './debugSession';
+import { flowKey } from './executionProgress';
+import { startMockServer, stopMockServer, subscribeEvents, postJson } from '../testing/mockServer';
+
+const job = {
+  name: 'debug_test',
+  components: [
+    { id: 'in_1', type: 'file_input_delimited' },
+    { id: 'filter_2', type: 'filter_rows' },
+    { id: 'out_3', type: 'file_output_delimited' }
+  ],
+  flows: [
+    { from: 'in_1', to: 'filter_2', type: 'flow' },
+    { from: 'filter_2', to: 'out_3', type: 'flow' }
+  ]
+};
+
+const withCondition = (condition) => {
+  const breakpoints = toggleBreakpoint({}, job.flows[0]);
+  return toProtocolBreakpoints(job, updateBreakpoint(breakpoints, flowKey('in_1', 'filter_2'), { condition }));
+};
+
+describe('toProtocolBreakpoints', () => {
+  it('sends enabled breakpoints with a trimmed condition', () => {
+    expect(withCondition('  amount > 10 ')).toEqual([{ from: 'in_1', to: 'filter_2', condition: 'amount > 10' }]);
+    expect(withCondition(' ')).toEqual([{ from: 'in_1', to: 'filter_2', condition: null }]);
+  });
+});
+
+describe('breakpoint conditions on the mock executor', () => {
+  let baseUrl;
+  let stream;
+
+  beforeAll(async () => {
+    baseUrl = await startMockServer();
+    stream = subscribeEvents(baseUrl, job.name);
+    await stream.ready;
+  });
+
+  afterAll(async () => {
+    stream.close();
+    await stopMockServer();
+  });
+
+  const startDebugRun = async (condition) => {
+    const { status, body } = await postJson(`${baseUrl}/api/execution/debug`, { job, context: {}, breakpoints: withCondition(condition) });
+    expect(status).toBe(202);
+    return body.runId;
+  };
+
+  it('pauses on the first batch with rows matching the condition', async () => {
+    const runId = await startDebugRun('input_row.status == "BREAK" && !isNull(account) && amount > 50');
+    const paused = await stream.waitFor(event => event.runId === runId && event.type === 'debug_paused');
+
+    const expected = paused.batch.rows
+      .map((row, index) => (row.status === 'BREAK' && row.account !== null && row.amount > 50 ? index : -1))
+      .filter(index => index >= 0);
+    expect(paused).toMatchObject({ from: 'in_1', to: 'filter_2', reason: 'breakpoint' });
+    expect(expected.length).toBeGreaterThan(0);
+    expect(paused.batch.matchedRows).toEqual(expected);
+    expect(applyDebugEvent(createDebugState(runId), paused).paused.batch.matchedRows).toEqual(expected);
+
+    await postJson(`${baseUrl}/api/execution/debug/${runId}/command`, { command: 'abort' });
+    const finished = await stream.waitFor(event => event.runId === runId && event.type === 'run_finished');
+    expect(finished.status).toBe('aborted');
+  });
+
+  it('never pauses on a condition it cannot evaluate', async () => {
+    const runId = await startDebugRun('shout(status) == "NEW"');
+    const finished = await stream.waitFor(event => event.runId === runId && event.type === 'run_finished');
+
+    expect(finished.status).toBe('succeeded');
+    expect(stream.events.some(event => event.runId === runId && event.type === 'debug_paused')).toBe(false);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Execution Progress
+ *
+ * Per-component and per-link state of a running job, built from streamed
+ * progress events:
+ *   { type: 'run_started', runId }
+ *   { type: 'component_status', runId, componentId, status, rowsIn, rowsOut, error }
+ *   { type: 'flow_stats', runId, from, to, rows, rowsPerSecond }
+ *   { type: 'run_finished', runId, status, error }
+ *
+ * The stream of a job carries every run of it (interactive, scheduled, debug);
+ * once the progress knows its runId, events of other runs are ignored.
+ */
+
+export const COMPONENT_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'skipped'];
+
+export const flowKey = (from, to) => `${from}->${to}`;
+
+export function createProgress(job, runId = null) {
+  const components = {};
+  (job?.components || []).forEach(component => {
+    components[component.id] = {
+      status: component.active === false ? 'skipped' : 'queued',
+      rowsIn: 0,
+      rowsOut: 0,
+      error: null
+    };
+  });
+  return { runId, status: 'running', startedAt: Date.now(), finishedAt: null, error: null, components, flows: {} };
+}
+
+export const isEventOfRun = (event, runId) => !runId || !event.runId || event.runId === runId;
+
+export function applyProgressEvent(progress, event) {
+  if (!isEventOfRun(event, progress.runId)) return progress;
+
+  switch (event.type) {
+    case 'run_started':
+      return { ...progress, runId: event.runId ?? progress.runId, status: 'running' };
+
+    case 'component_status': {
+      const previous = progress.components[event.componentId] || { status: 'queued', rowsIn: 0, rowsOut: 0, error: null };
+      return {
+        ...progress,
+        components: {
+          ...progress.components,
+          [event.componentId]: {
+            ...previous,
+            status: COMPONENT_STATUSES.includes(event.status) ? event.status : previous.status,
+            rowsIn: event.rowsIn ?? previous.rowsIn,
+            rowsOut: event.rowsOut ?? previous.rowsOut,
+            error: event.error ?? previous.error
+          }
+        }
+      };
+    }
+
+    case 'flow_stats':
+      return {
+        ...progress,
+        flows: {
+          ...progress.flows,
+          [flowKey(event.from, event.to)]: { rows: event.rows ?? 0, rowsPerSecond: event.rowsPerSecond ?? 0 }
+        }
+      };
+
+    case 'run_finished': {
+      // Whatever never started is reported as skipped
+      const components = {};
+      Object.entries(progress.components).forEach(([id, state]) => {
+        components[id] = ['queued', 'running'].includes(state.status) && event.status !== 'succeeded'
+          ? { ...state, status: 'skipped' }
+          : state;
+      });
+      return { ...progress, components, status: event.status, error: event.error || null, finishedAt: Date.now() };
+    }
+
+    default:
+      return progress;
+  }
+}
+
+export const isRunFinished = (progress) => Boolean(progress && progress.status !== 'running');
+
+export function formatRowCount(count) {
+  return new Intl.NumberFormat(undefined, { notation: count >= 100000 ? 'compact' : 'standard' }).format(count || 0);
+}
@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+import { createProgress, applyProgressEvent, isRunFinished, flowKey } from './executionProgress';
+import { startMockServer, stopMockServer, subscribeEvents, postJson } from '../testing/mockServer';
+
+const job = {
+  name: 'progress_test',
+  components: [
+    { id: 'in_1', type: 'file_input_delimited' },
+    { id: 'filter_2', type: 'filter_rows' },
+    { id: 'out_3', type: 'file_output_delimited' },
+    { id: 'log_4', type: 'log_row', active: false }
+  ],
+  flows: [
+    { from: 'in_1', to: 'filter_2', type: 'flow' },
+    { from: 'filter_2', to: 'out_3', type: 'flow' }
+  ]
+};
+
+describe('applyProgressEvent', () => {
+  it('starts with every active component queued', () => {
+    const progress = createProgress(job, 'run_1');
+
+    expect(progress.status).toBe('running');
+    expect(progress.components.in_1.status).toBe('queued');
+    expect(progress.components.log_4.status).toBe('skipped');
+  });
+
+  it('follows component status and flow statistics', () => {
+    const progress = [
+      { type: 'run_started', runId: 'run_1' },
+      { type: 'component_status', runId: 'run_1', componentId: 'in_1', status: 'succeeded', rowsIn: 0, rowsOut: 10 },
+      { type: 'flow_stats', runId: 'run_1', from: 'in_1', to: 'filter_2', rows: 10, rowsPerSecond: 5 }
+    ].reduce(applyProgressEvent, createProgress(job));
+
+    expect(progress.runId).toBe('run_1');
+    expect(progress.components.in_1).toEqual({ status: 'succeeded', rowsIn: 0, rowsOut: 10, error: null });
+    expect(progress.flows[flowKey('in_1', 'filter_2')]).toEqual({ rows: 10, rowsPerSecond: 5 });
+  });
+
+  it('reports components that never ran as skipped when the run fails', () => {
+    const progress = [
+      { type: 'component_status', componentId: 'in_1', status: 'failed', error: 'boom' },
+      { type: 'run_finished', status: 'failed', error: 'in_1 failed' }
+    ].reduce(applyProgressEvent, createProgress(job, 'run_1'));
+
+    expect(isRunFinished(progress)).toBe(true);
+    expect(progress.error).toBe('in_1 failed');
+    expect(progress.components.in_1.status).toBe('failed');
+    expect(progress.components.out_3.status).toBe('skipped');
+  });
+
+  it('ignores events of other runs once the run is known', () => {
+    const progress = [
+      { type: 'component_status', runId: 'run_2', componentId: 'in_1', status: 'failed' },
+      { type: 'run_finished', runId: 'run_2', status: 'failed' }
+    ].reduce(applyProgressEvent, createProgress(job, 'run_1'));
+
+    expect(progress.status).toBe('running');
+    expect(progress.components.in_1.status).toBe('queued');
+  });
+
+  it('takes the run id of the first run started when none was given', () => {
+    const progress = [
+      { type: 'run_started', runId: 'run_1' },
+      { type: 'run_started', runId: 'run_2' },
+      { type: 'run_finished', runId: 'run_2', status: 'failed' }
+    ].reduce(applyProgressEvent, createProgress(job));
+
+    expect(progress.runId).toBe('run_1');
+    expect(isRunFinished(progress)).toBe(false);
+  });
+});
+
+describe('progress from the mock executor', () => {
+  let baseUrl;
+  let stream;
+
+  beforeAll(async () => {
+    baseUrl = await startMockServer();
+  });
+
+  afterEach(() => stream?.close());
+
+  afterAll(() => stopMockServer());
+
+  it('follows its own run while another run of the job streams on the same channel', async () => {
+    stream = subscribeEvents(baseUrl, job.name);
+    await stream.ready;
+
+    const { body: own } = await postJson(`${baseUrl}/api/execution/run`, { job });
+    const { body: other } = await postJson(`${baseUrl}/api/execution/run`, { job, failComponent: 'filter_2' });
+    await Promise.all([own.runId, other.runId].map(runId => stream.waitFor(
+      event => event.type === 'run_finished' && event.runId === runId
+    )));
+
+    expect(stream.events.every(event => event.runId)).toBe(true);
+
+    const progress = stream.events.reduce(applyProgressEvent, createProgress(job, own.runId));
+    expect(progress.status).toBe('succeeded');
+    expect(progress.components.out_3.status).toBe('succeeded');
+    expect(progress.components.log_4.status).toBe('skipped');
+    expect(progress.flows[flowKey('filter_2', 'out_3')].rows).toBe(progress.components.out_3.rowsIn);
+
+    const failed = stream.events.reduce(applyProgressEvent, createProgress(job, other.runId));
+    expect(failed.status).toBe('failed');
+    expect(failed.components.filter_2.status).toBe('failed');
+    expect(failed.components.out_3.status).toBe('skipped');
+  });
+});
@@ -0,0 +1,37 @@
+import { getComponentSchemaMode } from './componentRegistry';
+import { getInputSchema, fromTalendType } from './schema';
+import { getMapInputs, getMapExpressionScope } from './mapConfig';
+import { getActiveContextName, getContextVariables } from './contextEnvironments';
+
+/**
+ * Expression Scope
+ *
+ * What an expression on a component may refer to (see model/expressions.js):
+ * map components see every input by alias, other components see their main
+ * input's columns by bare name or as input_row.<column>. Both see the
+ * context variables of the chosen (default: active) context.
+ */
+
+export const INPUT_ROW_ALIAS = 'input_row';
+
+// { name: schema type } of a context's variables
+export function getContextTypes(job, contextName = getActiveContextName(job)) {
+  const types = {};
+  Object.entries(getContextVariables(job, contextName)).forEach(([name, item]) => {
+    types[name] = fromTalendType(item?.type);
+  });
+  return types;
+}
+
+export function getExpressionScope(job, componentId, contextName) {
+  const context = getContextTypes(job, contextName);
+  const component = (job?.components || []).find(c => c.id === componentId);
+  if (!component) return { tables: {}, columns: null, context };
+
+  if (getComponentSchemaMode(component) === 'map') {
+    return getMapExpressionScope(getMapInputs(job, componentId), context);
+  }
+
+  const columns = getInputSchema(job, componentId, 'main') || [];
+  return { tables: { [INPUT_ROW_ALIAS]: columns }, columns, context };
+}
@@ -0,0 +1,478 @@
+/**
+ * Expression Language
+ *
+ * The small Java-like language used by filter conditions, map expressions and
+ * join keys:
+ *   literals     42  3.5  100L  "text"  true  false  null
+ *   references   row1.amount  input_row.status  amount  context.run_date
+ *   operators    + - * / %  == != < <= > >=  && || !  cond ? a : b
+ *   functions    upper(row1.name), coalesce(row1.fee, 0.0), ...
+ *
+ * analyzeExpression() parses and type-checks against a scope:
+ *   { tables: { alias: [columns] }, columns: [columns] | null, context: { name: type } }
+ * `columns` are the bare column names allowed (the main input of non-map components).
+ * Tables with an empty column list have an unknown schema and are not checked.
+ */
+
+export const NUMERIC_TYPES = ['int', 'long', 'decimal', 'double'];
+
+// --- Function library ----------------------------------------------------
+
+// Parameter types: a schema type, 'number' (any numeric), 'any', or '...type' for varargs.
+// returns: a type, or 'arg0' for the type of the first argument.
+const fn = (category, params, returns, description) => ({ category, params, returns, description });
+
+export const EXPRESSION_FUNCTIONS = {
+  // String
+  upper: fn('string', ['string'], 'string', 'Upper-case a string'),
+  lower: fn('string', ['string'], 'string', 'Lower-case a string'),
+  trim: fn('string', ['string'], 'string', 'Remove leading and trailing spaces'),
+  length: fn('string', ['string'], 'int', 'Number of characters'),
+  substring: fn('string', ['string', 'int', 'int'], 'string', 'Characters from start (inclusive) to end (exclusive)'),
+  concat: fn('string', ['...any'], 'string', 'Join values as text'),
+  replace: fn('string', ['string', 'string', 'string'], 'string', 'Replace every occurrence of a text'),
+  contains: fn('string', ['string', 'string'], 'boolean', 'True when the text contains the search string'),
+  startsWith: fn('string', ['string', 'string'], 'boolean', 'True when the text starts with the prefix'),
+  endsWith: fn('string', ['string', 'string'], 'boolean', 'True when the text ends with the suffix'),
+  padLeft: fn('string', ['string', 'int', 'string'], 'string', 'Left-pad to a length with a fill character'),
+  matches: fn('string', ['string', 'string'], 'boolean', 'True when the text matches a regular expression'),
+
+  // Date
+  today: fn('date', [], 'date', 'Current date at midnight'),
+  now: fn('date', [], 'date', 'Current date and time'),
+  parseDate: fn('date', ['string', 'string'], 'date', 'Parse text with a pattern, e.g. parseDate(s, "yyyy-MM-dd")'),
+  formatDate: fn('date', ['date', 'string'], 'string', 'Format a date with a pattern'),
+  addDays: fn('date', ['date', 'int'], 'date', 'Add (or subtract) days'),
+  addBusinessDays: fn('date', ['date', 'int'], 'date', 'Add (or subtract) working days, skipping weekends'),
+  diffDays: fn('date', ['date', 'date'], 'long', 'Days between two dates'),
+  year: fn('date', ['date'], 'int', 'Year of a date'),
+  month: fn('date', ['date'], 'int', 'Month of a date (1-12)'),
+  day: fn('date', ['date'], 'int', 'Day of month'),
+
+  // Numeric
+  abs: fn('numeric', ['number'], 'arg0', 'Absolute value'),
+  round: fn('numeric', ['number', 'int'], 'double', 'Round to a number of decimals'),
+  floor: fn('numeric', ['number'], 'long', 'Largest whole number not above the value'),
+  ceil: fn('numeric', ['number'], 'long', 'Smallest whole number not below the value'),
+  min: fn('numeric', ['number', 'number'], 'arg0', 'Smaller of two values'),
+  max: fn('numeric', ['number', 'number'], 'arg0', 'Larger of two values'),
+  toInt: fn('numeric', ['any'], 'int', 'Convert to a whole number'),
+  toDouble: fn('numeric', ['any'], 'double', 'Convert to a floating-point number'),
+  toDecimal: fn('numeric', ['any'], 'decimal', 'Convert to an exact decimal'),
+  toString: fn('string', ['any'], 'string', 'Convert to text'),
+
+  // Null handling
+  isNull: fn('null', ['any'], 'boolean', 'True when the value is null'),
+  isEmpty: fn('null', ['string'], 'boolean', 'True when the text is null or empty'),
+  coalesce: fn('null', ['any', '...any'], 'arg0', 'First value that is not null'),
+  nvl: fn('null', ['any', 'any'], 'arg0', 'The value, or the fallback when it is null')
+};
+
+// --- Tokenizer -----------------------------------------------------------
+
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '+', '-', '*', '/', '%', '<', '>', '!', '?', ':'];
+const KEYWORDS = new Set(['true', 'false', 'null']);
+
+/**
+ * Split an expression into tokens { kind, text, start, end }.
+ * kind: number | string | identifier | keyword | operator | punct | whitespace | error
+ * Never throws - unreadable characters become error tokens, so the result can
+ * drive syntax highlighting of any input.
+ */
+export function tokenizeExpression(text) {
+  const tokens = [];
+  let i = 0;
+  const push = (kind, end) => {
+    tokens.push({ kind, text: text.slice(i, end), start: i, end });
+    i = end;
+  };
+
+  while (i < text.length) {
+    const rest = text.slice(i);
+    const ch = text[i];
+    let match;
+
+    if ((match = /^\s+/.exec(rest))) {
+      push('whitespace', i + match[0].length);
+    } else if ((match = /^\d+(\.\d+)?[LlDd]?/.exec(rest))) {
+      push('number', i + match[0].length);
+    } else if (ch === '"') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      push(end < text.length ? 'string' : 'error', Math.min(end + 1, text.length));
+    } else if ((match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest))) {
+      push(KEYWORDS.has(match[0]) ? 'keyword' : 'identifier', i + match[0].length);
+    } else if ('(),.'.includes(ch)) {
+      push('punct', i + 1);
+    } else {
+      const operator = OPERATORS.find(op => rest.startsWith(op));
+      push(operator ? 'operator' : 'error', i + (operator ? operator.length : 1));
+    }
+  }
+  return tokens;
+}
+
+// --- Parser --------------------------------------------------------------
+
+class ExpressionSyntaxError extends Error {
+  constructor(message, start, end) {
+    super(message);
+    this.start = start;
+    this.end = end;
+  }
+}
+
+const BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3, '!=': 3,
+  '<': 4, '<=': 4, '>': 4, '>=': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6
+};
+
+const parse = (text) => {
+  const tokens = tokenizeExpression(text).filter(token => token.kind !== 'whitespace');
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const fail = (message, token = peek()) => {
+    const start = token ? token.start : text.length;
+    throw new ExpressionSyntaxError(message, start, token ? token.end : text.length + 1);
+  };
+  const expect = (tokenText) => {
+    const token = peek();
+    if (!token || token.text !== tokenText) fail(`Expected "${tokenText}"`);
+    return next();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) fail('Expression is incomplete', null);
+
+    if (token.kind === 'error') {
+      fail(token.text.startsWith('"') ? 'Unterminated string' : `Unexpected character "${token.text}"`, token);
+    }
+    if (token.kind === 'number') {
+      const suffix = token.text.slice(-1).toLowerCase();
+      const type = suffix === 'l' ? 'long' : (suffix === 'd' || token.text.includes('.')) ? 'double' : 'int';
+      return { kind: 'literal', type, start: token.start, end: token.end };
+    }
+    if (token.kind === 'string') {
+      return { kind: 'literal', type: 'string', start: token.start, end: token.end };
+    }
+    if (token.kind === 'keyword') {
+      return { kind: 'literal', type: token.text === 'null' ? 'null' : 'boolean', start: token.start, end: token.end };
+    }
+    if (token.text === '(') {
+      const inner = parseExpression();
+      const close = expect(')');
+      return { ...inner, start: token.start, end: close.end };
+    }
+    if (token.kind === 'identifier') {
+      const parts = [token.text];
+      let end = token.end;
+      while (peek()?.text === '.') {
+        next();
+        const member = next();
+        if (!member || member.kind !== 'identifier') fail(`Expected a name after "${parts.join('.')}."`, member);
+        parts.push(member.text);
+        end = member.end;
+      }
+
+      if (peek()?.text === '(') {
+        if (parts.length > 1) fail(`${parts.join('.')}() is not supported - use a built-in function instead`, { start: token.start, end });
+        next();
+        const args = [];
+        if (peek()?.text !== ')') {
+          args.push(parseExpression());
+          while (peek()?.text === ',') {
+            next();
+            args.push(parseExpression());
+          }
+        }
+        const close = expect(')');
+        return { kind: 'call', name: token.text, args, start: token.start, end: close.end, nameEnd: token.end };
+      }
+      return { kind: 'ref', parts, start: token.start, end };
+    }
+    return fail(`Unexpected "${token.text}"`, token);
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token && (token.text === '!' || token.text === '-')) {
+      next();
+      const arg = parseUnary();
+      return { kind: 'unary', op: token.text, arg, start: token.start, end: arg.end };
+    }
+    return parsePrimary();
+  };
+
+  const parseBinary = (minPrecedence) => {
+    let left = parseUnary();
+    for (;;) {
+      const token = peek();
+      const precedence = token && token.kind === 'operator' ? BINARY_PRECEDENCE[token.text] : undefined;
+      if (!precedence || precedence < minPrecedence) return left;
+      next();
+      const right = parseBinary(precedence + 1);
+      left = { kind: 'binary', op: token.text, left, right, start: left.start, end: right.end, opStart: token.start };
+    }
+  };
+
+  const parseExpression = () => {
+    const test = parseBinary(1);
+    if (peek()?.text !== '?') return test;
+    next();
+    const consequent = parseExpression();
+    expect(':');
+    const alternate = parseExpression();
+    return { kind: 'ternary', test, consequent, alternate, start: test.start, end: alternate.end };
+  };
+
+  const ast = parseExpression();
+  if (peek()) fail(`Unexpected "${peek().text}"`);
+  return ast;
+};
+
+/**
+ * Syntax tree of an expression, for code that evaluates it (the mock executor).
+ * Nodes have a kind (literal, ref, call, unary, binary, ternary) and the
+ * start..end range they cover in the text; literals only keep their type, so
+ * their value is text.slice(start, end). Throws on syntax errors.
+ */
+export function parseExpression(text) {
+  return parse(String(text ?? ''));
+}
+
+// --- Type checking -------------------------------------------------------
+
+const isNumeric = (type) => NUMERIC_TYPES.includes(type);
+
+const widerNumeric = (a, b) => NUMERIC_TYPES[Math.max(NUMERIC_TYPES.indexOf(a), NUMERIC_TYPES.indexOf(b))];
+
+/**
+ * Whether a value of type `actual` can be used where `expected` is required.
+ * Numbers widen (int -> long -> decimal -> double); null fits anything.
+ */
+export function isAssignable(expected, actual) {
+  if (!expected || expected === 'any' || actual === 'any' || actual === 'null') return true;
+  if (expected === actual) return true;
+  if (expected === 'number') return isNumeric(actual);
+  if (isNumeric(expected) && isNumeric(actual)) {
+    return NUMERIC_TYPES.indexOf(actual) <= NUMERIC_TYPES.indexOf(expected);
+  }
+  return false;
+}
+
+const comparable = (a, b) => (
+  a === 'any' || b === 'any' || a === 'null' || b === 'null' || a === b || (isNumeric(a) && isNumeric(b))
+);
+
+const commonType = (a, b) => {
+  if (a === b) return a;
+  if (a === 'null') return b;
+  if (b === 'null') return a;
+  if (isNumeric(a) && isNumeric(b)) return widerNumeric(a, b);
+  return 'any';
+};
+
+const createChecker = (scope, errors) => {
+  const error = (node, message, code = 'type') => {
+    errors.push({ start: node.start, end: node.end, message, code });
+    return 'any';
+  };
+
+  const findColumn = (columns, name) => columns.find(column => column.name === name);
+
+  const checkRef = (node) => {
+    const [head, ...rest] = node.parts;
+
+    if (head === 'context') {
+      if (rest.length !== 1) return error(node, 'Use context.<variable>');
+      const type = scope.context?.[rest[0]];
+      if (!type) return error(node, `context.${rest[0]} is not defined`, 'unknown-context');
+      return type;
+    }
+
+    if (rest.length === 0) {
+      if (scope.tables?.[head]) return error(node, `${head} is an input - pick a column with ${head}.<column>`);
+      if (!scope.columns) return error(node, `Unknown name ${head}`, 'unknown-column');
+      if (scope.columns.length === 0) return 'any';
+      const column = findColumn(scope.columns, head);
+      if (!column) return error(node, `Unknown column ${head}`, 'unknown-column');
+      return column.type;
+    }
+
+    const table = scope.tables?.[head];
+    if (!table) return error(node, `Unknown input ${head}`, 'unknown-column');
+    if (rest.length > 1) return error(node, `${node.parts.join('.')} is not a column`);
+    if (table.length === 0) return 'any';
+    const column = findColumn(table, rest[0]);
+    if (!column) return error(node, `${head} has no column ${rest[0]}`, 'unknown-column');
+    return column.type;
+  };
+
+  const checkCall = (node) => {
+    const definition = EXPRESSION_FUNCTIONS[node.name];
+    const argTypes = node.args.map(check);
+    if (!definition) {
+      return error({ start: node.start, end: node.nameEnd }, `Unknown function ${node.name}`, 'unknown-function');
+    }
+
+    const variadic = definition.params.find(param => param.startsWith('...'));
+    const fixed = definition.params.filter(param => !param.startsWith('...'));
+    if (argTypes.length < fixed.length || (!variadic && argTypes.length > fixed.length)) {
+      const expected = variadic ? `at least ${fixed.length}` : `${fixed.length}`;
+      error(node, `${node.name}() takes ${expected} argument${fixed.length === 1 && !variadic ? '' : 's'}, got ${argTypes.length}`);
+    }
+
+    argTypes.forEach((type, index) => {
+      const param = index < fixed.length ? fixed[index] : variadic?.slice(3);
+      if (param && !isAssignable(param, type)) {
+        error(node.args[index], `${node.name}() argument ${index + 1} must be ${param === 'number' ? 'a number' : param}, not ${type}`);
+      }
+    });
+
+    if (definition.returns === 'arg0') return argTypes[0] || 'any';
+    return definition.returns;
+  };
+
+  const check = (node) => {
+    switch (node.kind) {
+      case 'literal':
+        return node.type;
+      case 'ref':
+        return checkRef(node);
+      case 'call':
+        return checkCall(node);
+      case 'unary': {
+        const type = check(node.arg);
+        if (node.op === '!') {
+          if (!isAssignable('boolean', type)) error(node.arg, `"!" needs a boolean, not ${type}`);
+          return 'boolean';
+        }
+        if (!isAssignable('number', type)) error(node.arg, `"-" needs a number, not ${type}`);
+        return type;
+      }
+      case 'binary': {
+        const left = check(node.left);
+        const right = check(node.right);
+        const { op } = node;
+
+        if (op === '&&' || op === '||') {
+          if (!isAssignable('boolean', left)) error(node.left, `"${op}" needs booleans, not ${left}`);
+          if (!isAssignable('boolean', right)) error(node.right, `"${op}" needs booleans, not ${right}`);
+          return 'boolean';
+        }
+        if (['==', '!=', '<', '<=', '>', '>='].includes(op)) {
+          if (!comparable(left, right)) error(node, `Cannot compare ${left} with ${right}`);
+          if (['<', '<=', '>', '>='].includes(op) && (left === 'boolean' || right === 'boolean')) {
+            error(node, `"${op}" cannot order booleans`);
+          }
+          return 'boolean';
+        }
+        // Java semantics: + with a string operand concatenates
+        if (op === '+' && (left === 'string' || right === 'string')) return 'string';
+        if (left === 'any' || right === 'any') return 'any';
+        if (!isNumeric(left) || !isNumeric(right)) {
+          return error(node, `"${op}" needs numbers, not ${left} and ${right}`);
+        }
+        return widerNumeric(left, right);
+      }
+      case 'ternary': {
+        const test = check(node.test);
+        if (!isAssignable('boolean', test)) error(node.test, `Condition must be boolean, not ${test}`);
+        return commonType(check(node.consequent), check(node.alternate));
+      }
+      default:
+        return 'any';
+    }
+  };
+
+  return check;
+};
+
+/**
+ * Parse and type-check an expression.
+ * options.expectedType: required result type ('boolean' for filters, a column type for mappings)
+ * Returns { type, errors: [{ start, end, message, code }] }; an empty expression has type null.
+ */
+export function analyzeExpression(text, scope = {}, options = {}) {
+  const source = String(text ?? '');
+  if (!source.trim()) return { type: null, errors: [] };
+
+  let ast;
+  try {
+    ast = parse(source);
+  } catch (parseError) {
+    if (!(parseError instanceof ExpressionSyntaxError)) throw parseError;
+    return {
+      type: null,
+      errors: [{ start: parseError.start, end: parseError.end, message: parseError.message, code: 'syntax' }]
+    };
+  }
+
+  const errors = [];
+  const type = createChecker(scope, errors)(ast);
+
+  if (options.expectedType && errors.length === 0 && !isAssignable(options.expectedType, type)) {
+    errors.push({
+      start: ast.start,
+      end: ast.end,
+      message: `Expression is ${type} but ${options.expectedType} is required`,
+      code: 'result-type'
+    });
+  }
+  return { type, errors };
+}
+
+// --- Autocomplete --------------------------------------------------------
+
+/**
+ * Suggestions for the word being typed at `cursor`.
+ * Returns { from, to, items: [{ label, insert, kind, detail }] } where from..to
+ * is the range a chosen item replaces.
+ * After "alias." only that input's columns are offered, after "context." its variables.
+ */
+export function getCompletions(text, cursor, scope = {}) {
+  const before = text.slice(0, cursor);
+  const matchesPrefix = (label, prefix) => label.toLowerCase().startsWith(prefix.toLowerCase());
+
+  const member = /([A-Za-z_][A-Za-z0-9_]*)\.([A-Za-z0-9_]*)$/.exec(before);
+  if (member) {
+    const [, owner, prefix] = member;
+    const from = cursor - prefix.length;
+    let items = [];
+    if (owner === 'context') {
+      items = Object.entries(scope.context || {}).map(([name, type]) => ({
+        label: name, insert: name, kind: 'context', detail: type
+      }));
+    } else if (scope.tables?.[owner]) {
+      items = scope.tables[owner].map(column => ({
+        label: column.name, insert: column.name, kind: 'column', detail: column.type
+      }));
+    }
+    return { from, to: cursor, items: items.filter(item => matchesPrefix(item.label, prefix)) };
+  }
+
+  const word = /[A-Za-z_][A-Za-z0-9_]*$/.exec(before);
+  const prefix = word ? word[0] : '';
+  const items = [
+    ...(scope.columns || []).map(column => ({ label: column.name, insert: column.name, kind: 'column', detail: column.type })),
+    ...Object.keys(scope.tables || {}).map(alias => ({ label: alias, insert: `${alias}.`, kind: 'input', detail: 'input' })),
+    { label: 'context', insert: 'context.', kind: 'context', detail: 'context variables' },
+    ...Object.entries(EXPRESSION_FUNCTIONS).map(([name, definition]) => ({
+      label: name,
+      insert: `${name}(`,
+      kind: 'function',
+      detail: `${name}(${definition.params.join(', ')}): ${definition.returns === 'arg0' ? definition.params[0] : definition.returns}`,
+      description: definition.description
+    }))
+  ];
+  return { from: cursor - prefix.length, to: cursor, items: items.filter(item => matchesPrefix(item.label, prefix)) };
+}
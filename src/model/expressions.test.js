@@ -0,0 +1,113 @@
+import { tokenizeExpression, parseExpression, analyzeExpression, isAssignable, getCompletions } from './expressions';
+
+const orders = [
+  { name: 'id', type: 'int' },
+  { name: 'amount', type: 'decimal' },
+  { name: 'status', type: 'string' },
+  { name: 'trade_date', type: 'date' }
+];
+const scope = {
+  tables: { row1: orders, legacy: [] },
+  columns: null,
+  context: { run_date: 'date', threshold: 'double' }
+};
+
+const typeOf = (text, target = scope) => analyzeExpression(text, target).type;
+const messages = (text, options) => analyzeExpression(text, scope, options).errors.map(error => error.message);
+
+describe('tokenizeExpression', () => {
+  it('keeps positions and never throws', () => {
+    expect(tokenizeExpression('row1.amount >= 10L').map(({ kind, text }) => [kind, text])).toEqual([
+      ['identifier', 'row1'], ['punct', '.'], ['identifier', 'amount'], ['whitespace', ' '],
+      ['operator', '>='], ['whitespace', ' '], ['number', '10L']
+    ]);
+    expect(tokenizeExpression('"a \\" b" # x').map(token => token.kind)).toEqual([
+      'string', 'whitespace', 'error', 'whitespace', 'identifier'
+    ]);
+  });
+});
+
+describe('parseExpression', () => {
+  it('keeps source ranges so literals can be read back', () => {
+    const text = 'upper(status) == "BREAK"';
+    const ast = parseExpression(text);
+    expect(ast).toMatchObject({ kind: 'binary', op: '==', left: { kind: 'call', name: 'upper' } });
+    expect(text.slice(ast.right.start, ast.right.end)).toBe('"BREAK"');
+    expect(() => parseExpression('amount >')).toThrow('Expression is incomplete');
+  });
+});
+
+describe('analyzeExpression', () => {
+  it('infers types of references, literals and operators', () => {
+    expect(typeOf('row1.amount * 2')).toBe('decimal');
+    expect(typeOf('row1.amount * 2.5')).toBe('double');
+    expect(typeOf('row1.status + row1.id')).toBe('string');
+    expect(typeOf('row1.id > 3 && !isNull(row1.status)')).toBe('boolean');
+    expect(typeOf('row1.id > 0 ? row1.id : null')).toBe('int');
+    expect(typeOf('coalesce(row1.amount, 0)')).toBe('decimal');
+    expect(typeOf('addBusinessDays(context.run_date, -1)')).toBe('date');
+    expect(typeOf('legacy.anything')).toBe('any');
+  });
+
+  it('treats an empty expression as no expression', () => {
+    expect(analyzeExpression('  ', scope)).toEqual({ type: null, errors: [] });
+  });
+
+  it('reports syntax errors with their position', () => {
+    expect(analyzeExpression('row1.id >', scope).errors).toEqual([
+      { start: 9, end: 10, message: 'Expression is incomplete', code: 'syntax' }
+    ]);
+    expect(messages('upper("abc)')).toEqual(['Unterminated string']);
+    expect(messages('row1.amount.value()')).toEqual(['row1.amount.value() is not supported - use a built-in function instead']);
+  });
+
+  it('reports unknown names', () => {
+    expect(analyzeExpression('row2.id', scope).errors[0]).toMatchObject({ message: 'Unknown input row2', code: 'unknown-column' });
+    expect(messages('row1.fee')).toEqual(['row1 has no column fee']);
+    expect(messages('row1')).toEqual(['row1 is an input - pick a column with row1.<column>']);
+    expect(messages('context.missing')).toEqual(['context.missing is not defined']);
+    expect(messages('shout(row1.status)')).toEqual(['Unknown function shout']);
+  });
+
+  it('type-checks operators and function arguments', () => {
+    expect(messages('row1.status * 2')).toEqual(['"*" needs numbers, not string and int']);
+    expect(messages('row1.trade_date == 3')).toEqual(['Cannot compare date with int']);
+    expect(messages('upper(row1.id)')).toEqual(['upper() argument 1 must be string, not int']);
+    expect(messages('substring(row1.status, 1)')).toEqual(['substring() takes 3 arguments, got 2']);
+    expect(messages('row1.id ? 1 : 2')).toEqual(['Condition must be boolean, not int']);
+  });
+
+  it('checks the required result type', () => {
+    expect(messages('row1.amount', { expectedType: 'boolean' })).toEqual(['Expression is decimal but boolean is required']);
+    expect(messages('row1.id', { expectedType: 'double' })).toEqual([]);
+  });
+
+  it('resolves bare columns against the main input', () => {
+    const rowScope = { columns: orders, tables: { input_row: orders } };
+    expect(typeOf('amount > 100 && input_row.status == "NEW"', rowScope)).toBe('boolean');
+    expect(analyzeExpression('fee', rowScope).errors[0].message).toBe('Unknown column fee');
+  });
+});
+
+describe('isAssignable', () => {
+  it('widens numbers and lets null fit anything', () => {
+    expect(isAssignable('long', 'int')).toBe(true);
+    expect(isAssignable('int', 'long')).toBe(false);
+    expect(isAssignable('number', 'decimal')).toBe(true);
+    expect(isAssignable('date', 'null')).toBe(true);
+    expect(isAssignable('string', 'int')).toBe(false);
+  });
+});
+
+describe('getCompletions', () => {
+  it('offers the columns of an input after its alias', () => {
+    const completions = getCompletions('row1.st', 7, scope);
+    expect(completions).toMatchObject({ from: 5, to: 7 });
+    expect(completions.items.map(item => item.label)).toEqual(['status']);
+  });
+
+  it('offers context variables, inputs and functions by prefix', () => {
+    expect(getCompletions('context.', 8, scope).items.map(item => item.label)).toEqual(['run_date', 'threshold']);
+    expect(getCompletions('ro', 2, scope).items.map(item => item.insert)).toEqual(['row1.', 'round(']);
+  });
+});
@@ -0,0 +1,224 @@
+import { getComponentType, getComponentPorts, getComponentDisplayName } from './componentRegistry';
+import { validateConnection } from './connectionRules';
+
+/**
+ * Guided Smart Join
+ *
+ * Turns the choices of the Guided Smart Join wizard into data flows.
+ * The wizard data is
+ *   { inputNodes, transformNodes, outputNodes,
+ *     inputMappings: { inputId: transformId },
+ *     fanInSelection: { upstreamTransforms: [ids], downstreamTransform },
+ *     finalOutput }
+ * Inputs feed the transform they are mapped to (main port first, then lookup,
+ * so several inputs need a join, unite or map). When inputs end up in more
+ * than one transform, those transforms fan in to a join or unite; its first
+ * source takes the main port and the next one the lookup port. The last
+ * transform feeds the single final output.
+ */
+
+export const GUIDED_JOIN_STEPS = [
+  { step: 1, title: 'Map inputs' },
+  { step: 2, title: 'Fan-in' },
+  { step: 3, title: 'Final output' },
+  { step: 4, title: 'Preview' }
+];
+
+export const FAN_IN_TYPES = ['join', 'unite'];
+
+const findComponent = (job, id) => (job?.components || []).find(c => c.id === id);
+
+const describe = (component) => `${component.id} (${getComponentDisplayName(component)})`;
+
+export const isFanInComponent = (component) => Boolean(component) && FAN_IN_TYPES.includes(getComponentType(component));
+
+// Input ports in the order sources are assigned to them: main first, multi-input ports repeat
+const assignPorts = (component, sourceIds) => {
+  const { inputs, multiInputs } = getComponentPorts(component);
+  const ordered = ['main', ...inputs.filter(port => port !== 'main')].filter(port => inputs.includes(port));
+  const assignments = [];
+  let portIndex = 0;
+  for (const source of sourceIds) {
+    const port = ordered[portIndex];
+    if (!port) return null;
+    assignments.push({ source, port });
+    if (!multiInputs.includes(port)) portIndex += 1;
+  }
+  return assignments;
+};
+
+// Transforms that receive at least one input, in transform order
+export function getMappedTransforms(data) {
+  const mapped = new Set(Object.values(data.inputMappings || {}).filter(Boolean));
+  return data.transformNodes.map(node => node.id).filter(id => mapped.has(id));
+}
+
+// Inputs mapped straight to a transform, in input order
+const inputsOf = (data, transformId) => data.inputNodes
+  .map(node => node.id)
+  .filter(id => data.inputMappings[id] === transformId);
+
+// True when the mapped inputs end up in more than one transform
+export const needsFanIn = (data) => getMappedTransforms(data).length > 1;
+
+/**
+ * Sources of the fan-in transform, main first: inputs mapped straight to
+ * it, then the upstream transforms in the order they were selected.
+ */
+export function getFanInSources(data) {
+  const { downstreamTransform, upstreamTransforms = [] } = data.fanInSelection;
+  if (!downstreamTransform) return [];
+  return [...inputsOf(data, downstreamTransform), ...upstreamTransforms.filter(id => id !== downstreamTransform)];
+}
+
+// Transform that feeds the final output
+export function getTerminalTransform(data) {
+  if (needsFanIn(data)) return data.fanInSelection.downstreamTransform || null;
+  return getMappedTransforms(data)[0] || null;
+}
+
+/**
+ * Problems with the choices made on one wizard step, as messages.
+ */
+export function validateGuidedJoinStep(job, data, step) {
+  const errors = [];
+
+  if (step === 1) {
+    if (data.inputNodes.length === 0) {
+      errors.push('There are no unconnected inputs to join.');
+    }
+    data.inputNodes.forEach(input => {
+      const transformId = data.inputMappings[input.id];
+      if (!transformId) {
+        errors.push(`Input ${input.id} is not mapped to a transform.`);
+      } else if (!data.transformNodes.some(node => node.id === transformId)) {
+        errors.push(`Input ${input.id} is mapped to ${transformId}, which is not an available transform.`);
+      }
+    });
+    getMappedTransforms(data).forEach(transformId => {
+      const sources = inputsOf(data, transformId);
+      const transform = findComponent(job, transformId);
+      if (sources.length < 2 || assignPorts(transform, sources)) return;
+      if (getComponentPorts(transform).inputs.length < 2) {
+        errors.push(`${describe(transform)} takes a single input, but ${sources.length} inputs are mapped to it. Map them to a join or unite.`);
+      } else {
+        errors.push(`${describe(transform)} takes a main and a lookup input, but ${sources.length} inputs are mapped to it.`);
+      }
+    });
+  }
+
+  if (step === 2 && needsFanIn(data)) {
+    const { downstreamTransform, upstreamTransforms = [] } = data.fanInSelection;
+    const downstream = findComponent(job, downstreamTransform);
+    if (!downstream) {
+      errors.push('Choose the join or unite the transforms fan in to.');
+      return errors;
+    }
+    if (!isFanInComponent(downstream)) {
+      errors.push(`${describe(downstream)} cannot combine flows; fan in to a join or unite.`);
+    }
+    if (upstreamTransforms.includes(downstreamTransform)) {
+      errors.push(`${downstreamTransform} cannot fan in to itself.`);
+    }
+    getMappedTransforms(data)
+      .filter(id => id !== downstreamTransform && !upstreamTransforms.includes(id))
+      .forEach(id => errors.push(`${id} receives inputs but does not fan in to ${downstreamTransform}.`));
+    upstreamTransforms
+      .filter(id => id !== downstreamTransform && !getMappedTransforms(data).includes(id))
+      .forEach(id => errors.push(`${id} receives no inputs, so it has nothing to fan in.`));
+
+    const sources = getFanInSources(data);
+    if (sources.length < 2) {
+      errors.push(`${downstreamTransform} needs a main and a lookup source.`);
+    } else if (isFanInComponent(downstream) && !assignPorts(downstream, sources)) {
+      errors.push(`${describe(downstream)} takes a main and a lookup input, but ${sources.length} sources fan in to it.`);
+    }
+  }
+
+  if (step === 3) {
+    const output = data.outputNodes.find(node => node.id === data.finalOutput);
+    if (!output) {
+      errors.push('Choose exactly one final output.');
+    }
+    if (!getTerminalTransform(data)) {
+      errors.push('There is no transform to connect to the final output.');
+    }
+  }
+
+  if (step === 4) {
+    errors.push(...buildGuidedJoinFlows(job, data).errors);
+  }
+
+  return errors;
+}
+
+/**
+ * Every wizard problem: [{ step, message }]
+ */
+export function validateGuidedJoin(job, data) {
+  return GUIDED_JOIN_STEPS.flatMap(({ step }) => (
+    step === 4 ? [] : validateGuidedJoinStep(job, data, step).map(message => ({ step, message }))
+  ));
+}
+
+/**
+ * Flows the wizard creates, each checked against the job plus the flows before it.
+ * Returns { flows, errors }; existing connections are not repeated.
+ */
+export function buildGuidedJoinFlows(job, data) {
+  const planned = [];
+
+  getMappedTransforms(data).forEach(transformId => {
+    const transform = findComponent(job, transformId);
+    const sources = transformId === data.fanInSelection.downstreamTransform && needsFanIn(data)
+      ? getFanInSources(data)
+      : inputsOf(data, transformId);
+    (assignPorts(transform, sources) || sources.map(source => ({ source, port: 'main' })))
+      .forEach(({ source, port }) => planned.push({ from: source, to: transformId, port }));
+  });
+
+  // Fan-in target that only receives upstream transforms
+  const downstreamTransform = getTerminalTransform(data);
+  if (needsFanIn(data) && downstreamTransform && !getMappedTransforms(data).includes(downstreamTransform)) {
+    const downstream = findComponent(job, downstreamTransform);
+    const sources = getFanInSources(data);
+    (assignPorts(downstream, sources) || sources.map(source => ({ source, port: 'main' })))
+      .forEach(({ source, port }) => planned.push({ from: source, to: downstreamTransform, port }));
+  }
+
+  if (downstreamTransform && data.finalOutput) {
+    planned.push({ from: downstreamTransform, to: data.finalOutput, port: 'main' });
+  }
+
+  const flows = [];
+  const errors = [];
+  let working = job;
+  planned.forEach(({ from, to, port }) => {
+    if ((working.flows || []).some(flow => flow.from === from && flow.to === to)) return;
+
+    const validation = validateConnection(working, { from, fromPort: 'main', to, toPort: port });
+    if (!validation.valid) {
+      errors.push(validation.reason);
+      return;
+    }
+    const flow = { name: port === 'lookup' ? 'lookup' : 'main', from, to, type: 'flow' };
+    flows.push(flow);
+    working = { ...working, flows: [...(working.flows || []), flow] };
+  });
+
+  return { flows, errors };
+}
+
+/**
+ * Job with all wizard flows added, or { errors: [{ step, message }] }.
+ */
+export function applyGuidedJoin(job, data) {
+  const errors = validateGuidedJoin(job, data);
+  if (errors.length > 0) return { errors };
+
+  const { flows, errors: flowErrors } = buildGuidedJoinFlows(job, data);
+  if (flowErrors.length > 0) {
+    return { errors: flowErrors.map(message => ({ step: 4, message })) };
+  }
+  return { job: { ...job, flows: [...(job.flows || []), ...flows] }, flows };
+}
@@ -0,0 +1,66 @@
+import { applyGuidedJoin, buildGuidedJoinFlows, validateGuidedJoinStep } from './guidedJoin';
+
+const job = {
+  name: 'guided_join_test',
+  components: [
+    { id: 'in_1', type: 'file_input_delimited', config: {} },
+    { id: 'in_2', type: 'file_input_delimited', config: {} },
+    { id: 'filter_3', type: 'filter_rows', config: {} },
+    { id: 'join_4', type: 'join', config: {} },
+    { id: 'out_5', type: 'file_output_delimited', config: {} }
+  ],
+  flows: [],
+  triggers: []
+};
+
+const wizardData = (inputMappings, fanInSelection = {}) => ({
+  inputNodes: [{ id: 'in_1' }, { id: 'in_2' }],
+  transformNodes: [{ id: 'filter_3' }, { id: 'join_4' }],
+  outputNodes: [{ id: 'out_5' }],
+  inputMappings,
+  fanInSelection,
+  finalOutput: 'out_5'
+});
+
+describe('buildGuidedJoinFlows', () => {
+  it('feeds the main port first and the lookup port next', () => {
+    const { flows, errors } = buildGuidedJoinFlows(job, wizardData({ in_1: 'join_4', in_2: 'join_4' }));
+    expect(errors).toEqual([]);
+    expect(flows).toEqual([
+      { name: 'main', from: 'in_1', to: 'join_4', type: 'flow' },
+      { name: 'lookup', from: 'in_2', to: 'join_4', type: 'flow' },
+      { name: 'main', from: 'join_4', to: 'out_5', type: 'flow' }
+    ]);
+  });
+
+  it('fans upstream transforms in after the inputs mapped to the join', () => {
+    const data = wizardData({ in_1: 'filter_3', in_2: 'join_4' }, { upstreamTransforms: ['filter_3'], downstreamTransform: 'join_4' });
+    expect(buildGuidedJoinFlows(job, data).flows).toEqual([
+      { name: 'main', from: 'in_1', to: 'filter_3', type: 'flow' },
+      { name: 'main', from: 'in_2', to: 'join_4', type: 'flow' },
+      { name: 'lookup', from: 'filter_3', to: 'join_4', type: 'flow' },
+      { name: 'main', from: 'join_4', to: 'out_5', type: 'flow' }
+    ]);
+  });
+});
+
+describe('validateGuidedJoinStep', () => {
+  it('refuses several inputs on a single-input transform', () => {
+    expect(validateGuidedJoinStep(job, wizardData({ in_1: 'filter_3', in_2: 'filter_3' }), 1)).toEqual([
+      'filter_3 (Filter Rows) takes a single input, but 2 inputs are mapped to it. Map them to a join or unite.'
+    ]);
+  });
+
+  it('asks for a fan-in target when inputs reach several transforms', () => {
+    expect(validateGuidedJoinStep(job, wizardData({ in_1: 'filter_3', in_2: 'join_4' }), 2))
+      .toEqual(['Choose the join or unite the transforms fan in to.']);
+  });
+});
+
+describe('applyGuidedJoin', () => {
+  it('adds the flows or reports errors by step', () => {
+    expect(applyGuidedJoin(job, wizardData({ in_1: 'join_4', in_2: 'join_4' })).job.flows).toHaveLength(3);
+    expect(applyGuidedJoin(job, wizardData({ in_1: 'join_4' })).errors)
+      .toEqual([{ step: 1, message: 'Input in_2 is not mapped to a transform.' }]);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Job Diff
+ *
+ * Structural comparison of two versions of a job:
+ *   components  added / removed / changed (type, activation, config, schema, moved)
+ *   flows       added / removed data flows (a rewired flow is one of each)
+ *   triggers    added / removed / changed (condition)
+ * plus the lookups the canvas needs to highlight the differences.
+ */
+
+const flowKey = (flow) => `${flow.from}->${flow.to}:${flow.name || 'main'}`;
+const triggerKey = (trigger) => `${trigger.from}->${trigger.to}:${trigger.type}`;
+
+const dataFlows = (job) => (job?.flows || []).filter(flow => !flow.type || flow.type === 'flow');
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Names of the properties that differ between two versions of a component
+const changedFields = (before, after) => {
+  const fields = [];
+  if ((before.original_type || before.type) !== (after.original_type || after.type)) fields.push('type');
+  if ((before.active !== false) !== (after.active !== false)) fields.push('active');
+
+  const configKeys = new Set([...Object.keys(before.config || {}), ...Object.keys(after.config || {})]);
+  configKeys.forEach(key => {
+    if (!sameValue(before.config?.[key], after.config?.[key])) fields.push(`config.${key}`);
+  });
+  if (!sameValue(before.schema, after.schema)) fields.push('schema');
+
+  const moved = Math.round(before.position?.x || 0) !== Math.round(after.position?.x || 0) ||
+    Math.round(before.position?.y || 0) !== Math.round(after.position?.y || 0);
+  if (moved) fields.push('position');
+  return fields;
+};
+
+const diffByKey = (beforeItems, afterItems, keyOf) => {
+  const beforeKeys = new Map(beforeItems.map(item => [keyOf(item), item]));
+  const afterKeys = new Map(afterItems.map(item => [keyOf(item), item]));
+  return {
+    added: afterItems.filter(item => !beforeKeys.has(keyOf(item))),
+    removed: beforeItems.filter(item => !afterKeys.has(keyOf(item))),
+    common: afterItems.filter(item => beforeKeys.has(keyOf(item))).map(item => [beforeKeys.get(keyOf(item)), item])
+  };
+};
+
+/**
+ * Differences from `before` to `after`.
+ * Moves alone are reported as changes with only 'position' in fields, so
+ * callers can ignore layout-only edits.
+ */
+export function diffJobs(before, after) {
+  const components = diffByKey(before?.components || [], after?.components || [], c => c.id);
+  const flows = diffByKey(dataFlows(before), dataFlows(after), flowKey);
+  const triggers = diffByKey(before?.triggers || [], after?.triggers || [], triggerKey);
+
+  return {
+    components: {
+      added: components.added.map(c => c.id),
+      removed: components.removed,
+      changed: components.common
+        .map(([previous, current]) => ({ id: current.id, fields: changedFields(previous, current) }))
+        .filter(change => change.fields.length > 0)
+    },
+    flows: { added: flows.added, removed: flows.removed },
+    triggers: {
+      added: triggers.added,
+      removed: triggers.removed,
+      changed: triggers.common
+        .filter(([previous, current]) => (previous.condition || '') !== (current.condition || ''))
+        .map(([, current]) => current)
+    }
+  };
+}
+
+export function isEmptyDiff(diff) {
+  const significantChanges = diff.components.changed.filter(change => change.fields.some(field => field !== 'position'));
+  return diff.components.added.length === 0 &&
+    diff.components.removed.length === 0 &&
+    significantChanges.length === 0 &&
+    diff.flows.added.length === 0 &&
+    diff.flows.removed.length === 0 &&
+    diff.triggers.added.length === 0 &&
+    diff.triggers.removed.length === 0 &&
+    diff.triggers.changed.length === 0;
+}
+
+/**
+ * One-line summary: "+2 components, -1 component, 3 changed, flows +1 -1"
+ */
+export function summarizeDiff(diff) {
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const parts = [];
+  const { added, removed, changed } = diff.components;
+  const significant = changed.filter(change => change.fields.some(field => field !== 'position'));
+  const movedOnly = changed.length - significant.length;
+
+  if (added.length) parts.push(`+${plural(added.length, 'component')}`);
+  if (removed.length) parts.push(`-${plural(removed.length, 'component')}`);
+  if (significant.length) parts.push(`${significant.length} changed`);
+  if (movedOnly) parts.push(`${movedOnly} moved`);
+  if (diff.flows.added.length || diff.flows.removed.length) {
+    parts.push(`flows +${diff.flows.added.length} -${diff.flows.removed.length}`);
+  }
+  const triggerChanges = diff.triggers.added.length + diff.triggers.removed.length + diff.triggers.changed.length;
+  if (triggerChanges) parts.push(plural(triggerChanges, 'trigger change'));
+  return parts.length > 0 ? parts.join(', ') : 'No differences';
+}
+
+/**
+ * Canvas highlight lookups for a diff shown on top of the `after` job:
+ *   nodes: { componentId: 'diff-added' | 'diff-changed' | 'diff-moved' }
+ *   flows: { 'from->to:name': 'diff-added' }
+ *   ghostComponents / ghostFlows: removed items to draw faded from the `before` job
+ */
+export function getDiffHighlights(diff) {
+  const nodes = {};
+  diff.components.added.forEach(id => { nodes[id] = 'diff-added'; });
+  diff.components.changed.forEach(change => {
+    nodes[change.id] = change.fields.every(field => field === 'position') ? 'diff-moved' : 'diff-changed';
+  });
+
+  const flows = {};
+  diff.flows.added.forEach(flow => { flows[flowKey(flow)] = 'diff-added'; });
+
+  return {
+    nodes,
+    flows,
+    ghostComponents: diff.components.removed,
+    ghostFlows: diff.flows.removed
+  };
+}
+
+export const getDiffFlowKey = flowKey;
@@ -0,0 +1,73 @@
+import { diffJobs, isEmptyDiff, summarizeDiff, getDiffHighlights } from './jobDiff';
+
+const before = {
+  name: 'diff_test',
+  components: [
+    { id: 'in_1', type: 'file_input_delimited', position: { x: 0, y: 0 }, config: { filepath: '/in.csv' } },
+    { id: 'filter_2', type: 'filter_rows', position: { x: 200, y: 0 }, config: { condition: 'amount > 0' } },
+    { id: 'out_3', type: 'file_output_delimited', position: { x: 400, y: 0 }, config: {} }
+  ],
+  flows: [
+    { name: 'main', from: 'in_1', to: 'filter_2', type: 'flow' },
+    { name: 'main', from: 'filter_2', to: 'out_3', type: 'flow' }
+  ],
+  triggers: [{ from: 'in_1', to: 'out_3', type: 'RunIf', condition: 'context.full' }]
+};
+
+const after = {
+  ...before,
+  components: [
+    { ...before.components[0], position: { x: 0.4, y: 60 } },
+    { ...before.components[1], config: { condition: 'amount > 10' }, active: false },
+    { id: 'log_4', type: 'log_row', position: { x: 400, y: 200 }, config: {} }
+  ],
+  flows: [
+    before.flows[0],
+    { name: 'reject', from: 'filter_2', to: 'log_4', type: 'flow' }
+  ],
+  triggers: [{ ...before.triggers[0], condition: 'context.partial' }]
+};
+
+describe('diffJobs', () => {
+  const diff = diffJobs(before, after);
+
+  it('lists added, removed and changed components with the changed fields', () => {
+    expect(diff.components.added).toEqual(['log_4']);
+    expect(diff.components.removed).toEqual([before.components[2]]);
+    expect(diff.components.changed).toEqual([
+      { id: 'in_1', fields: ['position'] },
+      { id: 'filter_2', fields: ['active', 'config.condition'] }
+    ]);
+  });
+
+  it('reports a rewired flow as one removal and one addition', () => {
+    expect(diff.flows).toEqual({ added: [after.flows[1]], removed: [before.flows[1]] });
+    expect(diff.triggers).toEqual({ added: [], removed: [], changed: [after.triggers[0]] });
+  });
+
+  it('summarizes the differences in one line', () => {
+    expect(summarizeDiff(diff)).toBe('+1 component, -1 component, 1 changed, 1 moved, flows +1 -1, 1 trigger change');
+  });
+});
+
+describe('isEmptyDiff', () => {
+  it('ignores layout-only edits', () => {
+    const moved = { ...before, components: before.components.map(c => ({ ...c, position: { x: c.position.x + 50, y: 0 } })) };
+    const diff = diffJobs(before, moved);
+    expect(isEmptyDiff(diff)).toBe(true);
+    expect(summarizeDiff(diff)).toBe('3 moved');
+    expect(summarizeDiff(diffJobs(before, before))).toBe('No differences');
+    expect(isEmptyDiff(diffJobs(before, after))).toBe(false);
+  });
+});
+
+describe('getDiffHighlights', () => {
+  it('marks nodes and flows on the newer job and ghosts the removed ones', () => {
+    expect(getDiffHighlights(diffJobs(before, after))).toEqual({
+      nodes: { log_4: 'diff-added', in_1: 'diff-moved', filter_2: 'diff-changed' },
+      flows: { 'filter_2->log_4:reject': 'diff-added' },
+      ghostComponents: [before.components[2]],
+      ghostFlows: [before.flows[1]]
+    });
+  });
+});
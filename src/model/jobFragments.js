@@ -0,0 +1,91 @@
+import { getNumericSuffix, getIdBase, getMaxSuffix } from './componentIds';
+import { getComponentType } from './componentRegistry';
+import { remapMapConfig } from './mapConfig';
+
+/**
+ * Job Fragments
+ *
+ * Copy/paste of components together with the flows and triggers between them.
+ * A fragment is plain JSON, so it can travel through the system clipboard
+ * between browser tabs and jobs.
+ */
+
+export const FRAGMENT_FORMAT = 'recdataprep/fragment';
+const FRAGMENT_VERSION = 1;
+
+export const PASTE_OFFSET = 40;
+
+const isInternal = (link, ids) => ids.has(link.from) && ids.has(link.to);
+
+// Build a fragment from the selected component ids
+export function createFragment(job, componentIds) {
+  const ids = new Set(componentIds);
+  const components = (job?.components || []).filter(component => ids.has(component.id));
+  if (components.length === 0) return null;
+
+  return {
+    format: FRAGMENT_FORMAT,
+    version: FRAGMENT_VERSION,
+    components: JSON.parse(JSON.stringify(components)),
+    flows: (job.flows || []).filter(flow => isInternal(flow, ids)).map(flow => ({ ...flow })),
+    triggers: (job.triggers || []).filter(trigger => isInternal(trigger, ids)).map(trigger => ({ ...trigger }))
+  };
+}
+
+export const serializeFragment = (fragment) => JSON.stringify(fragment, null, 2);
+
+// Parse clipboard text; returns null for anything that is not one of our fragments
+export function parseFragment(text) {
+  if (!text) return null;
+  try {
+    const data = JSON.parse(text);
+    if (data?.format !== FRAGMENT_FORMAT || !Array.isArray(data.components)) return null;
+    return { flows: [], triggers: [], ...data };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Insert a fragment into a job.
+ * Components get fresh `_<n>` ids numbered after the job's highest suffix (keeping
+ * their relative order), internal flows/triggers and map configurations are remapped
+ * and positions shifted.
+ * Returns { job, pastedIds }.
+ */
+export function pasteFragment(job, fragment, offset = { x: PASTE_OFFSET, y: PASTE_OFFSET }) {
+  let nextSuffix = getMaxSuffix(job.components) + 1;
+  const idMap = new Map();
+
+  const ordered = fragment.components
+    .slice()
+    .sort((a, b) => getNumericSuffix(a.id) - getNumericSuffix(b.id));
+  ordered.forEach(component => {
+    idMap.set(component.id, `${getIdBase(component.id)}_${nextSuffix++}`);
+  });
+
+  const pastedComponents = fragment.components.map(component => {
+    const copy = JSON.parse(JSON.stringify(component));
+    return {
+      ...copy,
+      id: idMap.get(component.id),
+      config: getComponentType(copy) === 'map' ? remapMapConfig(copy.config, idMap) : copy.config,
+      position: {
+        x: (component.position?.x || 0) + offset.x,
+        y: (component.position?.y || 0) + offset.y
+      }
+    };
+  });
+
+  const remap = (link) => ({ ...link, from: idMap.get(link.from), to: idMap.get(link.to) });
+
+  return {
+    job: {
+      ...job,
+      components: [...(job.components || []), ...pastedComponents],
+      flows: [...(job.flows || []), ...(fragment.flows || []).map(remap)],
+      triggers: [...(job.triggers || []), ...(fragment.triggers || []).map(remap)]
+    },
+    pastedIds: pastedComponents.map(component => component.id)
+  };
+}
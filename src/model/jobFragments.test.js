@@ -0,0 +1,104 @@
+import { createFragment, serializeFragment, parseFragment, pasteFragment } from './jobFragments';
+
+const job = {
+  name: 'orders',
+  components: [
+    { id: 'orders_1', type: 'file_input_delimited', position: { x: 0, y: 0 }, config: { filepath: 'orders.csv' } },
+    { id: 'customers_2', type: 'file_input_delimited', position: { x: 0, y: 120 }, config: { filepath: 'customers.csv' } },
+    {
+      id: 'map_3',
+      type: 'map',
+      position: { x: 200, y: 0 },
+      config: {
+        lookups: [{ source: 'customers_2', join_mode: 'inner', keys: [{ column: 'id', expression: 'orders.customer_id' }] }],
+        outputs: [{
+          name: 'enriched',
+          target: 'file_output_delimited_4',
+          filter: 'customers_2.country == "customers_2.x"',
+          reject: false,
+          columns: [
+            { name: 'amount', type: 'decimal', expression: 'orders.amount' },
+            { name: 'customer', type: 'string', expression: 'customers_2.name + " " + context.suffix' }
+          ]
+        }]
+      }
+    },
+    { id: 'file_output_delimited_4', type: 'file_output_delimited', position: { x: 400, y: 0 }, config: {} }
+  ],
+  flows: [
+    { name: 'main', from: 'orders_1', to: 'map_3', type: 'flow', label: 'orders' },
+    { name: 'lookup', from: 'customers_2', to: 'map_3', type: 'flow' },
+    { name: 'main', from: 'map_3', to: 'file_output_delimited_4', type: 'flow' }
+  ],
+  triggers: []
+};
+
+describe('createFragment', () => {
+  it('keeps only the links between selected components', () => {
+    const fragment = createFragment(job, ['orders_1', 'map_3']);
+
+    expect(fragment.components.map(c => c.id)).toEqual(['orders_1', 'map_3']);
+    expect(fragment.flows).toEqual([{ name: 'main', from: 'orders_1', to: 'map_3', type: 'flow', label: 'orders' }]);
+  });
+
+  it('returns null for an empty selection', () => {
+    expect(createFragment(job, [])).toBeNull();
+  });
+});
+
+describe('parseFragment', () => {
+  it('reads serialized fragments back', () => {
+    const fragment = createFragment(job, ['orders_1']);
+    expect(parseFragment(serializeFragment(fragment))).toEqual(fragment);
+  });
+
+  it('ignores other clipboard content', () => {
+    expect(parseFragment('hello')).toBeNull();
+    expect(parseFragment('{"components": []}')).toBeNull();
+  });
+});
+
+describe('pasteFragment', () => {
+  const fragment = createFragment(job, job.components.map(c => c.id));
+  const { job: pasted, pastedIds } = pasteFragment(job, fragment);
+  const pastedMap = pasted.components.find(c => c.id === 'map_7');
+
+  it('numbers the copies after the highest id suffix and shifts them', () => {
+    expect(pastedIds).toEqual(['orders_5', 'customers_6', 'map_7', 'file_output_delimited_8']);
+    expect(pastedMap.position).toEqual({ x: 240, y: 40 });
+  });
+
+  it('remaps the copied flows', () => {
+    expect(pasted.flows.slice(3)).toEqual([
+      { name: 'main', from: 'orders_5', to: 'map_7', type: 'flow', label: 'orders' },
+      { name: 'lookup', from: 'customers_6', to: 'map_7', type: 'flow' },
+      { name: 'main', from: 'map_7', to: 'file_output_delimited_8', type: 'flow' }
+    ]);
+  });
+
+  it('remaps map lookups, output targets and input aliases', () => {
+    const [lookup] = pastedMap.config.lookups;
+    const [output] = pastedMap.config.outputs;
+
+    expect(lookup.source).toBe('customers_6');
+    expect(lookup.keys[0].expression).toBe('orders.customer_id');
+    expect(output.target).toBe('file_output_delimited_8');
+    expect(output.filter).toBe('customers_6.country == "customers_2.x"');
+    expect(output.columns.map(column => column.expression)).toEqual([
+      'orders.amount',
+      'customers_6.name + " " + context.suffix'
+    ]);
+  });
+
+  it('leaves the original map untouched', () => {
+    expect(pasted.components.find(c => c.id === 'map_3').config).toBe(job.components[2].config);
+  });
+
+  it('keeps ids that point outside the fragment', () => {
+    const partial = pasteFragment(job, createFragment(job, ['map_3'])).job;
+    const copy = partial.components.find(c => c.id === 'map_5');
+
+    expect(copy.config.lookups[0].source).toBe('customers_2');
+    expect(copy.config.outputs[0].target).toBe('file_output_delimited_4');
+  });
+});
@@ -0,0 +1,243 @@
+import {
+  getComponentPorts,
+  getComponentCategory,
+  getComponentDisplayName,
+  getComponentSchemaMode,
+  getComponentParams
+} from './componentRegistry';
+import { getFlowOutputPort } from './connectionRules';
+import { getSchemaSyncState, validateSchemaColumns } from './schema';
+import { getMapConfig, getMapInputs, validateMapConfig } from './mapConfig';
+import { analyzeExpression } from './expressions';
+import { getExpressionScope, getContextTypes } from './expressionScope';
+import { validateComponentParams, isParamSet } from './componentParams';
+
+/**
+ * Job Validation
+ *
+ * Static checks run on every edit and before Run. Each problem is
+ * { id, severity: 'error' | 'warning', rule, componentId, message }.
+ * Errors block execution, warnings do not.
+ */
+
+const CONTEXT_REFERENCE = /\bcontext\.([A-Za-z_][A-Za-z0-9_]*)/g;
+
+const dataFlows = (job) => (job?.flows || []).filter(flow => !flow.type || flow.type === 'flow');
+
+const isInactive = (component) => component.active === false;
+
+// Collect every string value in a component's config
+const collectStrings = (value, result = []) => {
+  if (typeof value === 'string') {
+    result.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectStrings(item, result));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectStrings(item, result));
+  }
+  return result;
+};
+
+export function findContextReferences(component) {
+  const names = new Set();
+  collectStrings(component.config).forEach(text => {
+    for (const match of text.matchAll(CONTEXT_REFERENCE)) {
+      names.add(match[1]);
+    }
+  });
+  return Array.from(names);
+}
+
+// Components reachable from any Input component through active components
+const findReachable = (components, flows) => {
+  const byId = new Map(components.map(c => [c.id, c]));
+  const reachable = new Set();
+  const stack = components
+    .filter(c => getComponentCategory(c) === 'Input' && !isInactive(c))
+    .map(c => c.id);
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (reachable.has(current)) continue;
+    reachable.add(current);
+
+    flows
+      .filter(flow => flow.from === current)
+      .forEach(flow => {
+        const next = byId.get(flow.to);
+        if (next && !isInactive(next)) stack.push(next.id);
+      });
+  }
+  return reachable;
+};
+
+/**
+ * Validate a job.
+ * contextVariables: names defined in the context used for the run
+ * (defaults to the variables of job.context.Default)
+ */
+export function validateJob(job, contextVariables) {
+  if (!job || !job.components) return [];
+
+  const problems = [];
+  const flows = dataFlows(job);
+  const definedContext = new Set(contextVariables || Object.keys(job.context?.Default || {}));
+  const schemaSync = getSchemaSyncState(job);
+  // Undefined context variables are reported by their own rule, not again by expression checks
+  const contextTypes = { ...getContextTypes(job) };
+  definedContext.forEach(name => {
+    if (!contextTypes[name]) contextTypes[name] = 'any';
+  });
+  const isReported = (error) => error.code !== 'unknown-context';
+
+  const addProblem = (severity, rule, component, message) => {
+    problems.push({
+      id: `${rule}:${component ? component.id : 'job'}`,
+      severity,
+      rule,
+      componentId: component ? component.id : null,
+      message
+    });
+  };
+
+  job.components.forEach(component => {
+    const { inputs, outputs } = getComponentPorts(component);
+    const incoming = flows.filter(flow => flow.to === component.id);
+    const outgoing = flows.filter(flow => flow.from === component.id);
+    const triggered = (job.triggers || []).some(trigger => trigger.from === component.id || trigger.to === component.id);
+    const label = `${component.id} (${getComponentDisplayName(component)})`;
+
+    // Imported components without a registry entry cannot be executed
+    if (component.unsupported) {
+      addProblem('error', 'unsupported-component', component,
+        `${component.id} (${component.original_type || component.type}) is not a supported component type.`);
+    }
+
+    // Malformed parameters block the run. Missing required ones only warn:
+    // legacy jobs and imported components often carry no config for them
+    if (!component.unsupported) {
+      Object.entries(validateComponentParams(component, component.config)).forEach(([name, message]) => {
+        problems.push({
+          id: `invalid-param:${component.id}:${name}`,
+          severity: isParamSet(component.config, name) ? 'error' : 'warning',
+          rule: 'invalid-param',
+          componentId: component.id,
+          message: `${label}: ${message}.`
+        });
+      });
+    }
+
+    // Unconnected components (a trigger alone connects e.g. a tRunJob or tDie)
+    if (incoming.length === 0 && outgoing.length === 0) {
+      if (!triggered) {
+        addProblem('error', 'unconnected', component, `${label} is not connected to anything.`);
+      }
+    } else {
+      if (inputs.includes('main') && !incoming.some(flow => flow.name !== 'lookup')) {
+        addProblem('error', 'missing-input', component, `${label} has no main input connected.`);
+      }
+      if (getComponentCategory(component) !== 'Output' && outputs.length > 0 && outgoing.length === 0) {
+        addProblem('warning', 'missing-output', component, `${label} has no output connected; its rows are discarded.`);
+      }
+    }
+
+    // Inactive components in the middle of a path
+    if (isInactive(component) && incoming.length > 0 && outgoing.length > 0) {
+      addProblem('warning', 'inactive-in-path', component,
+        `${label} is deactivated and breaks the path ${incoming[0].from} → ${outgoing[0].to}.`);
+    }
+
+    // Reject ports left dangling
+    if (outputs.includes('reject') && !outgoing.some(flow => getFlowOutputPort(flow) === 'reject')) {
+      addProblem('warning', 'unconnected-reject', component, `Reject output of ${label} is not connected; rejected rows are dropped.`);
+    }
+
+    // Column schemas
+    Object.entries(component.schema || {}).forEach(([port, columns]) => {
+      const [firstError] = validateSchemaColumns(columns);
+      if (firstError) {
+        problems.push({
+          id: `schema-invalid:${component.id}:${port}`,
+          severity: 'error',
+          rule: 'schema-invalid',
+          componentId: component.id,
+          message: `${label} ${port} schema: ${firstError.message}.`
+        });
+      }
+    });
+    if (schemaSync[component.id]) {
+      const [first, ...rest] = schemaSync[component.id];
+      addProblem('warning', 'schema-out-of-sync', component,
+        `${label} schema is out of sync with its input: ${first.message}${rest.length > 0 ? ` (+${rest.length} more)` : ''}. Propagate the schema to update it.`);
+    }
+
+    // Map lookups and output tables
+    if (getComponentSchemaMode(component) === 'map') {
+      const mapErrors = validateMapConfig(getMapConfig(job, component.id), getMapInputs(job, component.id), contextTypes)
+        .filter(isReported);
+      if (mapErrors.length > 0) {
+        addProblem('error', 'map-invalid', component,
+          `${label}: ${mapErrors[0].message}${mapErrors.length > 1 ? ` (+${mapErrors.length - 1} more)` : ''}.`);
+      }
+    }
+
+    // Expression parameters (filter conditions, ...)
+    getComponentParams(component)
+      .filter(param => param.type === 'expression' && typeof component.config?.[param.name] === 'string')
+      .forEach(param => {
+        const scope = { ...getExpressionScope(job, component.id), context: contextTypes };
+        const [firstError] = analyzeExpression(component.config[param.name], scope, { expectedType: param.valueType })
+          .errors.filter(isReported);
+        if (firstError) {
+          problems.push({
+            id: `expression-invalid:${component.id}:${param.name}`,
+            severity: 'error',
+            rule: 'expression-invalid',
+            componentId: component.id,
+            message: `${label} ${param.label.toLowerCase()}: ${firstError.message}.`
+          });
+        }
+      });
+
+    // Context references
+    findContextReferences(component)
+      .filter(name => !definedContext.has(name))
+      .forEach(name => {
+        problems.push({
+          id: `undefined-context:${component.id}:${name}`,
+          severity: 'error',
+          rule: 'undefined-context',
+          componentId: component.id,
+          message: `${label} references context.${name}, which is not defined.`
+        });
+      });
+  });
+
+  // RunIf triggers without a condition
+  (job.triggers || [])
+    .filter(trigger => trigger.type === 'RunIf' && !trigger.condition?.trim())
+    .forEach(trigger => {
+      problems.push({
+        id: `runif-condition:${trigger.from}:${trigger.to}`,
+        severity: 'error',
+        rule: 'runif-condition',
+        componentId: trigger.from,
+        message: `RunIf trigger ${trigger.from} → ${trigger.to} has no condition.`
+      });
+    });
+
+  // Outputs that no input can reach (fully unconnected ones are already reported)
+  const reachable = findReachable(job.components, flows);
+  const connected = new Set(flows.flatMap(flow => [flow.from, flow.to]));
+  job.components
+    .filter(component => getComponentCategory(component) === 'Output' && !isInactive(component))
+    .filter(component => connected.has(component.id) && !reachable.has(component.id))
+    .forEach(component => {
+      addProblem('error', 'unreachable-output', component,
+        `${component.id} (${getComponentDisplayName(component)}) cannot be reached from any input.`);
+    });
+
+  return problems;
+}
+
+export const hasBlockingProblems = (problems) => problems.some(problem => problem.severity === 'error');
@@ -0,0 +1,119 @@
+import { validateJob, hasBlockingProblems, findContextReferences } from './jobValidation';
+
+const columns = [
+  { name: 'id', type: 'int', nullable: false, length: null, date_pattern: null },
+  { name: 'amount', type: 'decimal', nullable: true, length: null, date_pattern: null }
+];
+
+const baseJob = () => ({
+  name: 'validation_test',
+  components: [
+    {
+      id: 'in_1',
+      type: 'file_input_delimited',
+      config: { filepath: 'context.input_dir', delimiter: ';' },
+      schema: { main: columns }
+    },
+    { id: 'filter_2', type: 'filter_rows', config: { condition: 'amount > 100' } },
+    { id: 'out_3', type: 'file_output_delimited', config: { filepath: '/out/big.csv', delimiter: ';' } },
+    { id: 'out_4', type: 'file_output_delimited', config: { filepath: '/out/small.csv', delimiter: ';' } }
+  ],
+  flows: [
+    { name: 'main', from: 'in_1', to: 'filter_2', type: 'flow' },
+    { name: 'main', from: 'filter_2', to: 'out_3', type: 'flow' },
+    { name: 'reject', from: 'filter_2', to: 'out_4', type: 'flow' }
+  ],
+  triggers: [],
+  context: { Default: { input_dir: { value: '/in/data.csv', type: 'id_String' } } }
+});
+
+const rulesOf = (problems, componentId) => problems
+  .filter(problem => !componentId || problem.componentId === componentId)
+  .map(problem => problem.rule);
+
+describe('validateJob', () => {
+  it('has no errors for a complete job', () => {
+    const problems = validateJob(baseJob());
+    expect(problems.filter(problem => problem.severity === 'error')).toEqual([]);
+    expect(hasBlockingProblems(problems)).toBe(false);
+  });
+
+  it('reports unconnected components and missing inputs', () => {
+    const job = baseJob();
+    job.components.push({ id: 'out_5', type: 'file_output_delimited', config: { filepath: '/x', delimiter: ';' } });
+    job.flows = job.flows.filter(flow => flow.to !== 'filter_2');
+
+    const problems = validateJob(job);
+    expect(rulesOf(problems, 'out_5')).toContain('unconnected');
+    expect(rulesOf(problems, 'filter_2')).toContain('missing-input');
+    expect(rulesOf(problems, 'out_3')).toContain('unreachable-output');
+    expect(hasBlockingProblems(problems)).toBe(true);
+  });
+
+  it('counts triggers as connections', () => {
+    const job = baseJob();
+    job.components.push({ id: 'die_5', type: 'die', config: {} });
+    expect(rulesOf(validateJob(job), 'die_5')).toContain('unconnected');
+
+    job.triggers = [{ from: 'out_3', to: 'die_5', type: 'OnSubjobOk' }];
+    expect(rulesOf(validateJob(job), 'die_5')).not.toContain('unconnected');
+  });
+
+  it('warns about dangling reject outputs and deactivated components in a path', () => {
+    const job = baseJob();
+    job.flows = job.flows.filter(flow => flow.name !== 'reject');
+    job.components = job.components.filter(component => component.id !== 'out_4');
+    job.components[1].active = false;
+
+    const problems = validateJob(job);
+    expect(problems.find(problem => problem.rule === 'unconnected-reject')).toMatchObject({
+      severity: 'warning',
+      componentId: 'filter_2'
+    });
+    expect(rulesOf(problems, 'filter_2')).toContain('inactive-in-path');
+  });
+
+  it('checks parameters and expressions against the input schema', () => {
+    const job = baseJob();
+    job.components[0].config.delimiter = '';
+    job.components[1].config.condition = 'amount + 1';
+
+    const problems = validateJob(job);
+    expect(problems.find(problem => problem.id === 'invalid-param:in_1:delimiter').severity).toBe('warning');
+    expect(problems.find(problem => problem.rule === 'expression-invalid').message)
+      .toBe('filter_2 (Filter Rows) condition: Expression is decimal but boolean is required.');
+  });
+
+  it('only warns about missing required parameters', () => {
+    const job = baseJob();
+    job.components.push({ id: 'db_5', type: 'oracle_input', config: { port: 'x' } });
+    job.flows.push({ name: 'main', from: 'db_5', to: 'out_4', type: 'flow' });
+
+    const paramProblems = validateJob(job).filter(problem => problem.componentId === 'db_5' && problem.rule === 'invalid-param');
+    expect(paramProblems.filter(problem => problem.severity === 'error').map(problem => problem.id))
+      .toEqual(['invalid-param:db_5:port']);
+    expect(paramProblems.some(problem => problem.severity === 'warning')).toBe(true);
+  });
+
+  it('reports context variables the run does not define', () => {
+    const problems = validateJob(baseJob(), ['other']);
+    expect(problems.find(problem => problem.rule === 'undefined-context')).toMatchObject({
+      id: 'undefined-context:in_1:input_dir',
+      severity: 'error'
+    });
+  });
+
+  it('requires a condition on RunIf triggers', () => {
+    const job = baseJob();
+    job.triggers = [{ from: 'out_3', to: 'out_4', type: 'RunIf', condition: ' ' }];
+    expect(rulesOf(validateJob(job))).toContain('runif-condition');
+  });
+});
+
+describe('findContextReferences', () => {
+  it('collects context variables from nested config values', () => {
+    expect(findContextReferences({
+      config: { query: 'select * from t where d = context.run_date', nested: [{ path: 'context.root + "/x"' }] }
+    })).toEqual(['run_date', 'root']);
+  });
+});
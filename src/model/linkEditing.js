@@ -0,0 +1,109 @@
+import {
+  validateConnection,
+  validateTrigger,
+  isTriggerType,
+  getConnectorName,
+  getFlowInputPort,
+  getFlowOutputPort
+} from './connectionRules';
+
+/**
+ * Link Editing
+ *
+ * Delete, retype and reroute existing links. A link reference is
+ * { kind: 'flow' | 'trigger', index } into job.flows / job.triggers.
+ * Edits return { job } on success or { error } with the reason they were refused.
+ */
+
+const collectionOf = (kind) => (kind === 'trigger' ? 'triggers' : 'flows');
+
+export function getLink(job, ref) {
+  if (!job || !ref) return null;
+  return (job[collectionOf(ref.kind)] || [])[ref.index] || null;
+}
+
+// Connector name of a flow, or trigger type of a trigger
+export function getLinkType(ref, link) {
+  return ref.kind === 'trigger' ? link.type : (link.name || 'main');
+}
+
+export function removeLink(job, ref) {
+  const key = collectionOf(ref.kind);
+  return {
+    job: {
+      ...job,
+      [key]: (job[key] || []).filter((_, index) => index !== ref.index)
+    }
+  };
+}
+
+// Validate a replacement link and swap it in, moving it between flows and triggers if needed.
+// ports overrides the ports read from the replacement's connector name
+const replaceLink = (job, ref, replacement, ports = {}) => {
+  const current = getLink(job, ref);
+  const toTrigger = isTriggerType(replacement.type);
+
+  const validation = toTrigger
+    ? validateTrigger(job, replacement, ref.kind === 'trigger' ? { ignoreTrigger: current } : {})
+    : validateConnection(job, {
+        from: replacement.from,
+        fromPort: ports.fromPort || getFlowOutputPort(replacement),
+        to: replacement.to,
+        toPort: ports.toPort || getFlowInputPort(replacement)
+      }, ref.kind === 'flow' ? { ignoreFlow: current } : {});
+
+  if (!validation.valid) {
+    return { error: validation.reason };
+  }
+
+  const { job: withoutLink } = removeLink(job, ref);
+  const key = toTrigger ? 'triggers' : 'flows';
+  const list = [...(withoutLink[key] || [])];
+
+  // Keep the link at its position when it stays in the same collection
+  if ((ref.kind === 'trigger') === toTrigger) {
+    list.splice(ref.index, 0, replacement);
+  } else {
+    list.push(replacement);
+  }
+
+  return {
+    job: { ...withoutLink, [key]: list },
+    ref: { kind: toTrigger ? 'trigger' : 'flow', index: list.indexOf(replacement) }
+  };
+};
+
+/**
+ * Change a link's type: main / reject / lookup for data flows,
+ * or a trigger type (OnSubjobOk, RunIf, ...). condition is used by RunIf.
+ */
+export function retypeLink(job, ref, type, condition) {
+  const current = getLink(job, ref);
+  if (!current) return { error: 'Link no longer exists.' };
+
+  const replacement = isTriggerType(type)
+    ? { from: current.from, to: current.to, type, ...(type === 'RunIf' ? { condition: condition || '' } : {}) }
+    : { name: type, from: current.from, to: current.to, type: 'flow' };
+
+  return replaceLink(job, ref, replacement);
+}
+
+/**
+ * Move one end of a link to another component.
+ * end: 'from' | 'to'; port: the anchor port it was dropped on.
+ */
+export function rerouteLink(job, ref, end, componentId, port) {
+  const current = getLink(job, ref);
+  if (!current) return { error: 'Link no longer exists.' };
+
+  if (ref.kind === 'trigger') {
+    return replaceLink(job, ref, { ...current, [end]: componentId });
+  }
+
+  const ports = end === 'from'
+    ? { fromPort: port, toPort: getFlowInputPort(current) }
+    : { fromPort: getFlowOutputPort(current), toPort: port };
+  const name = getConnectorName(ports.fromPort, ports.toPort);
+
+  return replaceLink(job, ref, { ...current, name, [end]: componentId }, ports);
+}
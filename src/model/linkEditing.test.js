@@ -0,0 +1,65 @@
+import { getLink, removeLink, retypeLink, rerouteLink } from './linkEditing';
+
+const component = (id, type) => ({ id, type, position: { x: 0, y: 0 }, config: {} });
+
+const job = {
+  components: [
+    component('in_1', 'file_input_delimited'),
+    component('in_2', 'file_input_delimited'),
+    component('filter_3', 'filter_rows'),
+    component('map_4', 'map'),
+    component('out_5', 'file_output_delimited')
+  ],
+  flows: [
+    { name: 'main', from: 'in_1', to: 'filter_3', type: 'flow' },
+    { name: 'reject', from: 'filter_3', to: 'out_5', type: 'flow' },
+    { name: 'main', from: 'in_2', to: 'map_4', type: 'flow' }
+  ],
+  triggers: []
+};
+
+const flowRef = (index) => ({ kind: 'flow', index });
+
+describe('removeLink', () => {
+  it('drops the referenced link only', () => {
+    expect(removeLink(job, flowRef(1)).job.flows).toEqual([job.flows[0], job.flows[2]]);
+    expect(getLink(job, { kind: 'trigger', index: 0 })).toBeNull();
+  });
+});
+
+describe('retypeLink', () => {
+  it('renames a flow in place', () => {
+    const { job: retyped, ref } = retypeLink(job, flowRef(1), 'main');
+    expect(ref).toEqual(flowRef(1));
+    expect(retyped.flows[1]).toEqual({ name: 'main', from: 'filter_3', to: 'out_5', type: 'flow' });
+  });
+
+  it('moves a flow to the triggers when it becomes one', () => {
+    const { job: retyped, ref } = retypeLink(job, flowRef(1), 'RunIf', 'context.strict');
+    expect(ref).toEqual({ kind: 'trigger', index: 0 });
+    expect(retyped.flows).toHaveLength(2);
+    expect(retyped.triggers).toEqual([{ from: 'filter_3', to: 'out_5', type: 'RunIf', condition: 'context.strict' }]);
+  });
+
+  it('refuses ports the source does not have', () => {
+    expect(retypeLink(job, flowRef(0), 'reject').error).toBe('in_1 (File Input Delimited) has no "reject" output.');
+    expect(retypeLink(job, flowRef(5), 'main').error).toBe('Link no longer exists.');
+  });
+});
+
+describe('rerouteLink', () => {
+  it('names the flow after the port it was dropped on', () => {
+    const { job: rerouted } = rerouteLink(job, flowRef(0), 'to', 'map_4', 'lookup');
+    expect(rerouted.flows[0]).toEqual({ name: 'lookup', from: 'in_1', to: 'map_4', type: 'flow' });
+  });
+
+  it('keeps the reject output out of lookup inputs', () => {
+    expect(rerouteLink(job, flowRef(1), 'to', 'map_4', 'lookup').error)
+      .toBe('The reject output of filter_3 cannot feed a lookup input. Connect it to a main input.');
+  });
+
+  it('refuses occupied input ports', () => {
+    expect(rerouteLink(job, flowRef(0), 'to', 'map_4', 'main').error)
+      .toBe('map_4 (Map) already has a "main" input from in_2. Connect to its "lookup" input instead.');
+  });
+});
@@ -0,0 +1,230 @@
+import { getFlowInputPort } from './connectionRules';
+import { getFlowSchema, createColumn } from './schema';
+import { analyzeExpression, tokenizeExpression } from './expressions';
+
+/**
+ * Map Configuration
+ *
+ * What a map component does, stored in component.config:
+ *   lookups: [{ source, join_mode: 'inner' | 'left', keys: [{ column, expression }] }]
+ *   outputs: [{ name, target, filter, reject, columns: [{ ...column, expression }] }]
+ *
+ * Inputs are referenced in expressions by alias: the flow label, or the source
+ * component id when the flow has none (row1.amount, customers_2.name).
+ * Each output table feeds the outgoing flow whose target it names; tables
+ * without a flow are kept so they survive reconnecting. A reject table
+ * receives the rows dropped by inner-join lookups and by every other output's filter.
+ */
+
+export const JOIN_MODES = ['inner', 'left'];
+
+const COLUMN_REFERENCE = /\b([A-Za-z_][A-Za-z0-9_]*)\.([A-Za-z_][A-Za-z0-9_]*)\b/g;
+
+const dataFlows = (job) => (job?.flows || []).filter(flow => !flow.type || flow.type === 'flow');
+
+export const getInputAlias = (flow) => flow.label || flow.from;
+
+/**
+ * Input tables of a map: the main input and every lookup, with their columns.
+ * Returns { main: { alias, source, columns } | null, lookups: [...] }
+ */
+export function getMapInputs(job, componentId) {
+  const incoming = dataFlows(job).filter(flow => flow.to === componentId);
+  const toInput = (flow) => ({ alias: getInputAlias(flow), source: flow.from, columns: getFlowSchema(job, flow) });
+
+  const mainFlow = incoming.find(flow => getFlowInputPort(flow) === 'main');
+  return {
+    main: mainFlow ? toInput(mainFlow) : null,
+    lookups: incoming.filter(flow => getFlowInputPort(flow) === 'lookup').map(toInput)
+  };
+}
+
+/**
+ * Editable configuration of a map: stored lookups and output tables reconciled
+ * with the flows currently connected to it.
+ */
+export function getMapConfig(job, componentId) {
+  const component = (job?.components || []).find(c => c.id === componentId);
+  const config = component?.config || {};
+  const storedLookups = config.lookups || [];
+  const storedOutputs = config.outputs || [];
+
+  const lookups = getMapInputs(job, componentId).lookups.map(input => (
+    storedLookups.find(lookup => lookup.source === input.source) ||
+    { source: input.source, join_mode: 'left', keys: [] }
+  ));
+
+  const outgoing = dataFlows(job).filter(flow => flow.from === componentId);
+  const bound = outgoing.map((flow, index) => (
+    storedOutputs.find(output => output.target === flow.to) ||
+    { name: flow.label || `out${index + 1}`, target: flow.to, filter: '', reject: false, columns: [] }
+  ));
+  const unbound = storedOutputs.filter(output => !outgoing.some(flow => flow.to === output.target));
+
+  return { lookups, outputs: [...bound, ...unbound] };
+}
+
+/**
+ * Input columns an expression refers to: [{ alias, column }].
+ * context.<var> references are not columns and are skipped.
+ */
+export function findColumnReferences(expression) {
+  const references = [];
+  const text = String(expression || '').replace(/"(?:[^"\\]|\\.)*"/g, '""');
+  for (const match of text.matchAll(COLUMN_REFERENCE)) {
+    if (match[1] !== 'context') {
+      references.push({ alias: match[1], column: match[2] });
+    }
+  }
+  return references;
+}
+
+/**
+ * Expression scope of a map: every input by alias, no bare column names.
+ * context: { name: type } of the context variables in use
+ */
+export function getMapExpressionScope(inputs, context = {}) {
+  const tables = {};
+  [inputs.main, ...inputs.lookups].filter(Boolean).forEach(input => {
+    tables[input.alias] = input.columns;
+  });
+  return { tables, columns: null, context };
+}
+
+/**
+ * Output column mapped straight from an input column.
+ */
+export function createMappedColumn(input, column) {
+  return {
+    ...createColumn(column.name),
+    type: column.type,
+    nullable: column.nullable !== false,
+    length: column.length ?? null,
+    date_pattern: column.date_pattern ?? null,
+    expression: `${input.alias}.${column.name}`
+  };
+}
+
+/**
+ * Problems in a map configuration: [{ location, message, code }]
+ * location is 'lookup:<source>' or 'output:<index>'. Expressions are parsed
+ * and type-checked; code is the expression error code, or 'structure'.
+ * context: { name: type } of the context variables in use
+ */
+export function validateMapConfig(config, inputs, context = {}) {
+  const errors = [];
+  const scope = getMapExpressionScope(inputs, context);
+
+  const checkExpression = (expression, location, label, expectedType) => {
+    analyzeExpression(expression, scope, { expectedType }).errors.forEach(error => {
+      errors.push({ location, message: `${label}: ${error.message}`, code: error.code });
+    });
+  };
+  const structural = (location, message) => errors.push({ location, message, code: 'structure' });
+
+  config.lookups.forEach(lookup => {
+    const location = `lookup:${lookup.source}`;
+    const lookupInput = inputs.lookups.find(input => input.source === lookup.source);
+    if (lookup.keys.length === 0) {
+      structural(location, `Lookup ${lookup.source} has no join key`);
+    }
+    lookup.keys.forEach(key => {
+      const label = `Join key ${lookup.source}.${key.column}`;
+      if (!key.expression?.trim()) {
+        structural(location, `${label} has no expression`);
+        return;
+      }
+      const keyColumn = lookupInput?.columns.find(column => column.name === key.column);
+      checkExpression(key.expression, location, label, keyColumn?.type);
+    });
+  });
+
+  const names = new Set();
+  config.outputs.forEach((output, index) => {
+    const location = `output:${index}`;
+    if (!output.name?.trim()) {
+      structural(location, `Output ${index + 1} has no name`);
+    } else if (names.has(output.name)) {
+      structural(location, `Output name ${output.name} is used twice`);
+    }
+    names.add(output.name);
+
+    checkExpression(output.filter, location, `Filter of ${output.name}`, 'boolean');
+
+    const columnNames = new Set();
+    output.columns.forEach(column => {
+      const label = `${output.name}.${column.name}`;
+      if (columnNames.has(column.name)) {
+        structural(location, `${label} is defined twice`);
+      }
+      columnNames.add(column.name);
+      if (!column.expression?.trim()) {
+        structural(location, `${label} has no expression`);
+        return;
+      }
+      checkExpression(column.expression, location, label, column.type);
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Store an edited configuration on the map component.
+ */
+export function applyMapConfig(job, componentId, config) {
+  return {
+    ...job,
+    components: job.components.map(component => (
+      component.id === componentId
+        ? { ...component, config: { ...(component.config || {}), lookups: config.lookups, outputs: config.outputs } }
+        : component
+    ))
+  };
+}
+
+/**
+ * Rename input aliases in an expression (customers_2.name -> customers_5.name).
+ * Only `alias.column` references change; string literals are left alone.
+ */
+export function renameExpressionAliases(expression, aliasMap) {
+  const tokens = tokenizeExpression(String(expression ?? ''));
+  return tokens.map((token, index) => (
+    token.kind === 'identifier' &&
+    aliasMap.has(token.text) &&
+    tokens[index + 1]?.text === '.' &&
+    tokens[index - 1]?.text !== '.'
+      ? aliasMap.get(token.text)
+      : token.text
+  )).join('');
+}
+
+/**
+ * Map configuration with component ids renamed through idMap, e.g. for a
+ * pasted copy: lookup sources, output targets and the input aliases used in
+ * join keys, filters and column expressions. Unknown ids are kept.
+ */
+export function remapMapConfig(config, idMap) {
+  if (!config) return config;
+  const rename = (id) => idMap.get(id) ?? id;
+  const renameExpression = (expression) => (expression ? renameExpressionAliases(expression, idMap) : expression);
+
+  return {
+    ...config,
+    ...(config.lookups && {
+      lookups: config.lookups.map(lookup => ({
+        ...lookup,
+        source: rename(lookup.source),
+        keys: (lookup.keys || []).map(key => ({ ...key, expression: renameExpression(key.expression) }))
+      }))
+    }),
+    ...(config.outputs && {
+      outputs: config.outputs.map(output => ({
+        ...output,
+        target: rename(output.target),
+        filter: renameExpression(output.filter),
+        columns: (output.columns || []).map(column => ({ ...column, expression: renameExpression(column.expression) }))
+      }))
+    })
+  };
+}
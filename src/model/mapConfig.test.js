@@ -0,0 +1,109 @@
+import {
+  getMapInputs,
+  getMapConfig,
+  findColumnReferences,
+  createMappedColumn,
+  validateMapConfig,
+  applyMapConfig,
+  renameExpressionAliases,
+  remapMapConfig
+} from './mapConfig';
+
+const column = (name, type = 'string') => ({ name, type, nullable: true, length: null, date_pattern: null });
+
+const baseJob = () => ({
+  name: 'map_test',
+  components: [
+    { id: 'trades_1', type: 'file_input_delimited', config: {}, schema: { main: [column('id', 'int'), column('desk')] } },
+    { id: 'desks_2', type: 'file_input_delimited', config: {}, schema: { main: [column('desk'), column('book')] } },
+    { id: 'map_3', type: 'map', config: {} },
+    { id: 'out_4', type: 'file_output_delimited', config: {} }
+  ],
+  flows: [
+    { name: 'main', from: 'trades_1', to: 'map_3', type: 'flow', label: 'row1' },
+    { name: 'lookup', from: 'desks_2', to: 'map_3', type: 'flow' },
+    { name: 'main', from: 'map_3', to: 'out_4', type: 'flow', label: 'booked' }
+  ],
+  triggers: []
+});
+
+describe('getMapInputs', () => {
+  it('names inputs by flow label, or by source id without one', () => {
+    const inputs = getMapInputs(baseJob(), 'map_3');
+    expect(inputs.main).toMatchObject({ alias: 'row1', source: 'trades_1' });
+    expect(inputs.main.columns.map(c => c.name)).toEqual(['id', 'desk']);
+    expect(inputs.lookups.map(({ alias, source }) => ({ alias, source }))).toEqual([{ alias: 'desks_2', source: 'desks_2' }]);
+  });
+});
+
+describe('getMapConfig', () => {
+  it('fills in connected lookups and outputs and keeps unbound tables', () => {
+    const unbound = { name: 'old', target: 'gone_9', filter: '', reject: false, columns: [] };
+    const job = applyMapConfig(baseJob(), 'map_3', { lookups: [], outputs: [unbound] });
+    expect(getMapConfig(job, 'map_3')).toEqual({
+      lookups: [{ source: 'desks_2', join_mode: 'left', keys: [] }],
+      outputs: [{ name: 'booked', target: 'out_4', filter: '', reject: false, columns: [] }, unbound]
+    });
+  });
+});
+
+describe('findColumnReferences', () => {
+  it('skips context variables and string literals', () => {
+    expect(findColumnReferences('row1.id > context.min_id && desks_2.book != "a.b"'))
+      .toEqual([{ alias: 'row1', column: 'id' }, { alias: 'desks_2', column: 'book' }]);
+  });
+});
+
+describe('validateMapConfig', () => {
+  const inputs = getMapInputs(baseJob(), 'map_3');
+  const output = (columns, filter = '') => ({ name: 'booked', target: 'out_4', filter, reject: false, columns });
+
+  it('accepts mapped columns and keyed lookups', () => {
+    const config = {
+      lookups: [{ source: 'desks_2', join_mode: 'inner', keys: [{ column: 'desk', expression: 'row1.desk' }] }],
+      outputs: [output([createMappedColumn(inputs.main, inputs.main.columns[0]), createMappedColumn(inputs.lookups[0], column('book'))])]
+    };
+    expect(validateMapConfig(config, inputs)).toEqual([]);
+  });
+
+  it('reports structural problems by location', () => {
+    const config = {
+      lookups: [{ source: 'desks_2', join_mode: 'left', keys: [] }],
+      outputs: [output([{ ...column('id', 'int'), expression: 'row1.id' }, { ...column('id', 'int'), expression: ' ' }])]
+    };
+    expect(validateMapConfig(config, inputs)).toEqual([
+      { location: 'lookup:desks_2', message: 'Lookup desks_2 has no join key', code: 'structure' },
+      { location: 'output:0', message: 'booked.id is defined twice', code: 'structure' },
+      { location: 'output:0', message: 'booked.id has no expression', code: 'structure' }
+    ]);
+  });
+
+  it('type-checks filters against the input columns', () => {
+    const errors = validateMapConfig({ lookups: [], outputs: [output([], 'row1.missing > 0')] }, inputs);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ location: 'output:0' });
+    expect(errors[0].message).toMatch(/^Filter of booked: /);
+  });
+});
+
+describe('renameExpressionAliases', () => {
+  it('renames aliases but not columns or string literals', () => {
+    const aliases = new Map([['row1', 'trades'], ['desk', 'unused']]);
+    expect(renameExpressionAliases('row1.desk + "row1.desk" + desk.row1', aliases))
+      .toBe('trades.desk + "row1.desk" + unused.row1');
+  });
+});
+
+describe('remapMapConfig', () => {
+  it('renames sources, targets and aliases of a pasted map', () => {
+    const config = {
+      lookups: [{ source: 'desks_2', join_mode: 'inner', keys: [{ column: 'desk', expression: 'trades_1.desk' }] }],
+      outputs: [{ name: 'booked', target: 'out_4', filter: 'desks_2.book != ""', reject: false, columns: [] }]
+    };
+    const idMap = new Map([['trades_1', 'trades_5'], ['desks_2', 'desks_6'], ['out_4', 'out_8']]);
+    expect(remapMapConfig(config, idMap)).toEqual({
+      lookups: [{ source: 'desks_6', join_mode: 'inner', keys: [{ column: 'desk', expression: 'trades_5.desk' }] }],
+      outputs: [{ name: 'booked', target: 'out_8', filter: 'desks_6.book != ""', reject: false, columns: [] }]
+    });
+  });
+});
@@ -0,0 +1,310 @@
+import { getComponentParams } from './componentRegistry';
+import { createComponent, getDefaultConfig, validateComponentParams } from './componentParams';
+import { getConnectorName } from './connectionRules';
+import { NUMERIC_TYPES } from './expressions';
+import { validateSchemaColumns, propagateSchema } from './schema';
+import { computeAutoLayout } from './autoLayout';
+import { syncSubjobs } from './subjobs';
+
+/**
+ * Reconciliation Jobs
+ *
+ * Turns the choices of the reconciliation wizard into a complete compare
+ * pipeline. The wizard spec is
+ *   { name,
+ *     feeds: [{ label, source: 'file' | 'oracle' | 'mssql', config, columns }] (A and B),
+ *     keys: [{ left, right }],
+ *     compares: [{ left, right, tolerance }],
+ *     outputs: { delimiter, matched, mismatched, left_only, right_only } (file paths) }
+ * Each feed goes through a normalising map that trims and upper-cases string
+ * keys, renames B's keys to A's names and suffixes the compared columns with
+ * _a / _b. A join on the keys (A main, B lookup) sends matched pairs to a
+ * filter_rows that splits them on the compare tolerances, and its reject to
+ * the A-only output; a second join the other way round rejects the B-only rows.
+ * The result is ordinary components and flows with propagated schemas,
+ * editable like any other.
+ */
+
+export const RECON_STEPS = [
+  { step: 1, title: 'Feeds' },
+  { step: 2, title: 'Columns' },
+  { step: 3, title: 'Keys & compare' },
+  { step: 4, title: 'Outputs' }
+];
+
+// Feed source -> input component type
+export const FEED_SOURCES = {
+  file: 'file_input_delimited',
+  oracle: 'oracle_input',
+  mssql: 'mssql_input'
+};
+
+// Break types, each written to its own delimited file
+export const BREAK_TYPES = [
+  { key: 'matched', label: 'Matched' },
+  { key: 'mismatched', label: 'Mismatched' },
+  { key: 'left_only', label: 'Only in feed A' },
+  { key: 'right_only', label: 'Only in feed B' }
+];
+
+const FEED_SUFFIXES = ['a', 'b'];
+
+const slugify = (text) => String(text || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'recon';
+
+const isNumeric = (type) => NUMERIC_TYPES.includes(type);
+
+// Conversion applied to B's value so both sides share A's type
+const CONVERSIONS = { int: 'toInt', long: 'toInt', double: 'toDouble', decimal: 'toDecimal', string: 'toString' };
+
+export function createFeed(label, source = 'file') {
+  return { label, source, config: getDefaultConfig(FEED_SOURCES[source]), columns: [] };
+}
+
+/**
+ * Empty wizard spec.
+ */
+export function createReconSpec(name = 'reconciliation') {
+  return {
+    name,
+    feeds: [createFeed('Feed A'), createFeed('Feed B')],
+    keys: [{ left: '', right: '' }],
+    compares: [],
+    outputs: { delimiter: ';', matched: '', mismatched: '', left_only: '', right_only: '' }
+  };
+}
+
+// Default output paths for a job name, e.g. /data/recon/cash_recon_matched.csv
+export function getDefaultOutputPaths(name) {
+  const paths = {};
+  BREAK_TYPES.forEach(({ key }) => { paths[key] = `/data/recon/${slugify(name)}_${key}.csv`; });
+  return paths;
+}
+
+const findColumn = (feed, name) => (feed?.columns || []).find(column => column.name === name);
+
+// Name of a compared column on one side of the join output
+export const getCompareColumnName = (compare, side) => `${compare.left}_${FEED_SUFFIXES[side]}`;
+
+/**
+ * filter_rows condition that holds when every compared pair agrees:
+ * numeric pairs within their tolerance, everything else equal.
+ */
+export function buildCompareCondition(spec) {
+  const [feedA] = spec.feeds;
+  const parts = spec.compares.map(compare => {
+    const a = getCompareColumnName(compare, 0);
+    const b = getCompareColumnName(compare, 1);
+    const tolerance = Number(compare.tolerance) || 0;
+    return isNumeric(findColumn(feedA, compare.left)?.type) && tolerance > 0
+      ? `abs(${a} - ${b}) <= ${tolerance}`
+      : `${a} == ${b}`;
+  });
+  return parts.join(' && ') || 'true';
+}
+
+/**
+ * Problems with the choices made on one wizard step, as messages.
+ */
+export function validateReconStep(spec, step) {
+  const errors = [];
+  const [feedA, feedB] = spec.feeds;
+
+  if (step === 1) {
+    spec.feeds.forEach((feed, index) => {
+      const name = feed.label || `Feed ${FEED_SUFFIXES[index].toUpperCase()}`;
+      if (!feed.label?.trim()) errors.push(`Feed ${FEED_SUFFIXES[index].toUpperCase()} needs a name.`);
+      if (!FEED_SOURCES[feed.source]) {
+        errors.push(`${name} has no source type.`);
+        return;
+      }
+      Object.values(validateComponentParams(FEED_SOURCES[feed.source], feed.config))
+        .forEach(message => errors.push(`${name}: ${message}.`));
+    });
+    if (feedA.label?.trim() && feedA.label.trim() === feedB.label?.trim()) {
+      errors.push('The two feeds need different names.');
+    }
+  }
+
+  if (step === 2) {
+    spec.feeds.forEach(feed => {
+      if (feed.columns.length === 0) errors.push(`${feed.label} has no columns.`);
+      validateSchemaColumns(feed.columns).forEach(error => errors.push(`${feed.label}: ${error.message}.`));
+    });
+  }
+
+  if (step === 3) {
+    if (spec.keys.length === 0) errors.push('Choose at least one key column.');
+    spec.keys.forEach((key, index) => {
+      const left = findColumn(feedA, key.left);
+      const right = findColumn(feedB, key.right);
+      if (!left || !right) {
+        errors.push(`Key ${index + 1} needs a column from both feeds.`);
+      } else if (left.type !== right.type && !(isNumeric(left.type) && isNumeric(right.type))) {
+        errors.push(`Key ${left.name} (${left.type}) cannot be matched with ${right.name} (${right.type}).`);
+      }
+    });
+    const keyNames = spec.keys.map(key => key.left);
+    if (new Set(keyNames).size !== keyNames.length) errors.push('A key column is chosen twice.');
+
+    if (spec.compares.length === 0) errors.push('Choose at least one column to compare.');
+    spec.compares.forEach((compare, index) => {
+      const left = findColumn(feedA, compare.left);
+      const right = findColumn(feedB, compare.right);
+      if (!left || !right) {
+        errors.push(`Compare ${index + 1} needs a column from both feeds.`);
+        return;
+      }
+      if (keyNames.includes(compare.left)) errors.push(`${compare.left} is a key and cannot be compared too.`);
+      if (isNumeric(left.type) !== isNumeric(right.type)) {
+        errors.push(`${left.name} (${left.type}) cannot be compared with ${right.name} (${right.type}).`);
+      }
+      const tolerance = compare.tolerance === '' || compare.tolerance === undefined ? 0 : Number(compare.tolerance);
+      if (!Number.isFinite(tolerance) || tolerance < 0) {
+        errors.push(`Tolerance of ${left.name} must be a number of zero or more.`);
+      } else if (tolerance > 0 && !isNumeric(left.type)) {
+        errors.push(`${left.name} is not numeric, so it can only be compared exactly.`);
+      }
+    });
+    const compareNames = spec.compares.map(compare => compare.left);
+    if (new Set(compareNames).size !== compareNames.length) errors.push('A compare column is chosen twice.');
+  }
+
+  if (step === 4) {
+    if (!spec.name?.trim()) errors.push('The job needs a name.');
+    if (!spec.outputs.delimiter) errors.push('Choose the field separator of the output files.');
+    BREAK_TYPES.forEach(({ key, label }) => {
+      if (!spec.outputs[key]?.trim()) errors.push(`${label} rows need an output file.`);
+    });
+    const paths = BREAK_TYPES.map(({ key }) => spec.outputs[key]?.trim()).filter(Boolean);
+    if (new Set(paths).size !== paths.length) errors.push('Every break type needs its own output file.');
+  }
+
+  return errors;
+}
+
+/**
+ * Every wizard problem: [{ step, message }]
+ */
+export function validateRecon(spec) {
+  return RECON_STEPS.flatMap(({ step }) => validateReconStep(spec, step).map(message => ({ step, message })));
+}
+
+// Output columns of a feed's normalising map
+const buildNormalisedColumns = (spec, side, alias) => {
+  const feed = spec.feeds[side];
+  const [feedA] = spec.feeds;
+  const toColumn = (sourceName, name, targetType) => {
+    const source = findColumn(feed, sourceName);
+    let expression = `${alias}.${sourceName}`;
+    if (source.type !== targetType) expression = `${CONVERSIONS[targetType] || 'toString'}(${expression})`;
+    return {
+      name,
+      type: targetType,
+      nullable: source.nullable !== false,
+      length: source.length ?? null,
+      date_pattern: source.date_pattern ?? null,
+      expression
+    };
+  };
+
+  const keys = spec.keys.map(key => {
+    const column = toColumn(side === 0 ? key.left : key.right, key.left, findColumn(feedA, key.left).type);
+    return column.type === 'string' ? { ...column, expression: `upper(trim(${column.expression}))` } : column;
+  });
+  const compares = spec.compares.map(compare => toColumn(
+    side === 0 ? compare.left : compare.right,
+    getCompareColumnName(compare, side),
+    findColumn(feedA, compare.left).type
+  ));
+  return [...keys, ...compares];
+};
+
+/**
+ * New job with the whole compare pipeline, laid out left to right.
+ * The spec is kept on the job (feeds, reconId) so the wizard origin stays known.
+ */
+export function buildReconJob(spec, baseJob = {}) {
+  let job = {
+    ...baseJob,
+    name: spec.name,
+    reconId: slugify(spec.name),
+    feeds: spec.feeds.map(({ label, source }) => ({ label, source })),
+    components: [],
+    flows: [],
+    subjobs: {},
+    triggers: []
+  };
+
+  const add = (type, config = {}, extra = {}) => {
+    const component = createComponent(job, type, { x: 0, y: 0 });
+    const configured = { ...component, ...extra, config: { ...component.config, ...config } };
+    job = { ...job, components: [...job.components, configured] };
+    return configured.id;
+  };
+  const connect = (from, to, sourcePort = 'main', targetPort = 'main') => {
+    const flow = { name: getConnectorName(sourcePort, targetPort), from, to, type: 'flow' };
+    job = { ...job, flows: [...job.flows, flow] };
+  };
+
+  const inputs = spec.feeds.map(feed => add(FEED_SOURCES[feed.source], feed.config, { schema: { main: feed.columns } }));
+  const maps = inputs.map(() => add('map'));
+  const joinKeys = spec.keys.map(key => key.left).join(',');
+  const matchJoin = add('join', { join_keys: joinKeys, join_mode: 'inner' });
+  const rightOnlyJoin = add('join', { join_keys: joinKeys, join_mode: 'inner' });
+  const split = add('filter_rows', { condition: buildCompareCondition(spec) });
+  const outputs = {};
+  BREAK_TYPES.forEach(({ key }) => {
+    outputs[key] = add('file_output_delimited', { filepath: spec.outputs[key].trim(), delimiter: spec.outputs.delimiter });
+  });
+
+  // Feed -> normaliser -> both joins (main of one, lookup of the other)
+  inputs.forEach((input, side) => connect(input, maps[side]));
+  connect(maps[0], matchJoin);
+  connect(maps[1], matchJoin, 'main', 'lookup');
+  connect(maps[1], rightOnlyJoin);
+  connect(maps[0], rightOnlyJoin, 'main', 'lookup');
+
+  connect(matchJoin, split);
+  connect(matchJoin, outputs.left_only, 'reject');
+  connect(rightOnlyJoin, outputs.right_only, 'reject');
+  connect(split, outputs.matched);
+  connect(split, outputs.mismatched, 'reject');
+
+  // Each normaliser sends the same table to both joins
+  const mapConfigs = new Map(maps.map((mapId, side) => {
+    const columns = buildNormalisedColumns(spec, side, inputs[side]);
+    return [mapId, {
+      lookups: [],
+      outputs: [matchJoin, rightOnlyJoin].map((target, index) => ({
+        name: `${slugify(spec.feeds[side].label)}_${index + 1}`,
+        target,
+        filter: '',
+        reject: false,
+        columns
+      }))
+    }];
+  }));
+
+  const positions = computeAutoLayout(job);
+  job = {
+    ...job,
+    components: job.components.map(component => ({
+      ...component,
+      position: positions[component.id] || component.position,
+      ...(mapConfigs.has(component.id) ? { config: mapConfigs.get(component.id) } : {})
+    }))
+  };
+  return syncSubjobs(propagateSchema(job));
+}
+
+/**
+ * Job for a spec, or { errors: [{ step, message }] }.
+ */
+export function applyRecon(spec, baseJob) {
+  const errors = validateRecon(spec);
+  if (errors.length > 0) return { errors };
+  return { job: buildReconJob(spec, baseJob) };
+}
+
+// Registry parameters of a feed's input component
+export const getFeedParams = (feed) => getComponentParams(FEED_SOURCES[feed.source] || 'file_input_delimited');
@@ -0,0 +1,53 @@
+import { createReconSpec, buildCompareCondition, validateReconStep, applyRecon, getDefaultOutputPaths } from './reconciliation';
+import { validateJob } from './jobValidation';
+import { getSchemaSyncState } from './schema';
+import { syncSubjobs } from './subjobs';
+
+const column = (name, type = 'string') => ({ name, type, nullable: true, length: null, date_pattern: null });
+
+const spec = () => {
+  const base = createReconSpec('Cash recon');
+  const [feedA, feedB] = base.feeds;
+  return {
+    ...base,
+    feeds: [
+      { ...feedA, label: 'Ledger', config: { ...feedA.config, filepath: '/data/ledger.csv' }, columns: [column('trade_id'), column('amount', 'decimal'), column('ccy')] },
+      { ...feedB, label: 'Bank', config: { ...feedB.config, filepath: '/data/bank.csv' }, columns: [column('ref'), column('value', 'double'), column('currency')] }
+    ],
+    keys: [{ left: 'trade_id', right: 'ref' }],
+    compares: [{ left: 'amount', right: 'value', tolerance: '0.01' }, { left: 'ccy', right: 'currency', tolerance: '' }],
+    outputs: { delimiter: ';', ...getDefaultOutputPaths('Cash recon') }
+  };
+};
+
+describe('buildCompareCondition', () => {
+  it('compares numbers within their tolerance and the rest exactly', () => {
+    expect(buildCompareCondition(spec())).toBe('abs(amount_a - amount_b) <= 0.01 && ccy_a == ccy_b');
+  });
+});
+
+describe('validateReconStep', () => {
+  it('refuses tolerances on columns that are not numeric', () => {
+    const withTolerance = { ...spec(), compares: [{ left: 'ccy', right: 'currency', tolerance: '1' }] };
+    expect(validateReconStep(withTolerance, 3)).toEqual(['ccy is not numeric, so it can only be compared exactly.']);
+  });
+
+  it('needs a distinct file per break type', () => {
+    const shared = { ...spec(), outputs: { ...spec().outputs, mismatched: '/data/recon/cash_recon_matched.csv' } };
+    expect(validateReconStep(shared, 4)).toEqual(['Every break type needs its own output file.']);
+  });
+});
+
+describe('applyRecon', () => {
+  const { job, errors } = applyRecon(spec());
+
+  it('builds a job without validation errors', () => {
+    expect(errors).toBeUndefined();
+    expect(validateJob(job).filter(problem => problem.severity === 'error')).toEqual([]);
+  });
+
+  it('builds a job whose schemas and subjobs are in sync', () => {
+    expect(getSchemaSyncState(job)).toEqual({});
+    expect(syncSubjobs(job)).toBe(job);
+  });
+});
@@ -0,0 +1,103 @@
+import { getComponentCategory } from './componentRegistry';
+
+/**
+ * Run History
+ *
+ * A finished execution as kept in the Runs tab:
+ *   { id, executor_run_id, job_name, mode: 'run' | 'debug', started_at, finished_at, status, error,
+ *     context: { name: value },
+ *     components: { componentId: { status, rowsIn, rowsOut, error } },
+ *     outputs: [{ componentId, filepath }] }
+ * Records are built from the streamed progress of the run (see
+ * executionProgress.js) and the context values it was started with, so a
+ * past run can be repeated with exactly the same values. Executor run ids
+ * restart with the executor, so records get their own id from the start time.
+ */
+
+const CONTEXT_ONLY = /^context\.([A-Za-z_][A-Za-z0-9_]*)$/;
+
+// File path with a plain context.<var> reference resolved against the run's values
+const resolvePath = (filepath, context) => {
+  const match = String(filepath || '').trim().match(CONTEXT_ONLY);
+  return match && context[match[1]] !== undefined ? String(context[match[1]]) : filepath;
+};
+
+/**
+ * Files written by the Output components of a job: [{ componentId, filepath }]
+ */
+export function getOutputFiles(job, context = {}) {
+  return (job?.components || [])
+    .filter(component => getComponentCategory(component) === 'Output' && component.active !== false && component.config?.filepath)
+    .map(component => ({ componentId: component.id, filepath: resolvePath(component.config.filepath, context) }));
+}
+
+/**
+ * Run record from the final progress of a run.
+ * progress may be null when the run failed before the executor reported anything.
+ */
+export function createRunRecord(job, progress, context, { startedAt, error, mode = 'run' } = {}) {
+  const started = progress?.startedAt || startedAt || Date.now();
+  const components = {};
+  Object.entries(progress?.components || {}).forEach(([componentId, state]) => {
+    components[componentId] = {
+      status: state.status,
+      rowsIn: state.rowsIn || 0,
+      rowsOut: state.rowsOut || 0,
+      error: state.error || null
+    };
+  });
+
+  return {
+    id: `run_${started.toString(36)}`,
+    executor_run_id: progress?.runId ?? null,
+    job_name: job?.name || null,
+    mode,
+    started_at: new Date(started).toISOString(),
+    finished_at: new Date(progress?.finishedAt || Date.now()).toISOString(),
+    status: error ? 'failed' : (progress?.status || 'failed'),
+    error: error || progress?.error || null,
+    context: { ...context },
+    components,
+    outputs: getOutputFiles(job, context)
+  };
+}
+
+export const getRunDuration = (run) => new Date(run.finished_at) - new Date(run.started_at);
+
+export function formatDuration(ms) {
+  if (!Number.isFinite(ms) || ms < 0) return '-';
+  if (ms < 1000) return `${ms} ms`;
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)} s`;
+  return `${Math.floor(seconds / 60)} min ${Math.round(seconds % 60)} s`;
+}
+
+// Rows written by the run's Output components
+export function getRunRowTotal(run) {
+  return run.outputs.reduce((sum, output) => sum + (run.components[output.componentId]?.rowsIn || 0), 0);
+}
+
+/**
+ * Side-by-side comparison of two runs:
+ *   { durations: [a, b], durationDelta,
+ *     components: [{ componentId, a, b, rowsOutDelta }],   a/b: component stats or null
+ *     context: [{ name, a, b }] }                         only the variables that differ
+ */
+export function compareRuns(runA, runB) {
+  const ids = [...new Set([...Object.keys(runA.components), ...Object.keys(runB.components)])];
+  const durations = [getRunDuration(runA), getRunDuration(runB)];
+
+  const names = [...new Set([...Object.keys(runA.context), ...Object.keys(runB.context)])];
+  return {
+    durations,
+    durationDelta: durations[1] - durations[0],
+    components: ids.map(componentId => {
+      const a = runA.components[componentId] || null;
+      const b = runB.components[componentId] || null;
+      return { componentId, a, b, rowsOutDelta: (b?.rowsOut || 0) - (a?.rowsOut || 0) };
+    }),
+    context: names
+      .filter(name => String(runA.context[name] ?? '') !== String(runB.context[name] ?? ''))
+      .map(name => ({ name, a: runA.context[name], b: runB.context[name] }))
+  };
+}
@@ -0,0 +1,100 @@
+import {
+  getOutputFiles,
+  createRunRecord,
+  getRunDuration,
+  formatDuration,
+  getRunRowTotal,
+  compareRuns
+} from './runHistory';
+
+const job = {
+  name: 'history_test',
+  components: [
+    { id: 'in_1', type: 'file_input_delimited', config: { filepath: '/in.csv' } },
+    { id: 'out_2', type: 'file_output_delimited', config: { filepath: 'context.target' } },
+    { id: 'out_3', type: 'file_output_delimited', config: { filepath: 'context.archive + "/copy.csv"' } },
+    { id: 'out_4', type: 'file_output_delimited', active: false, config: { filepath: '/skipped.csv' } }
+  ]
+};
+
+const progress = {
+  runId: 'run_7',
+  status: 'succeeded',
+  startedAt: Date.UTC(2024, 4, 2, 6, 0, 0),
+  finishedAt: Date.UTC(2024, 4, 2, 6, 1, 30),
+  error: null,
+  components: {
+    in_1: { status: 'succeeded', rowsIn: 0, rowsOut: 500, error: null },
+    out_2: { status: 'succeeded', rowsIn: 480, rowsOut: 480, error: null },
+    out_3: { status: 'succeeded', rowsIn: 20, rowsOut: 20, error: null }
+  },
+  flows: {}
+};
+
+describe('getOutputFiles', () => {
+  it('lists active outputs, resolving plain context references', () => {
+    expect(getOutputFiles(job, { target: '/out/today.csv' })).toEqual([
+      { componentId: 'out_2', filepath: '/out/today.csv' },
+      { componentId: 'out_3', filepath: 'context.archive + "/copy.csv"' }
+    ]);
+  });
+});
+
+describe('createRunRecord', () => {
+  const run = createRunRecord(job, progress, { target: '/out/today.csv' });
+
+  it('keeps the progress, the context and the output files of the run', () => {
+    expect(run).toMatchObject({
+      id: `run_${progress.startedAt.toString(36)}`,
+      executor_run_id: 'run_7',
+      job_name: 'history_test',
+      mode: 'run',
+      started_at: '2024-05-02T06:00:00.000Z',
+      finished_at: '2024-05-02T06:01:30.000Z',
+      status: 'succeeded',
+      error: null,
+      context: { target: '/out/today.csv' }
+    });
+    expect(run.components.out_2).toEqual({ status: 'succeeded', rowsIn: 480, rowsOut: 480, error: null });
+    expect(getRunRowTotal(run)).toBe(500);
+    expect(getRunDuration(run)).toBe(90000);
+  });
+
+  it('records runs that failed before any progress arrived', () => {
+    const failed = createRunRecord(job, null, {}, { startedAt: progress.startedAt, error: 'Executor unreachable' });
+
+    expect(failed).toMatchObject({ status: 'failed', error: 'Executor unreachable', executor_run_id: null, components: {} });
+    expect(failed.started_at).toBe('2024-05-02T06:00:00.000Z');
+  });
+
+  it('marks debug runs', () => {
+    expect(createRunRecord(job, { ...progress, status: 'aborted' }, {}, { mode: 'debug' }))
+      .toMatchObject({ mode: 'debug', status: 'aborted' });
+  });
+});
+
+describe('formatDuration', () => {
+  it('picks a readable unit', () => {
+    expect(formatDuration(250)).toBe('250 ms');
+    expect(formatDuration(4200)).toBe('4.2 s');
+    expect(formatDuration(125000)).toBe('2 min 5 s');
+    expect(formatDuration(-1)).toBe('-');
+  });
+});
+
+describe('compareRuns', () => {
+  it('lines up components and the context values that differ', () => {
+    const before = createRunRecord(job, progress, { target: '/a.csv', mode: 'full' });
+    const after = createRunRecord(job, {
+      ...progress,
+      finishedAt: progress.finishedAt + 30000,
+      components: { ...progress.components, out_2: { ...progress.components.out_2, rowsOut: 400 } }
+    }, { target: '/b.csv', mode: 'full' });
+
+    const comparison = compareRuns(before, after);
+    expect(comparison.durations).toEqual([90000, 120000]);
+    expect(comparison.durationDelta).toBe(30000);
+    expect(comparison.components.find(row => row.componentId === 'out_2').rowsOutDelta).toBe(-80);
+    expect(comparison.context).toEqual([{ name: 'target', a: '/a.csv', b: '/b.csv' }]);
+  });
+});
@@ -0,0 +1,199 @@
+// With extensions, as the mock scheduler loads this module in plain Node
+import { getNextRuns, validateCron } from './cron.js';
+import {
+  getContextNames,
+  getContextValues,
+  getContextVariables,
+  getActiveContextName,
+  getContextInputType
+} from './contextEnvironments.js';
+
+/**
+ * Schedules
+ *
+ * Cron-style schedules of a job, run by the scheduler (see
+ * services/schedulerService.js):
+ *   { id, name, cron, enabled, context_name, overrides: { variable: value },
+ *     batch: { file_name, columns, rows: [{ variable: value }] } | null }
+ * A run uses the chosen context environment's values with the overrides on
+ * top. An override of a date variable may be a business date expression
+ * resolved against the planned run date: T, T-1, T+2 days, T-1 business day ... (business days
+ * skip weekends, like addBusinessDays). With a batch, each firing runs the
+ * job once per parameter row, the row's values applied last.
+ */
+
+const DATE_EXPRESSION_PATTERN = /^T\s*(?:([+-])\s*(\d+)\s*(business\s+days?|days?|bd)?)?$/i;
+
+export const isDateExpression = (value) => DATE_EXPRESSION_PATTERN.test(String(value ?? '').trim());
+
+// Date variables, whatever the type spelling (date, id_Date)
+export const isDateVariable = (variable) => getContextInputType(variable?.type) === 'date';
+
+const toIsoDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * yyyy-MM-dd for a date expression on the given run date; other values pass through.
+ */
+export function resolveDateExpression(value, runDate) {
+  const match = String(value ?? '').trim().match(DATE_EXPRESSION_PATTERN);
+  if (!match) return value;
+
+  const [, sign, amount, unit] = match;
+  const date = new Date(runDate.getFullYear(), runDate.getMonth(), runDate.getDate());
+  const offset = sign ? parseInt(amount, 10) * (sign === '-' ? -1 : 1) : 0;
+
+  if (/^(business|bd)/i.test(unit || '')) {
+    let remaining = Math.abs(offset);
+    while (remaining > 0) {
+      date.setDate(date.getDate() + Math.sign(offset));
+      if (date.getDay() !== 0 && date.getDay() !== 6) remaining--;
+    }
+  } else {
+    date.setDate(date.getDate() + offset);
+  }
+  return toIsoDate(date);
+}
+
+export function createSchedule(job) {
+  return {
+    id: `sched_${Date.now().toString(36)}`,
+    name: `${job?.name || 'Job'} daily`,
+    cron: '0 6 * * 1-5',
+    enabled: true,
+    context_name: getActiveContextName(job),
+    overrides: {},
+    batch: null
+  };
+}
+
+// Split one CSV line, honouring double quotes
+const splitCsvLine = (line, delimiter) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells.map(value => value.trim());
+};
+
+/**
+ * Parameter CSV for batch runs: a header of context variable names, one run
+ * per data row. Comma or semicolon separated. Returns { columns, rows, errors }.
+ */
+export function parseParameterCsv(text, job, contextName) {
+  const lines = String(text || '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) {
+    return { columns: [], rows: [], errors: ['The parameter file is empty'] };
+  }
+
+  const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+  const columns = splitCsvLine(lines[0], delimiter);
+  const variables = getContextVariables(job, contextName);
+  const errors = [];
+
+  columns.forEach(column => {
+    if (!column) {
+      errors.push('The header has an empty column name');
+    } else if (!variables[column]) {
+      errors.push(`Column ${column} is not a variable of context ${contextName}`);
+    }
+  });
+
+  const rows = lines.slice(1).map((line, index) => {
+    const cells = splitCsvLine(line, delimiter);
+    if (cells.length !== columns.length) {
+      errors.push(`Row ${index + 1} has ${cells.length} values, expected ${columns.length}`);
+    }
+    return Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? '']));
+  });
+  if (rows.length === 0) errors.push('The parameter file has no data rows');
+
+  return { columns, rows, errors };
+}
+
+/**
+ * Problems with a schedule: [{ field, message }], field being name, cron,
+ * context, override:<variable> or batch.
+ */
+export function validateSchedule(job, schedule) {
+  const errors = [];
+  if (!schedule.name.trim()) {
+    errors.push({ field: 'name', message: 'Schedule name is required' });
+  }
+
+  const cronError = validateCron(schedule.cron);
+  if (cronError) {
+    errors.push({ field: 'cron', message: cronError });
+  } else if (getNextRuns(schedule.cron, new Date(), 1).length === 0) {
+    errors.push({ field: 'cron', message: 'This schedule never fires' });
+  }
+
+  if (!getContextNames(job).includes(schedule.context_name)) {
+    errors.push({ field: 'context', message: `Context ${schedule.context_name || '(none)'} does not exist` });
+  }
+
+  const variables = getContextVariables(job, schedule.context_name);
+  Object.entries(schedule.overrides).forEach(([name, value]) => {
+    if (!variables[name]) {
+      errors.push({ field: `override:${name}`, message: `${name} is not a variable of context ${schedule.context_name}` });
+    } else if (isDateVariable(variables[name]) && /^T/i.test(String(value).trim()) && !isDateExpression(value)) {
+      errors.push({ field: `override:${name}`, message: `${value} is not a date expression like T-1 business day` });
+    }
+  });
+
+  if (schedule.batch) {
+    schedule.batch.columns
+      .filter(column => !variables[column])
+      .forEach(column => errors.push({ field: 'batch', message: `Batch column ${column} is not a variable of context ${schedule.context_name}` }));
+  }
+  return errors;
+}
+
+/**
+ * Context values of one run: environment, then overrides, then the batch row.
+ * Date expressions are resolved for date variables only.
+ */
+export function resolveScheduleContext(job, schedule, runDate, row = {}) {
+  const variables = getContextVariables(job, schedule.context_name);
+  const values = { ...getContextValues(job, schedule.context_name) };
+  Object.entries({ ...schedule.overrides, ...row }).forEach(([name, value]) => {
+    values[name] = isDateVariable(variables[name]) ? resolveDateExpression(value, runDate) : value;
+  });
+  return values;
+}
+
+/**
+ * Next firings of the enabled, valid schedules: [{ schedule, at }], soonest first.
+ */
+export function getUpcomingRuns(schedules, from = new Date(), perSchedule = 3) {
+  return schedules
+    .filter(schedule => schedule.enabled && !validateCron(schedule.cron))
+    .flatMap(schedule => getNextRuns(schedule.cron, from, perSchedule).map(at => ({ schedule, at })))
+    .sort((a, b) => a.at - b.at);
+}
+
+// Number of job runs per firing
+export const getRunsPerFiring = (schedule) => (schedule.batch ? schedule.batch.rows.length : 1);
@@ -0,0 +1,107 @@
+/**
+ * @jest-environment node
+ */
+import { resolveDateExpression, resolveScheduleContext, validateSchedule, createSchedule } from './schedules';
+import { matchesCron } from './cron';
+import { startMockServer, stopMockServer, nodeFetch } from '../testing/mockServer';
+
+const job = {
+  name: 'schedule_test',
+  components: [{ id: 'in_1', type: 'file_input_delimited' }],
+  flows: [],
+  context: {
+    Default: {
+      run_date: { value: '2024-01-01', type: 'id_Date' },
+      value_date: { value: '2024-01-01', type: 'date' },
+      mode: { value: 'full', type: 'id_String' }
+    }
+  }
+};
+
+// Monday 6 May 2024, 06:00 local time
+const monday = new Date(2024, 4, 6, 6, 0);
+
+const schedule = (changes) => ({ ...createSchedule(job), id: 'sched_test', ...changes });
+
+describe('resolveDateExpression', () => {
+  it('counts days and business days from the run date', () => {
+    expect(resolveDateExpression('T', monday)).toBe('2024-05-06');
+    expect(resolveDateExpression('T-1 business day', monday)).toBe('2024-05-03');
+    expect(resolveDateExpression('T+2 days', monday)).toBe('2024-05-08');
+    expect(resolveDateExpression('2024-02-01', monday)).toBe('2024-02-01');
+  });
+});
+
+describe('resolveScheduleContext', () => {
+  it('resolves date expressions of date variables only', () => {
+    const context = resolveScheduleContext(job, schedule({ overrides: { run_date: 'T-1 bd', mode: 'T' } }), monday, { value_date: 'T' });
+    expect(context).toEqual({ run_date: '2024-05-03', value_date: '2024-05-06', mode: 'T' });
+  });
+});
+
+describe('validateSchedule', () => {
+  it('checks date expressions on Talend date variables', () => {
+    expect(validateSchedule(job, schedule({ overrides: { run_date: 'T-x' } }))).toEqual([
+      { field: 'override:run_date', message: 'T-x is not a date expression like T-1 business day' }
+    ]);
+    expect(validateSchedule(job, schedule({ overrides: { mode: 'T-x' } }))).toEqual([]);
+  });
+});
+
+describe('matchesCron', () => {
+  it('matches the minute, hour and day fields', () => {
+    expect(matchesCron('0 6 * * 1-5', monday)).toBe(true);
+    expect(matchesCron('@weekdays', new Date(2024, 4, 5, 6, 0))).toBe(false);
+    expect(matchesCron('*/15 6 * * MON', new Date(2024, 4, 6, 6, 30))).toBe(true);
+  });
+});
+
+describe('schedules on the mock scheduler', () => {
+  let scheduler;
+  let schedulerTick;
+  let catchUpSchedules;
+  const originalFetch = global.fetch;
+
+  beforeAll(async () => {
+    const baseUrl = await startMockServer();
+    global.fetch = nodeFetch;
+    process.env.REACT_APP_SCHEDULER_API_URL = `${baseUrl}/api/scheduler`;
+    scheduler = require('../services/schedulerService');
+    ({ schedulerTick, catchUpSchedules } = require('../../mock/executionServer'));
+  });
+
+  afterAll(async () => {
+    global.fetch = originalFetch;
+    delete process.env.REACT_APP_SCHEDULER_API_URL;
+    await stopMockServer();
+  });
+
+  it('refuses invalid cron expressions', async () => {
+    await expect(scheduler.saveSchedule(job, schedule({ cron: '0 25 * * *' }))).rejects.toThrow('hour 25 is outside 0-23');
+  });
+
+  it('fires due schedules with the resolved context', async () => {
+    await scheduler.saveSchedule(job, schedule({ overrides: { run_date: 'T-1 business day', mode: 'T' } }));
+
+    schedulerTick(new Date(2024, 4, 5, 6, 0));
+    expect(await scheduler.listScheduledRuns(job.name)).toEqual([]);
+
+    schedulerTick(monday);
+    const [run] = await scheduler.listScheduledRuns(job.name);
+    expect(run).toMatchObject({
+      schedule_id: 'sched_test',
+      planned_at: monday.toISOString(),
+      batch_row: null,
+      context: { run_date: '2024-05-03', value_date: '2024-01-01', mode: 'T' }
+    });
+  });
+
+  it('catches up the minutes a late tick skipped', async () => {
+    await scheduler.saveSchedule(job, schedule({ id: 'sched_late', cron: '1 6 * * *' }));
+
+    catchUpSchedules(monday);
+    catchUpSchedules(new Date(2024, 4, 6, 6, 2, 30));
+    const runs = (await scheduler.listScheduledRuns(job.name)).filter(run => run.schedule_id === 'sched_late');
+    expect(runs.map(run => run.planned_at)).toEqual([new Date(2024, 4, 6, 6, 1).toISOString()]);
+  });
+});
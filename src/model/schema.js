@@ -0,0 +1,346 @@
+import { getComponentPorts, getComponentSchemaMode } from './componentRegistry';
+import { getFlowInputPort, getFlowOutputPort } from './connectionRules';
+
+/**
+ * Column Schemas
+ *
+ * Every output port carries a list of columns
+ *   { name, type, nullable, length, date_pattern }
+ * Components whose registry schema mode is 'defined' store their columns in
+ * component.schema[port]; map components define one output table per outgoing
+ * flow in component.config.outputs; every other component derives its output
+ * from its inputs, so schemas flow through the graph from the input components.
+ *
+ * When the schemas are propagated, each component records the input columns it
+ * was built against in component.input_schemas, keyed by input port (or
+ * 'port:sourceId' for ports taking several flows). A component whose current
+ * input differs from that snapshot is out of sync until propagated again.
+ */
+
+export const SCHEMA_TYPES = ['string', 'int', 'long', 'double', 'decimal', 'boolean', 'date'];
+
+// Columns appended to rows leaving a reject port
+export const REJECT_COLUMNS = [
+  { name: 'errorCode', type: 'string', nullable: true, length: null, date_pattern: null },
+  { name: 'errorMessage', type: 'string', nullable: true, length: null, date_pattern: null }
+];
+
+// Talend type ids (column metadata, context variables) <-> schema types
+const TALEND_TYPES = {
+  id_String: 'string',
+  id_Character: 'string',
+  id_Integer: 'int',
+  id_Short: 'int',
+  id_Long: 'long',
+  id_Float: 'double',
+  id_Double: 'double',
+  id_BigDecimal: 'decimal',
+  id_Boolean: 'boolean',
+  id_Date: 'date'
+};
+const SCHEMA_TO_TALEND = {
+  string: 'id_String',
+  int: 'id_Integer',
+  long: 'id_Long',
+  double: 'id_Double',
+  decimal: 'id_BigDecimal',
+  boolean: 'id_Boolean',
+  date: 'id_Date'
+};
+
+// Unknown Talend types (id_Object, id_List, ...) are treated as text
+export const fromTalendType = (type) => TALEND_TYPES[type] || (SCHEMA_TYPES.includes(type) ? type : 'string');
+
+export const toTalendType = (type) => SCHEMA_TO_TALEND[type] || 'id_String';
+
+export const createColumn = (name = '') => ({
+  name,
+  type: 'string',
+  nullable: true,
+  length: null,
+  date_pattern: null
+});
+
+const dataFlows = (job) => (job?.flows || []).filter(flow => !flow.type || flow.type === 'flow');
+
+const findComponent = (job, componentId) => (job?.components || []).find(c => c.id === componentId);
+
+// Output table columns without the mapping expressions
+const toSchemaColumns = (columns) => columns.map(({ expression, ...column }) => column);
+
+// Key of a flow's snapshot in the target's input_schemas
+const getInputKey = (target, flow) => {
+  const port = getFlowInputPort(flow);
+  return getComponentPorts(target).multiInputs.includes(port) ? `${port}:${flow.from}` : port;
+};
+
+const withRejectColumns = (columns) => [
+  ...columns,
+  ...REJECT_COLUMNS.filter(reject => !columns.some(column => column.name === reject.name))
+];
+
+// Resolves schemas through the graph, remembering each output port so that a
+// walk over many flows visits every upstream component only once
+const createSchemaResolver = (job) => {
+  const outputs = new Map();
+
+  const inputSchema = (componentId, port, visiting) => {
+    const flow = dataFlows(job).find(f => f.to === componentId && getFlowInputPort(f) === port);
+    if (!flow) return null;
+    return flowSchema(flow, visiting);
+  };
+
+  const flowSchema = (flow, visiting) => {
+    const source = findComponent(job, flow.from);
+    if (source && getComponentSchemaMode(source) === 'map') {
+      const table = (source.config?.outputs || []).find(output => output.target === flow.to);
+      return table ? toSchemaColumns(table.columns || []) : [];
+    }
+    return outputSchema(flow.from, getFlowOutputPort(flow), visiting);
+  };
+
+  const resolveOutput = (component, port, visiting) => {
+    const mode = getComponentSchemaMode(component);
+
+    if (mode === 'map') {
+      const [firstTable] = component.config?.outputs || [];
+      return firstTable ? toSchemaColumns(firstTable.columns || []) : [];
+    }
+
+    if (mode === 'defined') {
+      const stored = component.schema?.[port];
+      if (stored) return stored;
+      return port === 'reject' ? withRejectColumns(component.schema?.main || []) : [];
+    }
+
+    const nextVisiting = new Set(visiting).add(component.id);
+    const main = inputSchema(component.id, 'main', nextVisiting) || [];
+    let columns = main;
+    if (mode === 'join') {
+      const lookup = inputSchema(component.id, 'lookup', nextVisiting) || [];
+      columns = [...main, ...lookup.filter(column => !main.some(m => m.name === column.name))];
+    }
+
+    return port === 'reject' ? withRejectColumns(columns) : columns;
+  };
+
+  const outputSchema = (componentId, port, visiting) => {
+    const component = findComponent(job, componentId);
+    if (!component || visiting.has(componentId)) return [];
+
+    const key = `${componentId}:${port}`;
+    if (!outputs.has(key)) {
+      outputs.set(key, resolveOutput(component, port, visiting));
+    }
+    return outputs.get(key);
+  };
+
+  return {
+    inputSchema: (componentId, port = 'main') => inputSchema(componentId, port, new Set()),
+    flowSchema: (flow) => flowSchema(flow, new Set()),
+    outputSchema: (componentId, port = 'main') => outputSchema(componentId, port, new Set())
+  };
+};
+
+/**
+ * Columns arriving on an input port, or null when nothing is connected to it.
+ */
+export function getInputSchema(job, componentId, port = 'main') {
+  return createSchemaResolver(job).inputSchema(componentId, port);
+}
+
+/**
+ * Columns carried by a data flow. Map components send each target the
+ * output table bound to it.
+ */
+export function getFlowSchema(job, flow) {
+  return createSchemaResolver(job).flowSchema(flow);
+}
+
+/**
+ * Columns leaving an output port of a component.
+ */
+export function getOutputSchema(job, componentId, port = 'main') {
+  return createSchemaResolver(job).outputSchema(componentId, port);
+}
+
+const describeColumn = (column) => {
+  const parts = [column.type];
+  if (column.length) parts.push(`(${column.length})`);
+  if (column.nullable === false) parts.push('not null');
+  return parts.join(' ');
+};
+
+const sameColumn = (a, b) => (
+  a.type === b.type &&
+  (a.nullable !== false) === (b.nullable !== false) &&
+  (a.length || null) === (b.length || null) &&
+  (a.date_pattern || null) === (b.date_pattern || null)
+);
+
+/**
+ * Differences from the expected columns to the actual ones:
+ * [{ column, kind: 'added' | 'removed' | 'changed', message }]
+ */
+export function diffSchemas(expected, actual) {
+  const differences = [];
+  const actualByName = new Map(actual.map(column => [column.name, column]));
+  const expectedNames = new Set(expected.map(column => column.name));
+
+  expected.forEach(column => {
+    const current = actualByName.get(column.name);
+    if (!current) {
+      differences.push({ column: column.name, kind: 'removed', message: `Column ${column.name} no longer exists` });
+    } else if (!sameColumn(column, current)) {
+      differences.push({
+        column: column.name,
+        kind: 'changed',
+        message: `Column ${column.name} changed from ${describeColumn(column)} to ${describeColumn(current)}`
+      });
+    }
+  });
+  actual.forEach(column => {
+    if (!expectedNames.has(column.name)) {
+      differences.push({ column: column.name, kind: 'added', message: `New column ${column.name}` });
+    }
+  });
+  return differences;
+}
+
+/**
+ * Schema problems of a data flow: columns the target was built against that
+ * are now missing or changed upstream. Added columns do not break the target,
+ * except on a unite lookup, which must match the main input exactly.
+ */
+export function getFlowSchemaIssues(job, flow) {
+  const target = findComponent(job, flow.to);
+  if (!target) return [];
+  const port = getFlowInputPort(flow);
+  const current = getFlowSchema(job, flow);
+
+  // Unite appends the lookup rows to the main rows, so both must have the same columns
+  if (port === 'lookup' && getComponentSchemaMode(target) === 'unite') {
+    const main = getInputSchema(job, target.id, 'main');
+    return main ? diffSchemas(main, current) : [];
+  }
+
+  const snapshot = target.input_schemas?.[getInputKey(target, flow)];
+  if (!snapshot) return [];
+  return diffSchemas(snapshot, current).filter(difference => difference.kind !== 'added');
+}
+
+/**
+ * Components whose input changed since their schema was last propagated.
+ * Only inputs with a recorded snapshot are compared: a component that was
+ * never propagated has nothing to be out of sync with.
+ * Returns { componentId: [{ port, column, kind, message }] } for out-of-sync components only.
+ */
+export function getSchemaSyncState(job) {
+  const state = {};
+  const flows = dataFlows(job);
+  const resolver = createSchemaResolver(job);
+  (job?.components || []).forEach(component => {
+    const differences = [];
+    flows.filter(flow => flow.to === component.id).forEach(flow => {
+      const snapshot = component.input_schemas?.[getInputKey(component, flow)];
+      if (!snapshot) return;
+      const port = getFlowInputPort(flow);
+      diffSchemas(snapshot, resolver.flowSchema(flow)).forEach(difference => differences.push({ port, ...difference }));
+    });
+    if (differences.length > 0) {
+      state[component.id] = differences;
+    }
+  });
+  return state;
+}
+
+// The component and everything downstream of it through data flows
+const collectDownstream = (job, componentId) => {
+  const flows = dataFlows(job);
+  const result = new Set([componentId]);
+  const stack = [componentId];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    flows.filter(flow => flow.from === current).forEach(flow => {
+      if (!result.has(flow.to)) {
+        result.add(flow.to);
+        stack.push(flow.to);
+      }
+    });
+  }
+  return result;
+};
+
+/**
+ * Record the current input columns on every component downstream of
+ * componentId (or on every component when no id is given), bringing them back
+ * in sync. Derived output schemas follow automatically.
+ */
+export function propagateSchema(job, componentId = null) {
+  const targets = componentId ? collectDownstream(job, componentId) : null;
+  const flows = dataFlows(job);
+  const resolver = createSchemaResolver(job);
+
+  return {
+    ...job,
+    components: job.components.map(component => {
+      if (targets && !targets.has(component.id)) return component;
+
+      const inputSchemas = {};
+      flows.filter(flow => flow.to === component.id).forEach(flow => {
+        inputSchemas[getInputKey(component, flow)] = resolver.flowSchema(flow);
+      });
+
+      if (Object.keys(inputSchemas).length === 0) {
+        if (!component.input_schemas) return component;
+        const { input_schemas: _removed, ...rest } = component;
+        return rest;
+      }
+      return { ...component, input_schemas: inputSchemas };
+    })
+  };
+}
+
+/**
+ * Replace the stored columns of an output port. Only 'defined' components
+ * own their schema; derived ones are left unchanged.
+ */
+export function setComponentSchema(job, componentId, port, columns) {
+  return {
+    ...job,
+    components: job.components.map(component => {
+      if (component.id !== componentId || getComponentSchemaMode(component) !== 'defined') return component;
+      return { ...component, schema: { ...(component.schema || {}), [port]: columns } };
+    })
+  };
+}
+
+/**
+ * Problems in a column list: [{ index, message }]
+ */
+export function validateSchemaColumns(columns) {
+  const errors = [];
+  const seen = new Set();
+  columns.forEach((column, index) => {
+    const name = (column.name || '').trim();
+    if (!name) {
+      errors.push({ index, message: `Column ${index + 1} has no name` });
+    } else if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      errors.push({ index, message: `Column name ${name} must start with a letter or _ and contain only letters, digits and _` });
+    } else if (seen.has(name)) {
+      errors.push({ index, message: `Column ${name} is defined twice` });
+    }
+    seen.add(name);
+
+    if (!SCHEMA_TYPES.includes(column.type)) {
+      errors.push({ index, message: `Column ${name || index + 1} has unknown type ${column.type}` });
+    }
+    if (column.length !== null && column.length !== undefined && !(Number.isInteger(column.length) && column.length > 0)) {
+      errors.push({ index, message: `Column ${name || index + 1} length must be a positive whole number` });
+    }
+    if (column.date_pattern && column.type !== 'date') {
+      errors.push({ index, message: `Column ${name || index + 1} has a date pattern but is not a date` });
+    }
+  });
+  return errors;
+}
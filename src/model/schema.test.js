@@ -0,0 +1,66 @@
+import { getOutputSchema, getSchemaSyncState, propagateSchema, setComponentSchema } from './schema';
+
+const column = (name, type = 'string') => ({ name, type, nullable: true, length: null, date_pattern: null });
+
+const baseJob = () => ({
+  name: 'schema_test',
+  components: [
+    { id: 'in_1', type: 'file_input_delimited', config: {}, schema: { main: [column('id', 'int'), column('status')] } },
+    { id: 'in_2', type: 'file_input_delimited', config: {}, schema: { main: [column('id', 'int'), column('desk')] } },
+    { id: 'join_3', type: 'join', config: {} },
+    { id: 'filter_4', type: 'filter_rows', config: {} }
+  ],
+  flows: [
+    { name: 'main', from: 'in_1', to: 'join_3', type: 'flow' },
+    { name: 'lookup', from: 'in_2', to: 'join_3', type: 'flow' },
+    { name: 'main', from: 'join_3', to: 'filter_4', type: 'flow' }
+  ],
+  triggers: []
+});
+
+describe('getOutputSchema', () => {
+  it('derives columns through the graph', () => {
+    expect(getOutputSchema(baseJob(), 'filter_4').map(c => c.name)).toEqual(['id', 'status', 'desk']);
+    expect(getOutputSchema(baseJob(), 'filter_4', 'reject').map(c => c.name))
+      .toEqual(['id', 'status', 'desk', 'errorCode', 'errorMessage']);
+  });
+
+  it('walks each upstream component once', () => {
+    // Every level reads the previous join twice; without memoization this doubles per level
+    const job = { components: [{ id: 'j_0', type: 'file_input_delimited', schema: { main: [column('id', 'int')] } }], flows: [] };
+    for (let level = 1; level <= 24; level++) {
+      job.components.push(
+        { id: `a_${level}`, type: 'filter_rows' },
+        { id: `b_${level}`, type: 'filter_rows' },
+        { id: `j_${level}`, type: 'join' }
+      );
+      job.flows.push(
+        { name: 'main', from: `j_${level - 1}`, to: `a_${level}`, type: 'flow' },
+        { name: 'main', from: `j_${level - 1}`, to: `b_${level}`, type: 'flow' },
+        { name: 'main', from: `a_${level}`, to: `j_${level}`, type: 'flow' },
+        { name: 'lookup', from: `b_${level}`, to: `j_${level}`, type: 'flow' }
+      );
+    }
+    expect(getOutputSchema(job, 'j_24')).toEqual([column('id', 'int')]);
+  });
+});
+
+describe('getSchemaSyncState', () => {
+  it('ignores components that were never propagated', () => {
+    expect(getSchemaSyncState(baseJob())).toEqual({});
+  });
+
+  it('reports inputs that changed after propagation', () => {
+    const propagated = propagateSchema(baseJob());
+    expect(getSchemaSyncState(propagated)).toEqual({});
+
+    const changed = setComponentSchema(propagated, 'in_2', 'main', [column('id', 'long')]);
+    expect(getSchemaSyncState(changed)).toEqual({
+      join_3: [
+        { port: 'lookup', column: 'id', kind: 'changed', message: 'Column id changed from int to long' },
+        { port: 'lookup', column: 'desk', kind: 'removed', message: 'Column desk no longer exists' }
+      ],
+      filter_4: [{ port: 'main', column: 'desk', kind: 'removed', message: 'Column desk no longer exists' }]
+    });
+  });
+});
@@ -0,0 +1,250 @@
+import { getComponentCategory } from './componentRegistry';
+import { NODE_WIDTH, NODE_HEIGHT } from './viewport';
+
+/**
+ * Subjobs
+ *
+ * A subjob is a group of components connected by data flows, keyed by its
+ * start component (the one without incoming data flows), as in Talend:
+ *   job.subjobs: { startId: { components: [ids], color, collapsed? } }
+ * Membership is derived from the data flows and recomputed with syncSubjobs;
+ * colour and collapsed state carry over to the subjob that keeps most members.
+ * OnSubjobOk / OnSubjobError triggers connect the start components of two subjobs.
+ */
+
+export const SUBJOB_TRIGGER_TYPES = ['OnSubjobOk', 'OnSubjobError'];
+
+export const SUBJOB_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#a855f7', '#ec4899', '#14b8a6', '#f97316', '#6366f1'];
+
+export const SUBJOB_PADDING = 20;
+export const SUBJOB_HEADER_HEIGHT = 24;
+
+const dataFlows = (job) => (job?.flows || []).filter(flow => !flow.type || flow.type === 'flow');
+
+const membersOf = (subjob) => (Array.isArray(subjob) ? subjob : (subjob?.components || []));
+
+// componentId -> subjob key, from job.subjobs ({ name: [ids] } or { name: { components: [ids] } })
+export function getSubjobMembership(job) {
+  const membership = new Map();
+  Object.entries(job?.subjobs || {}).forEach(([subjobId, subjob]) => {
+    membersOf(subjob).forEach(componentId => membership.set(componentId, subjobId));
+  });
+  return membership;
+}
+
+/**
+ * Stored subjobs in object form: { startId: { components, color, collapsed } }
+ */
+export function getSubjobs(job) {
+  const subjobs = {};
+  Object.entries(job?.subjobs || {}).forEach(([subjobId, subjob], index) => {
+    subjobs[subjobId] = {
+      components: membersOf(subjob),
+      color: (!Array.isArray(subjob) && subjob?.color) || SUBJOB_COLORS[index % SUBJOB_COLORS.length],
+      collapsed: Boolean(!Array.isArray(subjob) && subjob?.collapsed)
+    };
+  });
+  return subjobs;
+}
+
+/**
+ * CSS colour of a subjob; Talend stores SUBJOB_COLOR as "r;g;b".
+ */
+export function getSubjobColor(subjob) {
+  const match = String(subjob?.color || '').match(/^(\d+);(\d+);(\d+)$/);
+  return match ? `rgb(${match[1]}, ${match[2]}, ${match[3]})` : (subjob?.color || SUBJOB_COLORS[0]);
+}
+
+/**
+ * Colour in Talend's SUBJOB_COLOR format ("r;g;b"); other formats pass through.
+ */
+export function toTalendColor(color) {
+  const match = String(color || '').match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+  return match ? match.slice(1).map(hex => parseInt(hex, 16)).join(';') : color;
+}
+
+// Weakly connected groups of components, in job.components order
+const findGroups = (job) => {
+  const ids = (job?.components || []).map(c => c.id);
+  const neighbours = new Map(ids.map(id => [id, []]));
+  dataFlows(job).forEach(flow => {
+    if (neighbours.has(flow.from) && neighbours.has(flow.to)) {
+      neighbours.get(flow.from).push(flow.to);
+      neighbours.get(flow.to).push(flow.from);
+    }
+  });
+
+  const seen = new Set();
+  const groups = [];
+  ids.forEach(startId => {
+    if (seen.has(startId)) return;
+    const group = [];
+    const stack = [startId];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (seen.has(current)) continue;
+      seen.add(current);
+      group.push(current);
+      neighbours.get(current).forEach(next => stack.push(next));
+    }
+    groups.push(ids.filter(id => group.includes(id)));
+  });
+  return groups;
+};
+
+// Start component of a group: the previous key when it still has no incoming flow,
+// otherwise the first Input without incoming flows
+const pickStart = (job, group, previousKeys) => {
+  const hasIncoming = new Set(dataFlows(job).map(flow => flow.to));
+  const candidates = group.filter(id => !hasIncoming.has(id));
+  const kept = candidates.find(id => previousKeys.has(id));
+  if (kept) return kept;
+
+  const byId = new Map(job.components.map(c => [c.id, c]));
+  return candidates.find(id => getComponentCategory(byId.get(id)) === 'Input') || candidates[0] || group[0];
+};
+
+/**
+ * Subjobs derived from the current data flows, keeping colour and collapsed
+ * state of the stored subjob each one shares most members with.
+ */
+export function computeSubjobs(job) {
+  const previous = getSubjobs(job);
+  const previousKeys = new Set(Object.keys(previous));
+  const usedColors = new Set();
+  const claimed = new Set();
+  const subjobs = {};
+
+  const groups = findGroups(job);
+  groups.forEach(group => {
+    const startId = pickStart(job, group, previousKeys);
+    const [ancestorId] = Object.entries(previous)
+      .filter(([subjobId]) => !claimed.has(subjobId))
+      .map(([subjobId, subjob]) => [subjobId, subjob.components.filter(id => group.includes(id)).length])
+      .filter(([, shared]) => shared > 0)
+      .sort((a, b) => b[1] - a[1])[0] || [];
+
+    const ancestor = ancestorId ? previous[ancestorId] : null;
+    if (ancestorId) claimed.add(ancestorId);
+    if (ancestor) usedColors.add(ancestor.color);
+    subjobs[startId] = {
+      components: group,
+      color: ancestor?.color || null,
+      ...(ancestor?.collapsed ? { collapsed: true } : {})
+    };
+  });
+
+  // New subjobs get the first palette colour not in use
+  Object.values(subjobs).filter(subjob => !subjob.color).forEach(subjob => {
+    subjob.color = SUBJOB_COLORS.find(color => !usedColors.has(color)) ||
+      SUBJOB_COLORS[usedColors.size % SUBJOB_COLORS.length];
+    usedColors.add(subjob.color);
+  });
+  return subjobs;
+}
+
+/**
+ * Job with subjobs recomputed from its data flows. Subjob triggers are moved
+ * to the start components of their subjobs, and dropped once both ends end up
+ * in the same subjob. Returns the same job object when nothing changed, so
+ * callers can skip the update.
+ */
+export function syncSubjobs(job) {
+  if (!job) return job;
+  const subjobs = computeSubjobs(job);
+  const membership = getSubjobMembership({ subjobs });
+
+  const currentTriggers = job.triggers || [];
+  const triggers = currentTriggers
+    .map(trigger => {
+      if (!SUBJOB_TRIGGER_TYPES.includes(trigger.type)) return trigger;
+      const from = membership.get(trigger.from) || trigger.from;
+      const to = membership.get(trigger.to) || trigger.to;
+      return from === trigger.from && to === trigger.to ? trigger : { ...trigger, from, to };
+    })
+    .filter(trigger => !SUBJOB_TRIGGER_TYPES.includes(trigger.type) || trigger.from !== trigger.to);
+
+  const unchanged = JSON.stringify(subjobs) === JSON.stringify(job.subjobs || {}) &&
+    triggers.length === currentTriggers.length &&
+    triggers.every((trigger, index) => trigger === currentTriggers[index]);
+  return unchanged ? job : { ...job, subjobs, triggers };
+}
+
+/**
+ * Trigger from one subjob to another, between their start components.
+ * RunIf takes a condition.
+ */
+export function createSubjobTrigger(fromSubjobId, toSubjobId, type = 'OnSubjobOk', condition = '') {
+  return {
+    from: fromSubjobId,
+    to: toSubjobId,
+    type,
+    ...(type === 'RunIf' ? { condition } : {})
+  };
+}
+
+export function setSubjobCollapsed(job, subjobId, collapsed) {
+  const subjobs = getSubjobs(job);
+  if (!subjobs[subjobId]) return job;
+  const { collapsed: _previous, ...subjob } = subjobs[subjobId];
+  return {
+    ...job,
+    subjobs: { ...subjobs, [subjobId]: collapsed ? { ...subjob, collapsed: true } : subjob }
+  };
+}
+
+/**
+ * Canvas rectangle around a subjob's members (with room for the header).
+ * positionOf: component -> { x, y }, defaults to the stored position
+ */
+export function getSubjobBounds(job, subjobId, positionOf = (component) => component.position) {
+  const members = new Set(getSubjobs(job)[subjobId]?.components || []);
+  const positions = (job?.components || [])
+    .filter(component => members.has(component.id))
+    .map(positionOf)
+    .filter(Boolean);
+  if (positions.length === 0) return null;
+
+  const minX = Math.min(...positions.map(p => p.x));
+  const minY = Math.min(...positions.map(p => p.y));
+  const maxX = Math.max(...positions.map(p => p.x + NODE_WIDTH));
+  const maxY = Math.max(...positions.map(p => p.y + NODE_HEIGHT));
+  return {
+    x: minX - SUBJOB_PADDING,
+    y: minY - SUBJOB_PADDING - SUBJOB_HEADER_HEIGHT,
+    width: maxX - minX + SUBJOB_PADDING * 2,
+    height: maxY - minY + SUBJOB_PADDING * 2 + SUBJOB_HEADER_HEIGHT
+  };
+}
+
+/**
+ * "2 Input, 1 Transform, 1 Output" for a collapsed subjob's summary node.
+ */
+export function summarizeSubjob(job, subjobId) {
+  const members = new Set(getSubjobs(job)[subjobId]?.components || []);
+  const counts = {};
+  (job?.components || []).filter(c => members.has(c.id)).forEach(component => {
+    const category = getComponentCategory(component);
+    counts[category] = (counts[category] || 0) + 1;
+  });
+  return Object.entries(counts).map(([category, count]) => `${count} ${category}`).join(', ');
+}
+
+/**
+ * What the canvas draws with collapsed subjobs:
+ *   hidden      componentId -> collapsed subjob it is folded into
+ *   endpointOf  componentId -> the node a link end attaches to ({ componentId } or { subjobId })
+ *   isLinkVisible(link)  false for links inside a collapsed subjob
+ */
+export function getCollapsedView(job) {
+  const hidden = new Map();
+  Object.entries(getSubjobs(job))
+    .filter(([, subjob]) => subjob.collapsed)
+    .forEach(([subjobId, subjob]) => subjob.components.forEach(id => hidden.set(id, subjobId)));
+
+  return {
+    hidden,
+    endpointOf: (componentId) => (hidden.has(componentId) ? { subjobId: hidden.get(componentId) } : { componentId }),
+    isLinkVisible: (link) => !(hidden.has(link.from) && hidden.get(link.from) === hidden.get(link.to))
+  };
+}
@@ -0,0 +1,53 @@
+import { syncSubjobs, computeSubjobs, SUBJOB_COLORS } from './subjobs';
+
+const baseJob = () => ({
+  name: 'subjob_test',
+  components: [
+    { id: 'in_1', type: 'file_input_delimited', config: {} },
+    { id: 'filter_2', type: 'filter_rows', config: {} },
+    { id: 'out_3', type: 'file_output_delimited', config: {} },
+    { id: 'in_4', type: 'file_input_delimited', config: {} },
+    { id: 'out_5', type: 'file_output_delimited', config: {} }
+  ],
+  flows: [
+    { name: 'main', from: 'in_1', to: 'filter_2', type: 'flow' },
+    { name: 'main', from: 'filter_2', to: 'out_3', type: 'flow' },
+    { name: 'main', from: 'in_4', to: 'out_5', type: 'flow' }
+  ],
+  triggers: [{ from: 'out_3', to: 'out_5', type: 'OnSubjobOk' }]
+});
+
+describe('syncSubjobs', () => {
+  it('groups components by data flows and moves subjob triggers to start components', () => {
+    const synced = syncSubjobs(baseJob());
+    expect(synced.subjobs).toEqual({
+      in_1: { components: ['in_1', 'filter_2', 'out_3'], color: SUBJOB_COLORS[0] },
+      in_4: { components: ['in_4', 'out_5'], color: SUBJOB_COLORS[1] }
+    });
+    expect(synced.triggers).toEqual([{ from: 'in_1', to: 'in_4', type: 'OnSubjobOk' }]);
+  });
+
+  it('returns the same job once subjobs are in sync', () => {
+    const synced = syncSubjobs(baseJob());
+    expect(syncSubjobs(synced)).toBe(synced);
+    expect(syncSubjobs(syncSubjobs(synced))).toBe(synced);
+  });
+
+  it('drops subjob triggers once both ends share a subjob', () => {
+    const synced = syncSubjobs(baseJob());
+    const merged = syncSubjobs({ ...synced, flows: [...synced.flows, { name: 'main', from: 'filter_2', to: 'out_5', type: 'flow' }] });
+    expect(Object.keys(merged.subjobs)).toEqual(['in_1']);
+    expect(merged.triggers).toEqual([]);
+  });
+});
+
+describe('computeSubjobs', () => {
+  it('keeps colour and collapsed state on the part that keeps most members', () => {
+    const synced = syncSubjobs(baseJob());
+    const collapsed = { ...synced, subjobs: { ...synced.subjobs, in_1: { ...synced.subjobs.in_1, color: '#000000', collapsed: true } } };
+    const split = computeSubjobs({ ...collapsed, flows: collapsed.flows.filter(flow => flow.to !== 'out_3') });
+
+    expect(split.in_1).toEqual({ components: ['in_1', 'filter_2'], color: '#000000', collapsed: true });
+    expect(split.out_3).toEqual({ components: ['out_3'], color: SUBJOB_COLORS[0] });
+  });
+});
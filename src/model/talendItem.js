@@ -0,0 +1,616 @@
+import {
+  normalizeComponentType,
+  isRegisteredComponentType,
+  getComponentDefinition,
+  getComponentParams,
+  getComponentPorts,
+  getComponentSchemaMode,
+  getComponentType
+} from './componentRegistry';
+import { getFlowInputPort } from './connectionRules';
+import { getOutputSchema, propagateSchema, fromTalendType, toTalendType } from './schema';
+import { toTalendColor } from './subjobs';
+import { getMapConfig, getMapInputs, getInputAlias, renameExpressionAliases } from './mapConfig';
+
+/**
+ * Talend .item Import/Export
+ *
+ * Converts a Talend job export (.item ProcessType XML, optional .properties)
+ * into our job structure and back: components, flows (main/reject/lookup),
+ * triggers, context groups, subjob membership, column schemas, node positions
+ * and the tables of map components (tMap nodeData).
+ *
+ * Components we have no registry entry for are still imported (flagged
+ * `unsupported: true`) and reported, never dropped silently.
+ */
+
+const TALEND_NAMESPACES = {
+  'xmlns:xmi': 'http://www.omg.org/XMI',
+  'xmlns:talendfile': 'platform:/resource/org.talend.model/model/TalendFile.xsd',
+  'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+  'xmlns:TalendMapper': 'http://www.talend.org/mapper'
+};
+
+const MAPPER_DATA_TYPE = 'TalendMapper:ExternalMapperData';
+
+// Talend element parameter name <-> our config key
+const PARAMETER_MAP = {
+  FILENAME: 'filepath',
+  FIELDSEPARATOR: 'delimiter',
+  HEADER: 'header',
+  ENCODING: 'encoding',
+  INCLUDEHEADER: 'include_header',
+  QUERY: 'query',
+  HOST: 'host',
+  PORT: 'port',
+  DBNAME: 'database',
+  USER: 'username',
+  PASS: 'password',
+  TABLE: 'table',
+  DATA_ACTION: 'action',
+  NB_ROWS: 'nb_rows',
+  CONDITION: 'condition',
+  MESSAGE: 'message'
+};
+
+// Parameters whose meaning depends on the component (keyed by our component type)
+const COMPONENT_PARAMETER_MAPS = {
+  die: { CODE: 'exit_code' },
+  python_component: { CODE: 'code' }
+};
+
+const getParameterMap = (type) => ({ ...PARAMETER_MAP, ...COMPONENT_PARAMETER_MAPS[type] });
+
+const getConfigToParameter = (type) => Object.fromEntries(
+  Object.entries(getParameterMap(type)).map(([talendName, configKey]) => [configKey, talendName])
+);
+
+// Designer-only parameters that carry no job semantics
+const IGNORED_PARAMETERS = new Set([
+  'UNIQUE_NAME', 'ACTIVATE', 'START', 'STARTABLE', 'SUBTREE_START', 'END_OF_FLOW',
+  'LABEL', 'HINT', 'SHOW_HINT', 'CONNECTION_FORMAT', 'INFORMATION', 'COMMENT',
+  'VALIDATION_RULES', 'PROPERTY', 'SCHEMA'
+]);
+
+// Talend connector -> our flow name or trigger type
+const TRIGGER_CONNECTORS = {
+  SUBJOB_OK: 'OnSubjobOk',
+  SUBJOB_ERROR: 'OnSubjobError',
+  COMPONENT_OK: 'OnComponentOk',
+  COMPONENT_ERROR: 'OnComponentError',
+  RUN_IF: 'RunIf'
+};
+const TRIGGER_TO_CONNECTOR = Object.fromEntries(
+  Object.entries(TRIGGER_CONNECTORS).map(([connector, type]) => [type, connector])
+);
+const LOOKUP_LINE_STYLE = '8'; // FLOW_REF in Talend's EConnectionType
+
+// Trigger type -> lineStyle (its EConnectionType id); Talend draws and validates the link by it
+const TRIGGER_LINE_STYLES = {
+  OnSubjobOk: '1',
+  OnSubjobError: '2',
+  OnComponentOk: '3',
+  OnComponentError: '4',
+  RunIf: '6'
+};
+
+// Metadata connector <-> output port
+const METADATA_PORTS = { FLOW: 'main', REJECT: 'reject' };
+
+const TALEND_ITEM_VERSION = '2.0';
+
+// --- XML helpers ---------------------------------------------------------
+
+const childrenByName = (element, localName) => (
+  Array.from(element.children).filter(child => child.localName === localName)
+);
+
+const readElementParameters = (element) => {
+  const parameters = {};
+  childrenByName(element, 'elementParameter').forEach(parameter => {
+    parameters[parameter.getAttribute('name')] = {
+      field: parameter.getAttribute('field'),
+      value: parameter.getAttribute('value')
+    };
+  });
+  return parameters;
+};
+
+// Talend stores string literals as Java expressions: "\"/data/in.csv\"" -> /data/in.csv
+const unquote = (value) => {
+  if (typeof value === 'string' && /^".*"$/s.test(value)) {
+    return value.slice(1, -1).replace(/\\"/g, '"');
+  }
+  return value;
+};
+
+const quote = (value) => `"${String(value).replace(/"/g, '\\"')}"`;
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const attributes = (values) => Object.entries(values)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+  .join(' ');
+
+const parseXml = (text, label) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const parserError = doc.getElementsByTagName('parsererror')[0];
+  if (parserError) {
+    throw new Error(`${label} is not valid XML: ${parserError.textContent.trim().split('\n')[0]}`);
+  }
+  return doc;
+};
+
+// --- Import --------------------------------------------------------------
+
+const convertParameterValue = (parameter, param) => {
+  if (parameter.field === 'CHECK') return parameter.value === 'true';
+  const value = unquote(parameter.value);
+  if (param?.type === 'int' && /^-?\d+$/.test(value)) return Number(value);
+  return value;
+};
+
+const importColumn = (column) => {
+  const length = parseInt(column.getAttribute('length'), 10);
+  const pattern = unquote(column.getAttribute('pattern') || '');
+  return {
+    name: column.getAttribute('name'),
+    type: fromTalendType(column.getAttribute('type')),
+    nullable: column.getAttribute('nullable') !== 'false',
+    length: length > 0 ? length : null,
+    date_pattern: pattern || null
+  };
+};
+
+const importMetadata = (node) => {
+  const schema = {};
+  childrenByName(node, 'metadata').forEach(metadata => {
+    const port = METADATA_PORTS[metadata.getAttribute('connector')];
+    if (port) {
+      schema[port] = childrenByName(metadata, 'column').map(importColumn);
+    }
+  });
+  return schema;
+};
+
+const importNode = (node) => {
+  const originalType = node.getAttribute('componentName');
+  const parameters = readElementParameters(node);
+  const id = parameters.UNIQUE_NAME?.value || `${originalType}_${Math.random().toString(36).slice(2, 7)}`;
+
+  const type = normalizeComponentType(originalType);
+  const parameterMap = getParameterMap(type);
+  const params = getComponentParams(type);
+  const config = {};
+  const talendParameters = {};
+  Object.entries(parameters).forEach(([name, parameter]) => {
+    if (IGNORED_PARAMETERS.has(name)) return;
+    const configKey = parameterMap[name];
+    if (configKey) {
+      config[configKey] = convertParameterValue(parameter, params.find(p => p.name === configKey));
+    } else {
+      talendParameters[name] = parameter;
+    }
+  });
+  if (Object.keys(talendParameters).length > 0) {
+    config.talend_parameters = talendParameters;
+  }
+
+  const component = {
+    id,
+    type,
+    original_type: originalType,
+    position: {
+      x: parseInt(node.getAttribute('posX'), 10) || 0,
+      y: parseInt(node.getAttribute('posY'), 10) || 0
+    },
+    active: parameters.ACTIVATE ? parameters.ACTIVATE.value !== 'false' : true,
+    config
+  };
+
+  // Only components that own their columns keep Talend's metadata; the rest derive it from their input
+  const schema = importMetadata(node);
+  if (Object.keys(schema).length > 0 && getComponentSchemaMode(component) === 'defined') {
+    component.schema = schema;
+  }
+
+  if (!isRegisteredComponentType(originalType)) {
+    component.unsupported = true;
+  }
+  return component;
+};
+
+// tMap tables, read once the connections are known: input and output tables are
+// named after the connections they belong to
+const importMapperData = (nodeData, componentId, flows) => {
+  const incoming = flows.filter(flow => flow.to === componentId);
+  const outgoing = flows.filter(flow => flow.from === componentId);
+  const entries = (table) => childrenByName(table, 'mapperTableEntries');
+
+  const lookups = childrenByName(nodeData, 'inputTables')
+    .map(table => ({ table, flow: incoming.find(flow => getInputAlias(flow) === table.getAttribute('name')) }))
+    .filter(({ flow }) => flow && getFlowInputPort(flow) === 'lookup')
+    .map(({ table, flow }) => ({
+      source: flow.from,
+      join_mode: table.getAttribute('innerJoin') === 'true' ? 'inner' : 'left',
+      keys: entries(table)
+        .filter(entry => entry.getAttribute('expression'))
+        .map(entry => ({ column: entry.getAttribute('name'), expression: entry.getAttribute('expression') }))
+    }));
+
+  const outputs = childrenByName(nodeData, 'outputTables').map(table => {
+    const name = table.getAttribute('name');
+    const flow = outgoing.find(candidate => candidate.label === name);
+    return {
+      name,
+      target: flow ? flow.to : null,
+      filter: table.getAttribute('activateExpressionFilter') === 'true' ? table.getAttribute('expressionFilter') || '' : '',
+      reject: table.getAttribute('reject') === 'true' || table.getAttribute('rejectInnerJoin') === 'true',
+      columns: entries(table).map(entry => ({ ...importColumn(entry), expression: entry.getAttribute('expression') || '' }))
+    };
+  });
+
+  return { lookups, outputs };
+};
+
+const importConnection = (connection, flows, triggers, warnings) => {
+  const connector = connection.getAttribute('connectorName');
+  const from = connection.getAttribute('source');
+  const to = connection.getAttribute('target');
+  const parameters = readElementParameters(connection);
+  const label = connection.getAttribute('label') || parameters.UNIQUE_NAME?.value;
+
+  if (TRIGGER_CONNECTORS[connector]) {
+    const trigger = { from, to, type: TRIGGER_CONNECTORS[connector] };
+    if (connector === 'RUN_IF') {
+      trigger.condition = parameters.CONDITION?.value || '';
+    }
+    triggers.push(trigger);
+    return;
+  }
+
+  let name = 'main';
+  if (connector === 'REJECT') {
+    name = 'reject';
+  } else if (connection.getAttribute('lineStyle') === LOOKUP_LINE_STYLE) {
+    name = 'lookup';
+  } else if (!['FLOW', 'MAIN', 'FILTER'].includes(connector)) {
+    warnings.push(`Connection ${label || `${from} -> ${to}`} uses connector ${connector}; imported as main.`);
+  }
+
+  flows.push({ name, from, to, type: 'flow', ...(label ? { label } : {}) });
+};
+
+const importContexts = (root) => {
+  const context = {};
+  childrenByName(root, 'context').forEach(group => {
+    const variables = {};
+    childrenByName(group, 'contextParameter').forEach(parameter => {
+      variables[parameter.getAttribute('name')] = {
+        value: parameter.getAttribute('value') ?? '',
+        type: parameter.getAttribute('type') || 'id_String',
+        ...(parameter.getAttribute('comment') ? { comment: parameter.getAttribute('comment') } : {})
+      };
+    });
+    context[group.getAttribute('name')] = variables;
+  });
+  return context;
+};
+
+// A subjob is the start component plus everything linked to it by data flows
+const importSubjobs = (root, components, flows) => {
+  const subjobs = {};
+  const neighbours = new Map(components.map(c => [c.id, []]));
+  flows.forEach(flow => {
+    neighbours.get(flow.from)?.push(flow.to);
+    neighbours.get(flow.to)?.push(flow.from);
+  });
+
+  childrenByName(root, 'subjob').forEach(subjob => {
+    const parameters = readElementParameters(subjob);
+    const startId = parameters.UNIQUE_NAME?.value;
+    if (!startId || !neighbours.has(startId)) return;
+
+    const members = new Set();
+    const stack = [startId];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (members.has(current)) continue;
+      members.add(current);
+      neighbours.get(current).forEach(next => stack.push(next));
+    }
+
+    subjobs[startId] = {
+      components: Array.from(members),
+      ...(parameters.SUBJOB_COLOR ? { color: parameters.SUBJOB_COLOR.value } : {})
+    };
+  });
+  return subjobs;
+};
+
+const importProperties = (propertiesXml) => {
+  if (!propertiesXml) return {};
+  const doc = parseXml(propertiesXml, 'Properties file');
+  const property = doc.getElementsByTagNameNS('*', 'Property')[0] || doc.getElementsByTagName('Property')[0];
+  if (!property) return {};
+  return {
+    name: property.getAttribute('label') || undefined,
+    version: property.getAttribute('version') || undefined,
+    description: property.getAttribute('description') || undefined
+  };
+};
+
+/**
+ * Import a Talend .item export (and optionally its .properties).
+ * Returns { job, unsupported: [{ id, original_type }], warnings: [string] }.
+ */
+export function importTalendItem(itemXml, propertiesXml = null) {
+  const doc = parseXml(itemXml, 'Item file');
+  const root = doc.documentElement;
+  if (root.localName !== 'ProcessType') {
+    throw new Error(`Expected a Talend ProcessType document, found <${root.nodeName}>.`);
+  }
+
+  const warnings = [];
+  const nodes = childrenByName(root, 'node');
+  const components = nodes.map(importNode);
+  const componentIds = new Set(components.map(c => c.id));
+
+  const flows = [];
+  const triggers = [];
+  childrenByName(root, 'connection').forEach(connection => {
+    const from = connection.getAttribute('source');
+    const to = connection.getAttribute('target');
+    if (!componentIds.has(from) || !componentIds.has(to)) {
+      warnings.push(`Connection ${from} -> ${to} references a missing component and was skipped.`);
+      return;
+    }
+    importConnection(connection, flows, triggers, warnings);
+  });
+
+  components.forEach((component, index) => {
+    const [nodeData] = childrenByName(nodes[index], 'nodeData');
+    if (nodeData && getComponentSchemaMode(component) === 'map') {
+      Object.assign(component.config, importMapperData(nodeData, component.id, flows));
+    }
+  });
+
+  const context = importContexts(root);
+  const defaultContext = root.getAttribute('defaultContext');
+
+  const job = propagateSchema({
+    ...importProperties(propertiesXml),
+    components,
+    flows,
+    triggers,
+    subjobs: importSubjobs(root, components, flows),
+    context: Object.keys(context).length > 0 ? context : { Default: {} },
+    ...(defaultContext && context[defaultContext] ? { active_context: defaultContext } : {})
+  });
+
+  const unsupported = components
+    .filter(component => component.unsupported)
+    .map(component => ({ id: component.id, original_type: component.original_type }));
+
+  return { job, unsupported, warnings };
+}
+
+// --- Export --------------------------------------------------------------
+
+const exportParameterValue = (component, configKey, value) => {
+  const param = getComponentParams(component).find(p => p.name === configKey);
+  if (typeof value === 'boolean') return { field: 'CHECK', value: String(value) };
+  if (typeof value === 'number') return { field: 'TEXT', value: String(value) };
+  if (param?.type === 'select') return { field: 'CLOSED_LIST', value };
+
+  // Context references and other expressions are written as-is; literals get Java quotes
+  const isExpression = /^context\./.test(value) || param?.type === 'expression';
+  return { field: 'TEXT', value: isExpression ? value : quote(value) };
+};
+
+const exportColumn = (column) => `      <column ${attributes({
+  key: 'false',
+  length: column.length || -1,
+  name: column.name,
+  nullable: String(column.nullable !== false),
+  pattern: column.date_pattern ? quote(column.date_pattern) : '',
+  precision: -1,
+  type: toTalendType(column.type)
+})}/>`;
+
+// Talend keeps the schema on every node, sinks included, so derived columns are written too
+const exportMetadata = (job, component) => Array.from(new Set(['main', ...getComponentPorts(component).outputs]))
+  .map(port => {
+    const columns = getOutputSchema(job, component.id, port);
+    if (columns.length === 0) return null;
+    const connector = port === 'reject' ? 'REJECT' : 'FLOW';
+    return `    <metadata ${attributes({ connector, name: port === 'reject' ? 'REJECT' : component.id })}>\n${columns.map(exportColumn).join('\n')}\n    </metadata>`;
+  })
+  .filter(Boolean);
+
+const exportMapperEntry = (column) => `      <mapperTableEntries ${attributes({
+  name: column.name,
+  expression: column.expression || undefined,
+  type: toTalendType(column.type),
+  nullable: String(column.nullable !== false)
+})}/>`;
+
+const exportMapperTable = (tag, tableAttributes, columns) => (columns.length === 0
+  ? `    <${tag} ${attributes(tableAttributes)}/>`
+  : `    <${tag} ${attributes(tableAttributes)}>\n${columns.map(exportMapperEntry).join('\n')}\n    </${tag}>`);
+
+// tMap nodeData: tables are named after the exported connection labels, so
+// input aliases in expressions are renamed to those labels
+const exportMapperData = (job, component, flowLabels) => {
+  const { lookups, outputs } = getMapConfig(job, component.id);
+  const inputs = getMapInputs(job, component.id);
+  const flows = (job.flows || []).filter(flow => flowLabels.has(flow));
+  const incoming = flows.filter(flow => flow.to === component.id);
+  const labelOf = (source) => flowLabels.get(incoming.find(flow => flow.from === source));
+  const aliases = new Map(incoming.map(flow => [getInputAlias(flow), flowLabels.get(flow)]));
+  const rename = (expression) => (expression ? renameExpressionAliases(expression, aliases) : '');
+  const inputTable = (input, extra = {}, keys = []) => exportMapperTable('inputTables', {
+    name: labelOf(input.source),
+    sizeState: 'INTERMEDIATE',
+    lookupMode: 'LOAD_ONCE',
+    matchingMode: 'UNIQUE_MATCH',
+    ...extra
+  }, input.columns.map(column => ({
+    ...column,
+    expression: rename(keys.find(key => key.column === column.name)?.expression)
+  })));
+
+  const tables = [
+    ...outputs.map(output => {
+      const flow = flows.find(candidate => candidate.from === component.id && candidate.to === output.target);
+      return exportMapperTable('outputTables', {
+        name: flow ? flowLabels.get(flow) : output.name,
+        sizeState: 'INTERMEDIATE',
+        reject: String(Boolean(output.reject)),
+        rejectInnerJoin: String(Boolean(output.reject)),
+        activateExpressionFilter: String(Boolean(output.filter)),
+        expressionFilter: rename(output.filter)
+      }, output.columns.map(column => ({ ...column, expression: rename(column.expression) })));
+    }),
+    ...(inputs.main ? [inputTable(inputs.main)] : []),
+    ...lookups.map(lookup => inputTable(
+      inputs.lookups.find(input => input.source === lookup.source),
+      { innerJoin: String(lookup.join_mode === 'inner') },
+      lookup.keys || []
+    ))
+  ];
+
+  return `    <nodeData xsi:type="${MAPPER_DATA_TYPE}">\n${tables.map(table => `  ${table.replace(/\n/g, '\n  ')}`).join('\n')}\n    </nodeData>`;
+};
+
+const exportNode = (job, component, flowLabels) => {
+  const originalType = component.original_type || getComponentDefinition(component).talendType || component.type;
+  const { talend_parameters: talendParameters = {}, ...config } = component.config || {};
+  const configToParameter = getConfigToParameter(getComponentType(component));
+
+  const parameters = [
+    { name: 'UNIQUE_NAME', field: 'TEXT', value: component.id },
+    { name: 'ACTIVATE', field: 'CHECK', value: String(component.active !== false) }
+  ];
+  Object.entries(config).forEach(([key, value]) => {
+    if (value === undefined || value === null || typeof value === 'object') return;
+    parameters.push({ name: configToParameter[key] || key.toUpperCase(), ...exportParameterValue(component, key, value) });
+  });
+  Object.entries(talendParameters).forEach(([name, parameter]) => {
+    parameters.push({ name, field: parameter.field, value: parameter.value });
+  });
+
+  const body = [
+    ...parameters.map(parameter => `    <elementParameter ${attributes(parameter)}/>`),
+    ...exportMetadata(job, component),
+    ...(getComponentSchemaMode(component) === 'map' ? [exportMapperData(job, component, flowLabels)] : [])
+  ].join('\n');
+
+  return `  <node ${attributes({
+    componentName: originalType,
+    componentVersion: '0.102',
+    offsetLabelX: 0,
+    offsetLabelY: 0,
+    posX: Math.round(component.position?.x || 0),
+    posY: Math.round(component.position?.y || 0)
+  })}>\n${body}\n  </node>`;
+};
+
+const exportFlow = (flow, label) => {
+  const connector = flow.name === 'reject' ? 'REJECT' : 'FLOW';
+  const lineStyle = getFlowInputPort(flow) === 'lookup' ? LOOKUP_LINE_STYLE : '0';
+
+  return `  <connection ${attributes({
+    connectorName: connector,
+    label,
+    lineStyle,
+    metaname: flow.from,
+    offsetLabelX: 0,
+    offsetLabelY: 0,
+    source: flow.from,
+    target: flow.to
+  })}>\n    <elementParameter ${attributes({ field: 'TEXT', name: 'UNIQUE_NAME', value: label })}/>\n  </connection>`;
+};
+
+const exportTrigger = (trigger) => {
+  const connector = TRIGGER_TO_CONNECTOR[trigger.type];
+  const opening = `  <connection ${attributes({
+    connectorName: connector,
+    label: trigger.type,
+    lineStyle: TRIGGER_LINE_STYLES[trigger.type],
+    metaname: trigger.from,
+    offsetLabelX: 0,
+    offsetLabelY: 0,
+    source: trigger.from,
+    target: trigger.to
+  })}`;
+
+  if (connector !== 'RUN_IF') return `${opening}/>`;
+  return `${opening}>\n    <elementParameter ${attributes({ field: 'MEMO_JAVA', name: 'CONDITION', value: trigger.condition || '' })}/>\n  </connection>`;
+};
+
+const exportContexts = (job) => Object.entries(job.context || {}).map(([name, variables]) => {
+  const parameters = Object.entries(variables).map(([variable, item]) => (
+    `    <contextParameter ${attributes({
+      comment: item.comment || '',
+      name: variable,
+      prompt: `${variable}?`,
+      promptNeeded: 'false',
+      type: item.type || 'id_String',
+      value: item.value ?? ''
+    })}/>`
+  )).join('\n');
+  return `  <context ${attributes({ confirmationNeeded: 'false', name })}>\n${parameters}\n  </context>`;
+});
+
+const exportSubjobs = (job) => Object.entries(job.subjobs || {}).map(([startId, subjob]) => {
+  const color = Array.isArray(subjob) ? null : toTalendColor(subjob.color);
+  const colorParameter = color
+    ? `\n    <elementParameter ${attributes({ field: 'COLOR', name: 'SUBJOB_COLOR', value: color })}/>`
+    : '';
+  return `  <subjob>\n    <elementParameter ${attributes({ field: 'TEXT', name: 'UNIQUE_NAME', value: startId })}/>${colorParameter}\n  </subjob>`;
+});
+
+/**
+ * Export a job as Talend .item and .properties XML.
+ * Returns { item, properties } strings.
+ */
+export function exportTalendItem(job) {
+  const flows = (job.flows || []).filter(flow => !flow.type || flow.type === 'flow');
+  const triggers = (job.triggers || []).filter(trigger => TRIGGER_TO_CONNECTOR[trigger.type]);
+  const flowLabels = new Map(flows.map((flow, index) => [flow, flow.label || `row${index + 1}`]));
+
+  const body = [
+    ...exportContexts(job),
+    ...(job.components || []).map(component => exportNode(job, component, flowLabels)),
+    ...flows.map(flow => exportFlow(flow, flowLabels.get(flow))),
+    ...triggers.map(exportTrigger),
+    ...exportSubjobs(job)
+  ].join('\n');
+
+  const rootAttributes = attributes({
+    'xmi:version': TALEND_ITEM_VERSION,
+    ...TALEND_NAMESPACES,
+    defaultContext: job.active_context || 'Default',
+    jobType: 'Standard'
+  });
+
+  const item = `<?xml version="1.0" encoding="UTF-8"?>\n<talendfile:ProcessType ${rootAttributes}>\n${body}\n</talendfile:ProcessType>\n`;
+
+  const properties = `<?xml version="1.0" encoding="UTF-8"?>\n<xmi:XMI ${attributes({
+    'xmi:version': TALEND_ITEM_VERSION,
+    'xmlns:xmi': TALEND_NAMESPACES['xmlns:xmi'],
+    'xmlns:TalendProperties': 'http://www.talend.org/properties'
+  })}>\n  <TalendProperties:Property ${attributes({
+    label: job.name || 'recdataprep_job',
+    version: job.version || '0.1',
+    description: job.description || ''
+  })}/>\n</xmi:XMI>\n`;
+
+  return { item, properties };
+}
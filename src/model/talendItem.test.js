@@ -0,0 +1,163 @@
+import { exportTalendItem, importTalendItem } from './talendItem';
+
+const job = {
+  name: 'nightly_load',
+  version: '0.3',
+  description: 'Load and check',
+  components: [
+    {
+      id: 'tFileInputDelimited_1',
+      type: 'file_input_delimited',
+      position: { x: 100, y: 160 },
+      active: true,
+      config: { filepath: '/data/in.csv', delimiter: ';', encoding: 'ISO-8859-1', header: 1 }
+    },
+    {
+      id: 'tFileOutputDelimited_2',
+      type: 'file_output_delimited',
+      position: { x: 360, y: 160 },
+      active: true,
+      config: { filepath: 'context.output_dir', include_header: false }
+    },
+    {
+      id: 'tPythonComponent_3',
+      type: 'python_component',
+      position: { x: 100, y: 320 },
+      active: true,
+      config: { code: 'print("done")' }
+    },
+    {
+      id: 'tDie_4',
+      type: 'die',
+      position: { x: 360, y: 320 },
+      active: false,
+      config: { message: 'Load failed', exit_code: 3 }
+    }
+  ],
+  flows: [
+    { name: 'main', from: 'tFileInputDelimited_1', to: 'tFileOutputDelimited_2', type: 'flow', label: 'row1' }
+  ],
+  triggers: [
+    { from: 'tFileInputDelimited_1', to: 'tPythonComponent_3', type: 'OnSubjobOk' },
+    { from: 'tFileInputDelimited_1', to: 'tDie_4', type: 'OnSubjobError' },
+    { from: 'tFileOutputDelimited_2', to: 'tPythonComponent_3', type: 'OnComponentOk' },
+    { from: 'tPythonComponent_3', to: 'tDie_4', type: 'OnComponentError' },
+    { from: 'tPythonComponent_3', to: 'tDie_4', type: 'RunIf', condition: 'context.strict' }
+  ],
+  context: {
+    Default: { output_dir: { value: '/data/out.csv', type: 'id_String' } },
+    Prod: { output_dir: { value: '/prod/out.csv', type: 'id_String' } }
+  },
+  active_context: 'Prod'
+};
+
+const column = (name, type = 'string') => ({ name, type, nullable: true, length: null, date_pattern: null });
+
+const mapJob = {
+  name: 'map_load',
+  components: [
+    { id: 'tFileInputDelimited_1', type: 'file_input_delimited', config: {}, schema: { main: [column('id', 'int'), column('desk')] } },
+    { id: 'tFileInputDelimited_2', type: 'file_input_delimited', config: {}, schema: { main: [column('desk'), column('book')] } },
+    {
+      id: 'tMap_3',
+      type: 'map',
+      config: {
+        lookups: [{ source: 'tFileInputDelimited_2', join_mode: 'inner', keys: [{ column: 'desk', expression: 'trades.desk' }] }],
+        outputs: [{
+          name: 'booked',
+          target: 'tFileOutputDelimited_4',
+          filter: 'trades.id > 0',
+          reject: false,
+          columns: [{ ...column('id', 'int'), expression: 'trades.id' }, { ...column('book'), expression: 'tFileInputDelimited_2.book' }]
+        }]
+      }
+    },
+    { id: 'tFileOutputDelimited_4', type: 'file_output_delimited', config: {} }
+  ],
+  flows: [
+    { name: 'main', from: 'tFileInputDelimited_1', to: 'tMap_3', type: 'flow', label: 'trades' },
+    { name: 'lookup', from: 'tFileInputDelimited_2', to: 'tMap_3', type: 'flow' },
+    { name: 'main', from: 'tMap_3', to: 'tFileOutputDelimited_4', type: 'flow', label: 'booked' }
+  ],
+  triggers: []
+};
+
+const connectionAttributes = (item) => Array.from(
+  new DOMParser().parseFromString(item, 'application/xml').getElementsByTagName('connection')
+).map(connection => ({
+  connector: connection.getAttribute('connectorName'),
+  lineStyle: connection.getAttribute('lineStyle')
+}));
+
+const elementParameter = (item, nodeId, name) => {
+  const doc = new DOMParser().parseFromString(item, 'application/xml');
+  const node = Array.from(doc.getElementsByTagName('node')).find(element => (
+    Array.from(element.children).some(child => child.getAttribute('name') === 'UNIQUE_NAME' && child.getAttribute('value') === nodeId)
+  ));
+  const parameter = Array.from(node.children).find(child => child.getAttribute('name') === name);
+  return { field: parameter.getAttribute('field'), value: parameter.getAttribute('value') };
+};
+
+describe('exportTalendItem', () => {
+  const { item } = exportTalendItem(job);
+
+  it('writes the Talend lineStyle of every connection type', () => {
+    expect(connectionAttributes(item)).toEqual([
+      { connector: 'FLOW', lineStyle: '0' },
+      { connector: 'SUBJOB_OK', lineStyle: '1' },
+      { connector: 'SUBJOB_ERROR', lineStyle: '2' },
+      { connector: 'COMPONENT_OK', lineStyle: '3' },
+      { connector: 'COMPONENT_ERROR', lineStyle: '4' },
+      { connector: 'RUN_IF', lineStyle: '6' }
+    ]);
+  });
+
+  it('quotes string literals but not select values or context references', () => {
+    expect(elementParameter(item, 'tFileInputDelimited_1', 'FILENAME')).toEqual({ field: 'TEXT', value: '"/data/in.csv"' });
+    expect(elementParameter(item, 'tFileInputDelimited_1', 'ENCODING')).toEqual({ field: 'CLOSED_LIST', value: 'ISO-8859-1' });
+    expect(elementParameter(item, 'tFileOutputDelimited_2', 'FILENAME')).toEqual({ field: 'TEXT', value: 'context.output_dir' });
+  });
+
+  it('maps CODE by component type', () => {
+    expect(elementParameter(item, 'tPythonComponent_3', 'CODE').value).toBe('"print(\\"done\\")"');
+    expect(elementParameter(item, 'tDie_4', 'CODE').value).toBe('3');
+  });
+});
+
+describe('importTalendItem', () => {
+  it('round-trips an exported job', () => {
+    const { item, properties } = exportTalendItem(job);
+    const { job: imported, unsupported, warnings } = importTalendItem(item, properties);
+
+    expect(unsupported).toEqual([]);
+    expect(warnings).toEqual([]);
+    expect(imported.name).toBe('nightly_load');
+    expect(imported.version).toBe('0.3');
+    expect(imported.active_context).toBe('Prod');
+    expect(imported.context).toEqual(job.context);
+    expect(imported.flows).toEqual(job.flows);
+    expect(imported.triggers).toEqual(job.triggers);
+    expect(imported.components.map(({ id, type, position, active, config }) => ({ id, type, position, active, config })))
+      .toEqual(job.components);
+  });
+
+  it('round-trips map lookups and outputs through tMap nodeData', () => {
+    const { item } = exportTalendItem(mapJob);
+    const { job: imported, warnings } = importTalendItem(item);
+
+    expect(warnings).toEqual([]);
+    expect(imported.flows[1].label).toBe('row2');
+    expect(imported.components.find(c => c.id === 'tMap_3').config).toEqual({
+      lookups: [{ source: 'tFileInputDelimited_2', join_mode: 'inner', keys: [{ column: 'desk', expression: 'trades.desk' }] }],
+      outputs: [{
+        ...mapJob.components[2].config.outputs[0],
+        columns: [{ ...column('id', 'int'), expression: 'trades.id' }, { ...column('book'), expression: 'row2.book' }]
+      }]
+    });
+  });
+
+  it('rejects documents that are not Talend jobs', () => {
+    expect(() => importTalendItem('<Other/>')).toThrow('Expected a Talend ProcessType document');
+    expect(() => importTalendItem('<broken')).toThrow('Item file is not valid XML');
+  });
+});
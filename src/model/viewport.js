@@ -0,0 +1,82 @@
+/**
+ * Viewport Geometry
+ *
+ * Canvas <-> screen coordinate maths for the pannable, zoomable flow viewport.
+ * A viewport is { x, y, zoom }: screen = canvas * zoom + (x, y),
+ * with screen coordinates relative to the .flow-viewport element.
+ */
+
+export const NODE_WIDTH = 140;   // Based on CSS flow-node width
+export const NODE_HEIGHT = 80;   // Based on CSS flow-node height
+export const MIN_ZOOM = 0.2;
+export const MAX_ZOOM = 2.5;
+
+export const DEFAULT_VIEWPORT = { x: 0, y: 0, zoom: 1 };
+
+export const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+export function screenToCanvas(point, viewport) {
+  return {
+    x: (point.x - viewport.x) / viewport.zoom,
+    y: (point.y - viewport.y) / viewport.zoom
+  };
+}
+
+export function canvasToScreen(point, viewport) {
+  return {
+    x: point.x * viewport.zoom + viewport.x,
+    y: point.y * viewport.zoom + viewport.y
+  };
+}
+
+// Zoom by a factor while keeping the canvas point under `screenPoint` fixed
+export function zoomAt(viewport, factor, screenPoint) {
+  const zoom = clampZoom(viewport.zoom * factor);
+  const anchor = screenToCanvas(screenPoint, viewport);
+  return {
+    zoom,
+    x: screenPoint.x - anchor.x * zoom,
+    y: screenPoint.y - anchor.y * zoom
+  };
+}
+
+// Bounding box of components in canvas coordinates (null when empty)
+export function getComponentBounds(components) {
+  const positioned = (components || []).filter(c => c.renderPosition || c.position);
+  if (positioned.length === 0) return null;
+
+  const xs = positioned.map(c => (c.renderPosition || c.position).x);
+  const ys = positioned.map(c => (c.renderPosition || c.position).y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const maxX = Math.max(...xs) + NODE_WIDTH;
+  const maxY = Math.max(...ys) + NODE_HEIGHT;
+
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+// Viewport that fits `bounds` inside a screen area of `size`, with padding in screen pixels
+export function fitBounds(bounds, size, padding = 40) {
+  if (!bounds || !size.width || !size.height) return DEFAULT_VIEWPORT;
+
+  const availableWidth = Math.max(size.width - padding * 2, 1);
+  const availableHeight = Math.max(size.height - padding * 2, 1);
+  const zoom = clampZoom(Math.min(availableWidth / bounds.width, availableHeight / bounds.height, 1));
+
+  return {
+    zoom,
+    x: (size.width - bounds.width * zoom) / 2 - bounds.x * zoom,
+    y: (size.height - bounds.height * zoom) / 2 - bounds.y * zoom
+  };
+}
+
+// Visible canvas rectangle for the current viewport
+export function getVisibleCanvasRect(viewport, size) {
+  const topLeft = screenToCanvas({ x: 0, y: 0 }, viewport);
+  return {
+    x: topLeft.x,
+    y: topLeft.y,
+    width: size.width / viewport.zoom,
+    height: size.height / viewport.zoom
+  };
+}
@@ -0,0 +1,69 @@
+import {
+  screenToCanvas,
+  canvasToScreen,
+  zoomAt,
+  getComponentBounds,
+  fitBounds,
+  getVisibleCanvasRect,
+  DEFAULT_VIEWPORT,
+  MAX_ZOOM,
+  MIN_ZOOM
+} from './viewport';
+
+const viewport = { x: 100, y: 50, zoom: 2 };
+
+describe('screenToCanvas', () => {
+  it('inverts canvasToScreen', () => {
+    expect(canvasToScreen({ x: 10, y: 20 }, viewport)).toEqual({ x: 120, y: 90 });
+    expect(screenToCanvas({ x: 120, y: 90 }, viewport)).toEqual({ x: 10, y: 20 });
+  });
+});
+
+describe('zoomAt', () => {
+  it('keeps the canvas point under the cursor in place', () => {
+    const cursor = { x: 300, y: 200 };
+    const zoomed = zoomAt(viewport, 0.5, cursor);
+    expect(zoomed.zoom).toBe(1);
+    expect(canvasToScreen(screenToCanvas(cursor, viewport), zoomed)).toEqual(cursor);
+  });
+
+  it('clamps the zoom level', () => {
+    expect(zoomAt(viewport, 10, { x: 0, y: 0 }).zoom).toBe(MAX_ZOOM);
+    expect(zoomAt(viewport, 0.01, { x: 0, y: 0 }).zoom).toBe(MIN_ZOOM);
+  });
+});
+
+describe('getComponentBounds', () => {
+  it('spans every node, preferring the render position', () => {
+    expect(getComponentBounds([
+      { position: { x: 0, y: 0 }, renderPosition: { x: 20, y: 10 } },
+      { position: { x: 300, y: 200 } },
+      {}
+    ])).toEqual({ x: 20, y: 10, width: 420, height: 270 });
+    expect(getComponentBounds([])).toBeNull();
+  });
+});
+
+describe('fitBounds', () => {
+  it('centres the bounds without zooming in past 100%', () => {
+    expect(fitBounds({ x: 0, y: 0, width: 200, height: 100 }, { width: 800, height: 600 }))
+      .toEqual({ zoom: 1, x: 300, y: 250 });
+  });
+
+  it('zooms out to fit large bounds inside the padding', () => {
+    const fitted = fitBounds({ x: 100, y: 0, width: 1440, height: 400 }, { width: 800, height: 600 });
+    expect(fitted.zoom).toBe(0.5);
+    expect(canvasToScreen({ x: 100, y: 0 }, fitted)).toEqual({ x: 40, y: 200 });
+  });
+
+  it('falls back to the default viewport without bounds or size', () => {
+    expect(fitBounds(null, { width: 800, height: 600 })).toBe(DEFAULT_VIEWPORT);
+    expect(fitBounds({ x: 0, y: 0, width: 10, height: 10 }, { width: 0, height: 0 })).toBe(DEFAULT_VIEWPORT);
+  });
+});
+
+describe('getVisibleCanvasRect', () => {
+  it('maps the screen area back to canvas coordinates', () => {
+    expect(getVisibleCanvasRect(viewport, { width: 800, height: 600 })).toEqual({ x: -50, y: -25, width: 400, height: 300 });
+  });
+});
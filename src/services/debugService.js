@@ -0,0 +1,36 @@
+/**
+ * Debug Service
+ *
+ * Starts debug runs and sends step / continue / abort commands to the
+ * executor (or mock/executionServer.js locally). Pauses and progress arrive
+ * on the execution event stream; the protocol is described in
+ * model/debugSession.js.
+ */
+
+import { EXECUTION_API_URL } from './executionStream';
+
+const post = async (path, body) => {
+  const response = await fetch(`${EXECUTION_API_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `Debug request failed with status ${response.status}`);
+  }
+  return result;
+};
+
+/**
+ * Start a debug run. breakpoints: [{ from, to, condition }]
+ * Resolves to { runId }.
+ */
+export function startDebugRun(job, context, breakpoints) {
+  return post('/debug', { job, context, breakpoints });
+}
+
+export function sendDebugCommand(runId, command) {
+  return post(`/debug/${encodeURIComponent(runId)}/command`, { command });
+}
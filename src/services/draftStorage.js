@@ -0,0 +1,35 @@
+/**
+ * Draft Storage
+ *
+ * The unsaved canvas job kept in localStorage so it survives a closed tab
+ * or a crash. One draft per browser:
+ *   { job, saved_at, entry }   entry is the repository job it was opened from, if any
+ */
+
+export const DRAFT_STORAGE_KEY = 'rectran-draft';
+
+export function saveDraft(job, entry = null) {
+  const draft = { job, saved_at: new Date().toISOString(), entry };
+  try {
+    localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(draft));
+    return draft;
+  } catch (error) {
+    // Quota exceeded or storage disabled - autosave is best effort
+    console.warn('Could not save draft:', error);
+    return null;
+  }
+}
+
+export function loadDraft() {
+  try {
+    const draft = JSON.parse(localStorage.getItem(DRAFT_STORAGE_KEY));
+    return draft && draft.job && Array.isArray(draft.job.components) ? draft : null;
+  } catch (error) {
+    console.warn('Ignoring unreadable draft:', error);
+    return null;
+  }
+}
+
+export function clearDraft() {
+  localStorage.removeItem(DRAFT_STORAGE_KEY);
+}
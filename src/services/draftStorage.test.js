@@ -0,0 +1,26 @@
+import { saveDraft, loadDraft, clearDraft, DRAFT_STORAGE_KEY } from './draftStorage';
+
+const job = { name: 'draft_test', components: [], flows: [], triggers: [] };
+
+describe('draft storage', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('saves, loads and clears the draft with its repository entry', () => {
+    const entry = { id: 'job_1', name: 'draft_test' };
+    const draft = saveDraft(job, entry);
+    expect(loadDraft()).toEqual({ job, saved_at: draft.saved_at, entry });
+
+    clearDraft();
+    expect(loadDraft()).toBeNull();
+  });
+
+  it('ignores drafts that are not jobs', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.setItem(DRAFT_STORAGE_KEY, '{broken');
+    expect(loadDraft()).toBeNull();
+    expect(console.warn).toHaveBeenCalled();
+
+    localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({ job: { name: 'no components' } }));
+    expect(loadDraft()).toBeNull();
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Execution Stream
+ *
+ * Server-Sent Events channel for live execution progress.
+ * The executor (or mock/executionServer.js locally) pushes JSON events
+ * described in model/executionProgress.js.
+ */
+
+export const EXECUTION_API_URL = process.env.REACT_APP_EXECUTION_API_URL || '/api/execution';
+
+export function getExecutionEventsUrl(jobName) {
+  return `${EXECUTION_API_URL}/events?job=${encodeURIComponent(jobName || 'default')}`;
+}
+
+/**
+ * Subscribe to progress events of a job.
+ * Returns a function that closes the stream.
+ */
+export function connectExecutionStream(jobName, { onEvent, onError }) {
+  const source = new EventSource(getExecutionEventsUrl(jobName));
+
+  source.onmessage = (message) => {
+    try {
+      onEvent(JSON.parse(message.data));
+    } catch (error) {
+      console.error('Invalid execution event:', message.data, error);
+    }
+  };
+
+  source.onerror = (error) => {
+    // EventSource reconnects on its own; only report a closed stream
+    if (source.readyState === EventSource.CLOSED && onError) {
+      onError(error);
+    }
+  };
+
+  return () => source.close();
+}
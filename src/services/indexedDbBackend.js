@@ -0,0 +1,72 @@
+/**
+ * IndexedDB Repository Backend
+ *
+ * Browser-local storage for the job repository (see jobRepository.js).
+ * Two object stores: jobs (by id) and versions (by [job_id, version]).
+ */
+
+const DB_VERSION = 1;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export function createIndexedDbBackend(dbName = 'recdataprep-repository') {
+  let dbPromise = null;
+
+  const openDb = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('jobs')) {
+          db.createObjectStore('jobs', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('versions')) {
+          const versions = db.createObjectStore('versions', { keyPath: ['job_id', 'version'] });
+          versions.createIndex('job_id', 'job_id');
+        }
+      };
+      dbPromise = promisify(request);
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (storeName, mode, action) => {
+    const db = await openDb();
+    const transaction = db.transaction(storeName, mode);
+    const result = await promisify(action(transaction.objectStore(storeName)));
+    return result;
+  };
+
+  return {
+    listJobs: () => withStore('jobs', 'readonly', store => store.getAll()),
+
+    getJob: async (id) => (await withStore('jobs', 'readonly', store => store.get(id))) || null,
+
+    putJob: (entry) => withStore('jobs', 'readwrite', store => store.put(entry)),
+
+    deleteJob: async (id) => {
+      const db = await openDb();
+      const transaction = db.transaction(['jobs', 'versions'], 'readwrite');
+      transaction.objectStore('jobs').delete(id);
+      transaction.objectStore('versions').delete(IDBKeyRange.bound([id, 0], [id, Infinity]));
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+      });
+    },
+
+    listVersions: async (id) => {
+      const records = await withStore('versions', 'readonly', store => store.index('job_id').getAll(id));
+      return records.map(({ job, ...version }) => version);
+    },
+
+    getVersion: async (id, version) => (
+      (await withStore('versions', 'readonly', store => store.get([id, Number(version)]))) || null
+    ),
+
+    putVersion: (record) => withStore('versions', 'readwrite', store => store.put(record))
+  };
+}
@@ -0,0 +1,113 @@
+import { createIndexedDbBackend } from './indexedDbBackend';
+import { createRestBackend } from './restRepositoryBackend';
+
+/**
+ * Job Repository
+ *
+ * Named jobs with an immutable version on every save. Versioning lives here;
+ * storage goes through a backend with this (async) interface:
+ *   listJobs()                 -> [entry]
+ *   getJob(id)                 -> entry | null
+ *   putJob(entry)
+ *   deleteJob(id)              removes the job and all its versions
+ *   listVersions(id)           -> [version] without the job body
+ *   getVersion(id, version)    -> { ...version, job } | null
+ *   putVersion(record)
+ * entry:   { id, name, latest_version, updated_at, author }
+ * version: { job_id, version, author, message, saved_at }
+ *
+ * IndexedDB is the default backend; setting REACT_APP_REPOSITORY_API_URL
+ * switches to the REST backend (mock/executionServer.js locally).
+ */
+
+export const REPOSITORY_API_URL = process.env.REACT_APP_REPOSITORY_API_URL || null;
+
+const slugify = (name) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'job';
+
+const byNewest = (field) => (a, b) => String(b[field]).localeCompare(String(a[field]));
+
+export function createJobRepository(backend) {
+  const requireEntry = async (id) => {
+    const entry = await backend.getJob(id);
+    if (!entry) throw new Error(`Job ${id} does not exist in the repository.`);
+    return entry;
+  };
+
+  const requireVersion = async (id, version) => {
+    const record = await backend.getVersion(id, version);
+    if (!record) throw new Error(`Version ${version} of job ${id} does not exist.`);
+    return record;
+  };
+
+  /**
+   * Save the job as the next version of `id`, or as a new job when no id is given.
+   * Returns { entry, version, job } with the stored version metadata and the job
+   * as stored, renamed to the entry name.
+   */
+  const saveJob = async (job, { id = null, name, author, message }) => {
+    const existing = id ? await requireEntry(id) : null;
+    const jobName = (name || existing?.name || job.name || '').trim();
+    if (!jobName) throw new Error('A job needs a name to be saved.');
+
+    if (!existing) {
+      const clash = (await backend.listJobs()).find(entry => entry.name.toLowerCase() === jobName.toLowerCase());
+      if (clash) throw new Error(`A job named "${jobName}" already exists. Open it or choose another name.`);
+    }
+
+    const jobId = existing ? existing.id : `${slugify(jobName)}_${Date.now().toString(36)}`;
+    const version = (existing?.latest_version || 0) + 1;
+    const savedAt = new Date().toISOString();
+    const record = {
+      job_id: jobId,
+      version,
+      author: author || 'unknown',
+      message: message?.trim() || (existing ? `Version ${version}` : 'Created'),
+      saved_at: savedAt,
+      job: { ...job, name: jobName }
+    };
+    const entry = { id: jobId, name: jobName, latest_version: version, updated_at: savedAt, author: record.author };
+
+    await backend.putVersion(record);
+    await backend.putJob(entry);
+
+    const { job: savedJob, ...versionMeta } = record;
+    return { entry, version: versionMeta, job: savedJob };
+  };
+
+  return {
+    listJobs: async () => (await backend.listJobs()).sort(byNewest('updated_at')),
+
+    saveJob,
+
+    // Open the latest (or a given) version: { entry, version, job }
+    openJob: async (id, version = null) => {
+      const entry = await requireEntry(id);
+      const { job, ...versionMeta } = await requireVersion(id, version || entry.latest_version);
+      return { entry, version: versionMeta, job };
+    },
+
+    listVersions: async (id) => (await backend.listVersions(id)).sort((a, b) => b.version - a.version),
+
+    getVersionJob: async (id, version) => (await requireVersion(id, version)).job,
+
+    // A restore is saved as a new version, so history is never rewritten
+    restoreVersion: async (id, version, author) => {
+      const entry = await requireEntry(id);
+      const record = await requireVersion(id, version);
+      const saved = await saveJob(record.job, { id, name: entry.name, author, message: `Restored version ${version}` });
+      return { ...saved, job: { ...record.job, name: entry.name } };
+    },
+
+    deleteJob: (id) => backend.deleteJob(id)
+  };
+}
+
+let defaultRepository = null;
+
+export function getDefaultRepository() {
+  if (!defaultRepository) {
+    const backend = REPOSITORY_API_URL ? createRestBackend(REPOSITORY_API_URL) : createIndexedDbBackend();
+    defaultRepository = createJobRepository(backend);
+  }
+  return defaultRepository;
+}
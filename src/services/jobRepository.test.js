@@ -0,0 +1,55 @@
+/**
+ * @jest-environment node
+ */
+import { createJobRepository } from './jobRepository';
+import { createRestBackend } from './restRepositoryBackend';
+import { startMockServer, stopMockServer, nodeFetch } from '../testing/mockServer';
+
+const job = { name: 'repository_test', components: [], flows: [], triggers: [] };
+
+describe('job repository on the REST backend', () => {
+  let repository;
+  const originalFetch = global.fetch;
+
+  beforeAll(async () => {
+    const baseUrl = await startMockServer();
+    global.fetch = nodeFetch;
+    repository = createJobRepository(createRestBackend(`${baseUrl}/api/repository`));
+  });
+
+  afterAll(async () => {
+    global.fetch = originalFetch;
+    await stopMockServer();
+  });
+
+  it('saves, versions, restores and deletes jobs', async () => {
+    const { entry, version } = await repository.saveJob(job, { author: 'ana' });
+    expect(entry).toMatchObject({ name: 'repository_test', latest_version: 1, author: 'ana' });
+    expect(version).toMatchObject({ job_id: entry.id, version: 1, message: 'Created' });
+
+    const renamed = await repository.saveJob(job, { name: 'Repository renamed', author: 'ana' });
+    expect(renamed.job).toEqual({ ...job, name: 'Repository renamed' });
+    await repository.deleteJob(renamed.entry.id);
+
+    await repository.saveJob({ ...job, components: [{ id: 'in_1', type: 'file_input_delimited' }] }, {
+      id: entry.id,
+      author: 'ana',
+      message: 'Add input'
+    });
+    expect((await repository.listVersions(entry.id)).map(v => [v.version, v.message]))
+      .toEqual([[2, 'Add input'], [1, 'Created']]);
+    expect((await repository.openJob(entry.id)).job.components).toHaveLength(1);
+    expect(await repository.getVersionJob(entry.id, 1)).toEqual(job);
+
+    const restored = await repository.restoreVersion(entry.id, 1, 'ana');
+    expect(restored.entry.latest_version).toBe(3);
+    expect((await repository.openJob(entry.id)).job.components).toEqual([]);
+
+    await expect(repository.saveJob(job, { author: 'ben' }))
+      .rejects.toThrow('A job named "repository_test" already exists. Open it or choose another name.');
+
+    await repository.deleteJob(entry.id);
+    expect(await repository.listJobs()).toEqual([]);
+    await expect(repository.openJob(entry.id)).rejects.toThrow(`Job ${entry.id} does not exist in the repository.`);
+  });
+});
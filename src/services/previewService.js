@@ -0,0 +1,40 @@
+/**
+ * Preview Service
+ *
+ * Runs the upstream part of a job on sampled input and returns the first rows
+ * a component emits. Served by the executor (or mock/executionServer.js locally).
+ */
+
+import { EXECUTION_API_URL } from './executionStream';
+
+// Rows read from each input component during a preview run
+export const PREVIEW_SAMPLE_SIZE = 1000;
+
+/**
+ * Request a preview for target = { componentId, port, includeRejects }.
+ * Resolves to { columns, rows, rejects }.
+ */
+export async function requestPreview(job, target, { context = {}, limit, sampleSize = PREVIEW_SAMPLE_SIZE } = {}) {
+  const response = await fetch(`${EXECUTION_API_URL}/preview`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      job,
+      target: { componentId: target.componentId, port: target.port, includeRejects: target.includeRejects },
+      context,
+      limit,
+      sampleSize
+    })
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `Preview failed with status ${response.status}`);
+  }
+
+  return {
+    columns: body.columns || [],
+    rows: body.rows || [],
+    rejects: body.rejects || null
+  };
+}
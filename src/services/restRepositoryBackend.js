@@ -0,0 +1,40 @@
+/**
+ * REST Repository Backend
+ *
+ * Job repository storage on a server (see jobRepository.js for the interface):
+ *   GET    /jobs                      -> [entry]
+ *   GET    /jobs/:id                  -> entry (404 when missing)
+ *   PUT    /jobs/:id                  entry
+ *   DELETE /jobs/:id
+ *   GET    /jobs/:id/versions         -> [version]
+ *   GET    /jobs/:id/versions/:n      -> version with job (404 when missing)
+ *   PUT    /jobs/:id/versions/:n      version with job
+ */
+
+export function createRestBackend(baseUrl) {
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (method === 'GET' && response.status === 404) return null;
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Repository request ${method} ${path} failed with status ${response.status}`);
+    }
+    return response.status === 204 ? null : response.json();
+  };
+
+  const jobPath = (id) => `/jobs/${encodeURIComponent(id)}`;
+
+  return {
+    listJobs: () => request('GET', '/jobs'),
+    getJob: (id) => request('GET', jobPath(id)),
+    putJob: (entry) => request('PUT', jobPath(entry.id), entry),
+    deleteJob: (id) => request('DELETE', jobPath(id)),
+    listVersions: async (id) => (await request('GET', `${jobPath(id)}/versions`)) || [],
+    getVersion: (id, version) => request('GET', `${jobPath(id)}/versions/${version}`),
+    putVersion: (record) => request('PUT', `${jobPath(record.job_id)}/versions/${record.version}`, record)
+  };
+}
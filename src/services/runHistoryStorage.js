@@ -0,0 +1,58 @@
+/**
+ * Run History Storage
+ *
+ * Past executions kept in localStorage, newest first, per job name:
+ *   { [jobName]: [runRecord] }   (see model/runHistory.js)
+ * Only the latest MAX_RUNS_PER_JOB runs of a job are kept.
+ */
+
+export const RUN_HISTORY_STORAGE_KEY = 'rectran-runs';
+export const MAX_RUNS_PER_JOB = 50;
+
+const jobKey = (jobName) => jobName || 'default';
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(RUN_HISTORY_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Ignoring unreadable run history:', error);
+    return {};
+  }
+};
+
+const writeAll = (history) => {
+  try {
+    localStorage.setItem(RUN_HISTORY_STORAGE_KEY, JSON.stringify(history));
+  } catch (error) {
+    // Quota exceeded or storage disabled - history is best effort
+    console.warn('Could not save run history:', error);
+  }
+};
+
+export function loadRuns(jobName) {
+  const runs = readAll()[jobKey(jobName)];
+  return Array.isArray(runs) ? runs : [];
+}
+
+export function saveRun(run) {
+  const history = readAll();
+  const key = jobKey(run.job_name);
+  history[key] = [run, ...(history[key] || []).filter(existing => existing.id !== run.id)].slice(0, MAX_RUNS_PER_JOB);
+  writeAll(history);
+  return history[key];
+}
+
+export function deleteRun(jobName, runId) {
+  const history = readAll();
+  const key = jobKey(jobName);
+  history[key] = (history[key] || []).filter(run => run.id !== runId);
+  writeAll(history);
+  return history[key];
+}
+
+export function clearRuns(jobName) {
+  const history = readAll();
+  delete history[jobKey(jobName)];
+  writeAll(history);
+  return [];
+}
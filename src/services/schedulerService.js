@@ -0,0 +1,44 @@
+/**
+ * Scheduler Service
+ *
+ * Schedules are stored and fired by the scheduler (or mock/executionServer.js
+ * locally), so they keep running when the UI is closed:
+ *   GET    /schedules?job=<name>        -> [schedule]
+ *   PUT    /schedules/:id               { ...schedule, job_name, job } -> schedule
+ *   DELETE /schedules/:id
+ *   POST   /schedules/:id/trigger       -> [run]   fire once now
+ *   GET    /runs?job=<name>             -> [run], newest first
+ * A run is { id, schedule_id, job_name, planned_at, started_at, finished_at,
+ *   status: 'queued' | 'running' | 'succeeded' | 'failed', batch_row, context, error }
+ * with batch_row the parameter row index (null outside batch mode) and context
+ * the values it ran with, date expressions resolved. The schedule format is
+ * described in model/schedules.js.
+ */
+
+export const SCHEDULER_API_URL = process.env.REACT_APP_SCHEDULER_API_URL || '/api/scheduler';
+
+const request = async (method, path, body) => {
+  const response = await fetch(`${SCHEDULER_API_URL}${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error || `Scheduler request ${method} ${path} failed with status ${response.status}`);
+  }
+  return response.status === 204 ? null : response.json();
+};
+
+const schedulePath = (id) => `/schedules/${encodeURIComponent(id)}`;
+
+export const listSchedules = (jobName) => request('GET', `/schedules?job=${encodeURIComponent(jobName)}`);
+
+// The job is stored with the schedule: runs use it as it was when last saved
+export const saveSchedule = (job, schedule) => request('PUT', schedulePath(schedule.id), { ...schedule, job_name: job.name, job });
+
+export const deleteSchedule = (id) => request('DELETE', schedulePath(id));
+
+export const triggerSchedule = (id) => request('POST', `${schedulePath(id)}/trigger`);
+
+export const listScheduledRuns = (jobName) => request('GET', `/runs?job=${encodeURIComponent(jobName)}`);
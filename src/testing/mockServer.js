@@ -0,0 +1,103 @@
+import http from 'http';
+
+/**
+ * Mock Server Test Helpers
+ *
+ * Runs mock/executionServer.js on a free port for tests against it. The jest
+ * node environment has neither fetch nor EventSource, so requests and the
+ * event stream go through Node's http module. Tests using these need
+ * `@jest-environment node`.
+ */
+
+let server = null;
+
+// Starts the server with fast simulated steps; resolves to its base URL
+export function startMockServer() {
+  process.env.MOCK_STEP_MS = process.env.MOCK_STEP_MS || '1';
+  server = require('../../mock/executionServer').server;
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+export function stopMockServer() {
+  return new Promise(resolve => {
+    server.closeAllConnections(); // Open event streams would keep the server alive
+    server.close(() => resolve());
+  });
+}
+
+// Enough of fetch for the services: method, headers, string body, json()
+export function nodeFetch(url, { method = 'GET', headers, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(url, { method, headers }, response => {
+      let data = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { data += chunk; });
+      response.on('end', () => resolve({
+        ok: response.statusCode >= 200 && response.statusCode < 300,
+        status: response.statusCode,
+        json: async () => JSON.parse(data)
+      }));
+    });
+    request.on('error', reject);
+    if (body) request.write(body);
+    request.end();
+  });
+}
+
+export const postJson = async (url, body) => {
+  const response = await nodeFetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+/**
+ * Subscribe to the progress events of a job. Returns { events, waitFor, close }:
+ * events grows as they arrive, waitFor(predicate) resolves with the first event
+ * (already received or not) it accepts.
+ */
+export function subscribeEvents(baseUrl, jobName) {
+  const events = [];
+  const waiters = [];
+  let request = null;
+
+  const receive = (event) => {
+    events.push(event);
+    waiters.slice().forEach(waiter => {
+      if (waiter.predicate(event)) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve(event);
+      }
+    });
+  };
+
+  const ready = new Promise((resolve, reject) => {
+    request = http.get(`${baseUrl}/api/execution/events?job=${encodeURIComponent(jobName)}`, response => {
+      let buffer = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        buffer += chunk;
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        messages
+          .map(message => message.split('\n').find(line => line.startsWith('data: ')))
+          .filter(Boolean)
+          .forEach(line => receive(JSON.parse(line.slice('data: '.length))));
+      });
+      resolve();
+    });
+    request.on('error', reject);
+  });
+
+  const waitFor = (predicate) => {
+    const received = events.find(predicate);
+    if (received) return Promise.resolve(received);
+    return new Promise(resolve => waiters.push({ predicate, resolve }));
+  };
+
+  return { ready, events, waitFor, close: () => request.destroy() };
+}
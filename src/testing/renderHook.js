@@ -0,0 +1,30 @@
+import { createElement, act } from 'react';
+import { createRoot } from 'react-dom/client';
+
+/**
+ * Hook Test Helpers
+ *
+ * Renders a hook inside a throwaway component so tests can call what it
+ * returns. result.current is the latest return value; wrap calls that update
+ * state in act().
+ */
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+export { act };
+
+export function renderHook(useHook, initialProps) {
+  const result = { current: undefined };
+  const root = createRoot(document.createElement('div'));
+  const Probe = ({ hookProps }) => {
+    result.current = useHook(hookProps);
+    return null;
+  };
+
+  const rerender = (props) => act(() => {
+    root.render(createElement(Probe, { hookProps: props }));
+  });
+  rerender(initialProps);
+
+  return { result, rerender, unmount: () => act(() => root.unmount()) };
+}